@@ -10,9 +10,12 @@ import { motion, AnimatePresence } from 'framer-motion';
 
 // MVC Components
 import AppController from '@controllers/AppController';
+import UndoService from '@services/UndoService';
 import MainTemplate from '@components/templates/MainTemplate';
 import ErrorBoundary from '@components/common/ErrorBoundary';
 import LoadingScreen from '@components/common/LoadingScreen';
+import LockScreen from '@components/common/LockScreen';
+import StorageQuotaDialog from '@components/features/StorageQuotaDialog';
 
 // Pages (Lazy Loading)
 const DashboardPage = React.lazy(() => import('@pages/DashboardPage'));
@@ -25,6 +28,9 @@ const TrainingPage = React.lazy(() => import('@pages/TrainingPage'));
 const KnowledgePage = React.lazy(() => import('@pages/KnowledgePage'));
 const MailingsPage = React.lazy(() => import('@pages/MailingsPage'));
 const SettingsPage = React.lazy(() => import('@pages/SettingsPage'));
+const TrashPage = React.lazy(() => import('@pages/TrashPage'));
+const DuplicatesPage = React.lazy(() => import('@pages/DuplicatesPage'));
+const WorkQueuePage = React.lazy(() => import('@pages/WorkQueuePage'));
 
 // Utilities
 import EventBus from '@utils/EventBus';
@@ -47,6 +53,8 @@ function App() {
   const [settings, setSettings] = useState(appController.getSettings());
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [isLocked, setIsLocked] = useState(null);
+  const [showQuotaDialog, setShowQuotaDialog] = useState(false);
 
   useEffect(() => {
     // Подписываемся на события приложения
@@ -88,6 +96,10 @@ function App() {
       toast.info(message);
     };
 
+    const handleQuotaExceeded = () => {
+      setShowQuotaDialog(true);
+    };
+
     // Подписки на события
     EventBus.on('app:initialized', handleAppInitialized);
     EventBus.on('navigation:change', handleNavigationChange);
@@ -97,6 +109,7 @@ function App() {
     EventBus.on('notification:success', handleSuccess);
     EventBus.on('notification:warning', handleWarning);
     EventBus.on('notification:info', handleInfo);
+    EventBus.on('storage:quotaExceeded', handleQuotaExceeded);
 
     // Cleanup
     return () => {
@@ -108,6 +121,84 @@ function App() {
       EventBus.off('notification:success', handleSuccess);
       EventBus.off('notification:warning', handleWarning);
       EventBus.off('notification:info', handleInfo);
+      EventBus.off('storage:quotaExceeded', handleQuotaExceeded);
+    };
+  }, [appController]);
+
+  // Отмена и повтор последних действий
+  useEffect(() => {
+    const showUndoToast = (label, actionLabel, action) => {
+      toast((t) => (
+        <span className="undo-toast">
+          {label}
+          <button
+            className="undo-toast-action"
+            onClick={() => {
+              toast.dismiss(t.id);
+              action();
+            }}
+          >
+            {actionLabel}
+          </button>
+        </span>
+      ), { id: 'undo', duration: 6000 });
+    };
+
+    const handleUndoAvailable = ({ label }) => {
+      showUndoToast(label, 'Отменить', () => UndoService.undo());
+    };
+
+    const handleUndoDone = ({ history, label }) => {
+      if (history === 'undo') {
+        showUndoToast(`Отменено: ${label}`, 'Повторить', () => UndoService.redo());
+      } else {
+        toast.dismiss('undo');
+      }
+    };
+
+    // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) вне полей ввода
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+
+      const target = event.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        UndoService.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        UndoService.redo();
+      }
+    };
+
+    EventBus.on('undo:available', handleUndoAvailable);
+    EventBus.on('undo:done', handleUndoDone);
+    window.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      EventBus.off('undo:available', handleUndoAvailable);
+      EventBus.off('undo:done', handleUndoDone);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, []);
+
+  // Блокировка зашифрованных данных: при запуске и после автоблокировки
+  useEffect(() => {
+    appController.securityController.getStatus().then(({ locked }) => setIsLocked(locked));
+
+    const handleLocked = () => setIsLocked(true);
+    const handleUnlocked = () => setIsLocked(false);
+
+    EventBus.on('crypto:locked', handleLocked);
+    EventBus.on('crypto:unlocked', handleUnlocked);
+
+    return () => {
+      EventBus.off('crypto:locked', handleLocked);
+      EventBus.off('crypto:unlocked', handleUnlocked);
     };
   }, [appController]);
 
@@ -134,10 +225,17 @@ function App() {
     </div>
   );
 
-  if (!isInitialized) {
+  if (!isInitialized || isLocked === null) {
     return <LoadingScreen />;
   }
 
+  // Страницы не монтируются, пока данные не расшифрованы
+  if (isLocked) {
+    return (
+      <LockScreen onUnlock={(passphrase) => appController.securityController.unlock(passphrase)} />
+    );
+  }
+
   return (
     <ErrorBoundary>
       <div className={`app ${settings.theme}`} data-app="hr-assistant">
@@ -205,6 +303,21 @@ function App() {
                         <MailingsPage />
                       </ErrorBoundary>
                     } />
+                    <Route path="/duplicates" element={
+                      <ErrorBoundary fallback={PageErrorFallback}>
+                        <DuplicatesPage />
+                      </ErrorBoundary>
+                    } />
+                    <Route path="/work-queue" element={
+                      <ErrorBoundary fallback={PageErrorFallback}>
+                        <WorkQueuePage />
+                      </ErrorBoundary>
+                    } />
+                    <Route path="/trash" element={
+                      <ErrorBoundary fallback={PageErrorFallback}>
+                        <TrashPage />
+                      </ErrorBoundary>
+                    } />
                     <Route path="/settings" element={
                       <ErrorBoundary fallback={PageErrorFallback}>
                         <SettingsPage />
@@ -221,6 +334,11 @@ function App() {
                 </Suspense>
               </motion.div>
             </AnimatePresence>
+
+            {/* Переполнение хранилища: изменения не сохранены */}
+            {showQuotaDialog && (
+              <StorageQuotaDialog onClose={() => setShowQuotaDialog(false)} />
+            )}
           </MainTemplate>
         </Router>
 
@@ -14,7 +14,10 @@ import {
   Mail,
   Settings,
   HardHat,
-  Home
+  Home,
+  Trash2,
+  Copy,
+  Target
 } from 'lucide-react';
 
 /**
@@ -92,6 +95,28 @@ export const routes = [
     requiresAuth: true,
     parent: 'candidates'
   },
+  {
+    path: '/duplicates',
+    name: 'duplicates',
+    title: 'Возможные дубли',
+    icon: Copy,
+    component: 'DuplicatesPage',
+    exact: true,
+    showInMenu: true,
+    requiresAuth: true,
+    parent: 'candidates'
+  },
+  {
+    path: '/work-queue',
+    name: 'work-queue',
+    title: 'Работать дальше',
+    icon: Target,
+    component: 'WorkQueuePage',
+    exact: true,
+    showInMenu: true,
+    requiresAuth: true,
+    parent: 'candidates'
+  },
   {
     path: '/shift-workers',
     name: 'shift-workers',
@@ -192,6 +217,16 @@ export const routes = [
       }
     ]
   },
+  {
+    path: '/trash',
+    name: 'trash',
+    title: 'Корзина',
+    icon: Trash2,
+    component: 'TrashPage',
+    exact: true,
+    showInMenu: true,
+    requiresAuth: true
+  },
   {
     path: '/settings',
     name: 'settings',
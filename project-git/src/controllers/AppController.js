@@ -6,10 +6,27 @@
 import BaseController from './BaseController.js';
 import CandidateController from './CandidateController.js';
 import TrainingController from './TrainingController.js';
-import AuthController from './AuthController.js';
+// Регистрирует общий контроллер авторизации
+import './AuthController.js';
 import MailingController from './MailingController.js';
+import TrashController, { DEFAULT_TRASH_RETENTION_DAYS } from './TrashController.js';
+import SecurityController from './SecurityController.js';
+import StorageController from './StorageController.js';
+import DocumentController from './DocumentController.js';
+import AppointmentController from './AppointmentController.js';
+import EscalationController from './EscalationController.js';
+import RotationController from './RotationController.js';
 import WhatsAppService from '../services/WhatsAppService.js';
 import NotificationService from '../services/NotificationService.js';
+import TabSyncService from '../services/TabSyncService.js';
+import UndoService from '../services/UndoService.js';
+import DuplicateService from '../services/DuplicateService.js';
+import HandoffService from '../services/HandoffService.js';
+import StorageHealthService from '../services/StorageHealthService.js';
+import { DEFAULT_AUTO_LOCK_MINUTES } from '../services/CryptoService.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import AuditLogStore, { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+import { isQuotaError } from '../stores/StoreErrors.js';
 import Router from '../utils/Router.js';
 
 class AppController extends BaseController {
@@ -19,12 +36,21 @@ class AppController extends BaseController {
     // Инициализация контроллеров
     this.candidateController = new CandidateController();
     this.trainingController = new TrainingController();
-    this.authController = new AuthController();
     this.mailingController = new MailingController();
+    this.trashController = new TrashController();
+    this.securityController = new SecurityController();
+    this.storageController = new StorageController();
+    this.documentController = new DocumentController();
+    this.appointmentController = new AppointmentController();
+    this.escalationController = new EscalationController();
+    this.rotationController = new RotationController();
     
     // Сервисы
     this.whatsAppService = WhatsAppService;
     this.notificationService = NotificationService;
+    this.undoService = UndoService;
+    this.duplicateService = DuplicateService;
+    this.handoffService = HandoffService;
     this.router = new Router();
     
     // Состояние приложения
@@ -43,14 +69,24 @@ class AppController extends BaseController {
       this.setLoading(true);
       this.logger.info('Инициализация HR Assistant...');
       
+      // Изменения из интерфейса записываются в журнал от имени пользователя
+      this.currentUser = this.authController.getCurrentUser();
+      AuditLogStore.setCurrentUser(this.currentUser.name);
+      
+      // Автоблокировка зашифрованных данных при бездействии
+      this.securityController.setAutoLock(this.settings.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES);
+      
       // Инициализация сервисов
       await this.initializeServices();
       
       // Настройка маршрутизации
       this.setupRouting();
       
-      // Запуск автоматических процессов
-      this.startAutomaticProcesses();
+      // Заполненность хранилища показывается в каждой вкладке
+      StorageHealthService.startMonitoring();
+      
+      // Автоматические процессы выполняет только ведущая вкладка
+      TabSyncService.whenLeader(() => this.startAutomaticProcesses());
       
       // Настройка обработчиков событий
       this.setupEventHandlers();
@@ -99,6 +135,9 @@ class AppController extends BaseController {
       '/training': () => this.navigateToPage('training'),
       '/knowledge': () => this.navigateToPage('knowledge'),
       '/mailings': () => this.navigateToPage('mailings'),
+      '/duplicates': () => this.navigateToPage('duplicates'),
+      '/work-queue': () => this.navigateToPage('work-queue'),
+      '/trash': () => this.navigateToPage('trash'),
       '/settings': () => this.navigateToPage('settings')
     };
     
@@ -120,9 +159,10 @@ class AppController extends BaseController {
    * Запуск автоматических процессов
    */
   startAutomaticProcesses() {
-    // Проверка молчащих кандидатов каждые 30 минут
-    setInterval(() => {
-      this.candidateController.checkSilentCandidates();
+    // Проверка молчащих кандидатов и шаги эскалации каждые 30 минут
+    setInterval(async () => {
+      await this.candidateController.checkSilentCandidates();
+      await this.escalationController.runEscalations();
     }, 30 * 60 * 1000);
 
     // Проверка контрольных точек каждый час
@@ -141,6 +181,32 @@ class AppController extends BaseController {
     setInterval(() => {
       this.cleanupLogs();
     }, 24 * 60 * 60 * 1000);
+
+    // Очистка корзины при запуске и каждые 24 часа
+    this.purgeExpiredTrash();
+    setInterval(() => {
+      this.purgeExpiredTrash();
+    }, 24 * 60 * 60 * 1000);
+
+    // Проверка сроков действия документов при запуске и каждые 24 часа
+    this.documentController.checkExpiringDocuments();
+    setInterval(() => {
+      this.documentController.checkExpiringDocuments();
+    }, 24 * 60 * 60 * 1000);
+
+    // Напоминания о встречах и проверка неявок при запуске и каждые 10 минут
+    this.appointmentController.checkAppointments();
+    setInterval(() => {
+      this.appointmentController.checkAppointments();
+    }, 10 * 60 * 1000);
+  }
+
+  /**
+   * Окончательное удаление записей, срок хранения которых в корзине истек
+   */
+  purgeExpiredTrash() {
+    const retentionDays = this.settings.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+    this.trashController.purgeExpired(retentionDays);
   }
 
   /**
@@ -240,6 +306,9 @@ class AppController extends BaseController {
    */
   async checkShiftWorkerDeadlines() {
     try {
+      // Графики вахт: новые периоды и КТ на сегодня
+      await this.rotationController.syncRotations();
+
       // Логика проверки контрольных точек
       const now = new Date();
       const deadlineTime = new Date();
@@ -319,6 +388,11 @@ class AppController extends BaseController {
   updateSettings(newSettings) {
     this.settings = { ...this.settings, ...newSettings };
     this.saveSettings();
+    
+    if (newSettings.autoLockMinutes !== undefined) {
+      this.securityController.setAutoLock(newSettings.autoLockMinutes);
+    }
+    
     this.eventBus.emit('app:settingsChanged', this.settings);
   }
 
@@ -344,6 +418,10 @@ class AppController extends BaseController {
       localStorage.setItem('hr-assistant-settings', JSON.stringify(this.settings));
     } catch (error) {
       this.logger.error('Ошибка сохранения настроек', error);
+      
+      if (isQuotaError(error)) {
+        this.eventBus.emit('storage:quotaExceeded', { storeNames: ['settings'] });
+      }
     }
   }
 
@@ -380,6 +458,12 @@ class AppController extends BaseController {
       silentTimeout: 8,
       transferTimeout: 24,
       
+      // Срок хранения записей в корзине (в днях)
+      trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+      
+      // Автоблокировка зашифрованных данных (минут бездействия, 0 - выключена)
+      autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
+      
       // Рабочее время
       workingHours: {
         start: 9,
@@ -455,6 +539,10 @@ class AppController extends BaseController {
       return {
         version: '1.0',
         exportDate: new Date().toISOString(),
+        // Версии схем записей, чтобы при импорте применить нужные миграции
+        schemaVersions: {
+          candidates: CandidateStore.schemaVersion
+        },
         data: {
           candidates,
           chatHistory,
@@ -470,21 +558,43 @@ class AppController extends BaseController {
   /**
    * Импорт данных
    * @param {Object} importData - Данные для импорта
-   * @returns {Promise<boolean>} Успех операции
+   * @param {Object} options - Опции импорта
+   * @param {boolean} options.dryRun - Только отчет о миграции, без записи данных
+   * @returns {Promise<boolean|Object>} Успех операции или отчет пробного прогона
    */
-  async importData(importData) {
+  async importData(importData, { dryRun = false } = {}) {
     try {
       if (!importData.version || !importData.data) {
         throw new Error('Неверный формат данных для импорта');
       }
       
-      const { candidates, chatHistory, settings } = importData.data;
+      const { chatHistory, settings } = importData.data;
+
+      // Файлы без версий схем созданы до появления миграций
+      const fromVersion = importData.schemaVersions?.candidates || 1;
+      const candidates = Array.isArray(importData.data.candidates)
+        ? CandidateStore.migrateRecords(importData.data.candidates, fromVersion)
+        : null;
+
+      if (dryRun) {
+        return {
+          dryRun: true,
+          candidates: {
+            count: candidates ? candidates.length : 0,
+            fromVersion,
+            toVersion: CandidateStore.schemaVersion
+          }
+        };
+      }
       
-      // Импортируем кандидатов
-      if (candidates && Array.isArray(candidates)) {
-        for (const candidate of candidates) {
-          await this.candidateController.createCandidate(candidate);
-        }
+      // Импортируем кандидатов одной транзакцией: ошибка в любой записи отменяет весь импорт
+      if (candidates) {
+        await CandidateStore.transaction(async tx => {
+          for (const candidate of candidates) {
+            await tx.create(candidate);
+          }
+        }, { channel: AUDIT_CHANNELS.IMPORT });
+        await this.candidateController.syncWithGoogleSheets();
       }
       
       // Импортируем историю чата
@@ -508,6 +618,4 @@ class AppController extends BaseController {
   }
 }
 
-// ===========================
-// UTILITIES
-// ===========================
+export default AppController;
@@ -0,0 +1,449 @@
+// src/controllers/AppointmentController.js
+/**
+ * 📅 Контроллер встреч с кандидатами
+ * @description Назначение собеседований, медосмотров и отъездов, итоги встреч,
+ * напоминания кандидатам и перевод не пришедших кандидатов по воронке
+ */
+import BaseController from './BaseController.js';
+import CandidateModel from '../models/CandidateModel.js';
+import AppointmentStore, {
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUSES
+} from '../stores/AppointmentStore.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+import { ConflictError } from '../stores/StoreErrors.js';
+import WhatsAppService from '../services/WhatsAppService.js';
+import ExtensionAPIService from '../services/ExtensionAPIService.js';
+import PipelineService from '../services/PipelineService.js';
+import TimelineService from '../services/TimelineService.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Напоминания перед встречей: за сколько часов до начала отправляются
+ */
+export const APPOINTMENT_REMINDERS = {
+  dayBefore: { hours: 24, label: 'за день' },
+  hourBefore: { hours: 1, label: 'за час' }
+};
+
+// Через сколько часов после начала молчащий кандидат считается не пришедшим
+const MISSED_AFTER_HOURS = 3;
+
+// Куда переводится кандидат при неявке, в зависимости от текущего статуса
+const MISSED_TRANSITIONS = {
+  'Новый': 'Молчит',
+  'Активен': 'Молчит',
+  'Молчит': 'Передан'
+};
+
+// Статусы, в которых кандидату уже не напоминают о встречах
+const CLOSED_STATUSES = ['Отказ', 'Архив', 'Заблокирован', 'Передан'];
+
+class AppointmentController extends BaseController {
+  constructor() {
+    super();
+    this.store = AppointmentStore;
+    this.whatsAppService = WhatsAppService;
+    this.extensionAPI = ExtensionAPIService;
+  }
+
+  /**
+   * Проверка данных встречи
+   * @param {Object} data - Данные встречи
+   * @throws {Error} Ошибка валидации
+   */
+  validate(data) {
+    if (!APPOINTMENT_TYPES[data.type]) {
+      throw new Error('Укажите тип встречи');
+    }
+    if (!data.startsAt || isNaN(new Date(data.startsAt))) {
+      throw new Error('Укажите дату и время встречи');
+    }
+  }
+
+  /**
+   * Встречи в интервале вместе с кандидатами
+   * @param {Date} from - Начало интервала
+   * @param {Date} to - Конец интервала
+   * @returns {Promise<Array>} Встречи { ...appointment, candidate }
+   */
+  async getRange(from, to) {
+    try {
+      const appointments = await this.store.getRange(from, to);
+      return this.withCandidates(appointments);
+    } catch (error) {
+      this.handleError(error, 'getRange');
+      return [];
+    }
+  }
+
+  /**
+   * Встречи кандидата
+   * @param {string} candidateId - ID кандидата
+   * @returns {Promise<Array>} Встречи
+   */
+  async getForCandidate(candidateId) {
+    try {
+      return await this.store.getForCandidate(candidateId);
+    } catch (error) {
+      this.handleError(error, 'getForCandidate');
+      return [];
+    }
+  }
+
+  /**
+   * Добавление кандидатов к встречам
+   * @param {Array} appointments - Встречи
+   * @returns {Promise<Array>} Встречи { ...appointment, candidate }
+   */
+  async withCandidates(appointments) {
+    const ids = [...new Set(appointments.map(item => item.candidateId))];
+    const candidates = new Map();
+    for (const id of ids) {
+      candidates.set(id, await CandidateStore.getById(id));
+    }
+    return appointments.map(item => ({ ...item, candidate: candidates.get(item.candidateId) || null }));
+  }
+
+  /**
+   * Назначение встречи
+   * @param {string} candidateId - ID кандидата
+   * @param {Object} data - { type, startsAt, location, link, recruiter }
+   * @returns {Promise<Object|null>} Созданная встреча
+   */
+  async createAppointment(candidateId, data) {
+    try {
+      this.setLoading(true);
+      this.validate(data);
+
+      const appointment = await this.store.create({
+        candidateId,
+        type: data.type,
+        startsAt: new Date(data.startsAt).toISOString(),
+        location: data.location || '',
+        link: data.link || '',
+        recruiter: data.recruiter || this.authController.getCurrentUser().name,
+        status: APPOINTMENT_STATUSES.SCHEDULED,
+        outcome: '',
+        reminders: {}
+      }, { channel: AUDIT_CHANNELS.UI });
+
+      this.eventBus.emit('appointment:created', appointment);
+      this.eventBus.emit('notification:success', `${APPOINTMENT_TYPES[data.type]}: встреча назначена`);
+      return appointment;
+    } catch (error) {
+      this.handleError(error, 'createAppointment');
+      this.eventBus.emit('notification:error', `Не удалось назначить встречу: ${error.message}`);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Изменение встречи
+   * @description При переносе встречи напоминания отправляются заново
+   * @param {string} id - ID встречи
+   * @param {Object} data - { type, startsAt, location, link, recruiter }
+   * @param {Object} options - Опции
+   * @param {number} options.expectedVersion - Версия, которую видел пользователь
+   * @returns {Promise<Object|null>} Обновленная встреча
+   */
+  async updateAppointment(id, data, { expectedVersion } = {}) {
+    try {
+      this.setLoading(true);
+
+      const stored = await this.store.getById(id);
+      if (!stored) {
+        throw new Error('Встреча не найдена');
+      }
+
+      const changes = { ...data };
+      if (data.startsAt) {
+        changes.startsAt = new Date(data.startsAt).toISOString();
+        if (changes.startsAt !== stored.startsAt) {
+          changes.reminders = {};
+        }
+      }
+      this.validate({ ...stored, ...changes });
+
+      const updated = await this.store.update(id, changes, { expectedVersion, channel: AUDIT_CHANNELS.UI });
+      this.eventBus.emit('appointment:updated', updated);
+      this.eventBus.emit('notification:success', 'Встреча сохранена');
+      return updated;
+    } catch (error) {
+      return this.handleSaveError(error, id, 'updateAppointment');
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Итог встречи
+   * @description Неявка переводит кандидата по воронке так же,
+   * как автоматическая проверка неявок
+   * @param {string} id - ID встречи
+   * @param {string} status - Новый статус (APPOINTMENT_STATUSES)
+   * @param {string} outcome - Итог встречи
+   * @param {Object} options - Опции
+   * @param {number} options.expectedVersion - Версия, которую видел пользователь
+   * @returns {Promise<Object|null>} Обновленная встреча
+   */
+  async setOutcome(id, status, outcome = '', { expectedVersion } = {}) {
+    try {
+      this.setLoading(true);
+
+      const stored = await this.store.getById(id);
+      if (!stored) {
+        throw new Error('Встреча не найдена');
+      }
+
+      const user = this.authController.getCurrentUser().name;
+      const updated = status === APPOINTMENT_STATUSES.MISSED
+        ? await this.applyMissed(stored, outcome, { user, expectedVersion, channel: AUDIT_CHANNELS.UI })
+        : await this.store.update(id, { status, outcome }, { expectedVersion, channel: AUDIT_CHANNELS.UI });
+
+      this.eventBus.emit('appointment:updated', updated);
+      this.eventBus.emit('notification:success', 'Итог встречи сохранен');
+      return updated;
+    } catch (error) {
+      return this.handleSaveError(error, id, 'setOutcome');
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Удаление встречи
+   * @param {string} id - ID встречи
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async deleteAppointment(id) {
+    try {
+      await this.store.delete(id, { channel: AUDIT_CHANNELS.UI });
+      this.eventBus.emit('appointment:deleted', id);
+      return true;
+    } catch (error) {
+      this.handleError(error, 'deleteAppointment');
+      this.eventBus.emit('notification:error', 'Не удалось удалить встречу');
+      return false;
+    }
+  }
+
+  /**
+   * Обработка ошибки сохранения встречи
+   * @param {Error} error - Ошибка
+   * @param {string} id - ID встречи
+   * @param {string} context - Метод
+   * @returns {null}
+   */
+  handleSaveError(error, id, context) {
+    if (error instanceof ConflictError) {
+      this.logger.warn(`Встреча ${id} изменена в другом месте`);
+      this.eventBus.emit('notification:error', 'Встреча уже изменена в другом месте, данные обновлены');
+      return null;
+    }
+
+    this.handleError(error, context);
+    this.eventBus.emit('notification:error', `Не удалось сохранить встречу: ${error.message}`);
+    return null;
+  }
+
+  /**
+   * Неявка на встречу
+   * @description Встреча и кандидат меняются одной транзакцией. Новый или активный
+   * кандидат переводится в "Молчит" и дальше передается на 1-ю линию по обычным правилам,
+   * молчащий кандидат передается сразу. Переходы, которые не разрешает воронка,
+   * пропускаются, в кандидате остается комментарий
+   * @param {Object} appointment - Встреча
+   * @param {string} outcome - Итог встречи
+   * @param {Object} options - { user, expectedVersion, channel }
+   * @returns {Promise<Object>} Обновленная встреча
+   */
+  async applyMissed(appointment, outcome, { user = 'system', expectedVersion, channel }) {
+    const label = APPOINTMENT_TYPES[appointment.type];
+    const reason = `Не пришел: ${label.toLowerCase()} ${new Date(appointment.startsAt).toLocaleString('ru-RU')}`;
+    let savedCandidate = null;
+    let isTransferred = false;
+
+    const updated = await this.store.transaction(async tx => {
+      const result = await tx.update(appointment.id, {
+        status: APPOINTMENT_STATUSES.MISSED,
+        outcome: outcome || 'Кандидат не пришел'
+      }, { expectedVersion, channel });
+
+      const candidates = tx.store(CandidateStore);
+      const stored = await candidates.getById(appointment.candidateId);
+      if (!stored) {
+        return result;
+      }
+
+      const candidate = new CandidateModel(stored);
+      const nextStatus = MISSED_TRANSITIONS[candidate.status];
+      if (nextStatus && PipelineService.checkTransition(candidate, nextStatus, reason).allowed) {
+        candidate.changeStatus(nextStatus, reason, user);
+        isTransferred = nextStatus === 'Передан';
+      }
+      candidate.addComment(reason, user);
+
+      savedCandidate = await candidates.update(candidate.id, candidate, { channel });
+      return result;
+    }, { channel });
+
+    if (savedCandidate) {
+      this.eventBus.emit('candidate:updated', savedCandidate);
+      if (isTransferred) {
+        this.eventBus.emit('candidate:transferred', savedCandidate);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Плановая проверка встреч: напоминания и неявки
+   * @returns {Promise<void>}
+   */
+  async checkAppointments() {
+    await this.sendReminders();
+    await this.checkMissedAppointments();
+  }
+
+  /**
+   * Отправка напоминаний о встречах
+   * @description Напоминание уходит в WhatsApp, а если чата нет - по SMS.
+   * Неотправленное напоминание повторяется при следующей проверке
+   * @returns {Promise<number>} Отправлено напоминаний
+   */
+  async sendReminders() {
+    let sent = 0;
+    try {
+      const now = Date.now();
+      const maxHours = Math.max(...Object.values(APPOINTMENT_REMINDERS).map(item => item.hours));
+      const upcoming = await this.store.getScheduled(new Date(now + maxHours * HOUR));
+
+      for (const appointment of await this.withCandidates(upcoming)) {
+        const { candidate } = appointment;
+        const left = new Date(appointment.startsAt).getTime() - now;
+        if (left <= 0 || !candidate || CLOSED_STATUSES.includes(candidate.status)) continue;
+
+        // Отправляется только самое близкое из наступивших напоминаний
+        const reminders = appointment.reminders || {};
+        const due = Object.entries(APPOINTMENT_REMINDERS)
+          .filter(([, { hours }]) => left <= hours * HOUR)
+          .sort(([, a], [, b]) => a.hours - b.hours)[0];
+        if (!due || reminders[due[0]]) continue;
+
+        const success = await this.sendReminder(candidate, appointment);
+        if (!success) {
+          this.logger.warn(`Не удалось отправить напоминание о встрече кандидату ${candidate.name}`);
+          continue;
+        }
+
+        // Более раннее напоминание уже не нужно
+        const marks = Object.fromEntries(Object.entries(APPOINTMENT_REMINDERS)
+          .filter(([, { hours }]) => hours >= due[1].hours)
+          .map(([key]) => [key, reminders[key] || new Date().toISOString()]));
+
+        await this.store.transaction(async tx => {
+          await tx.update(appointment.id, { reminders: { ...reminders, ...marks } });
+        }, { undoable: false, channel: AUDIT_CHANNELS.SYSTEM });
+        sent++;
+      }
+
+      if (sent > 0) {
+        this.logger.info(`Отправлено напоминаний о встречах: ${sent}`);
+      }
+    } catch (error) {
+      this.handleError(error, 'sendReminders');
+    }
+    return sent;
+  }
+
+  /**
+   * Отправка напоминания кандидату
+   * @description Отправленное напоминание попадает в хронологию кандидата;
+   * неудачные попытки повторяются и в хронологию не пишутся
+   * @param {Object} candidate - Кандидат
+   * @param {Object} appointment - Встреча
+   * @returns {Promise<boolean>} Успех отправки
+   */
+  async sendReminder(candidate, appointment) {
+    const startsAt = new Date(appointment.startsAt).toLocaleString('ru-RU', {
+      day: 'numeric',
+      month: 'long',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const place = [appointment.location, appointment.link].filter(Boolean).join(', ');
+    const message = `Здравствуйте, ${candidate.name}! Напоминаем: ${APPOINTMENT_TYPES[appointment.type].toLowerCase()} ` +
+      `${startsAt}${place ? `, ${place}` : ''}. Если планы изменились, пожалуйста, сообщите нам.`;
+
+    let channel = null;
+    let success = false;
+    try {
+      if (candidate.chatId) {
+        channel = 'whatsapp';
+        success = await this.whatsAppService.sendMessage(candidate.chatId, message);
+      } else if (candidate.phone) {
+        channel = 'sms';
+        const result = await this.extensionAPI.sendSMS(candidate.phone, message);
+        success = result.success;
+      }
+    } catch (error) {
+      this.logger.error('Ошибка отправки напоминания о встрече', error);
+      return false;
+    }
+
+    if (success) {
+      await TimelineService.record(candidate.id, 'reminder', {
+        title: `Напоминание: ${APPOINTMENT_TYPES[appointment.type].toLowerCase()}`,
+        text: message,
+        channel,
+        status: 'sent'
+      });
+    }
+    return Boolean(success);
+  }
+
+  /**
+   * Проверка неявок
+   * @description Назначенная встреча считается пропущенной, если с ее начала
+   * прошло MISSED_AFTER_HOURS часов, а кандидат после начала не выходил на связь.
+   * Если кандидат отвечал, итог встречи отмечает рекрутер
+   * @returns {Promise<number>} Отмечено неявок
+   */
+  async checkMissedAppointments() {
+    let missed = 0;
+    try {
+      const overdue = await this.store.getScheduled(new Date(Date.now() - MISSED_AFTER_HOURS * HOUR));
+
+      for (const appointment of await this.withCandidates(overdue)) {
+        const { candidate, ...record } = appointment;
+        if (candidate && candidate.lastReply && new Date(candidate.lastReply) > new Date(record.startsAt)) {
+          continue;
+        }
+
+        try {
+          await this.applyMissed(record, 'Кандидат не пришел и не вышел на связь', {
+            channel: AUDIT_CHANNELS.SYSTEM
+          });
+          missed++;
+        } catch (error) {
+          this.handleError(error, 'checkMissedAppointments');
+        }
+      }
+
+      if (missed > 0) {
+        this.eventBus.emit('notification:warning', `Кандидаты не пришли на встречи: ${missed}`);
+        this.eventBus.emit('appointments:missed', missed);
+      }
+    } catch (error) {
+      this.handleError(error, 'checkMissedAppointments');
+    }
+    return missed;
+  }
+}
+
+export default AppointmentController;
@@ -346,4 +346,7 @@ class AuthController extends BaseController {
   }
 }
 
+// Общий экземпляр для остальных контроллеров
+BaseController.setAuth(new AuthController());
+
 export default AuthController;
@@ -6,6 +6,9 @@
 import EventBus from '../utils/EventBus.js';
 import Logger from '../utils/Logger.js';
 
+// Контроллер авторизации, общий для всех контроллеров
+let sharedAuth = null;
+
 class BaseController {
   constructor() {
     this.eventBus = EventBus;
@@ -14,6 +17,32 @@ class BaseController {
     this.errors = [];
   }
 
+  /**
+   * Регистрация общего контроллера авторизации
+   * @description Экземпляр один на приложение, чтобы подписки на события
+   * auth:* не повторялись в каждом контроллере
+   * @param {BaseController} auth - Контроллер авторизации
+   */
+  static setAuth(auth) {
+    sharedAuth = auth;
+  }
+
+  /**
+   * Общий контроллер авторизации
+   * @returns {BaseController} Контроллер авторизации
+   */
+  get authController() {
+    return sharedAuth;
+  }
+
+  /**
+   * Может ли текущий пользователь изменять настройки (воронку, правила и т.п.)
+   * @returns {boolean} Может ли - только администратор
+   */
+  canEdit() {
+    return this.authController.getCurrentUser().role === 'admin';
+  }
+
   /**
    * Обработка ошибок
    * @param {Error} error - Ошибка
@@ -6,9 +6,16 @@
 import BaseController from './BaseController.js';
 import CandidateModel from '../models/CandidateModel.js';
 import CandidateStore from '../stores/CandidateStore.js';
+import DocumentFileStore from '../stores/DocumentFileStore.js';
 import WhatsAppService from '../services/WhatsAppService.js';
 import OCRService from '../services/OCRService.js';
 import GoogleSheetsService from '../services/GoogleSheetsService.js';
+import PipelineService, { TransitionError } from '../services/PipelineService.js';
+import { createComment } from '../services/CommentService.js';
+import TimelineService from '../services/TimelineService.js';
+import ExportService, { EXPORT_ENTITIES } from '../services/ExportService.js';
+import { ConflictError } from '../stores/StoreErrors.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
 
 class CandidateController extends BaseController {
   constructor() {
@@ -52,6 +59,77 @@ class CandidateController extends BaseController {
     }
   }
 
+  /**
+   * Постраничный запрос кандидатов
+   * @param {Object} query - Запрос { where, sort, offset, limit, cursor }
+   * @returns {Promise<{items: Array, total: number, nextCursor: string|null}>} Страница кандидатов
+   */
+  async queryCandidates(query = {}) {
+    try {
+      this.setLoading(true);
+      const result = await this.store.query(query);
+      this.eventBus.emit('candidates:loaded', result.items);
+      return result;
+    } catch (error) {
+      this.handleError(error, 'queryCandidates');
+      return { items: [], total: 0, nextCursor: null };
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Значения для фильтров списка кандидатов
+   * @returns {Promise<Object>} Проекты, статусы и общее количество
+   */
+  async getFilterOptions() {
+    try {
+      const [projects, statuses, total] = await Promise.all([
+        this.store.getDistinctValues('project'),
+        this.store.getDistinctValues('status'),
+        this.store.count()
+      ]);
+      return { projects, statuses, total };
+    } catch (error) {
+      this.handleError(error, 'getFilterOptions');
+      return { projects: [], statuses: [], total: 0 };
+    }
+  }
+
+  /**
+   * Получение молчащих кандидатов
+   * @returns {Promise<Array>} Кандидаты в статусе "Молчит", дольше всех молчащие первыми
+   */
+  async getSilentCandidates() {
+    try {
+      const { items } = await this.store.query({
+        where: { status: 'Молчит' },
+        sort: [['silentSince', 'asc']]
+      });
+      return items;
+    } catch (error) {
+      this.handleError(error, 'getSilentCandidates');
+      return [];
+    }
+  }
+
+  /**
+   * Получение кандидатов, переданных на 1-ю линию
+   * @returns {Promise<Array>} Кандидаты в статусе "Передан", последние переданные первыми
+   */
+  async getTransferredCandidates() {
+    try {
+      const { items } = await this.store.query({
+        where: { status: 'Передан' },
+        sort: [['transferredAt', 'desc']]
+      });
+      return items;
+    } catch (error) {
+      this.handleError(error, 'getTransferredCandidates');
+      return [];
+    }
+  }
+
   /**
    * Получение кандидата по ID
    * @param {string} id - ID кандидата
@@ -68,18 +146,29 @@ class CandidateController extends BaseController {
 
   /**
    * Создание нового кандидата
-   * @param {Object} data - Данные кандидата
+   * @description Кандидат создается в начальном статусе воронки; другой статус
+   * из данных применяется как обычный переход с проверками, текст comment
+   * становится первым комментарием
+   * @param {Object} data - Данные кандидата; причину статуса можно передать в statusReason
+   * @param {Object} options - Контекст для журнала изменений { channel, user }
    * @returns {Promise<CandidateModel|null>} Созданный кандидат
    */
-  async createCandidate(data) {
+  async createCandidate(data, options = {}) {
     try {
       this.setLoading(true);
       
       // Создаем модель кандидата
-      const candidate = new CandidateModel(data);
+      const { status, statusReason, comment, ...fields } = data;
+      if (comment) {
+        fields.comments = [...(fields.comments || []), createComment(comment, options.user || 'system')];
+      }
+      const candidate = new CandidateModel(fields);
+      if (status && status !== candidate.status) {
+        candidate.changeStatus(status, statusReason);
+      }
       
       // Сохраняем в хранилище
-      const savedCandidate = await this.store.create(candidate);
+      const savedCandidate = await this.store.create(candidate, options);
       
       // Синхронизируем с Google Sheets
       await this.syncWithGoogleSheets();
@@ -90,6 +179,12 @@ class CandidateController extends BaseController {
       
       return savedCandidate;
     } catch (error) {
+      if (error instanceof TransitionError) {
+        this.logger.warn(`Кандидат не создан: ${error.message}`);
+        this.eventBus.emit('notification:error', error.message);
+        return null;
+      }
+
       this.handleError(error, 'createCandidate');
       this.eventBus.emit('notification:error', 'Ошибка при создании кандидата');
       return null;
@@ -101,23 +196,33 @@ class CandidateController extends BaseController {
   /**
    * Обновление кандидата
    * @param {string} id - ID кандидата
-   * @param {Object} data - Новые данные
+   * @param {Object} data - Новые данные; смена статуса - status и причина в statusReason
+   * @param {Object} options - Опции
+   * @param {number} options.expectedVersion - Версия, которую видел пользователь при редактировании
    * @returns {Promise<CandidateModel|null>} Обновленный кандидат
+   * @throws {ConflictError} Если кандидат уже изменен в другом месте
    */
-  async updateCandidate(id, data) {
+  async updateCandidate(id, data, { expectedVersion } = {}) {
     try {
       this.setLoading(true);
       
-      const candidate = await this.store.getById(id);
-      if (!candidate) {
+      const stored = await this.store.getById(id);
+      if (!stored) {
         throw new Error('Кандидат не найден');
       }
       
       // Обновляем модель
-      candidate.update(data);
+      const { status, statusReason, ...changes } = data;
+      const candidate = new CandidateModel(stored);
+      candidate.update(changes);
+
+      // Смена статуса проходит проверки воронки и попадает в историю статусов
+      if (status && status !== candidate.status) {
+        candidate.changeStatus(status, statusReason);
+      }
       
       // Сохраняем изменения
-      const updatedCandidate = await this.store.update(id, candidate);
+      const updatedCandidate = await this.store.update(id, candidate, { expectedVersion });
       
       // Синхронизируем с Google Sheets
       await this.syncWithGoogleSheets();
@@ -127,6 +232,19 @@ class CandidateController extends BaseController {
       
       return updatedCandidate;
     } catch (error) {
+      // Конфликт версий разрешает пользователь в форме редактирования
+      if (error instanceof ConflictError) {
+        this.eventBus.emit('candidate:conflict', error);
+        throw error;
+      }
+
+      // Недопустимая смена статуса: пользователь видит, чего не хватает
+      if (error instanceof TransitionError) {
+        this.logger.warn(`Смена статуса отклонена: ${error.message}`);
+        this.eventBus.emit('notification:error', error.message);
+        return null;
+      }
+
       this.handleError(error, 'updateCandidate');
       this.eventBus.emit('notification:error', 'Ошибка при обновлении кандидата');
       return null;
@@ -136,7 +254,56 @@ class CandidateController extends BaseController {
   }
 
   /**
-   * Удаление кандидата
+   * Смена статуса кандидата по правилам воронки
+   * @param {string} id - ID кандидата
+   * @param {string} status - Новый статус
+   * @param {Object} options - Опции
+   * @param {string} options.reason - Причина смены
+   * @param {Object} options.fields - Поля, которые нужно заполнить для нового статуса
+   * @param {number} options.expectedVersion - Версия, которую видел пользователь
+   * @returns {Promise<CandidateModel|null>} Обновленный кандидат
+   */
+  async changeCandidateStatus(id, status, { reason = '', fields = {}, expectedVersion } = {}) {
+    try {
+      this.setLoading(true);
+
+      const stored = await this.store.getById(id);
+      if (!stored) {
+        throw new Error('Кандидат не найден');
+      }
+
+      const candidate = new CandidateModel(stored);
+      candidate.update(fields);
+      candidate.changeStatus(status, reason);
+
+      const updated = await this.store.update(id, candidate, { expectedVersion });
+      await this.syncWithGoogleSheets();
+
+      this.eventBus.emit('candidate:statusChanged', updated);
+      return updated;
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        this.logger.warn(`Кандидат ${id} изменен в другом месте`);
+        this.eventBus.emit('notification:error', 'Кандидат уже изменен в другом месте, данные обновлены');
+        return null;
+      }
+
+      if (error instanceof TransitionError) {
+        this.logger.warn(`Смена статуса отклонена: ${error.message}`);
+        this.eventBus.emit('notification:error', error.message);
+        return null;
+      }
+
+      this.handleError(error, 'changeCandidateStatus');
+      this.eventBus.emit('notification:error', `Не удалось изменить статус: ${error.message}`);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Удаление кандидата в корзину
    * @param {string} id - ID кандидата
    * @returns {Promise<boolean>} Успех операции
    */
@@ -149,7 +316,7 @@ class CandidateController extends BaseController {
       if (success) {
         await this.syncWithGoogleSheets();
         this.eventBus.emit('candidate:deleted', id);
-        this.eventBus.emit('notification:success', 'Кандидат удален');
+        this.eventBus.emit('notification:success', 'Кандидат перемещен в корзину');
       }
       
       return success;
@@ -162,6 +329,37 @@ class CandidateController extends BaseController {
     }
   }
 
+  /**
+   * Массовое удаление кандидатов в корзину
+   * @description Одна транзакция - одно действие, которое можно отменить целиком
+   * @param {Array<string>} ids - ID кандидатов
+   * @returns {Promise<number>} Количество удаленных кандидатов
+   */
+  async deleteCandidates(ids) {
+    try {
+      this.setLoading(true);
+      
+      const deleted = await this.store.transaction(async tx => {
+        let count = 0;
+        for (const id of ids) {
+          if (await tx.delete(id)) count++;
+        }
+        return count;
+      });
+      
+      await this.syncWithGoogleSheets();
+      ids.forEach(id => this.eventBus.emit('candidate:deleted', id));
+      
+      return deleted;
+    } catch (error) {
+      this.handleError(error, 'deleteCandidates');
+      this.eventBus.emit('notification:error', 'Ошибка при удалении кандидатов');
+      return 0;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
   /**
    * Обработка сообщения из WhatsApp
    * @param {Object} messageData - Данные сообщения
@@ -179,8 +377,13 @@ class CandidateController extends BaseController {
       } else {
         // Обновляем время последнего ответа
         candidate.lastReply = new Date().toISOString();
-        await this.store.update(candidate.id, candidate);
+        await this.store.update(candidate.id, candidate, { channel: AUDIT_CHANNELS.WHATSAPP });
       }
+
+      // Кандидат не создан (ошибку уже показал createCandidate) - сообщение не к кому привязать
+      if (!candidate) return;
+
+      await TimelineService.record(candidate.id, 'message_in', { text: message });
       
       // Проверяем статус и обновляем при необходимости
       this.updateCandidateStatus(candidate);
@@ -211,7 +414,7 @@ class CandidateController extends BaseController {
       comment: `Первое сообщение: ${message.slice(0, 100)}...`
     };
     
-    return await this.createCandidate(candidateData);
+    return await this.createCandidate(candidateData, { channel: AUDIT_CHANNELS.WHATSAPP });
   }
 
   /**
@@ -237,12 +440,16 @@ class CandidateController extends BaseController {
             candidate = await this.createCandidateFromMessage(contact, 'Отправил документы', chatId);
           }
           
-          // Обновляем данными из документа
-          candidate.updateFromOCR(extractedData);
-          await this.store.update(candidate.id, candidate);
+          // Обновляем данными из документа, исходное фото сохраняем вместе с ними
+          const file = await DocumentFileStore.buildFile(candidate.id, imageBlob);
+          await this.store.transaction(async tx => {
+            const saved = await tx.store(DocumentFileStore).create(file);
+            candidate.updateFromOCR(extractedData, null, saved.id);
+            await tx.update(candidate.id, candidate, { channel: AUDIT_CHANNELS.OCR });
+          });
           
           // Отправляем подтверждение
-          await this.whatsAppService.sendMessage(chatId, 'Документы получены и обработаны. Спасибо!');
+          await this.sendCandidateMessage(candidate, 'Документы получены и обработаны. Спасибо!');
           
           this.eventBus.emit('candidate:documentsProcessed', candidate);
         } else {
@@ -250,10 +457,10 @@ class CandidateController extends BaseController {
           const candidate = await this.store.getByChatId(chatId);
           if (candidate) {
             candidate.setOCRError('Не удалось считать документ');
-            await this.store.update(candidate.id, candidate);
+            await this.store.update(candidate.id, candidate, { channel: AUDIT_CHANNELS.OCR });
           }
           
-          await this.whatsAppService.sendMessage(chatId, 'Не удалось считать документ. Отправьте более четкое фото.');
+          await this.sendCandidateMessage(candidate || { chatId }, 'Не удалось считать документ. Отправьте более четкое фото.');
         }
       }
       
@@ -264,28 +471,41 @@ class CandidateController extends BaseController {
 
   /**
    * Проверка молчащих кандидатов
+   * @description Переводит замолчавших в "Молчит" и передает на 1-ю линию
+   * тех, у кого истек срок SLA. Напоминания отправляет лестница эскалации
    */
   async checkSilentCandidates() {
     try {
-      const candidates = await this.store.getAll();
+      const silentCandidates = await this.store.getSilentCandidates();
       
-      for (const candidate of candidates) {
-        if (candidate.isSilent() && candidate.status !== 'Молчит') {
+      for (const data of silentCandidates) {
+        // Воронка может не разрешать переход в "Молчит"
+        if (!PipelineService.checkTransition(data, 'Молчит').allowed) {
+          continue;
+        }
+
+        try {
           // Переводим в статус "Молчит"
+          const candidate = new CandidateModel(data);
           candidate.changeStatus('Молчит');
-          await this.store.update(candidate.id, candidate);
-          
-          // Отправляем напоминание
-          await this.sendSilentReminder(candidate);
+          await this.store.update(candidate.id, candidate, { channel: AUDIT_CHANNELS.SYSTEM });
+        } catch (error) {
+          this.handleError(error, 'checkSilentCandidates');
         }
-        
-        if (candidate.shouldTransfer() && candidate.status !== 'Передан') {
-          // Переводим на 1-ю линию
-          candidate.changeStatus('Передан');
-          await this.store.update(candidate.id, candidate);
-          
-          this.eventBus.emit('candidate:transferred', candidate);
+      }
+
+      const candidatesForTransfer = await this.store.getCandidatesForTransfer();
+
+      for (const data of candidatesForTransfer) {
+        // Переводим на 1-ю линию, если воронка разрешает переход
+        const candidate = new CandidateModel(data);
+        if (!PipelineService.checkTransition(candidate, 'Передан').allowed) {
+          continue;
         }
+        candidate.changeStatus('Передан');
+        const updated = await this.store.update(candidate.id, candidate, { channel: AUDIT_CHANNELS.SYSTEM });
+        
+        this.eventBus.emit('candidate:transferred', updated);
       }
     } catch (error) {
       this.handleError(error, 'checkSilentCandidates');
@@ -293,23 +513,18 @@ class CandidateController extends BaseController {
   }
 
   /**
-   * Отправка напоминания молчащему кандидату
-   * @param {CandidateModel} candidate - Кандидат
+   * Отправка сообщения кандидату в WhatsApp с записью в хронологию
+   * @param {Object} candidate - Кандидат (для неизвестного контакта - только { chatId })
+   * @param {string} message - Текст
+   * @returns {Promise<boolean>} Успех отправки
    */
-  async sendSilentReminder(candidate) {
-    try {
-      const reminderMessage = `Здравствуйте, ${candidate.name}! Мы ждем от вас ответ по поводу вакансии "${candidate.project}". Пожалуйста, свяжитесь с нами.`;
-      
-      const success = await this.whatsAppService.sendMessage(candidate.chatId, reminderMessage);
-      
-      if (success) {
-        candidate.smsAttempts++;
-        candidate.addComment(`Отправлено напоминание: ${new Date().toLocaleString('ru-RU')}`);
-        await this.store.update(candidate.id, candidate);
-      }
-    } catch (error) {
-      this.handleError(error, 'sendSilentReminder');
-    }
+  async sendCandidateMessage(candidate, message) {
+    const success = await this.whatsAppService.sendMessage(candidate.chatId, message);
+    await TimelineService.record(candidate.id, 'message_out', {
+      text: message,
+      status: success ? 'sent' : 'failed'
+    });
+    return success;
   }
 
   /**
@@ -364,11 +579,20 @@ class CandidateController extends BaseController {
       newStatus = 'Активен';
     }
     
-    if (newStatus !== candidate.status) {
-      candidate.changeStatus(newStatus);
-      await this.store.update(candidate.id, candidate);
-      this.eventBus.emit('candidate:statusChanged', candidate);
+    if (newStatus === candidate.status) {
+      return;
     }
+
+    // Автоматическая смена статуса не обходит правила воронки
+    const { allowed, message } = PipelineService.checkTransition(candidate, newStatus);
+    if (!allowed) {
+      this.logger.warn(`Статус кандидата ${candidate.id} не изменен: ${message}`);
+      return;
+    }
+
+    candidate.changeStatus(newStatus);
+    await this.store.update(candidate.id, candidate, { channel: AUDIT_CHANNELS.WHATSAPP });
+    this.eventBus.emit('candidate:statusChanged', candidate);
   }
 
   /**
@@ -385,28 +609,14 @@ class CandidateController extends BaseController {
 
   /**
    * Экспорт кандидатов в CSV
+   * @description Прежний набор колонок; выбор полей, фильтров и формата - ExportController
    * @returns {Promise<string>} CSV контент
    */
   async exportToCSV() {
     try {
-      const candidates = await this.store.getAll();
-      const headers = ['ID', 'ФИО', 'Телефон', 'Проект', 'Статус', 'Последний ответ'];
-      
-      const rows = candidates.map(c => [
-        c.id,
-        c.name,
-        c.phone,
-        c.project,
-        c.status,
-        c.lastReply ? new Date(c.lastReply).toLocaleDateString('ru-RU') : ''
-      ]);
-      
-      const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-      ].join('\n');
-      
-      return csvContent;
+      const { items } = await this.store.query({ sort: [['createdAt', 'asc']] });
+      const fields = ExportService.getFields('candidates', EXPORT_ENTITIES.candidates.defaultFields);
+      return ExportService.toCSV(ExportService.buildTable(items, fields, 'date'));
     } catch (error) {
       this.handleError(error, 'exportToCSV');
       return '';
@@ -419,16 +629,16 @@ class CandidateController extends BaseController {
    */
   async getStatistics() {
     try {
-      const candidates = await this.store.getAll();
+      const [total, active, silent, transferred, completed, withDocuments] = await Promise.all([
+        this.store.countWhere(),
+        this.store.countWhere({ status: 'Активен' }),
+        this.store.countWhere({ status: 'Молчит' }),
+        this.store.countWhere({ status: 'Передан' }),
+        this.store.countWhere({ status: 'Доведен' }),
+        this.store.countWhere({ documentProcessed: true })
+      ]);
       
-      return {
-        total: candidates.length,
-        active: candidates.filter(c => c.status === 'Активен').length,
-        silent: candidates.filter(c => c.status === 'Молчит').length,
-        transferred: candidates.filter(c => c.status === 'Передан').length,
-        completed: candidates.filter(c => c.status === 'Доведен').length,
-        withDocuments: candidates.filter(c => c.documentProcessed).length
-      };
+      return { total, active, silent, transferred, completed, withDocuments };
     } catch (error) {
       this.handleError(error, 'getStatistics');
       return {};
@@ -0,0 +1,275 @@
+// src/controllers/CommentController.js
+/**
+ * 💬 Контроллер комментариев
+ * @description Комментарии кандидатов и вахтовиков: добавление с вложениями,
+ * правка с историей, закрепление и уведомления об @упоминаниях коллег
+ */
+import BaseController from './BaseController.js';
+import CandidateModel from '../models/CandidateModel.js';
+import ShiftWorkerModel from '../models/ShiftWorkerModel.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import ShiftWorkerStore from '../stores/ShiftWorkerStore.js';
+import AttachmentStore from '../stores/AttachmentStore.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+import { ConflictError } from '../stores/StoreErrors.js';
+import CommentService, { COMMENT_ENTITIES } from '../services/CommentService.js';
+
+/**
+ * Хранилище, модель и метод добавления комментария для каждой сущности
+ */
+const ENTITIES = {
+  candidates: {
+    store: CandidateStore,
+    Model: CandidateModel,
+    addMethod: 'addComment',
+    updatedEvent: 'candidate:updated'
+  },
+  shiftWorkers: {
+    store: ShiftWorkerStore,
+    Model: ShiftWorkerModel,
+    addMethod: 'addSOComment',
+    updatedEvent: 'shiftWorker:updated'
+  }
+};
+
+// Максимальный размер одного вложения
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+class CommentController extends BaseController {
+  /**
+   * Описание сущности
+   * @param {string} entityType - Хранилище записи (candidates, shiftWorkers)
+   * @returns {Object} { store, Model, addMethod, updatedEvent }
+   * @throws {Error} Если комментарии для сущности не поддерживаются
+   */
+  getEntity(entityType) {
+    if (!ENTITIES[entityType]) {
+      throw new Error(`Комментарии для "${entityType}" не поддерживаются`);
+    }
+    return ENTITIES[entityType];
+  }
+
+  /**
+   * Текущий пользователь
+   * @returns {Object} Пользователь
+   */
+  getCurrentUser() {
+    return this.authController.getCurrentUser();
+  }
+
+  /**
+   * Коллеги, которых можно упомянуть
+   * @returns {Array<string>} Имена
+   */
+  getColleagues() {
+    return CommentService.getColleagues();
+  }
+
+  /**
+   * Может ли текущий пользователь править комментарий
+   * @param {Object} comment - Комментарий
+   * @returns {boolean} Может ли
+   */
+  canEdit(comment) {
+    const user = this.getCurrentUser();
+    return comment.author === user.name || user.role === 'admin';
+  }
+
+  /**
+   * Изменение комментариев записи одной транзакцией
+   * @param {string} entityType - Хранилище записи
+   * @param {string} entityId - ID записи
+   * @param {Function} change - (model, tx) => Promise: изменения модели
+   * @param {number} expectedVersion - Версия, которую видел пользователь
+   * @returns {Promise<Object>} Обновленная запись
+   */
+  async changeComments(entityType, entityId, change, expectedVersion) {
+    const { store, Model, updatedEvent } = this.getEntity(entityType);
+
+    const stored = await store.getById(entityId);
+    if (!stored) {
+      throw new Error(`${COMMENT_ENTITIES[entityType].label}: запись не найдена`);
+    }
+
+    const model = new Model(stored);
+    const updated = await store.transaction(async tx => {
+      await change(model, tx);
+      return tx.update(entityId, model.toJSON(), { expectedVersion, channel: AUDIT_CHANNELS.UI });
+    });
+
+    this.eventBus.emit(updatedEvent, updated);
+    return updated;
+  }
+
+  /**
+   * Добавление комментария
+   * @description Вложения сохраняются в той же транзакции, что и комментарий
+   * @param {string} entityType - Хранилище записи (candidates, shiftWorkers)
+   * @param {string} entityId - ID записи
+   * @param {string} text - Текст
+   * @param {Object} options - Опции
+   * @param {Array<File>} options.files - Вложения
+   * @param {number} options.expectedVersion - Версия, которую видел пользователь
+   * @returns {Promise<Object|null>} Обновленная запись
+   */
+  async addComment(entityType, entityId, text, { files = [], expectedVersion } = {}) {
+    try {
+      this.setLoading(true);
+      if (!String(text || '').trim() && files.length === 0) {
+        throw new Error('Введите текст комментария или прикрепите файл');
+      }
+      const tooLarge = files.find(file => file.size > MAX_ATTACHMENT_SIZE);
+      if (tooLarge) {
+        throw new Error(`Файл ${tooLarge.name} больше 10 МБ`);
+      }
+
+      const author = this.getCurrentUser().name;
+      const mentions = CommentService.extractMentions(text);
+      const fileRecords = await Promise.all(files.map(file => AttachmentStore.buildFile(entityType, entityId, file)));
+      const { addMethod } = this.getEntity(entityType);
+
+      let comment = null;
+      const updated = await this.changeComments(entityType, entityId, async (model, tx) => {
+        const attachments = [];
+        for (const record of fileRecords) {
+          const { id, name, type, size } = await tx.store(AttachmentStore).create(record);
+          attachments.push({ id, name, type, size });
+        }
+        comment = model[addMethod](text, author, { attachments, mentions });
+      }, expectedVersion);
+
+      this.notifyMentions(entityType, updated, comment);
+      this.eventBus.emit('comment:added', { entityType, entityId, comment });
+      return updated;
+    } catch (error) {
+      return this.handleSaveError(error, 'addComment');
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Правка комментария
+   * @description Прежний текст остается в истории комментария; о новых
+   * упоминаниях коллеги получают уведомление
+   * @param {string} entityType - Хранилище записи
+   * @param {string} entityId - ID записи
+   * @param {Object} comment - Комментарий
+   * @param {string} text - Новый текст
+   * @param {Object} options - Опции
+   * @param {number} options.expectedVersion - Версия, которую видел пользователь
+   * @returns {Promise<Object|null>} Обновленная запись
+   */
+  async editComment(entityType, entityId, comment, text, { expectedVersion } = {}) {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit(comment)) {
+        throw new Error('Править комментарий может только его автор');
+      }
+
+      const mentions = CommentService.extractMentions(text);
+      const user = this.getCurrentUser().name;
+      const updated = await this.changeComments(entityType, entityId, async (model) => {
+        model.editComment(comment.id, text, user, mentions);
+      }, expectedVersion);
+
+      const added = mentions.filter(name => !(comment.mentions || []).includes(name));
+      this.notifyMentions(entityType, updated, { ...comment, text, author: user, mentions: added });
+      this.eventBus.emit('comment:updated', { entityType, entityId, commentId: comment.id });
+      return updated;
+    } catch (error) {
+      return this.handleSaveError(error, 'editComment');
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Закрепление комментария
+   * @param {string} entityType - Хранилище записи
+   * @param {string} entityId - ID записи
+   * @param {string} commentId - ID комментария
+   * @param {boolean} pinned - Закрепить или открепить
+   * @param {Object} options - Опции
+   * @param {number} options.expectedVersion - Версия, которую видел пользователь
+   * @returns {Promise<Object|null>} Обновленная запись
+   */
+  async pinComment(entityType, entityId, commentId, pinned, { expectedVersion } = {}) {
+    try {
+      const user = this.getCurrentUser().name;
+      const updated = await this.changeComments(entityType, entityId, async (model) => {
+        model.pinComment(commentId, pinned, user);
+      }, expectedVersion);
+
+      this.eventBus.emit('comment:updated', { entityType, entityId, commentId });
+      return updated;
+    } catch (error) {
+      return this.handleSaveError(error, 'pinComment');
+    }
+  }
+
+  /**
+   * Вложение комментария
+   * @param {string} fileId - ID вложения
+   * @returns {Promise<Object|null>} { name, type, data } или null
+   */
+  async getAttachment(fileId) {
+    try {
+      return await AttachmentStore.getById(fileId);
+    } catch (error) {
+      this.handleError(error, 'getAttachment');
+      this.eventBus.emit('notification:error', 'Не удалось открыть вложение');
+      return null;
+    }
+  }
+
+  /**
+   * Уведомление об упоминаниях коллег
+   * @param {string} entityType - Хранилище записи
+   * @param {Object} entity - Запись
+   * @param {Object} comment - Комментарий
+   */
+  notifyMentions(entityType, entity, comment) {
+    if (!entity || !comment || !comment.mentions || comment.mentions.length === 0) {
+      return;
+    }
+
+    const mention = {
+      entityType,
+      entityId: entity.id,
+      entityName: entity.name,
+      commentId: comment.id,
+      author: comment.author,
+      mentions: comment.mentions,
+      text: comment.text
+    };
+
+    this.eventBus.emit('notification:show', {
+      type: 'info',
+      title: `Упоминание: ${comment.mentions.join(', ')}`,
+      message: `${comment.author} в комментарии (${COMMENT_ENTITIES[entityType].label.toLowerCase()} ${entity.name}): ${comment.text}`,
+      data: mention
+    });
+    this.eventBus.emit('comments:mentioned', mention);
+  }
+
+  /**
+   * Обработка ошибки сохранения комментария
+   * @param {Error} error - Ошибка
+   * @param {string} context - Метод
+   * @returns {null}
+   */
+  handleSaveError(error, context) {
+    if (error instanceof ConflictError) {
+      this.logger.warn('Запись с комментариями изменена в другом месте');
+      this.eventBus.emit('notification:error', 'Запись уже изменена в другом месте, данные обновлены');
+      return null;
+    }
+
+    this.handleError(error, context);
+    this.eventBus.emit('notification:error', `Не удалось сохранить комментарий: ${error.message}`);
+    return null;
+  }
+}
+
+export default CommentController;
@@ -0,0 +1,210 @@
+// src/controllers/DocumentController.js
+/**
+ * 📑 Контроллер документов кандидатов
+ * @description Статусы, даты и изображения документов из пакета проекта,
+ * настройка пакетов и ежедневная проверка сроков действия
+ */
+import BaseController from './BaseController.js';
+import CandidateModel from '../models/CandidateModel.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import DocumentFileStore from '../stores/DocumentFileStore.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+import { ConflictError } from '../stores/StoreErrors.js';
+import DocumentService, { DOCUMENT_TYPES } from '../services/DocumentService.js';
+
+// Статусы, для которых сроки документов уже не важны
+const CLOSED_STATUSES = ['Отказ', 'Архив', 'Заблокирован'];
+
+class DocumentController extends BaseController {
+  constructor() {
+    super();
+    this.store = CandidateStore;
+  }
+
+  /**
+   * Изменение документа кандидата
+   * @description Новое изображение сохраняется в той же транзакции, что и документ,
+   * прежнее изображение документа удаляется
+   * @param {string} candidateId - ID кандидата
+   * @param {string} type - Тип документа (DOCUMENT_TYPES)
+   * @param {Object} changes - { status, number, issueDate, expiryDate, comment }
+   * @param {Object} options - Опции
+   * @param {File} options.file - Изображение документа
+   * @param {number} options.expectedVersion - Версия, которую видел пользователь
+   * @returns {Promise<Object|null>} Обновленный кандидат
+   */
+  async updateDocument(candidateId, type, changes, { file = null, expectedVersion } = {}) {
+    try {
+      this.setLoading(true);
+
+      const stored = await this.store.getById(candidateId);
+      if (!stored) {
+        throw new Error('Кандидат не найден');
+      }
+
+      const user = this.authController.getCurrentUser().name;
+      const candidate = new CandidateModel(stored);
+      const previousFileId = (candidate.documents[type] || {}).fileId;
+      const fileRecord = file ? await DocumentFileStore.buildFile(candidateId, file) : null;
+
+      const updated = await this.store.transaction(async tx => {
+        const documentChanges = { ...changes };
+        if (fileRecord) {
+          const files = tx.store(DocumentFileStore);
+          documentChanges.fileId = (await files.create(fileRecord)).id;
+          if (previousFileId) {
+            await files.delete(previousFileId);
+          }
+        }
+
+        candidate.setDocument(type, documentChanges, user);
+        return tx.update(candidateId, candidate, { expectedVersion, channel: AUDIT_CHANNELS.UI });
+      });
+
+      this.eventBus.emit('candidate:updated', updated);
+      this.eventBus.emit('notification:success', `${DOCUMENT_TYPES[type].label}: документ сохранен`);
+      return updated;
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        this.logger.warn(`Кандидат ${candidateId} изменен в другом месте`);
+        this.eventBus.emit('notification:error', 'Кандидат уже изменен в другом месте, данные обновлены');
+        return null;
+      }
+
+      this.handleError(error, 'updateDocument');
+      this.eventBus.emit('notification:error', `Не удалось сохранить документ: ${error.message}`);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Изображение документа
+   * @param {string} fileId - ID изображения
+   * @returns {Promise<Object|null>} { name, type, data } или null
+   */
+  async getFile(fileId) {
+    try {
+      return await DocumentFileStore.getById(fileId);
+    } catch (error) {
+      this.handleError(error, 'getFile');
+      this.eventBus.emit('notification:error', 'Не удалось открыть изображение документа');
+      return null;
+    }
+  }
+
+  /**
+   * Пакеты документов
+   * @returns {Promise<Object>} { default, projects }
+   */
+  async getChecklists() {
+    await DocumentService.ready;
+    return DocumentService.getChecklists();
+  }
+
+  /**
+   * Проекты кандидатов
+   * @returns {Promise<Array<string>>} Проекты
+   */
+  async getProjects() {
+    try {
+      const projects = await this.store.getDistinctValues('project');
+      return projects.filter(Boolean).sort();
+    } catch (error) {
+      this.handleError(error, 'getProjects');
+      return [];
+    }
+  }
+
+  /**
+   * Сохранение пакетов документов
+   * @param {Object} checklists - { default, projects }
+   * @returns {Promise<Object|null>} Сохраненные пакеты
+   */
+  async saveChecklists(checklists) {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять пакеты документов может только администратор');
+      }
+
+      const saved = await DocumentService.saveChecklists(checklists);
+      this.eventBus.emit('notification:success', 'Пакеты документов сохранены');
+      return saved;
+    } catch (error) {
+      this.handleError(error, 'saveChecklists');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Проверка сроков действия документов
+   * @description Документы, которые истекают до планового начала вахты, помечаются
+   * датой expiryAlertAt; рекрутер получает одно уведомление о новых находках.
+   * Пометка снимается, если документ обновили или вахту перенесли
+   * @returns {Promise<Array>} Кандидаты с истекающими документами [{ candidate, documents, hasNew }]
+   */
+  async checkExpiringDocuments() {
+    try {
+      await DocumentService.ready;
+      const { items } = await this.store.query({ where: { status: { $nin: CLOSED_STATUSES } } });
+
+      const found = [];
+      const updates = [];
+      for (const candidate of items) {
+        const stored = candidate.documents || {};
+        const { expiring } = DocumentService.getChecklistStatus(candidate);
+        const expiringTypes = expiring.map(item => item.type);
+
+        const documents = { ...stored };
+        let isChanged = false;
+        let hasNew = false;
+        Object.keys(stored).forEach(type => {
+          const isExpiring = expiringTypes.includes(type);
+          if (isExpiring && !stored[type].expiryAlertAt) {
+            documents[type] = { ...stored[type], expiryAlertAt: new Date().toISOString() };
+            isChanged = hasNew = true;
+          } else if (!isExpiring && stored[type].expiryAlertAt) {
+            const { expiryAlertAt, ...document } = stored[type];
+            documents[type] = document;
+            isChanged = true;
+          }
+        });
+
+        if (isChanged) {
+          updates.push({ id: candidate.id, documents });
+        }
+        if (expiring.length > 0) {
+          found.push({ candidate, documents: expiring, hasNew });
+        }
+      }
+
+      if (updates.length > 0) {
+        await this.store.transaction(async tx => {
+          for (const { id, documents } of updates) {
+            await tx.update(id, { documents }, { channel: AUDIT_CHANNELS.SYSTEM });
+          }
+        }, { undoable: false });
+      }
+
+      const newlyFound = found.filter(item => item.hasNew);
+      if (newlyFound.length > 0) {
+        this.eventBus.emit('notification:warning',
+          `Документы истекают до начала вахты у кандидатов: ${newlyFound.length}`);
+        this.eventBus.emit('documents:expiring', newlyFound);
+      }
+
+      this.logger.info(`Проверка сроков документов: найдено кандидатов ${found.length}`);
+      return found;
+    } catch (error) {
+      this.handleError(error, 'checkExpiringDocuments');
+      return [];
+    }
+  }
+}
+
+export default DocumentController;
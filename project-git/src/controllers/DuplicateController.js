@@ -0,0 +1,385 @@
+// src/controllers/DuplicateController.js
+/**
+ * 👥 Контроллер дублей
+ * @description Очередь возможных дублей кандидатов и их объединение: значение
+ * каждого поля выбирает рекрутер, истории и комментарии складываются, чат
+ * WhatsApp, вложения комментариев, изображения документов, события хронологии,
+ * встречи, передачи на 1-ю линию и получатели рассылок переходят к оставшемуся
+ * кандидату
+ */
+import BaseController from './BaseController.js';
+import CandidateModel from '../models/CandidateModel.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import MailingStore from '../stores/MailingStore.js';
+import AttachmentStore from '../stores/AttachmentStore.js';
+import DocumentFileStore from '../stores/DocumentFileStore.js';
+import TimelineStore from '../stores/TimelineStore.js';
+import AppointmentStore from '../stores/AppointmentStore.js';
+import HandoffStore, { HANDOFF_STATUSES } from '../stores/HandoffStore.js';
+import DuplicateStore, { DUPLICATE_STATUSES, getPairId } from '../stores/DuplicateStore.js';
+import DuplicateService from '../services/DuplicateService.js';
+import { DOCUMENT_STATUSES } from '../services/DocumentService.js';
+import { getEntityComments } from '../services/CommentService.js';
+import { ConflictError } from '../stores/StoreErrors.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+
+/**
+ * Поля, значение которых выбирается при объединении
+ */
+export const MERGE_FIELDS = {
+  name: 'ФИО',
+  phone: 'Телефон',
+  email: 'Email',
+  chatId: 'Чат WhatsApp',
+  project: 'Проект',
+  status: 'Статус',
+  priority: 'Приоритет',
+  source: 'Источник',
+  birthDate: 'Дата рождения',
+  birthPlace: 'Место рождения',
+  passport: 'Паспорт',
+  passportIssueDate: 'Дата выдачи паспорта',
+  passportIssuedBy: 'Кем выдан паспорт',
+  registrationAddress: 'Адрес регистрации',
+  inn: 'ИНН',
+  snils: 'СНИЛС'
+};
+
+/**
+ * Объединение историй в хронологическом порядке
+ * @param {Array} first - Первая история
+ * @param {Array} second - Вторая история
+ * @returns {Array} Общая история
+ */
+function mergeHistory(first = [], second = []) {
+  return [...first, ...second].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Объединение комментариев без повторов в хронологическом порядке
+ * @param {Array} first - Комментарии первого кандидата
+ * @param {Array} second - Комментарии второго кандидата
+ * @returns {Array} Общие комментарии
+ */
+function mergeComments(first = [], second = []) {
+  const ids = new Set(first.map(comment => comment.id));
+  return [...first, ...second.filter(comment => !ids.has(comment.id))]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Порядок статусов документа: при объединении остается документ с большим
+ */
+const DOCUMENT_STATUS_RANK = {
+  [DOCUMENT_STATUSES.MISSING]: 0,
+  [DOCUMENT_STATUSES.REJECTED]: 1,
+  [DOCUMENT_STATUSES.RECEIVED]: 2,
+  [DOCUMENT_STATUSES.VERIFIED]: 3
+};
+
+/**
+ * Объединение пакетов документов по типам
+ * @description Из двух документов одного типа остается более продвинутый
+ * по статусу, при равном статусе - измененный позже
+ * @param {Object} first - Документы первого кандидата
+ * @param {Object} second - Документы второго кандидата
+ * @returns {Object} Общий пакет документов
+ */
+function mergeDocuments(first = {}, second = {}) {
+  const rank = document => DOCUMENT_STATUS_RANK[document.status] || 0;
+  const documents = { ...first };
+
+  Object.entries(second).forEach(([type, document]) => {
+    const current = documents[type];
+    const isBetter = !current || rank(document) > rank(current) || (
+      rank(document) === rank(current) && new Date(document.updatedAt || 0) > new Date(current.updatedAt || 0)
+    );
+    if (isBetter) {
+      documents[type] = document;
+    }
+  });
+  return documents;
+}
+
+/**
+ * Более поздняя из двух дат
+ * @param {string|null} first - Первая дата
+ * @param {string|null} second - Вторая дата
+ * @returns {string|null} Дата
+ */
+function latest(first, second) {
+  if (!first || !second) return first || second || null;
+  return new Date(first) >= new Date(second) ? first : second;
+}
+
+class DuplicateController extends BaseController {
+  /**
+   * Очередь возможных дублей
+   * @description Пары, где один из кандидатов уже удален, не показываются
+   * @returns {Promise<Array>} Пары { id, reasons, detectedAt, candidates: [первый, второй] }
+   */
+  async getQueue() {
+    try {
+      const pairs = await DuplicateStore.getOpen();
+      const queue = await Promise.all(pairs.map(async pair => {
+        const candidates = await Promise.all(pair.candidateIds.map(id => CandidateStore.getById(id)));
+        if (candidates.some(candidate => !candidate || candidate.deletedAt)) {
+          return null;
+        }
+        return { ...pair, candidates };
+      }));
+      return queue.filter(Boolean);
+    } catch (error) {
+      this.handleError(error, 'getQueue');
+      return [];
+    }
+  }
+
+  /**
+   * Количество пар в очереди
+   * @returns {Promise<number>} Количество
+   */
+  async getQueueSize() {
+    return (await this.getQueue()).length;
+  }
+
+  /**
+   * Проверка всех кандидатов на дубли
+   * @returns {Promise<number>} Количество новых пар
+   */
+  async scanAll() {
+    try {
+      this.setLoading(true);
+      const created = await DuplicateService.scanAll();
+
+      this.eventBus.emit('duplicates:changed');
+      this.eventBus.emit(
+        'notification:info',
+        created > 0 ? `Найдено возможных дублей: ${created}` : 'Новых дублей не найдено'
+      );
+      return created;
+    } catch (error) {
+      this.handleError(error, 'scanAll');
+      this.eventBus.emit('notification:error', `Не удалось проверить кандидатов: ${error.message}`);
+      return 0;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Отметка, что кандидаты в паре - разные люди
+   * @param {string} pairId - ID пары
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async dismiss(pairId) {
+    try {
+      await DuplicateStore.update(pairId, {
+        status: DUPLICATE_STATUSES.DISMISSED,
+        resolvedAt: new Date().toISOString()
+      }, { channel: AUDIT_CHANNELS.UI });
+
+      this.eventBus.emit('duplicates:changed');
+      return true;
+    } catch (error) {
+      this.handleError(error, 'dismiss');
+      this.eventBus.emit('notification:error', 'Не удалось отклонить пару');
+      return false;
+    }
+  }
+
+  /**
+   * Сборка объединенного кандидата
+   * @description Для каждого поля берется значение выбранного кандидата, а если оно
+   * пустое - значение другого. Комментарии, теги и истории складываются,
+   * пакеты документов объединяются по типам
+   * @param {Object} primary - Остающийся кандидат
+   * @param {Object} secondary - Кандидат, который уходит в корзину
+   * @param {Object} winners - Выбор по полям: { field: 'primary' | 'secondary' }
+   * @returns {CandidateModel} Объединенный кандидат
+   */
+  buildMerged(primary, secondary, winners = {}) {
+    const fields = {};
+    Object.keys(MERGE_FIELDS).forEach(field => {
+      const [source, other] = winners[field] === 'secondary'
+        ? [secondary, primary]
+        : [primary, secondary];
+      fields[field] = source[field] || other[field] || null;
+    });
+
+    const mergedAt = new Date().toISOString();
+
+    return new CandidateModel({
+      ...primary,
+      ...fields,
+      comments: mergeComments(
+        getEntityComments('candidates', primary),
+        getEntityComments('candidates', secondary)
+      ),
+      comment: '',
+      tags: Array.from(new Set([...(primary.tags || []), ...(secondary.tags || [])])),
+      documents: mergeDocuments(primary.documents, secondary.documents),
+      statusHistory: mergeHistory(primary.statusHistory, secondary.statusHistory),
+      activityHistory: mergeHistory(primary.activityHistory, secondary.activityHistory).concat({
+        type: 'merged',
+        timestamp: mergedAt,
+        data: { candidateId: secondary.id, name: secondary.name, chatId: secondary.chatId }
+      }),
+      lastReply: latest(primary.lastReply, secondary.lastReply),
+      lastActivity: latest(primary.lastActivity, secondary.lastActivity),
+      documentProcessed: Boolean(primary.documentProcessed || secondary.documentProcessed),
+      stats: {
+        ...primary.stats,
+        messagesCount: (primary.stats?.messagesCount || 0) + (secondary.stats?.messagesCount || 0),
+        documentsUploaded: (primary.stats?.documentsUploaded || 0) + (secondary.stats?.documentsUploaded || 0)
+      }
+    });
+  }
+
+  /**
+   * Получатели рассылки после объединения
+   * @param {Array} recipients - Получатели рассылки
+   * @param {Object} secondary - Удаляемый кандидат
+   * @param {Object} merged - Объединенный кандидат
+   * @returns {Array} Получатели
+   */
+  repointRecipients(recipients, secondary, merged) {
+    const hasPrimary = recipients.some(recipient => recipient.id === merged.id);
+
+    return recipients
+      // Если рассылка шла обоим кандидатам, второй получатель лишний
+      .filter(recipient => !(hasPrimary && recipient.id === secondary.id))
+      .map(recipient => (recipient.id === secondary.id
+        ? { ...recipient, id: merged.id, name: merged.name, chatId: merged.chatId, phone: merged.phone }
+        : recipient));
+  }
+
+  /**
+   * Объединение двух кандидатов
+   * @description Все изменения - одна транзакция, поэтому объединение
+   * отменяется целиком. Второй кандидат уходит в корзину без чата WhatsApp,
+   * чтобы новые сообщения находили объединенного кандидата
+   * @param {string} primaryId - ID остающегося кандидата
+   * @param {string} secondaryId - ID кандидата, который уходит в корзину
+   * @param {Object} winners - Выбор по полям: { field: 'primary' | 'secondary' }
+   * @returns {Promise<Object|null>} Объединенный кандидат
+   */
+  async mergeCandidates(primaryId, secondaryId, winners = {}) {
+    try {
+      this.setLoading(true);
+
+      const [primary, secondary] = await Promise.all([
+        CandidateStore.getById(primaryId),
+        CandidateStore.getById(secondaryId)
+      ]);
+      if (!primary || !secondary || primary.deletedAt || secondary.deletedAt) {
+        throw new Error('Кандидат не найден');
+      }
+
+      const merged = this.buildMerged(primary, secondary, winners);
+      const mailings = await MailingStore.find(mailing => (
+        (mailing.recipients || []).some(recipient => recipient.id === secondary.id)
+      ));
+      const pairs = await DuplicateStore.getOpenForCandidate(secondary.id);
+      const attachmentIds = await AttachmentStore.getIdsForEntities([secondary.id]);
+      const documentFileIds = await DocumentFileStore.getIdsForCandidate(secondary.id);
+      const timeline = await TimelineStore.getForCandidate(secondary.id);
+      const appointments = await AppointmentStore.getForCandidate(secondary.id);
+      const handoffs = await HandoffStore.getForCandidate(secondary.id);
+      // В очереди 1-й линии у кандидата одна передача: открытая передача второго
+      // остается, только если объединенный кандидат передан и своей у него нет
+      const keepOpen = merged.status === 'Передан' && !(await HandoffStore.getOpenForCandidate(primary.id));
+      const closedHandoffIds = [];
+      const mergedPairId = getPairId(primary.id, secondary.id);
+
+      const saved = await CandidateStore.transaction(async tx => {
+        const updated = await tx.update(primary.id, merged, { expectedVersion: primary.version });
+
+        await tx.update(secondary.id, { chatId: null, mergedInto: primary.id }, {
+          expectedVersion: secondary.version
+        });
+        await tx.delete(secondary.id);
+
+        // Комментарии второго кандидата теперь у объединенного - и их вложения
+        for (const attachmentId of attachmentIds) {
+          await tx.store(AttachmentStore).update(attachmentId, { entityId: primary.id });
+        }
+        // Изображения документов - вместе с пакетом
+        for (const fileId of documentFileIds) {
+          await tx.store(DocumentFileStore).update(fileId, { candidateId: primary.id });
+        }
+        for (const event of timeline) {
+          await tx.store(TimelineStore).update(event.id, { candidateId: primary.id });
+        }
+        for (const appointment of appointments) {
+          await tx.store(AppointmentStore).update(appointment.id, { candidateId: primary.id });
+        }
+        for (const handoff of handoffs) {
+          const changes = { candidateId: primary.id };
+          if (handoff.status === HANDOFF_STATUSES.OPEN && !keepOpen) {
+            Object.assign(changes, {
+              status: HANDOFF_STATUSES.CLOSED,
+              closedAt: new Date().toISOString(),
+              comment: 'Кандидат объединен с дублем'
+            });
+            closedHandoffIds.push(handoff.id);
+          }
+          await tx.store(HandoffStore).update(handoff.id, changes);
+        }
+
+        for (const mailing of mailings) {
+          await tx.store(MailingStore).update(mailing.id, {
+            recipients: this.repointRecipients(mailing.recipients, secondary, updated)
+          });
+        }
+
+        // Остальные пары второго кандидата переходят к объединенному
+        const duplicates = tx.store(DuplicateStore);
+        for (const pair of pairs) {
+          await duplicates.update(pair.id, {
+            status: DUPLICATE_STATUSES.MERGED,
+            mergedInto: primary.id,
+            resolvedAt: new Date().toISOString()
+          });
+          if (pair.id === mergedPairId) continue;
+
+          const otherId = pair.candidateIds.find(id => id !== secondary.id);
+          const repointedId = getPairId(primary.id, otherId);
+          if (!(await duplicates.getById(repointedId))) {
+            await duplicates.create({
+              id: repointedId,
+              candidateIds: [otherId, primary.id],
+              reasons: pair.reasons,
+              status: DUPLICATE_STATUSES.OPEN,
+              detectedAt: pair.detectedAt
+            });
+          }
+        }
+
+        return updated;
+      }, { channel: AUDIT_CHANNELS.UI });
+
+      this.eventBus.emit('candidate:updated', saved);
+      this.eventBus.emit('candidate:deleted', secondary.id);
+      closedHandoffIds.forEach(id => this.eventBus.emit('handoff:closed', id));
+      this.eventBus.emit('duplicates:changed');
+      this.eventBus.emit('notification:success', `Кандидаты объединены: ${saved.name}`);
+
+      return saved;
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        this.logger.warn('Кандидаты изменены во время объединения');
+        this.eventBus.emit('notification:error', 'Кандидаты уже изменены в другом месте, откройте пару заново');
+        return null;
+      }
+
+      this.handleError(error, 'mergeCandidates');
+      this.eventBus.emit('notification:error', `Не удалось объединить кандидатов: ${error.message}`);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+}
+
+export default DuplicateController;
@@ -0,0 +1,286 @@
+// src/controllers/EscalationController.js
+/**
+ * 📣 Контроллер лестницы эскалации
+ * @description Настройка шагов эскалации и их выполнение для молчащих кандидатов.
+ * Шаг отмечается у кандидата до отправки, итог пишется в хронологию.
+ * Изменять лестницу может только администратор
+ */
+import BaseController from './BaseController.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+import EscalationService, {
+  ESCALATION_CHANNELS,
+  ESCALATION_STOP_CONDITIONS,
+  ESCALATION_RESULTS,
+  ESCALATION_STATUSES
+} from '../services/EscalationService.js';
+import SlaService from '../services/SlaService.js';
+import TimelineService from '../services/TimelineService.js';
+import WhatsAppService from '../services/WhatsAppService.js';
+import ExtensionAPIService from '../services/ExtensionAPIService.js';
+
+class EscalationController extends BaseController {
+  constructor() {
+    super();
+    this.store = CandidateStore;
+    this.whatsAppService = WhatsAppService;
+    this.extensionAPI = ExtensionAPIService;
+  }
+
+  /**
+   * Проекты кандидатов
+   * @returns {Promise<Array<string>>} Проекты
+   */
+  async getProjects() {
+    try {
+      const projects = await this.store.getDistinctValues('project');
+      return projects.filter(Boolean).sort();
+    } catch (error) {
+      this.handleError(error, 'getProjects');
+      return [];
+    }
+  }
+
+  /**
+   * Лестница эскалации
+   * @returns {Promise<Object>} Правила
+   */
+  async getDefinition() {
+    await Promise.all([EscalationService.ready, SlaService.ready]);
+    return EscalationService.getDefinition();
+  }
+
+  /**
+   * Срок передачи на 1-ю линию по SLA для лестницы
+   * @param {Object} definition - Правила
+   * @param {string} project - Проект ('' - общая лестница)
+   * @returns {number} Рабочих часов от начала молчания
+   */
+  getTransferHours(definition, project) {
+    return EscalationService.getLadderTransferHours(definition, project);
+  }
+
+  /**
+   * Сохранение лестницы
+   * @param {Object} definition - Правила
+   * @returns {Promise<Object|null>} Сохраненные правила
+   */
+  async saveDefinition(definition) {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять лестницу эскалации может только администратор');
+      }
+
+      const saved = await EscalationService.saveDefinition(definition);
+      this.eventBus.emit('notification:success', 'Лестница эскалации сохранена');
+      return saved;
+    } catch (error) {
+      this.handleError(error, 'saveDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Возврат лестницы по умолчанию
+   * @returns {Promise<Object|null>} Правила
+   */
+  async resetDefinition() {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять лестницу эскалации может только администратор');
+      }
+
+      const definition = await EscalationService.resetDefinition();
+      this.eventBus.emit('notification:success', 'Восстановлена лестница эскалации по умолчанию');
+      return definition;
+    } catch (error) {
+      this.handleError(error, 'resetDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Плановое выполнение шагов эскалации
+   * @description За одну проверку у кандидата выполняется не больше одного
+   * шага, чтобы после перерыва в работе не отправить все напоминания разом.
+   * Неотправленный шаг повторяется при следующей проверке, а шаг в тихие
+   * часы ждет их окончания
+   * @returns {Promise<number>} Выполнено шагов
+   */
+  async runEscalations() {
+    let executed = 0;
+    try {
+      await Promise.all([EscalationService.ready, SlaService.ready]);
+      const { items } = await this.store.query({ where: { status: { $in: ESCALATION_STATUSES } } });
+      const now = new Date();
+
+      for (const candidate of items) {
+        const due = EscalationService.getDueStep(candidate, now);
+        if (!due || due.quiet) continue;
+
+        try {
+          if (await this.executeStep(candidate, due, now)) {
+            executed++;
+          }
+        } catch (error) {
+          this.handleError(error, 'runEscalations');
+        }
+      }
+
+      if (executed > 0) {
+        this.logger.info(`Выполнено шагов эскалации: ${executed}`);
+      }
+    } catch (error) {
+      this.handleError(error, 'runEscalations');
+    }
+    return executed;
+  }
+
+  /**
+   * Выполнение шага эскалации
+   * @description Перед отправкой шаг отмечается как отправляемый: если отметку
+   * не удалось сохранить, ничего не отправляется, а если не сохранится итог,
+   * кандидат не получит то же напоминание при следующей проверке
+   * @param {Object} candidate - Кандидат
+   * @param {Object} due - { step, state, stopReason } из EscalationService.getDueStep
+   * @param {Date} now - Текущее время
+   * @returns {Promise<boolean>} Выполнен ли шаг (остановленный шаг не считается)
+   */
+  async executeStep(candidate, { step, state, stopReason }, now) {
+    const ladder = EscalationService.getLadder(candidate.project);
+    const number = ladder.findIndex(item => item.id === step.id) + 1;
+    const markStep = (mark) => ({
+      ...state.steps,
+      [step.id]: { ...mark, channel: step.channel, at: now.toISOString() }
+    });
+
+    if (stopReason) {
+      await this.saveSteps(candidate.id, state, markStep({ result: ESCALATION_RESULTS.STOPPED, reason: stopReason }));
+      this.logger.info(`Шаг эскалации ${number} кандидата ${candidate.name} остановлен: ${ESCALATION_STOP_CONDITIONS[stopReason]}`);
+      return false;
+    }
+
+    await this.saveSteps(candidate.id, state, markStep({ result: ESCALATION_RESULTS.PENDING }));
+
+    const text = EscalationService.renderStep(step, candidate, state, now);
+    const { result, reason } = await this.deliver(step, candidate, text);
+    if (!result) {
+      this.logger.warn(`Шаг эскалации "${ESCALATION_CHANNELS[step.channel]}" не выполнен для кандидата ${candidate.name}`);
+      // Неотправленный шаг повторится при следующей проверке
+      await this.saveSteps(candidate.id, state, state.steps);
+      return false;
+    }
+
+    const changes = {};
+    if (result === ESCALATION_RESULTS.SENT && step.channel !== 'call') {
+      changes.smsAttempts = (candidate.smsAttempts || 0) + 1;
+      changes.lastSmsDate = now.toISOString();
+    }
+    await this.saveSteps(candidate.id, state, markStep({ result, ...(reason && { reason }) }), changes);
+
+    await TimelineService.record(candidate.id, 'reminder', {
+      title: `Эскалация, шаг ${number}: ${ESCALATION_CHANNELS[step.channel]}`,
+      text: reason ? `${reason}\n${text}` : text,
+      channel: step.channel,
+      status: result === ESCALATION_RESULTS.SENT ? 'sent' : 'failed'
+    });
+
+    this.eventBus.emit('escalation:stepExecuted', { candidateId: candidate.id, stepId: step.id, result });
+    return true;
+  }
+
+  /**
+   * Сохранение отметок шагов у кандидата
+   * @param {string} candidateId - ID кандидата
+   * @param {Object} state - Состояние лестницы кандидата
+   * @param {Object} steps - Отметки шагов
+   * @param {Object} changes - Другие изменения кандидата
+   * @returns {Promise<void>}
+   */
+  async saveSteps(candidateId, state, steps, changes = {}) {
+    await this.store.transaction(async tx => {
+      await tx.update(candidateId, { ...changes, escalation: { ...state, steps } });
+    }, { undoable: false, channel: AUDIT_CHANNELS.SYSTEM });
+  }
+
+  /**
+   * Доставка шага кандидату или рекрутеру
+   * @description Если у кандидата нет контакта для канала, шаг пропускается
+   * с причиной, чтобы лестница шла дальше
+   * @param {Object} step - Шаг
+   * @param {Object} candidate - Кандидат
+   * @param {string} text - Текст шага
+   * @returns {Promise<{result: string|null, reason?: string}>} Итог; result = null - не отправлено, повторить
+   */
+  async deliver(step, candidate, text) {
+    const skipped = (reason) => ({ result: ESCALATION_RESULTS.SKIPPED, reason });
+    const sent = (success) => ({ result: success ? ESCALATION_RESULTS.SENT : null });
+
+    try {
+      switch (step.channel) {
+        case 'whatsapp':
+          if (!candidate.chatId) return skipped('Нет чата WhatsApp');
+          return sent(await this.whatsAppService.sendMessage(candidate.chatId, text));
+
+        case 'sms': {
+          if (!candidate.phone) return skipped('Нет телефона');
+          const result = await this.extensionAPI.sendSMS(candidate.phone, text);
+          return sent(result && result.success);
+        }
+
+        case 'telegram': {
+          if (!candidate.telegramId) return skipped('Нет Telegram');
+          const result = await this.extensionAPI.sendTelegram(text, candidate.telegramId);
+          return sent(result && result.success);
+        }
+
+        case 'call':
+          this.eventBus.emit('escalation:task', { candidateId: candidate.id, title: text });
+          this.eventBus.emit('notification:show', {
+            type: 'warning',
+            title: 'Позвонить кандидату',
+            message: text,
+            duration: 0,
+            data: {
+              action: 'navigation:candidates',
+              candidateId: candidate.id
+            }
+          });
+          return sent(true);
+
+        default:
+          return skipped(`Неизвестный канал "${step.channel}"`);
+      }
+    } catch (error) {
+      this.logger.error(`Ошибка отправки шага эскалации (${step.channel})`, error);
+      return sent(false);
+    }
+  }
+
+  /**
+   * Ход лестницы кандидата для показа
+   * @param {Object} candidate - Кандидат
+   * @returns {Array} [{ step, number, dueAt, mark }] - mark есть у пройденных шагов
+   */
+  getProgress(candidate) {
+    const state = EscalationService.getState(candidate);
+    if (!state) return [];
+
+    return EscalationService.getLadder(candidate.project).map((step, index) => ({
+      step,
+      number: index + 1,
+      dueAt: SlaService.addWorkingHours(state.startedAt, step.afterHours),
+      mark: state.steps[step.id] || null
+    }));
+  }
+}
+
+export default EscalationController;
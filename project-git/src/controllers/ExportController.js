@@ -0,0 +1,105 @@
+// src/controllers/ExportController.js
+/**
+ * 📤 Контроллер экспорта
+ * @description Настройка и скачивание выгрузок, работа с пресетами
+ */
+import BaseController from './BaseController.js';
+import ExportService from '../services/ExportService.js';
+
+class ExportController extends BaseController {
+  /**
+   * Значения для фильтров выгрузки
+   * @param {string} entity - Ключ EXPORT_ENTITIES
+   * @returns {Promise<Object>} { поле: [значения] }
+   */
+  async getFilterOptions(entity) {
+    try {
+      const { store, filters } = ExportService.getEntity(entity);
+      const fields = Object.keys(filters);
+      const values = await Promise.all(fields.map(field => store.getDistinctValues(field)));
+      return Object.fromEntries(fields.map((field, index) => [
+        field,
+        values[index].filter(Boolean).sort()
+      ]));
+    } catch (error) {
+      this.handleError(error, 'getFilterOptions');
+      return {};
+    }
+  }
+
+  /**
+   * Сборка и скачивание выгрузки
+   * @param {Object} config - Настройки выгрузки
+   * @returns {Promise<number|null>} Количество выгруженных записей
+   */
+  async download(config) {
+    try {
+      this.setLoading(true);
+      const { blob, filename, count } = await ExportService.buildExport(config);
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(link.href);
+
+      this.eventBus.emit('notification:success', `Выгружено записей: ${count}`);
+      return count;
+    } catch (error) {
+      this.handleError(error, 'download');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Пресеты выгрузки
+   * @param {string} entity - Ключ EXPORT_ENTITIES
+   * @returns {Promise<Array>} Пресеты
+   */
+  async getPresets(entity) {
+    try {
+      return await ExportService.getPresets(entity);
+    } catch (error) {
+      this.handleError(error, 'getPresets');
+      return [];
+    }
+  }
+
+  /**
+   * Сохранение пресета
+   * @param {Object} preset - Пресет
+   * @returns {Promise<Object|null>} Сохраненный пресет
+   */
+  async savePreset(preset) {
+    try {
+      const saved = await ExportService.savePreset(preset);
+      this.eventBus.emit('notification:success', `Пресет «${saved.name}» сохранен`);
+      return saved;
+    } catch (error) {
+      this.handleError(error, 'savePreset');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Удаление пресета
+   * @param {string} id - ID пресета
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async deletePreset(id) {
+    try {
+      await ExportService.deletePreset(id);
+      return true;
+    } catch (error) {
+      this.handleError(error, 'deletePreset');
+      this.eventBus.emit('notification:error', 'Не удалось удалить пресет');
+      return false;
+    }
+  }
+}
+
+export default ExportController;
@@ -0,0 +1,165 @@
+// src/controllers/HandoffController.js
+/**
+ * 📨 Контроллер 1-й линии
+ * @description Передача кандидатов на 1-ю линию, очередь с карточками передачи
+ * и возврат кандидата рекрутеру с итогом 1-й линии
+ */
+import BaseController from './BaseController.js';
+import CandidateModel from '../models/CandidateModel.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import HandoffStore, { HANDOFF_STATUSES } from '../stores/HandoffStore.js';
+import { ConflictError } from '../stores/StoreErrors.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+import { TransitionError } from '../services/PipelineService.js';
+import { HANDOFF_OUTCOMES, HANDOFF_STATUS } from '../services/HandoffService.js';
+
+class HandoffController extends BaseController {
+  constructor() {
+    super();
+    this.store = HandoffStore;
+    this.candidateStore = CandidateStore;
+  }
+
+  /**
+   * Открытые передачи по кандидатам
+   * @returns {Promise<Object>} { ID кандидата: передача }
+   */
+  async getOpenByCandidate() {
+    try {
+      const handoffs = await this.store.getOpen();
+      return Object.fromEntries(handoffs.map(handoff => [handoff.candidateId, handoff]));
+    } catch (error) {
+      this.handleError(error, 'getOpenByCandidate');
+      return {};
+    }
+  }
+
+  /**
+   * История передач кандидата
+   * @param {string} candidateId - ID кандидата
+   * @returns {Promise<Array>} Передачи, новые первыми
+   */
+  async getHistory(candidateId) {
+    try {
+      return await this.store.getForCandidate(candidateId);
+    } catch (error) {
+      this.handleError(error, 'getHistory');
+      return [];
+    }
+  }
+
+  /**
+   * Передача кандидата на 1-ю линию
+   * @description Карточку передачи создает HandoffService при смене статуса
+   * @param {string} candidateId - ID кандидата
+   * @param {string} reason - Причина передачи
+   * @returns {Promise<Object|null>} Обновленный кандидат
+   */
+  async transferToFirstLine(candidateId, reason = '') {
+    try {
+      const stored = await this.candidateStore.getById(candidateId);
+      if (!stored) {
+        throw new Error('Кандидат не найден');
+      }
+
+      const candidate = new CandidateModel(stored);
+      candidate.changeStatus(HANDOFF_STATUS, reason, this.authController.getCurrentUser().name);
+
+      const updated = await this.candidateStore.update(candidate.id, candidate, { channel: AUDIT_CHANNELS.UI });
+      this.eventBus.emit('candidate:statusChanged', updated);
+      this.eventBus.emit('candidate:transferred', updated);
+      return updated;
+    } catch (error) {
+      return this.handleTransitionError(error, 'transferToFirstLine', 'Не удалось передать кандидата');
+    }
+  }
+
+  /**
+   * Возврат кандидата рекрутеру с итогом 1-й линии
+   * @description Передача закрывается, а кандидат получает статус по итогу
+   * одной транзакцией. Итог и комментарий остаются комментарием кандидата
+   * @param {string} candidateId - ID кандидата
+   * @param {string} outcome - Итог из HANDOFF_OUTCOMES
+   * @param {string} comment - Комментарий 1-й линии
+   * @returns {Promise<Object|null>} Обновленный кандидат
+   */
+  async returnFromFirstLine(candidateId, outcome = 'returned', comment = '') {
+    try {
+      const result = HANDOFF_OUTCOMES[outcome];
+      if (!result) {
+        throw new Error(`Неизвестный итог 1-й линии: ${outcome}`);
+      }
+
+      const user = this.authController.getCurrentUser().name;
+      const reason = `1-я линия: ${result.label}${comment.trim() ? `. ${comment.trim()}` : ''}`;
+      // Кандидаты, переданные до появления очереди, передачи не имеют
+      const handoff = await this.store.getOpenForCandidate(candidateId);
+
+      const updated = await this.store.transaction(async tx => {
+        const candidates = tx.store(CandidateStore);
+        const stored = await candidates.getById(candidateId);
+        if (!stored) {
+          throw new Error('Кандидат не найден');
+        }
+
+        if (handoff) {
+          await tx.update(handoff.id, {
+            status: HANDOFF_STATUSES.CLOSED,
+            outcome,
+            comment: comment.trim(),
+            outcomeBy: user,
+            closedAt: new Date().toISOString()
+          });
+        }
+
+        const candidate = new CandidateModel(stored);
+        candidate.changeStatus(result.status, reason, user);
+        candidate.addComment(reason, user);
+
+        // Следующая передача получит свои дату и причину, а срок
+        // молчания и лестница эскалации отсчитываются заново от возврата
+        candidate.transferredAt = null;
+        candidate.transferReason = null;
+        candidate.silentSince = null;
+        candidate.escalation = null;
+        candidate.returnedAt = new Date().toISOString();
+
+        return candidates.update(candidate.id, candidate);
+      }, { channel: AUDIT_CHANNELS.UI });
+
+      this.eventBus.emit('candidate:statusChanged', updated);
+      this.eventBus.emit('candidate:returned', { candidate: updated, outcome });
+      this.eventBus.emit('notification:success', `${updated.name}: ${result.label.toLowerCase()}, статус "${updated.status}"`);
+      return updated;
+    } catch (error) {
+      return this.handleTransitionError(error, 'returnFromFirstLine', 'Не удалось вернуть кандидата');
+    }
+  }
+
+  /**
+   * Обработка ошибки смены статуса
+   * @param {Error} error - Ошибка
+   * @param {string} context - Метод
+   * @param {string} message - Текст уведомления
+   * @returns {null}
+   */
+  handleTransitionError(error, context, message) {
+    if (error instanceof ConflictError) {
+      this.logger.warn('Кандидат изменен в другом месте');
+      this.eventBus.emit('notification:error', 'Кандидат уже изменен в другом месте, данные обновлены');
+      return null;
+    }
+
+    if (error instanceof TransitionError) {
+      this.logger.warn(`Смена статуса отклонена: ${error.message}`);
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    }
+
+    this.handleError(error, context);
+    this.eventBus.emit('notification:error', `${message}: ${error.message}`);
+    return null;
+  }
+}
+
+export default HandoffController;
@@ -0,0 +1,357 @@
+// src/controllers/ImportController.js
+/**
+ * 📥 Контроллер импорта кандидатов
+ * @description Импорт из CSV и XLSX: чтение файла с определением кодировки
+ * и разделителя, сопоставление столбцов с полями кандидата, проверка каждой
+ * строки и поиск дублей до записи, импорт прошедших проверку строк
+ * и отчет о пропущенных
+ */
+import Papa from 'papaparse';
+import BaseController from './BaseController.js';
+import CandidateModel, { getDuplicateReasons } from '../models/CandidateModel.js';
+import ValidationModel from '../models/ValidationModel.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import { DUPLICATE_REASONS } from '../stores/DuplicateStore.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+import PipelineService from '../services/PipelineService.js';
+import GoogleSheetsService from '../services/GoogleSheetsService.js';
+import { decodeText, isZip, readXlsx, excelSerialToDate } from '../utils/spreadsheetUtils.js';
+import { parseDate } from '../utils/dateHelpers.js';
+
+/**
+ * Поля кандидата, доступные для импорта, и типичные названия столбцов
+ */
+export const IMPORT_FIELDS = {
+  name: { label: 'ФИО', aliases: ['фио', 'ф и о', 'имя', 'кандидат', 'name', 'full name'] },
+  phone: { label: 'Телефон', aliases: ['телефон', 'тел', 'мобильный', 'номер телефона', 'phone'] },
+  email: { label: 'Email', aliases: ['email', 'e-mail', 'почта', 'электронная почта'] },
+  project: { label: 'Проект', aliases: ['проект', 'вакансия', 'project'] },
+  status: { label: 'Статус', aliases: ['статус', 'status'] },
+  comment: { label: 'Комментарий', aliases: ['комментарий', 'примечание', 'comment'] },
+  birthDate: { label: 'Дата рождения', aliases: ['дата рождения', 'др', 'birth date'] },
+  birthPlace: { label: 'Место рождения', aliases: ['место рождения'] },
+  passport: { label: 'Паспорт', aliases: ['паспорт', 'серия и номер паспорта', 'серия номер'] },
+  passportIssueDate: { label: 'Дата выдачи паспорта', aliases: ['дата выдачи', 'дата выдачи паспорта'] },
+  passportIssuedBy: { label: 'Кем выдан паспорт', aliases: ['кем выдан', 'кем выдан паспорт'] },
+  registrationAddress: { label: 'Адрес регистрации', aliases: ['адрес регистрации', 'прописка', 'адрес'] },
+  inn: { label: 'ИНН', aliases: ['инн', 'inn'] },
+  snils: { label: 'СНИЛС', aliases: ['снилс', 'snils'] }
+};
+
+// Поля с датой
+const DATE_FIELDS = ['birthDate', 'passportIssueDate'];
+
+// Даты Excel - числа дней; правдоподобный диапазон: 1900-2099 годы
+const EXCEL_SERIAL_RANGE = [1, 73415];
+
+/**
+ * Нормализация названия столбца для сравнения
+ * @param {string} header - Название столбца
+ * @returns {string} Нормализованное название
+ */
+function normalizeHeader(header) {
+  return String(header || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^a-zа-я0-9-]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Приведение даты из файла к ISO
+ * @param {string} value - Дата: ДД.ММ.ГГГГ, ГГГГ-ММ-ДД или число дней Excel
+ * @returns {string|null} Дата в ISO (полночь UTC) или null, если не распознана
+ */
+function normalizeDate(value) {
+  const serial = Number(value);
+  const date = /^\d+(\.\d+)?$/.test(value) && serial >= EXCEL_SERIAL_RANGE[0] && serial <= EXCEL_SERIAL_RANGE[1]
+    ? excelSerialToDate(serial)
+    : parseDate(value);
+
+  if (!date || isNaN(date.getTime())) {
+    return null;
+  }
+
+  // Даты из формы хранятся как полночь UTC, так же сохраняются и импортированные
+  const isUTC = date.getUTCHours() === 0 && date.getUTCMinutes() === 0;
+  return new Date(Date.UTC(
+    isUTC ? date.getUTCFullYear() : date.getFullYear(),
+    isUTC ? date.getUTCMonth() : date.getMonth(),
+    isUTC ? date.getUTCDate() : date.getDate()
+  )).toISOString();
+}
+
+class ImportController extends BaseController {
+  constructor() {
+    super();
+    this.validator = new ValidationModel();
+  }
+
+  /**
+   * Чтение файла
+   * @param {File} file - Файл CSV или XLSX
+   * @returns {Promise<Object>} { format, encoding, delimiter, headers, rows }
+   * @throws {Error} Если файл не удалось прочитать
+   */
+  async readFile(file) {
+    const buffer = await file.arrayBuffer();
+    let table;
+    let info;
+
+    if (isZip(buffer)) {
+      table = await readXlsx(buffer);
+      info = { format: 'xlsx', encoding: null, delimiter: null };
+    } else if (/\.xls$/i.test(file.name)) {
+      throw new Error('Формат XLS не поддерживается, сохраните файл как XLSX или CSV');
+    } else {
+      const { text, encoding } = decodeText(buffer);
+      // Пустой разделитель - PapaParse определяет его сам
+      const parsed = Papa.parse(text, { delimiter: '', skipEmptyLines: 'greedy' });
+      table = parsed.data;
+      info = { format: 'csv', encoding, delimiter: parsed.meta.delimiter };
+    }
+
+    const rows = table
+      .map(row => row.map(cell => String(cell ?? '').trim()))
+      .filter(row => row.some(Boolean));
+
+    if (rows.length < 2) {
+      throw new Error('В файле нет строк с данными: первая строка должна содержать названия столбцов');
+    }
+
+    const [headers, ...data] = rows;
+    return { ...info, headers, rows: data };
+  }
+
+  /**
+   * Автоматическое сопоставление столбцов с полями
+   * @description Сначала точное совпадение с известными названиями, затем по вхождению.
+   * Каждое поле сопоставляется не больше чем с одним столбцом
+   * @param {Array<string>} headers - Названия столбцов
+   * @returns {Array<string>} Поле для каждого столбца ('' - не импортировать)
+   */
+  guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = headers.map(() => '');
+    const used = new Set();
+
+    const assign = (matches) => {
+      normalized.forEach((header, index) => {
+        if (mapping[index] || !header) return;
+
+        const field = Object.keys(IMPORT_FIELDS).find(key => (
+          !used.has(key) && IMPORT_FIELDS[key].aliases.some(alias => matches(header, alias))
+        ));
+        if (field) {
+          mapping[index] = field;
+          used.add(field);
+        }
+      });
+    };
+
+    assign((header, alias) => header === alias);
+    assign((header, alias) => alias.length > 3 && header.includes(alias));
+
+    return mapping;
+  }
+
+  /**
+   * Данные кандидата из строки файла
+   * @param {Array<string>} values - Значения строки
+   * @param {Array<string>} mapping - Поле для каждого столбца
+   * @returns {{data: Object, errors: Array<string>}} Данные и ошибки разбора
+   */
+  buildRecord(values, mapping) {
+    const data = { source: 'import' };
+    const errors = [];
+
+    mapping.forEach((field, index) => {
+      const value = (values[index] || '').trim();
+      if (!field || !value) return;
+
+      if (DATE_FIELDS.includes(field)) {
+        const date = normalizeDate(value);
+        if (date) {
+          data[field] = date;
+        } else {
+          errors.push(`${IMPORT_FIELDS[field].label}: не удалось распознать дату «${value}»`);
+        }
+        return;
+      }
+
+      data[field] = field === 'inn' ? value.replace(/\s/g, '') : value;
+    });
+
+    return { data, errors };
+  }
+
+  /**
+   * Проверка данных кандидата
+   * @description Проверки идут по отдельности, чтобы показать все ошибки строки сразу;
+   * затем данные проходят валидацию модели, как при ручном добавлении
+   * @param {Object} data - Данные кандидата
+   * @returns {Array<string>} Ошибки
+   */
+  validateRecord(data) {
+    const errors = [];
+    const { validator } = this;
+
+    if (!validator.isRequired(data.name)) errors.push('Не указано ФИО');
+    if (!validator.isRequired(data.phone)) {
+      errors.push('Не указан телефон');
+    } else if (!validator.isPhone(data.phone)) {
+      errors.push(`Некорректный телефон «${data.phone}»`);
+    }
+    if (data.email && !validator.isEmail(data.email)) errors.push(`Некорректный email «${data.email}»`);
+    if (data.inn && !validator.isINN(data.inn)) errors.push(`Некорректный ИНН «${data.inn}»`);
+    if (data.snils && !validator.isSNILS(data.snils)) errors.push(`Некорректный СНИЛС «${data.snils}»`);
+    if (data.status && !PipelineService.isKnownStatus(data.status)) errors.push(`Неизвестный статус «${data.status}»`);
+
+    if (errors.length === 0) {
+      try {
+        new CandidateModel(data);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Предпросмотр импорта
+   * @description Каждая строка проверяется и сравнивается с кандидатами в базе
+   * и с предыдущими строками файла. Строки с дублями по умолчанию не выбраны
+   * @param {Array<Array<string>>} rows - Строки файла без заголовка
+   * @param {Array<string>} mapping - Поле для каждого столбца
+   * @returns {Promise<Array>} Строки { rowNumber, values, data, errors, duplicates, selected }
+   */
+  async preview(rows, mapping) {
+    try {
+      this.setLoading(true);
+      if (!mapping.includes('name') || !mapping.includes('phone')) {
+        throw new Error('Сопоставьте столбцы с ФИО и телефоном');
+      }
+
+      const existing = [];
+      await CandidateStore.each(candidate => existing.push(candidate));
+
+      const results = [];
+      rows.forEach((values, index) => {
+        const { data, errors } = this.buildRecord(values, mapping);
+        errors.push(...this.validateRecord(data));
+
+        const duplicates = [];
+        existing.forEach(candidate => {
+          const reasons = getDuplicateReasons(data, candidate);
+          if (reasons.length > 0) duplicates.push({ name: candidate.name, reasons });
+        });
+        results.forEach(previous => {
+          const reasons = getDuplicateReasons(data, previous.data);
+          if (reasons.length > 0) duplicates.push({ name: previous.data.name, rowNumber: previous.rowNumber, reasons });
+        });
+
+        results.push({
+          // Нумерация как в файле: первая строка - заголовок
+          rowNumber: index + 2,
+          values,
+          data,
+          errors,
+          duplicates,
+          selected: errors.length === 0 && duplicates.length === 0
+        });
+      });
+
+      return results;
+    } catch (error) {
+      this.handleError(error, 'preview');
+      throw error;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Импорт выбранных строк
+   * @description Строки сохраняются одной транзакцией: импорт отменяется целиком
+   * @param {Array} results - Строки предпросмотра
+   * @returns {Promise<{imported: number, skipped: Array}>} Количество импортированных и пропущенные строки
+   */
+  async importRows(results) {
+    try {
+      this.setLoading(true);
+
+      const skipped = [];
+      const candidates = [];
+      results.forEach(row => {
+        if (!row.selected || row.errors.length > 0) {
+          skipped.push(row);
+          return;
+        }
+        try {
+          candidates.push(new CandidateModel(row.data));
+        } catch (error) {
+          skipped.push({ ...row, errors: [error.message] });
+        }
+      });
+
+      if (candidates.length > 0) {
+        await CandidateStore.transaction(async tx => {
+          for (const candidate of candidates) {
+            await tx.create(candidate);
+          }
+        }, { channel: AUDIT_CHANNELS.IMPORT });
+
+        await this.syncWithGoogleSheets();
+      }
+
+      this.eventBus.emit('candidates:imported', { count: candidates.length });
+      this.eventBus.emit('notification:success', `Импортировано кандидатов: ${candidates.length}`);
+
+      return { imported: candidates.length, skipped };
+    } catch (error) {
+      this.handleError(error, 'importRows');
+      this.eventBus.emit('notification:error', `Импорт не выполнен: ${error.message}`);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Отчет о пропущенных строках в CSV
+   * @param {Array<string>} headers - Названия столбцов файла
+   * @param {Array} skipped - Пропущенные строки
+   * @returns {string} CSV (с BOM, чтобы Excel открыл кириллицу)
+   */
+  buildErrorReport(headers, skipped) {
+    const rows = skipped.map(row => {
+      const reasons = row.errors.length > 0
+        ? row.errors
+        : row.duplicates.map(duplicate => (
+          `Возможный дубль: ${duplicate.name} (${duplicate.reasons.map(reason => DUPLICATE_REASONS[reason]).join(', ')})`
+        ));
+
+      return [row.rowNumber, ...headers.map((header, index) => row.values[index] || ''), reasons.join('; ') || 'Не выбрана'];
+    });
+
+    return '\uFEFF' + Papa.unparse({
+      fields: ['Строка', ...headers, 'Причина'],
+      data: rows
+    });
+  }
+
+  /**
+   * Синхронизация с Google Sheets
+   */
+  async syncWithGoogleSheets() {
+    try {
+      const candidates = await CandidateStore.getAll();
+      await GoogleSheetsService.saveCandidates(candidates);
+    } catch (error) {
+      this.logger.warn('Не удалось синхронизировать с Google Sheets', error);
+    }
+  }
+}
+
+export default ImportController;
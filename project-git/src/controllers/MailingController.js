@@ -6,15 +6,17 @@
 import BaseController from './BaseController.js';
 import CandidateStore from '../stores/CandidateStore.js';
 import ShiftWorkerStore from '../stores/ShiftWorkerStore.js';
+import MailingStore from '../stores/MailingStore.js';
 import ExtensionAPIService from '../services/ExtensionAPIService.js';
+import TimelineService from '../services/TimelineService.js';
 
 class MailingController extends BaseController {
   constructor() {
     super();
     this.candidateStore = CandidateStore;
     this.shiftWorkerStore = ShiftWorkerStore;
+    this.store = MailingStore;
     this.extensionAPI = ExtensionAPIService;
-    this.mailingHistory = this.loadMailingHistory();
     
     this.initializeEventListeners();
   }
@@ -27,31 +29,6 @@ class MailingController extends BaseController {
     this.eventBus.on('mailing:schedule', this.scheduleMailing.bind(this));
   }
 
-  /**
-   * Загрузка истории рассылок
-   * @returns {Array} История рассылок
-   */
-  loadMailingHistory() {
-    try {
-      const stored = localStorage.getItem('hr-assistant-mailing-history');
-      return stored ? JSON.parse(stored) : [];
-    } catch (error) {
-      this.logger.error('Ошибка загрузки истории рассылок', error);
-      return [];
-    }
-  }
-
-  /**
-   * Сохранение истории рассылок
-   */
-  saveMailingHistory() {
-    try {
-      localStorage.setItem('hr-assistant-mailing-history', JSON.stringify(this.mailingHistory));
-    } catch (error) {
-      this.logger.error('Ошибка сохранения истории рассылок', error);
-    }
-  }
-
   /**
    * Создание новой рассылки
    * @param {Object} mailingData - Данные рассылки
@@ -62,8 +39,8 @@ class MailingController extends BaseController {
       this.setLoading(true);
       
       const mailing = {
-        id: this.generateId(),
         ...mailingData,
+        id: this.generateId(),
         status: 'draft',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
@@ -77,13 +54,12 @@ class MailingController extends BaseController {
       mailing.total = recipients.length;
       mailing.recipients = recipients;
 
-      this.mailingHistory.push(mailing);
-      this.saveMailingHistory();
+      const savedMailing = await this.store.create(mailing);
 
-      this.eventBus.emit('mailing:created', mailing);
+      this.eventBus.emit('mailing:created', savedMailing);
       this.eventBus.emit('notification:success', 'Рассылка создана');
 
-      return mailing;
+      return savedMailing;
     } catch (error) {
       this.handleError(error, 'createMailing');
       throw error;
@@ -99,25 +75,32 @@ class MailingController extends BaseController {
    */
   async getRecipients(mailing) {
     const recipients = [];
+    const hasProjects = mailing.projects && mailing.projects.length > 0;
+    const reachable = { $or: [{ chatId: { $exists: true } }, { phone: { $exists: true } }] };
     
     try {
       // Кандидаты
       if (mailing.targetGroups.includes('candidates')) {
-        const candidates = await this.candidateStore.getAll();
-        const filtered = this.filterByStatus(candidates, mailing.candidateStatuses);
+        const where = { ...reachable };
+        if (mailing.candidateStatuses && mailing.candidateStatuses.length > 0) {
+          where.status = { $in: mailing.candidateStatuses };
+        }
+        if (hasProjects) {
+          where.project = { $in: mailing.projects };
+        }
+
+        const { items: candidates } = await this.candidateStore.query({ where });
         
-        filtered.forEach(candidate => {
-          if (candidate.chatId || candidate.phone) {
-            recipients.push({
-              id: candidate.id,
-              name: candidate.name,
-              type: 'candidate',
-              chatId: candidate.chatId,
-              phone: candidate.phone,
-              project: candidate.project,
-              status: candidate.status
-            });
-          }
+        candidates.forEach(candidate => {
+          recipients.push({
+            id: candidate.id,
+            name: candidate.name,
+            type: 'candidate',
+            chatId: candidate.chatId,
+            phone: candidate.phone,
+            project: candidate.project,
+            status: candidate.status
+          });
         });
       }
 
@@ -126,12 +109,14 @@ class MailingController extends BaseController {
         const silentCandidates = await this.candidateStore.getSilentCandidates();
         
         silentCandidates.forEach(candidate => {
-          if (candidate.phone && !recipients.find(r => r.id === candidate.id)) {
+          const isInProjects = !hasProjects || mailing.projects.includes(candidate.project);
+          if (candidate.phone && isInProjects && !recipients.find(r => r.id === candidate.id)) {
             recipients.push({
               id: candidate.id,
               name: candidate.name,
               type: 'silent',
               phone: candidate.phone,
+              project: candidate.project,
               silentHours: this.calculateSilentHours(candidate.silentSince)
             });
           }
@@ -140,31 +125,31 @@ class MailingController extends BaseController {
 
       // Вахтовики
       if (mailing.targetGroups.includes('shiftWorkers')) {
-        const shiftWorkers = await this.shiftWorkerStore.getAll();
+        const where = hasProjects
+          ? {
+              $and: [
+                reachable,
+                { $or: [{ project: { $in: mailing.projects } }, { object: { $in: mailing.projects } }] }
+              ]
+            }
+          : reachable;
+
+        const { items: shiftWorkers } = await this.shiftWorkerStore.query({ where });
         
         shiftWorkers.forEach(worker => {
-          if (worker.chatId || worker.phone) {
-            recipients.push({
-              id: worker.id,
-              name: worker.name,
-              type: 'shiftWorker',
-              chatId: worker.chatId,
-              phone: worker.phone,
-              object: worker.object,
-              status: worker.status
-            });
-          }
+          recipients.push({
+            id: worker.id,
+            name: worker.name,
+            type: 'shiftWorker',
+            chatId: worker.chatId,
+            phone: worker.phone,
+            project: worker.project,
+            object: worker.object,
+            status: worker.status
+          });
         });
       }
 
-      // Фильтрация по проектам
-      if (mailing.projects && mailing.projects.length > 0) {
-        return recipients.filter(r => 
-          mailing.projects.includes(r.project) || 
-          mailing.projects.includes(r.object)
-        );
-      }
-
       return recipients;
     } catch (error) {
       this.logger.error('Ошибка получения получателей', error);
@@ -172,19 +157,6 @@ class MailingController extends BaseController {
     }
   }
 
-  /**
-   * Фильтрация по статусам
-   * @param {Array} items - Элементы для фильтрации
-   * @param {Array} statuses - Разрешенные статусы
-   * @returns {Array} Отфильтрованные элементы
-   */
-  filterByStatus(items, statuses) {
-    if (!statuses || statuses.length === 0) {
-      return items;
-    }
-    return items.filter(item => statuses.includes(item.status));
-  }
-
   /**
    * Расчет часов молчания
    * @param {string} silentSince - Дата начала молчания
@@ -206,19 +178,20 @@ class MailingController extends BaseController {
     try {
       this.setLoading(true);
       
-      const mailing = this.mailingHistory.find(m => m.id === mailingId);
-      if (!mailing) {
+      const stored = await this.store.getById(mailingId);
+      if (!stored) {
         throw new Error('Рассылка не найдена');
       }
 
-      if (mailing.status === 'sent') {
+      if (stored.status === 'sent') {
         throw new Error('Рассылка уже отправлена');
       }
 
       // Обновляем статус
-      mailing.status = 'sending';
-      mailing.startedAt = new Date().toISOString();
-      this.saveMailingHistory();
+      const mailing = await this.store.update(mailingId, {
+        status: 'sending',
+        startedAt: new Date().toISOString()
+      });
 
       const results = {
         sent: 0,
@@ -228,24 +201,31 @@ class MailingController extends BaseController {
 
       // Отправляем сообщения
       for (const recipient of mailing.recipients) {
+        let message = '';
+        let channel = null;
         try {
-          const message = this.personalizeMessage(mailing.message, recipient);
+          message = this.personalizeMessage(mailing.message, recipient);
           
           let success = false;
           
           // WhatsApp приоритетнее
           if (recipient.chatId && mailing.channels.includes('whatsapp')) {
+            channel = 'whatsapp';
             success = await this.sendWhatsAppMessage(recipient.chatId, message);
           }
           // SMS как запасной вариант
           else if (recipient.phone && mailing.channels.includes('sms')) {
+            channel = 'sms';
             success = await this.sendSMS(recipient.phone, message);
           }
           // Telegram (если есть)
           else if (recipient.telegramId && mailing.channels.includes('telegram')) {
+            channel = 'telegram';
             success = await this.sendTelegramMessage(recipient.telegramId, message);
           }
 
+          await this.recordDelivery(mailing, recipient, { message, channel, success });
+
           if (success) {
             results.sent++;
             mailing.sent++;
@@ -276,13 +256,17 @@ class MailingController extends BaseController {
             recipient: recipient.name,
             error: error.message
           });
+          await this.recordDelivery(mailing, recipient, { message, channel, success: false });
         }
       }
 
       // Завершаем рассылку
-      mailing.status = 'sent';
-      mailing.completedAt = new Date().toISOString();
-      this.saveMailingHistory();
+      await this.store.update(mailingId, {
+        status: 'sent',
+        completedAt: new Date().toISOString(),
+        sent: mailing.sent,
+        failed: mailing.failed
+      });
 
       this.eventBus.emit('mailing:completed', { mailingId, results });
       this.eventBus.emit('notification:success', 
@@ -295,11 +279,9 @@ class MailingController extends BaseController {
       this.handleError(error, 'sendMailing');
       
       // Обновляем статус на ошибку
-      const mailing = this.mailingHistory.find(m => m.id === mailingId);
+      const mailing = await this.store.getById(mailingId);
       if (mailing) {
-        mailing.status = 'error';
-        mailing.error = error.message;
-        this.saveMailingHistory();
+        await this.store.update(mailingId, { status: 'error', error: error.message });
       }
       
       throw error;
@@ -308,6 +290,25 @@ class MailingController extends BaseController {
     }
   }
 
+  /**
+   * Запись доставки рассылки в хронологию кандидата
+   * @param {Object} mailing - Рассылка
+   * @param {Object} recipient - Получатель
+   * @param {Object} delivery - { message, channel, success }
+   * @returns {Promise<void>}
+   */
+  async recordDelivery(mailing, recipient, { message, channel, success }) {
+    if (recipient.type === 'shiftWorker' || !channel) return;
+
+    await TimelineService.record(recipient.id, 'mailing', {
+      title: `Рассылка «${mailing.name || 'без названия'}»`,
+      text: message,
+      channel,
+      status: success ? 'sent' : 'failed',
+      mailingId: mailing.id
+    });
+  }
+
   /**
    * Персонализация сообщения
    * @param {string} template - Шаблон сообщения
@@ -383,49 +384,41 @@ class MailingController extends BaseController {
 
   /**
    * Получение истории рассылок
-   * @returns {Array} История рассылок
+   * @returns {Promise<Array>} История рассылок
    */
-  getMailingHistory() {
-    return this.mailingHistory.sort((a, b) => 
-      new Date(b.createdAt) - new Date(a.createdAt)
-    );
+  async getMailingHistory() {
+    try {
+      return await this.store.getHistory();
+    } catch (error) {
+      this.handleError(error, 'getMailingHistory');
+      return [];
+    }
   }
 
   /**
    * Получение статистики рассылок
-   * @returns {Object} Статистика
+   * @returns {Promise<Object>} Статистика
    */
-  getMailingStatistics() {
-    const total = this.mailingHistory.length;
-    const sent = this.mailingHistory.filter(m => m.status === 'sent').length;
-    const totalRecipients = this.mailingHistory.reduce((sum, m) => sum + (m.total || 0), 0);
-    const totalSent = this.mailingHistory.reduce((sum, m) => sum + (m.sent || 0), 0);
-    const totalFailed = this.mailingHistory.reduce((sum, m) => sum + (m.failed || 0), 0);
-    
-    return {
-      total,
-      sent,
-      draft: total - sent,
-      totalRecipients,
-      totalSent,
-      totalFailed,
-      successRate: totalRecipients > 0 ? Math.round((totalSent / totalRecipients) * 100) : 0
-    };
+  async getMailingStatistics() {
+    try {
+      return await this.store.getStatistics();
+    } catch (error) {
+      this.handleError(error, 'getMailingStatistics');
+      return {};
+    }
   }
 
   /**
    * Удаление рассылки
    * @param {string} mailingId - ID рассылки
-   * @returns {boolean} Успех удаления
+   * @returns {Promise<boolean>} Успех удаления
    */
-  deleteMailing(mailingId) {
+  async deleteMailing(mailingId) {
     try {
-      const index = this.mailingHistory.findIndex(m => m.id === mailingId);
-      if (index !== -1) {
-        this.mailingHistory.splice(index, 1);
-        this.saveMailingHistory();
+      const deleted = await this.store.delete(mailingId);
+      if (deleted) {
         this.eventBus.emit('mailing:deleted', mailingId);
-        this.eventBus.emit('notification:success', 'Рассылка удалена');
+        this.eventBus.emit('notification:success', 'Рассылка перемещена в корзину');
         return true;
       }
       return false;
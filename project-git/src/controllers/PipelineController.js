@@ -0,0 +1,68 @@
+// src/controllers/PipelineController.js
+/**
+ * 🔀 Контроллер воронки
+ * @description Просмотр и редактирование описания воронки кандидатов.
+ * Изменять воронку может только администратор
+ */
+import BaseController from './BaseController.js';
+import PipelineService from '../services/PipelineService.js';
+
+class PipelineController extends BaseController {
+  /**
+   * Описание воронки
+   * @returns {Promise<Object>} Описание воронки
+   */
+  async getDefinition() {
+    await PipelineService.ready;
+    return PipelineService.getDefinition();
+  }
+
+  /**
+   * Сохранение описания воронки
+   * @param {Object} definition - Описание воронки
+   * @returns {Promise<Object|null>} Сохраненное описание
+   */
+  async saveDefinition(definition) {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять воронку может только администратор');
+      }
+
+      const saved = await PipelineService.saveDefinition(definition);
+      this.eventBus.emit('notification:success', 'Воронка сохранена');
+      return saved;
+    } catch (error) {
+      this.handleError(error, 'saveDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Возврат воронки по умолчанию
+   * @returns {Promise<Object|null>} Описание воронки
+   */
+  async resetDefinition() {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять воронку может только администратор');
+      }
+
+      const definition = await PipelineService.resetDefinition();
+      this.eventBus.emit('notification:success', 'Восстановлена воронка по умолчанию');
+      return definition;
+    } catch (error) {
+      this.handleError(error, 'resetDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+}
+
+export default PipelineController;
@@ -0,0 +1,287 @@
+// src/controllers/RotationController.js
+/**
+ * 🔄 Контроллер графика вахт
+ * @description Схемы вахт по объектам, графики вахтовиков и план по объектам.
+ * Раз в проверку текущий период каждого вахтовика с графиком продвигается,
+ * а в даты КТ графика вахтовику назначается КТ.
+ * Изменять схемы объектов может только администратор
+ */
+import BaseController from './BaseController.js';
+import ShiftWorkerModel from '../models/ShiftWorkerModel.js';
+import ShiftWorkerStore from '../stores/ShiftWorkerStore.js';
+import CheckpointLogStore from '../stores/CheckpointLogStore.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+import RotationService, {
+  NOTIFY_DAYS_BEFORE_END,
+  PLAN_HORIZON_DAYS,
+  addDays,
+  daysBetween,
+  formatRotation,
+  startOfDay
+} from '../services/RotationService.js';
+import WhatsAppService from '../services/WhatsAppService.js';
+
+class RotationController extends BaseController {
+  constructor() {
+    super();
+    this.store = ShiftWorkerStore;
+    this.whatsAppService = WhatsAppService;
+  }
+
+  /**
+   * Объекты вахтовиков
+   * @returns {Promise<Array<string>>} Объекты
+   */
+  async getObjects() {
+    try {
+      const objects = await this.store.getDistinctValues('object');
+      return objects.filter(Boolean).sort();
+    } catch (error) {
+      this.handleError(error, 'getObjects');
+      return [];
+    }
+  }
+
+  /**
+   * Схемы вахт
+   * @returns {Promise<Object>} Правила
+   */
+  async getDefinition() {
+    await RotationService.ready;
+    return RotationService.getDefinition();
+  }
+
+  /**
+   * Схема объекта
+   * @param {string} object - Объект
+   * @returns {Promise<Object>} { onDays, offDays, minHeadcount }
+   */
+  async getRule(object) {
+    await RotationService.ready;
+    return RotationService.getRule(object);
+  }
+
+  /**
+   * Сохранение схем
+   * @param {Object} definition - Правила
+   * @returns {Promise<Object|null>} Сохраненные правила
+   */
+  async saveDefinition(definition) {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять схемы вахт может только администратор');
+      }
+
+      const saved = await RotationService.saveDefinition(definition);
+      this.eventBus.emit('notification:success', 'Схемы вахт сохранены');
+      return saved;
+    } catch (error) {
+      this.handleError(error, 'saveDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Возврат схем по умолчанию
+   * @returns {Promise<Object|null>} Правила
+   */
+  async resetDefinition() {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять схемы вахт может только администратор');
+      }
+
+      const definition = await RotationService.resetDefinition();
+      this.eventBus.emit('notification:success', 'Восстановлены схемы вахт по умолчанию');
+      return definition;
+    } catch (error) {
+      this.handleError(error, 'resetDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Будущие периоды вахтовика
+   * @param {Object} rotation - { startDate, onDays, offDays }
+   * @param {number} days - На сколько дней вперед
+   * @returns {Array<Object>} Периоды
+   */
+  getUpcomingPeriods(rotation, days = PLAN_HORIZON_DAYS) {
+    const today = startOfDay(new Date());
+    return RotationService.generatePeriods(rotation, today, addDays(today, days));
+  }
+
+  /**
+   * Назначение графика вахтовику
+   * @description Без схемы берется схема объекта вахтовика
+   * @param {string} workerId - ID вахтовика
+   * @param {Object} rotation - { startDate, onDays, offDays }
+   * @returns {Promise<Object|null>} Обновленный вахтовик
+   */
+  async planRotation(workerId, { startDate, onDays, offDays } = {}) {
+    try {
+      this.setLoading(true);
+      await RotationService.ready;
+
+      const existing = await this.store.getById(workerId);
+      if (!existing) {
+        throw new Error('Вахтовик не найден');
+      }
+      if (!startDate || Number.isNaN(new Date(startDate).getTime())) {
+        throw new Error('Укажите дату первого заезда');
+      }
+
+      const rule = RotationService.getRule(existing.object);
+      const rotation = {
+        startDate: startOfDay(startDate).toISOString(),
+        onDays: onDays ? Number(onDays) : rule.onDays,
+        offDays: offDays === undefined || offDays === '' ? rule.offDays : Number(offDays)
+      };
+      if (!Number.isInteger(rotation.onDays) || rotation.onDays <= NOTIFY_DAYS_BEFORE_END) {
+        throw new Error(`Вахта должна быть длиннее ${NOTIFY_DAYS_BEFORE_END} дней`);
+      }
+      if (!Number.isInteger(rotation.offDays) || rotation.offDays < 0) {
+        throw new Error('Дней отдыха не может быть меньше нуля');
+      }
+
+      const worker = new ShiftWorkerModel(existing);
+      worker.setRotation(rotation, RotationService.getCurrentPeriod(rotation));
+
+      const updated = await this.store.update(workerId, worker.toJSON(), {
+        channel: AUDIT_CHANNELS.UI,
+        user: this.authController.getCurrentUser().name
+      });
+
+      this.eventBus.emit('shiftWorker:updated', updated);
+      this.eventBus.emit('notification:success', `График ${formatRotation(rotation)} назначен: ${updated.name}`);
+      return updated;
+    } catch (error) {
+      this.handleError(error, 'planRotation');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Снятие графика с вахтовика
+   * @description Даты текущей вахты остаются
+   * @param {string} workerId - ID вахтовика
+   * @returns {Promise<Object|null>} Обновленный вахтовик
+   */
+  async clearRotation(workerId) {
+    try {
+      const updated = await this.store.update(workerId, { rotation: null }, {
+        channel: AUDIT_CHANNELS.UI,
+        user: this.authController.getCurrentUser().name
+      });
+
+      this.eventBus.emit('shiftWorker:updated', updated);
+      this.eventBus.emit('notification:success', 'График вахты снят');
+      return updated;
+    } catch (error) {
+      this.handleError(error, 'clearRotation');
+      this.eventBus.emit('notification:error', 'Не удалось снять график вахты');
+      return null;
+    }
+  }
+
+  /**
+   * План вахт по объектам
+   * @param {Date} from - Первый день плана
+   * @param {number} days - Дней в плане
+   * @returns {Promise<Array<Object>>} План (см. RotationService.buildPlan)
+   */
+  async getPlan(from = new Date(), days = 60) {
+    try {
+      await RotationService.ready;
+      const { items } = await this.store.query({ sort: [['name', 'asc']] });
+      return RotationService.buildPlan(items, from, days);
+    } catch (error) {
+      this.handleError(error, 'getPlan');
+      return [];
+    }
+  }
+
+  /**
+   * Продвижение графиков вахтовиков
+   * @description Когда вахта закончилась, даты вахты переходят на следующий
+   * период; в дату КТ графика назначается КТ и вахтовик получает уведомление
+   * @param {Date} now - Момент проверки
+   * @returns {Promise<void>}
+   */
+  async syncRotations(now = new Date()) {
+    try {
+      await RotationService.ready;
+      const { items } = await this.store.query({ where: { rotation: { $exists: true } } });
+
+      for (const record of items) {
+        if (!record.rotation) continue;
+
+        try {
+          await this.syncWorker(record, now);
+        } catch (error) {
+          this.logger.error(`Не удалось продвинуть график вахтовика ${record.name}`, error);
+        }
+      }
+    } catch (error) {
+      this.handleError(error, 'syncRotations');
+    }
+  }
+
+  /**
+   * Продвижение графика одного вахтовика
+   * @param {Object} record - Запись вахтовика
+   * @param {Date} now - Момент проверки
+   * @returns {Promise<void>}
+   */
+  async syncWorker(record, now) {
+    const period = RotationService.getCurrentPeriod(record.rotation, now);
+    if (!period) return;
+
+    const worker = new ShiftWorkerModel(record);
+    const isOnShift = new Date(period.start) <= now;
+    if (worker.shiftStartDate !== period.start || worker.isOnShift !== isOnShift) {
+      worker.applyRotationPeriod(period, now);
+      const updated = await this.store.update(worker.id, worker.toJSON(), { channel: AUDIT_CHANNELS.SYSTEM });
+      this.eventBus.emit('shiftWorker:updated', updated);
+      this.logger.info(`Вахтовик ${worker.name}: вахта ${period.start.slice(0, 10)} - ${period.end.slice(0, 10)}`);
+    }
+
+    // КТ графика на сегодня, если она еще не назначена
+    const due = period.checkpoints.find(item => daysBetween(item.date, now) === 0);
+    const alreadySet = due && worker.currentCheckpoint === due.checkpoint &&
+      worker.checkpointDate && daysBetween(worker.checkpointDate, now) === 0;
+    if (!due || alreadySet) return;
+
+    const updated = await this.store.updateCheckpoint(worker.id, {
+      checkpoint: due.checkpoint,
+      date: due.date
+    }, { channel: AUDIT_CHANNELS.SYSTEM });
+
+    this.eventBus.emit('checkpoint:set', { workerId: worker.id, checkpoint: due.checkpoint, date: due.date });
+
+    if (updated.chatId) {
+      const message = `Здравствуйте, ${updated.name}!
+
+По графику вахты сегодня контрольная точка: ${due.checkpoint}.
+Пожалуйста, подтвердите ее до 15:00 МСК.
+
+С уважением,
+СО`;
+      const success = await this.whatsAppService.sendMessage(updated.chatId, message);
+      await CheckpointLogStore.recordMessage(updated.id, 'notification', success);
+    }
+  }
+}
+
+export default RotationController;
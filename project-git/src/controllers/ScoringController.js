@@ -0,0 +1,123 @@
+// src/controllers/ScoringController.js
+/**
+ * 🎯 Контроллер оценки кандидатов
+ * @description Очередь "Работать дальше" по оценке кандидатов и настройка
+ * правил оценки. Изменять правила может только администратор
+ */
+import BaseController from './BaseController.js';
+import ScoringService from '../services/ScoringService.js';
+import CandidateStore from '../stores/CandidateStore.js';
+
+// Статусы, с кандидатами в которых работает рекрутер
+export const WORK_QUEUE_STATUSES = ['Новый', 'Активен', 'Молчит'];
+
+// Ручной приоритет решает при равной оценке
+const PRIORITY_ORDER = { urgent: 0, high: 1, normal: 2, low: 3 };
+
+class ScoringController extends BaseController {
+  constructor() {
+    super();
+    this.store = CandidateStore;
+  }
+
+  /**
+   * Очередь "Работать дальше"
+   * @param {Object} options - Параметры
+   * @param {string} options.project - Только кандидаты проекта
+   * @param {number} options.limit - Размер очереди
+   * @returns {Promise<Array>} [{ candidate, score, breakdown }] по убыванию оценки
+   */
+  async getQueue({ project = '', limit = 50 } = {}) {
+    try {
+      await ScoringService.ready;
+      const where = { status: { $in: WORK_QUEUE_STATUSES } };
+      if (project) {
+        where.project = project;
+      }
+
+      const { items } = await this.store.query({ where });
+      return items
+        .map(candidate => ({ candidate, ...ScoringService.score(candidate) }))
+        .sort((a, b) => (
+          b.score - a.score ||
+          (PRIORITY_ORDER[a.candidate.priority] ?? 2) - (PRIORITY_ORDER[b.candidate.priority] ?? 2)
+        ))
+        .slice(0, limit);
+    } catch (error) {
+      this.handleError(error, 'getQueue');
+      return [];
+    }
+  }
+
+  /**
+   * Проекты кандидатов
+   * @returns {Promise<Array<string>>} Проекты
+   */
+  async getProjects() {
+    try {
+      const projects = await this.store.getDistinctValues('project');
+      return projects.filter(Boolean).sort();
+    } catch (error) {
+      this.handleError(error, 'getProjects');
+      return [];
+    }
+  }
+
+  /**
+   * Правила оценки
+   * @returns {Promise<Object>} Правила
+   */
+  async getDefinition() {
+    await ScoringService.ready;
+    return ScoringService.getDefinition();
+  }
+
+  /**
+   * Сохранение правил оценки
+   * @param {Object} definition - Правила
+   * @returns {Promise<Object|null>} Сохраненные правила
+   */
+  async saveDefinition(definition) {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять правила оценки может только администратор');
+      }
+
+      const saved = await ScoringService.saveDefinition(definition);
+      this.eventBus.emit('notification:success', 'Правила оценки сохранены');
+      return saved;
+    } catch (error) {
+      this.handleError(error, 'saveDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Возврат правил по умолчанию
+   * @returns {Promise<Object|null>} Правила
+   */
+  async resetDefinition() {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять правила оценки может только администратор');
+      }
+
+      const definition = await ScoringService.resetDefinition();
+      this.eventBus.emit('notification:success', 'Восстановлены правила оценки по умолчанию');
+      return definition;
+    } catch (error) {
+      this.handleError(error, 'resetDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+}
+
+export default ScoringController;
@@ -0,0 +1,242 @@
+// src/controllers/SecurityController.js
+/**
+ * 🔐 Контроллер безопасности
+ * @description Включение и выключение шифрования данных, смена пароля,
+ * блокировка и разблокировка. Смена ключа или режима перешифровывает
+ * все хранилища одной транзакцией IndexedDB
+ */
+import BaseController from './BaseController.js';
+import CryptoService, {
+  CONFIG_KEY,
+  ENCRYPTION_SCOPES,
+  DEFAULT_AUTO_LOCK_MINUTES
+} from '../services/CryptoService.js';
+import StorageEngine from '../stores/StorageEngine.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import ShiftWorkerStore from '../stores/ShiftWorkerStore.js';
+import KnowledgeStore from '../stores/KnowledgeStore.js';
+import MailingStore from '../stores/MailingStore.js';
+import AuditLogStore from '../stores/AuditLogStore.js';
+import ArchiveStore from '../stores/ArchiveStore.js';
+import DocumentFileStore from '../stores/DocumentFileStore.js';
+import AppointmentStore from '../stores/AppointmentStore.js';
+import AttachmentStore from '../stores/AttachmentStore.js';
+import TimelineStore from '../stores/TimelineStore.js';
+import HandoffStore from '../stores/HandoffStore.js';
+import CheckpointLogStore from '../stores/CheckpointLogStore.js';
+
+class SecurityController extends BaseController {
+  constructor() {
+    super();
+
+    // Хранилища, данные которых шифруются
+    this.stores = [
+      CandidateStore, ShiftWorkerStore, KnowledgeStore, MailingStore, AuditLogStore, ArchiveStore,
+      DocumentFileStore, AppointmentStore, AttachmentStore, TimelineStore, HandoffStore,
+      CheckpointLogStore
+    ];
+  }
+
+  /**
+   * Состояние шифрования
+   * @returns {Promise<Object>} { supported, enabled, locked, scope }
+   */
+  async getStatus() {
+    await CryptoService.ready;
+    return {
+      supported: CryptoService.isSupported(),
+      enabled: CryptoService.isEnabled(),
+      locked: CryptoService.isLocked(),
+      scope: CryptoService.getScope()
+    };
+  }
+
+  /**
+   * Разблокировка данных
+   * @param {string} passphrase - Пароль
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async unlock(passphrase) {
+    try {
+      await CryptoService.unlock(passphrase);
+      return true;
+    } catch (error) {
+      this.logger.warn(`Не удалось разблокировать данные: ${error.message}`);
+      this.eventBus.emit('notification:error', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Блокировка данных
+   */
+  lock() {
+    CryptoService.lock();
+  }
+
+  /**
+   * Время автоблокировки из настроек
+   * @param {number} minutes - Минут бездействия, 0 - без автоблокировки
+   */
+  setAutoLock(minutes = DEFAULT_AUTO_LOCK_MINUTES) {
+    CryptoService.setAutoLock(minutes);
+  }
+
+  /**
+   * Включение шифрования
+   * @param {string} passphrase - Новый пароль
+   * @param {string} scope - Что шифруется (ENCRYPTION_SCOPES)
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async enableEncryption(passphrase, scope = ENCRYPTION_SCOPES.DOCUMENTS) {
+    try {
+      this.setLoading(true);
+      await CryptoService.ready;
+      if (CryptoService.isEnabled()) {
+        throw new Error('Шифрование уже включено');
+      }
+
+      const { config, keys } = await CryptoService.createKeys(passphrase, scope);
+      await this.rewriteAll({ fromKeys: null, toKeys: keys, toScope: config.scope, config });
+
+      this.eventBus.emit('notification:success', 'Шифрование данных включено');
+      return true;
+    } catch (error) {
+      this.handleError(error, 'enableEncryption');
+      return false;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Смена пароля: данные перешифровываются новым ключом
+   * @param {string} currentPassphrase - Текущий пароль
+   * @param {string} newPassphrase - Новый пароль
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    try {
+      this.setLoading(true);
+      const fromKeys = await CryptoService.checkPassphrase(currentPassphrase);
+      const { config, keys } = await CryptoService.createKeys(newPassphrase, CryptoService.getScope());
+      await this.rewriteAll({ fromKeys, toKeys: keys, toScope: config.scope, config });
+
+      this.eventBus.emit('notification:success', 'Пароль шифрования изменен');
+      return true;
+    } catch (error) {
+      this.handleError(error, 'changePassphrase');
+      return false;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Смена режима: только документы или все неиндексируемые поля
+   * @param {string} passphrase - Текущий пароль
+   * @param {string} scope - Новый режим (ENCRYPTION_SCOPES)
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async changeScope(passphrase, scope) {
+    try {
+      this.setLoading(true);
+      const keys = await CryptoService.checkPassphrase(passphrase);
+      const config = { ...CryptoService.config, scope, updatedAt: new Date().toISOString() };
+      await this.rewriteAll({ fromKeys: keys, toKeys: keys, toScope: scope, config });
+
+      this.eventBus.emit('notification:success', 'Режим шифрования изменен');
+      return true;
+    } catch (error) {
+      this.handleError(error, 'changeScope');
+      return false;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Выключение шифрования: данные расшифровываются и хранятся открыто
+   * @param {string} passphrase - Текущий пароль
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async disableEncryption(passphrase) {
+    try {
+      this.setLoading(true);
+      const fromKeys = await CryptoService.checkPassphrase(passphrase);
+      await this.rewriteAll({ fromKeys, toKeys: null, toScope: null, config: null });
+
+      this.eventBus.emit('notification:success', 'Шифрование данных выключено');
+      return true;
+    } catch (error) {
+      this.handleError(error, 'disableEncryption');
+      return false;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Перезапись всех хранилищ новым ключом или в новом режиме
+   * @description Записи расшифровываются и шифруются заново в памяти, затем
+   * записываются вместе с новыми настройками одной транзакцией. Если за это время
+   * записи изменились, транзакция отменяется: иначе изменения были бы потеряны
+   * или зашифрованы старым ключом
+   * @param {Object} params - Параметры
+   * @param {Object|null} params.fromKeys - Текущие ключи (null - данные не зашифрованы)
+   * @param {Object|null} params.toKeys - Новые ключи (null - расшифровать)
+   * @param {string|null} params.toScope - Новый режим (null - расшифровать)
+   * @param {Object|null} params.config - Новые настройки шифрования для таблицы meta
+   * @returns {Promise<void>}
+   */
+  async rewriteAll({ fromKeys, toKeys, toScope, config }) {
+    await Promise.all(this.stores.map(store => store.ready));
+
+    const snapshots = [];
+    for (const store of this.stores) {
+      const records = await store.table.toArray();
+      const rewritten = [];
+
+      for (const record of records) {
+        const plain = await store.decryptRecord(record, fromKeys);
+        rewritten.push(await store.encryptRecord(plain, { keys: toKeys, scope: toScope }));
+      }
+
+      snapshots.push({ store, records, rewritten });
+    }
+
+    const meta = StorageEngine.table('meta');
+    const tables = [...this.stores.map(store => store.table), meta];
+
+    await StorageEngine.db.transaction('rw', tables, async () => {
+      for (const { store, records, rewritten } of snapshots) {
+        const current = await store.table.bulkGet(records.map(record => record.id));
+        const isChanged = (await store.table.count()) !== records.length ||
+          current.some((record, index) => (
+            !record ||
+            record.version !== records[index].version ||
+            record.updatedAt !== records[index].updatedAt
+          ));
+
+        if (isChanged) {
+          throw new Error('Данные изменились во время перешифрования, повторите попытку');
+        }
+
+        await store.table.bulkPut(rewritten);
+      }
+
+      if (config) {
+        await meta.put(config);
+      } else {
+        await meta.delete(CONFIG_KEY);
+      }
+    });
+
+    CryptoService.activate(config, toKeys);
+
+    const total = snapshots.reduce((sum, { records }) => sum + records.length, 0);
+    this.logger.info(`Перешифровано записей: ${total}`);
+  }
+}
+
+export default SecurityController;
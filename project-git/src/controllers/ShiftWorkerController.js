@@ -6,13 +6,17 @@
 import BaseController from './BaseController.js';
 import ShiftWorkerModel from '../models/ShiftWorkerModel.js';
 import ShiftWorkerStore from '../stores/ShiftWorkerStore.js';
+import CheckpointLogStore from '../stores/CheckpointLogStore.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
 import WhatsAppService from '../services/WhatsAppService.js';
 import NotificationService from '../services/NotificationService.js';
+import ExportService, { EXPORT_ENTITIES } from '../services/ExportService.js';
 
 class ShiftWorkerController extends BaseController {
   constructor() {
     super();
     this.store = ShiftWorkerStore;
+    this.checkpointLog = CheckpointLogStore;
     this.whatsAppService = WhatsAppService;
     this.notificationService = NotificationService;
     
@@ -35,7 +39,7 @@ class ShiftWorkerController extends BaseController {
   async getAllShiftWorkers() {
     try {
       this.setLoading(true);
-      const workers = await this.store.getAll();
+      const { items: workers } = await this.store.query({ sort: [['name', 'asc']] });
       const stats = await this.store.getStatistics();
       
       // Проверяем просроченные КТ для каждого
@@ -135,7 +139,7 @@ class ShiftWorkerController extends BaseController {
       
       if (success) {
         this.eventBus.emit('shiftWorker:deleted', workerId);
-        this.eventBus.emit('notification:success', 'Вахтовик удален');
+        this.eventBus.emit('notification:success', 'Вахтовик перемещен в корзину');
       }
       
       return success;
@@ -161,6 +165,9 @@ class ShiftWorkerController extends BaseController {
       const updated = await this.store.updateCheckpoint(workerId, {
         checkpoint,
         date
+      }, {
+        channel: AUDIT_CHANNELS.UI,
+        user: this.authController.getCurrentUser().name
       });
       
       this.logger.info(`Установлена КТ "${checkpoint}" для вахтовика ${updated.name}`);
@@ -198,7 +205,8 @@ class ShiftWorkerController extends BaseController {
 С уважением,
 СО`;
 
-      await this.whatsAppService.sendMessage(worker.chatId, message);
+      const success = await this.whatsAppService.sendMessage(worker.chatId, message);
+      await this.checkpointLog.recordMessage(worker.id, 'notification', success);
       this.logger.info(`Отправлено уведомление о КТ вахтовику ${worker.name}`);
     } catch (error) {
       this.logger.error('Ошибка отправки уведомления о КТ', error);
@@ -226,6 +234,12 @@ class ShiftWorkerController extends BaseController {
 Пожалуйста, подтвердите прохождение КТ.`;
 
       const success = await this.whatsAppService.sendMessage(worker.chatId, message);
+      await this.checkpointLog.recordMessage(workerId, 'reminder', success);
+      await this.checkpointLog.recordAction(
+        workerId,
+        success ? 'Отправлено напоминание' : 'Напоминание не доставлено',
+        this.authController.getCurrentUser().name
+      );
       
       if (success) {
         this.eventBus.emit('notification:success', 'Напоминание отправлено');
@@ -248,7 +262,9 @@ class ShiftWorkerController extends BaseController {
     try {
       const { workerId, response } = data;
       
-      const updated = await this.store.updateCheckpoint(workerId, { response });
+      const updated = await this.store.updateCheckpoint(workerId, { response }, {
+        channel: AUDIT_CHANNELS.WHATSAPP
+      });
       
       this.logger.info(`Получен ответ на КТ от ${updated.name}: ${response}`);
       
@@ -273,7 +289,9 @@ class ShiftWorkerController extends BaseController {
       
       for (const worker of overdueWorkers) {
         // Отмечаем КТ как пропущенную
-        await this.store.updateCheckpoint(worker.id, { missed: true });
+        await this.store.updateCheckpoint(worker.id, { missed: true }, {
+          channel: AUDIT_CHANNELS.SYSTEM
+        });
         
         // Уведомляем СО
         this.notificationService.showMissedCheckpointNotification(worker);
@@ -330,6 +348,49 @@ class ShiftWorkerController extends BaseController {
     }
   }
 
+  /**
+   * Действие СО по текущей КТ вахтовика
+   * @param {string} workerId - ID вахтовика
+   * @param {string} text - Что сделано
+   * @returns {Promise<Object|null>} Обновленная запись журнала
+   */
+  async recordCheckpointAction(workerId, text) {
+    try {
+      if (!text || !text.trim()) {
+        throw new Error('Опишите действие');
+      }
+
+      const entry = await this.checkpointLog.recordAction(
+        workerId,
+        text.trim(),
+        this.authController.getCurrentUser().name
+      );
+      if (!entry) {
+        throw new Error('У вахтовика нет КТ, ожидающей ответа');
+      }
+
+      this.eventBus.emit('checkpoint:actionRecorded', { workerId, entry });
+      return entry;
+    } catch (error) {
+      this.handleError(error, 'recordCheckpointAction');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Соблюдение КТ по объектам
+   * @returns {Promise<Array>} [{ object, total, answered, missed, pending, rate }]
+   */
+  async getCheckpointCompliance() {
+    try {
+      return await this.checkpointLog.getComplianceByObject();
+    } catch (error) {
+      this.handleError(error, 'getCheckpointCompliance');
+      return [];
+    }
+  }
+
   /**
    * Массовая установка КТ
    * @param {Array} workerIds - ID вахтовиков
@@ -375,48 +436,14 @@ class ShiftWorkerController extends BaseController {
 
   /**
    * Экспорт данных вахтовиков
+   * @description Прежний набор колонок; выбор полей, фильтров и формата - ExportController
    * @returns {Promise<string>} CSV данные
    */
   async exportToCSV() {
     try {
-      const workers = await this.store.getAll();
-      
-      const headers = [
-        'ID',
-        'ФИО',
-        'Телефон',
-        'Объект',
-        'Должность',
-        'Статус',
-        'Текущая КТ',
-        'Дата КТ',
-        'Статус КТ',
-        'Ответ на КТ',
-        'Комментарий СО',
-        'Дата создания'
-      ];
-      
-      const rows = workers.map(w => [
-        w.id,
-        w.name,
-        w.phone,
-        w.object,
-        w.position || '',
-        w.status,
-        w.currentCheckpoint || '',
-        w.checkpointDate ? new Date(w.checkpointDate).toLocaleDateString('ru-RU') : '',
-        w.checkpointStatus || '',
-        w.checkpointResponse || '',
-        w.soComment || '',
-        new Date(w.createdAt).toLocaleDateString('ru-RU')
-      ]);
-      
-      const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-      ].join('\n');
-      
-      return csvContent;
+      const { items } = await this.store.query({ sort: [['createdAt', 'asc']] });
+      const fields = ExportService.getFields('shiftWorkers', EXPORT_ENTITIES.shiftWorkers.defaultFields);
+      return ExportService.toCSV(ExportService.buildTable(items, fields, 'date'));
     } catch (error) {
       this.handleError(error, 'exportToCSV');
       return '';
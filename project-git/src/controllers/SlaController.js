@@ -0,0 +1,147 @@
+// src/controllers/SlaController.js
+/**
+ * ⏱️ Контроллер сроков реакции (SLA)
+ * @description Настройка рабочего календаря и порогов молчания и передачи,
+ * импорт производственного календаря и обратный отсчет сроков кандидатов.
+ * Изменять правила может только администратор
+ */
+import BaseController from './BaseController.js';
+import SlaService, { parseHolidayCalendar } from '../services/SlaService.js';
+import CandidateStore from '../stores/CandidateStore.js';
+
+class SlaController extends BaseController {
+  constructor() {
+    super();
+    this.store = CandidateStore;
+  }
+
+  /**
+   * Проекты кандидатов
+   * @returns {Promise<Array<string>>} Проекты
+   */
+  async getProjects() {
+    try {
+      const projects = await this.store.getDistinctValues('project');
+      return projects.filter(Boolean).sort();
+    } catch (error) {
+      this.handleError(error, 'getProjects');
+      return [];
+    }
+  }
+
+  /**
+   * Правила SLA
+   * @returns {Promise<Object>} Правила
+   */
+  async getDefinition() {
+    await SlaService.ready;
+    return SlaService.getDefinition();
+  }
+
+  /**
+   * Сохранение правил SLA
+   * @param {Object} definition - Правила
+   * @returns {Promise<Object|null>} Сохраненные правила
+   */
+  async saveDefinition(definition) {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять сроки SLA может только администратор');
+      }
+
+      const saved = await SlaService.saveDefinition(definition);
+      this.eventBus.emit('notification:success', 'Сроки SLA сохранены');
+      return saved;
+    } catch (error) {
+      this.handleError(error, 'saveDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Возврат правил по умолчанию
+   * @returns {Promise<Object|null>} Правила
+   */
+  async resetDefinition() {
+    try {
+      this.setLoading(true);
+      if (!this.canEdit()) {
+        throw new Error('Изменять сроки SLA может только администратор');
+      }
+
+      const definition = await SlaService.resetDefinition();
+      this.eventBus.emit('notification:success', 'Восстановлены сроки SLA по умолчанию');
+      return definition;
+    } catch (error) {
+      this.handleError(error, 'resetDefinition');
+      this.eventBus.emit('notification:error', error.message);
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Импорт производственного календаря
+   * @description Даты годов из файла заменяют прежние даты этих годов;
+   * правила не сохраняются, пока их не сохранит пользователь
+   * @param {File} file - CSV производственного календаря или список дат
+   * @param {Object} definition - Редактируемые правила
+   * @returns {Promise<Object|null>} Правила с датами из файла
+   */
+  async importCalendar(file, definition) {
+    try {
+      const { holidays, workingWeekends, years } = parseHolidayCalendar(await file.text(), definition.workDays);
+      const keep = (list) => list.filter(day => !years.includes(Number(day.slice(0, 4))));
+
+      this.eventBus.emit('notification:success',
+        `Календарь загружен: ${years.join(', ')}. Праздников: ${holidays.length}, рабочих выходных: ${workingWeekends.length}`);
+      return {
+        ...definition,
+        holidays: [...keep(definition.holidays), ...holidays].sort(),
+        workingWeekends: [...keep(definition.workingWeekends), ...workingWeekends].sort()
+      };
+    } catch (error) {
+      this.handleError(error, 'importCalendar');
+      this.eventBus.emit('notification:error', `Не удалось загрузить календарь: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Обратный отсчет до срока кандидата
+   * @param {Object} candidate - Кандидат
+   * @param {Date} now - Текущее время
+   * @returns {Object|null} { stage, deadline, remainingHours, overdue }
+   */
+  getCountdown(candidate, now = new Date()) {
+    return SlaService.getCountdown(candidate, now);
+  }
+
+  /**
+   * Активные кандидаты, которые скоро будут считаться молчащими
+   * @param {number} withinHours - Рабочих часов до срока
+   * @returns {Promise<Array>} [{ candidate, countdown }], ближайшие сроки первыми
+   */
+  async getUpcomingSilent(withinHours = 2) {
+    try {
+      await SlaService.ready;
+      const { items } = await this.store.query({ where: { status: 'Активен' } });
+      const now = new Date();
+
+      return items
+        .map(candidate => ({ candidate, countdown: SlaService.getCountdown(candidate, now) }))
+        .filter(({ countdown }) => countdown && !countdown.overdue && countdown.remainingHours <= withinHours)
+        .sort((a, b) => new Date(a.countdown.deadline) - new Date(b.countdown.deadline));
+    } catch (error) {
+      this.handleError(error, 'getUpcomingSilent');
+      return [];
+    }
+  }
+}
+
+export default SlaController;
@@ -0,0 +1,221 @@
+// src/controllers/StorageController.js
+/**
+ * 💽 Контроллер хранилища
+ * @description Отчет о занятом месте и сжатие данных: сокращение истории
+ * активности, перенос старых архивных кандидатов в сжатый архив, очистка логов
+ */
+import BaseController from './BaseController.js';
+import StorageHealthService from '../services/StorageHealthService.js';
+import BaseStore from '../stores/BaseStore.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import ArchiveStore from '../stores/ArchiveStore.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+
+/**
+ * Параметры сжатия по умолчанию
+ */
+export const DEFAULT_COMPACTION = {
+  // Сколько последних событий истории активности оставлять у кандидата
+  activityHistoryLimit: 20,
+  // Через сколько месяцев без изменений кандидаты в статусах Архив/Отказ уходят в архив
+  archiveAfterMonths: 6,
+  // Сколько дней хранить логи приложения
+  logRetentionDays: 7
+};
+
+// Статусы кандидатов, которые можно перенести в архив
+const ARCHIVABLE_STATUSES = ['Архив', 'Отказ'];
+
+class StorageController extends BaseController {
+  /**
+   * Отчет о хранилище
+   * @returns {Promise<Object|null>} { status, stores, localStorage }
+   */
+  async getReport() {
+    try {
+      return await StorageHealthService.getReport();
+    } catch (error) {
+      this.handleError(error, 'getReport');
+      return null;
+    }
+  }
+
+  /**
+   * Сжатие данных
+   * @param {Object} options - Параметры (см. DEFAULT_COMPACTION)
+   * @returns {Promise<Object|null>} { trimmed, archived, logsRemoved }
+   */
+  async compact(options = {}) {
+    const { activityHistoryLimit, archiveAfterMonths, logRetentionDays } = {
+      ...DEFAULT_COMPACTION,
+      ...options
+    };
+
+    try {
+      this.setLoading(true);
+
+      const result = {
+        trimmed: await this.trimActivityHistory(activityHistoryLimit),
+        archived: await this.archiveCandidates(archiveAfterMonths),
+        logsRemoved: this.pruneLogs(logRetentionDays)
+      };
+
+      await StorageHealthService.check();
+      this.eventBus.emit('storage:compacted', result);
+      this.eventBus.emit(
+        'notification:success',
+        `Данные сжаты: история сокращена у ${result.trimmed}, в архив перенесено ${result.archived}, удалено логов ${result.logsRemoved}`
+      );
+      return result;
+    } catch (error) {
+      this.handleError(error, 'compact');
+      return null;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Сокращение истории активности кандидатов
+   * @param {number} limit - Сколько последних событий оставлять
+   * @returns {Promise<number>} Количество измененных кандидатов
+   */
+  async trimActivityHistory(limit) {
+    const candidates = await CandidateStore.find(candidate => (
+      Array.isArray(candidate.activityHistory) && candidate.activityHistory.length > limit
+    ));
+    if (candidates.length === 0) {
+      return 0;
+    }
+
+    await CandidateStore.transaction(async tx => {
+      for (const candidate of candidates) {
+        await tx.update(candidate.id, { activityHistory: candidate.activityHistory.slice(-limit) });
+      }
+    }, { channel: AUDIT_CHANNELS.SYSTEM, undoable: false });
+
+    return candidates.length;
+  }
+
+  /**
+   * Перенос старых кандидатов в статусах Архив/Отказ в сжатый архив
+   * @description Архив и удаление кандидатов записываются одной транзакцией
+   * @param {number} months - Сколько месяцев кандидат не менялся
+   * @returns {Promise<number>} Количество перенесенных кандидатов
+   */
+  async archiveCandidates(months) {
+    const cutoffDate = new Date();
+    cutoffDate.setMonth(cutoffDate.getMonth() - months);
+
+    const { items } = await CandidateStore.query({
+      where: {
+        status: { $in: ARCHIVABLE_STATUSES },
+        updatedAt: { $lt: cutoffDate.toISOString() }
+      }
+    });
+    if (items.length === 0) {
+      return 0;
+    }
+
+    const archive = await ArchiveStore.buildArchive(
+      CandidateStore.storeName,
+      items,
+      `Кандидаты в статусах ${ARCHIVABLE_STATUSES.join('/')} без изменений более ${months} мес.`
+    );
+
+    // Журнал не пишется: записи сохраняются в архиве целиком, а связанные
+    // с ними данные остаются до восстановления
+    await CandidateStore.transaction(async tx => {
+      await tx.store(ArchiveStore).create(archive);
+      for (const candidate of items) {
+        await tx.purge(candidate.id);
+      }
+    }, { channel: AUDIT_CHANNELS.SYSTEM, undoable: false, audit: false, archive: true });
+
+    this.logger.info(`В архив перенесено кандидатов: ${items.length}`);
+    return items.length;
+  }
+
+  /**
+   * Очистка логов приложения
+   * @param {number} days - Сколько дней хранить логи
+   * @returns {number} Количество удаленных записей
+   */
+  pruneLogs(days) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+    return this.logger.cleanup(cutoffDate);
+  }
+
+  /**
+   * Список архивов
+   * @returns {Promise<Array>} Архивы без содержимого
+   */
+  async getArchives() {
+    try {
+      return await ArchiveStore.getSummaries();
+    } catch (error) {
+      this.handleError(error, 'getArchives');
+      return [];
+    }
+  }
+
+  /**
+   * Восстановление записей из архива в исходное хранилище
+   * @description Записи, которые уже есть в хранилище, не перезаписываются
+   * @param {string} archiveId - ID архива
+   * @returns {Promise<number>} Количество восстановленных записей
+   */
+  async restoreArchive(archiveId) {
+    try {
+      this.setLoading(true);
+
+      const archive = await ArchiveStore.getById(archiveId);
+      if (!archive) {
+        throw new Error('Архив не найден');
+      }
+
+      const records = await ArchiveStore.readArchive(archive);
+      const store = BaseStore.getStore(archive.storeName);
+      let restored = 0;
+
+      await store.transaction(async tx => {
+        for (const record of records) {
+          if (!(await tx.getById(record.id))) {
+            await tx.create(record);
+            restored++;
+          }
+        }
+        await tx.store(ArchiveStore).purge(archive.id);
+      }, { channel: AUDIT_CHANNELS.UI, undoable: false });
+
+      this.eventBus.emit('storage:compacted', { restored });
+      this.eventBus.emit('notification:success', `Из архива восстановлено записей: ${restored}`);
+      return restored;
+    } catch (error) {
+      this.handleError(error, 'restoreArchive');
+      return 0;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Удаление архива
+   * @param {string} archiveId - ID архива
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async deleteArchive(archiveId) {
+    try {
+      await ArchiveStore.purge(archiveId, { channel: AUDIT_CHANNELS.UI });
+      this.eventBus.emit('storage:compacted', { deleted: archiveId });
+      this.eventBus.emit('notification:success', 'Архив удален');
+      return true;
+    } catch (error) {
+      this.handleError(error, 'deleteArchive');
+      return false;
+    }
+  }
+}
+
+export default StorageController;
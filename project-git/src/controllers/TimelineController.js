@@ -0,0 +1,68 @@
+// src/controllers/TimelineController.js
+/**
+ * 🕓 Контроллер хронологии кандидата
+ * @description Общая лента событий кандидата и ее выгрузка в PDF
+ * для передачи на первую линию
+ */
+import BaseController from './BaseController.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import TimelineService from '../services/TimelineService.js';
+
+class TimelineController extends BaseController {
+  /**
+   * Хронология кандидата
+   * @param {string} candidateId - ID кандидата
+   * @returns {Promise<Array<Object>>} События, новые первыми
+   */
+  async getTimeline(candidateId) {
+    try {
+      const candidate = await CandidateStore.getById(candidateId);
+      if (!candidate) {
+        throw new Error('Кандидат не найден');
+      }
+      return await TimelineService.getTimeline(candidate);
+    } catch (error) {
+      this.handleError(error, 'getTimeline');
+      this.eventBus.emit('notification:error', 'Не удалось загрузить хронологию');
+      return [];
+    }
+  }
+
+  /**
+   * Выгрузка хронологии в PDF
+   * @description Хронология открывается в окне печати браузера, где ее
+   * можно сохранить в PDF; отдельная библиотека для PDF не нужна
+   * @param {Object} candidate - Кандидат
+   * @param {Array<Object>} entries - События (с учетом фильтра)
+   * @returns {boolean} Открыто ли окно печати
+   */
+  exportPdf(candidate, entries) {
+    try {
+      const frame = document.createElement('iframe');
+      frame.style.position = 'fixed';
+      frame.style.width = '0';
+      frame.style.height = '0';
+      frame.style.border = '0';
+      document.body.appendChild(frame);
+
+      const printDocument = frame.contentWindow.document;
+      printDocument.open();
+      printDocument.write(TimelineService.buildPrintHtml(candidate, entries));
+      printDocument.close();
+
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      // Окно печати модальное: после его закрытия фрейм больше не нужен
+      setTimeout(() => frame.remove(), 1000);
+
+      this.eventBus.emit('timeline:exported', { candidateId: candidate.id, count: entries.length });
+      return true;
+    } catch (error) {
+      this.handleError(error, 'exportPdf');
+      this.eventBus.emit('notification:error', 'Не удалось подготовить PDF');
+      return false;
+    }
+  }
+}
+
+export default TimelineController;
@@ -0,0 +1,178 @@
+// src/controllers/TrashController.js
+/**
+ * 🗑️ Контроллер корзины
+ * @description Просмотр удаленных записей, восстановление, окончательное удаление
+ * и автоматическая очистка корзины по сроку хранения
+ */
+import BaseController from './BaseController.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import ShiftWorkerStore from '../stores/ShiftWorkerStore.js';
+import KnowledgeStore from '../stores/KnowledgeStore.js';
+import MailingStore from '../stores/MailingStore.js';
+import { AUDIT_CHANNELS } from '../stores/AuditLogStore.js';
+
+// Срок хранения записей в корзине по умолчанию (дней)
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+class TrashController extends BaseController {
+  constructor() {
+    super();
+
+    // Разделы корзины: хранилище, название и заголовок записи
+    this.sections = [
+      { store: CandidateStore, label: 'Кандидаты', getTitle: item => item.name },
+      { store: ShiftWorkerStore, label: 'Вахтовики', getTitle: item => item.name },
+      { store: KnowledgeStore, label: 'База знаний', getTitle: item => item.title },
+      { store: MailingStore, label: 'Рассылки', getTitle: item => item.name || item.message }
+    ];
+  }
+
+  /**
+   * Срок хранения записей в корзине из настроек приложения
+   * @returns {number} Срок хранения в днях
+   */
+  getRetentionDays() {
+    try {
+      const settings = JSON.parse(localStorage.getItem('hr-assistant-settings') || '{}');
+      return settings.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+    } catch (error) {
+      return DEFAULT_TRASH_RETENTION_DAYS;
+    }
+  }
+
+  /**
+   * Получение раздела по названию хранилища
+   * @param {string} storeName - Название хранилища
+   * @returns {Object} Раздел корзины
+   */
+  getSection(storeName) {
+    const section = this.sections.find(({ store }) => store.storeName === storeName);
+    if (!section) {
+      throw new Error(`Хранилище ${storeName} не поддерживает корзину`);
+    }
+    return section;
+  }
+
+  /**
+   * Получение содержимого корзины
+   * @returns {Promise<Array>} Разделы { storeName, label, items: [{ id, title, deletedAt }] }
+   */
+  async getDeletedRecords() {
+    try {
+      return await Promise.all(this.sections.map(async ({ store, label, getTitle }) => {
+        const { items } = await store.getDeleted();
+        return {
+          storeName: store.storeName,
+          label,
+          items: items.map(item => ({
+            id: item.id,
+            title: getTitle(item) || 'Без названия',
+            deletedAt: item.deletedAt
+          }))
+        };
+      }));
+    } catch (error) {
+      this.handleError(error, 'getDeletedRecords');
+      return [];
+    }
+  }
+
+  /**
+   * Восстановление записи
+   * @param {string} storeName - Название хранилища
+   * @param {string} id - ID записи
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async restore(storeName, id) {
+    try {
+      const restored = await this.getSection(storeName).store.restore(id);
+      if (restored) {
+        this.eventBus.emit('trash:changed');
+        this.eventBus.emit('notification:success', 'Запись восстановлена');
+      }
+      return restored;
+    } catch (error) {
+      this.handleError(error, 'restore');
+      return false;
+    }
+  }
+
+  /**
+   * Окончательное удаление записи
+   * @param {string} storeName - Название хранилища
+   * @param {string} id - ID записи
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async purge(storeName, id) {
+    try {
+      const purged = await this.getSection(storeName).store.purge(id);
+      if (purged) {
+        this.eventBus.emit('trash:changed');
+        this.eventBus.emit('notification:success', 'Запись удалена окончательно');
+      }
+      return purged;
+    } catch (error) {
+      this.handleError(error, 'purge');
+      return false;
+    }
+  }
+
+  /**
+   * Очистка всей корзины
+   * @returns {Promise<number>} Количество удаленных записей
+   */
+  async emptyTrash() {
+    try {
+      this.setLoading(true);
+
+      // Все, что попало в корзину до текущего момента
+      const purged = await this.purgeDeletedBefore(new Date(), { channel: AUDIT_CHANNELS.UI });
+
+      this.eventBus.emit('trash:changed');
+      this.eventBus.emit('notification:success', `Корзина очищена, удалено записей: ${purged}`);
+      return purged;
+    } catch (error) {
+      this.handleError(error, 'emptyTrash');
+      return 0;
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Удаление записей, которые лежат в корзине дольше срока хранения
+   * @param {number} retentionDays - Срок хранения в днях
+   * @returns {Promise<number>} Количество удаленных записей
+   */
+  async purgeExpired(retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+      const purged = await this.purgeDeletedBefore(cutoffDate, { channel: AUDIT_CHANNELS.SYSTEM });
+      if (purged > 0) {
+        this.logger.info(`Автоочистка корзины: удалено записей ${purged}`);
+        this.eventBus.emit('trash:changed');
+      }
+      return purged;
+    } catch (error) {
+      this.handleError(error, 'purgeExpired');
+      return 0;
+    }
+  }
+
+  /**
+   * Окончательное удаление записей из корзины во всех разделах
+   * @param {Date} before - Дата перемещения в корзину
+   * @param {Object} context - Контекст для журнала изменений { channel }
+   * @returns {Promise<number>} Количество удаленных записей
+   */
+  async purgeDeletedBefore(before, context) {
+    const counts = await Promise.all(
+      this.sections.map(({ store }) => store.purgeDeletedBefore(before, context))
+    );
+    return counts.reduce((sum, count) => sum + count, 0);
+  }
+}
+
+export default TrashController;
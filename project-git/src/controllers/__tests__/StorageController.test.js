@@ -0,0 +1,92 @@
+// src/controllers/__tests__/StorageController.test.js
+/**
+ * Перенос кандидатов в архив и восстановление
+ */
+import StorageController from '../StorageController.js';
+import CandidateStore from '../../stores/CandidateStore.js';
+import AppointmentStore, { APPOINTMENT_STATUSES } from '../../stores/AppointmentStore.js';
+import HandoffStore, { HANDOFF_STATUSES } from '../../stores/HandoffStore.js';
+import ArchiveStore from '../../stores/ArchiveStore.js';
+import AuditLogStore from '../../stores/AuditLogStore.js';
+
+// Интеграция с WhatsApp в этих тестах не участвует
+jest.mock('../../services/WhatsAppService.js', () => ({ __esModule: true, default: {} }));
+
+const CANDIDATE = {
+  id: 'candidate-1',
+  name: 'Иванов Иван',
+  phone: '+79990001122',
+  status: 'Архив',
+  project: 'Проект',
+  version: 1,
+  createdAt: '2025-01-10T09:00:00.000Z',
+  updatedAt: '2025-01-10T09:00:00.000Z'
+};
+
+const APPOINTMENT = {
+  id: 'appointment-1',
+  candidateId: CANDIDATE.id,
+  type: 'interview',
+  status: APPOINTMENT_STATUSES.COMPLETED,
+  startsAt: '2025-01-09T09:00:00.000Z',
+  version: 1,
+  createdAt: '2025-01-05T09:00:00.000Z',
+  updatedAt: '2025-01-09T12:00:00.000Z'
+};
+
+const HANDOFF = {
+  id: 'handoff-1',
+  candidateId: CANDIDATE.id,
+  status: HANDOFF_STATUSES.CLOSED,
+  version: 1,
+  createdAt: '2025-01-08T09:00:00.000Z',
+  updatedAt: '2025-01-08T12:00:00.000Z'
+};
+
+// Обработчики transaction:committed работают асинхронно
+const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('StorageController: архив кандидатов', () => {
+  let controller;
+
+  beforeEach(async () => {
+    await Promise.all([
+      CandidateStore.ready,
+      AppointmentStore.ready,
+      HandoffStore.ready,
+      ArchiveStore.ready,
+      AuditLogStore.ready
+    ]);
+    await Promise.all([
+      CandidateStore.table.clear(),
+      AppointmentStore.table.clear(),
+      HandoffStore.table.clear(),
+      ArchiveStore.table.clear(),
+      AuditLogStore.table.clear()
+    ]);
+    await CandidateStore.table.put({ ...CANDIDATE });
+    await AppointmentStore.table.put({ ...APPOINTMENT });
+    await HandoffStore.table.put({ ...HANDOFF });
+
+    controller = new StorageController();
+  });
+
+  test('встречи и передачи кандидата сохраняются в архиве и доступны после восстановления', async () => {
+    expect(await controller.archiveCandidates(6)).toBe(1);
+    await flush();
+
+    expect(await CandidateStore.table.get(CANDIDATE.id)).toBeUndefined();
+    expect(await AppointmentStore.table.get(APPOINTMENT.id)).toBeDefined();
+    expect(await HandoffStore.table.get(HANDOFF.id)).toBeDefined();
+
+    const [archive] = await controller.getArchives();
+    expect(await controller.restoreArchive(archive.id)).toBe(1);
+    await flush();
+
+    expect(await CandidateStore.getById(CANDIDATE.id)).toMatchObject({ name: CANDIDATE.name });
+    const appointments = await AppointmentStore.getForCandidate(CANDIDATE.id);
+    expect(appointments.map(({ id }) => id)).toEqual([APPOINTMENT.id]);
+    const handoffs = await HandoffStore.getForCandidate(CANDIDATE.id);
+    expect(handoffs.map(({ id }) => id)).toEqual([HANDOFF.id]);
+  });
+});
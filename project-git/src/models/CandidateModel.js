@@ -5,6 +5,147 @@
  */
 import BaseModel from './BaseModel';
 import ValidationModel from './ValidationModel';
+import PipelineService, { CANDIDATE_STATUSES } from '@services/PipelineService';
+import { DOCUMENT_TYPES, DOCUMENT_STATUSES } from '@services/DocumentService';
+import SlaService from '@services/SlaService';
+import {
+  createComment,
+  updateCommentText,
+  setCommentPinned,
+  mergeLegacyComments
+} from '@services/CommentService';
+
+// Допустимое число опечаток в ФИО при поиске дублей
+const NAME_TYPO_LIMIT = 2;
+
+/**
+ * Приведение ФИО к виду для сравнения: регистр, "ё" и порядок слов не важны
+ * @param {string} name - ФИО
+ * @returns {string} Нормализованное ФИО
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^a-zа-я\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+/**
+ * Расстояние Левенштейна между строками
+ * @param {string} a - Первая строка
+ * @param {string} b - Вторая строка
+ * @returns {number} Число вставок, удалений и замен
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Дата без времени для сравнения
+ * @param {string} value - Дата
+ * @returns {string|null} Дата в формате ГГГГ-ММ-ДД или исходная строка
+ */
+export function toDateKey(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? String(value).trim() : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Последние 10 цифр телефона: +7 и 8 в начале номера не важны
+ * @param {string} phone - Телефон
+ * @returns {string} Цифры номера
+ */
+export function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Признаки, по которым совпадают два кандидата
+ * @description Телефон, ИНН, СНИЛС и паспорт сравниваются точно,
+ * ФИО - с точностью до опечаток и только при одной дате рождения.
+ * Работает и с записями хранилища, которые не проходят валидацию модели
+ * @param {Object} candidate - Кандидат
+ * @param {Object} other - Другой кандидат
+ * @returns {Array<string>} Признаки: phone, inn, snils, passport, name
+ */
+export function getDuplicateReasons(candidate, other) {
+  if (!candidate || !other || (candidate.id && other.id === candidate.id)) return [];
+
+  const reasons = [];
+  const phone = normalizePhone(candidate.phone);
+
+  if (phone && phone === normalizePhone(other.phone)) reasons.push('phone');
+  if (candidate.inn && candidate.inn === other.inn) reasons.push('inn');
+  if (candidate.snils && candidate.snils === other.snils) reasons.push('snils');
+  if (candidate.passport && candidate.passport === other.passport) reasons.push('passport');
+
+  const birthDate = toDateKey(candidate.birthDate);
+  if (birthDate && birthDate === toDateKey(other.birthDate)) {
+    const name = normalizeName(candidate.name);
+    const otherName = normalizeName(other.name);
+    if (name && otherName && levenshtein(name, otherName) <= NAME_TYPO_LIMIT) {
+      reasons.push('name');
+    }
+  }
+
+  return reasons;
+}
+
+// Поля профиля, по которым считается заполненность
+const PROFILE_FIELDS = [
+  'name', 'phone', 'email', 'project',
+  'inn', 'snils', 'passport', 'birthDate'
+];
+
+/**
+ * Прогресс заполнения профиля
+ * @param {Object} candidate - Кандидат
+ * @returns {Object} { completed, total, percentage, missingFields }
+ */
+export function getCompletionProgress(candidate) {
+  const completed = PROFILE_FIELDS.filter(field => candidate[field]).length;
+  const total = PROFILE_FIELDS.length;
+
+  return {
+    completed,
+    total,
+    percentage: Math.round((completed / total) * 100),
+    missingFields: PROFILE_FIELDS.filter(field => !candidate[field])
+  };
+}
+
+/**
+ * Время от создания кандидата до его ответа
+ * @param {Object} candidate - Кандидат
+ * @returns {number|null} Время ответа в минутах
+ */
+export function getResponseTime(candidate) {
+  if (!candidate.lastReply || !candidate.createdAt) return null;
+
+  const created = new Date(candidate.createdAt);
+  const replied = new Date(candidate.lastReply);
+
+  return Math.round((replied - created) / (1000 * 60));
+}
 
 class CandidateModel extends BaseModel {
   initialize(data) {
@@ -23,12 +164,17 @@ class CandidateModel extends BaseModel {
     this.passportIssuedBy = data.passportIssuedBy || null;
     this.birthPlace = data.birthPlace || null;
     this.registrationAddress = data.registrationAddress || null;
+
+    // Пакет документов: { тип: { status, number, issueDate, expiryDate, fileId, comment } }
+    this.documents = data.documents || {};
+    this.plannedShiftStart = data.plannedShiftStart || null;
     
     // Статус и активность
-    this.status = data.status || 'Новый';
+    this.status = data.status || PipelineService.getInitialStatus();
     this.lastReply = data.lastReply || null;
     this.lastActivity = data.lastActivity || null;
     this.chatId = data.chatId || null;
+    this.telegramId = data.telegramId || null;
     
     // Обработка документов
     this.documentProcessed = data.documentProcessed || false;
@@ -42,9 +188,19 @@ class CandidateModel extends BaseModel {
     this.lastSmsDate = data.lastSmsDate || null;
     this.transferredAt = data.transferredAt || null;
     this.transferReason = data.transferReason || null;
+    this.returnedAt = data.returnedAt || null;
+
+    // Лестница эскалации: { startedAt, status, steps: { id шага: { result, reason, channel, at } } }
+    this.escalation = data.escalation || null;
     
+    // Комментарии: строка старого формата переносится в записи при первом чтении
+    this.comments = mergeLegacyComments(data.comments, data.comment, {
+      withAuthor: true,
+      fallbackDate: this.createdAt
+    });
+    this.comment = '';
+
     // Дополнительная информация
-    this.comment = data.comment || '';
     this.tags = data.tags || [];
     this.priority = data.priority || 'normal';
     this.source = data.source || 'manual';
@@ -56,6 +212,10 @@ class CandidateModel extends BaseModel {
       responseTime: null,
       ...data.stats
     };
+
+    // История
+    this.statusHistory = data.statusHistory || [];
+    this.activityHistory = data.activityHistory || [];
   }
 
   validate() {
@@ -106,11 +266,7 @@ class CandidateModel extends BaseModel {
    * @returns {boolean} Валиден ли статус
    */
   isValidStatus(status) {
-    const validStatuses = [
-      'Новый', 'Активен', 'Молчит', 'Передан', 
-      'Доведен', 'Отказ', 'Архив', 'Заблокирован'
-    ];
-    return validStatuses.includes(status);
+    return PipelineService.isKnownStatus(status);
   }
 
   /**
@@ -125,47 +281,35 @@ class CandidateModel extends BaseModel {
 
   /**
    * Проверка, молчит ли кандидат
-   * @param {number} hours - Количество часов (по умолчанию 8)
+   * @description Считаются только рабочие часы по правилам SLA проекта
+   * @param {Date} now - Текущее время
    * @returns {boolean} Молчит ли кандидат
    */
-  isSilent(hours = 8) {
-    if (!this.lastReply || this.status === 'Молчит') return false;
-    
-    const now = new Date();
-    const lastReply = new Date(this.lastReply);
-    const diffHours = (now - lastReply) / (1000 * 60 * 60);
-    
-    return diffHours >= hours && this.status === 'Активен';
+  isSilent(now = new Date()) {
+    return SlaService.isSilent(this, now);
   }
 
   /**
    * Нужно ли передавать на 1-ю линию
+   * @description Срок передачи отсчитывается в рабочих часах от начала молчания
+   * @param {Date} now - Текущее время
    * @returns {boolean} Нужно ли передавать
    */
-  shouldTransfer() {
-    if (!this.silentSince || this.status !== 'Молчит') return false;
-    
-    const now = new Date();
-    const silentSince = new Date(this.silentSince);
-    
-    // Проверяем, прошло ли время до 18:30 следующего дня
-    const nextDay = new Date(silentSince);
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(18, 30, 0, 0);
-    
-    return now >= nextDay;
+  shouldTransfer(now = new Date()) {
+    return SlaService.shouldTransfer(this, now);
   }
 
   /**
    * Изменение статуса
+   * @description Переход проверяется по описанию воронки: разрешен ли он,
+   * заполнены ли обязательные поля и указана ли причина
    * @param {string} newStatus - Новый статус
    * @param {string} reason - Причина изменения
    * @param {string} changedBy - Кто изменил
+   * @throws {TransitionError} Если переход недопустим
    */
   changeStatus(newStatus, reason = '', changedBy = 'system') {
-    if (!this.isValidStatus(newStatus)) {
-      throw new Error(`Недопустимый статус: ${newStatus}`);
-    }
+    PipelineService.assertTransition(this, newStatus, reason);
     
     const oldStatus = this.status;
     this.status = newStatus;
@@ -243,22 +387,43 @@ class CandidateModel extends BaseModel {
    * Добавление комментария
    * @param {string} comment - Комментарий
    * @param {string} author - Автор комментария
+   * @param {Object} options - Вложения и упоминания (см. createComment)
+   * @returns {Object} Новый комментарий
    */
-  addComment(comment, author = 'system') {
-    const timestamp = new Date().toISOString();
-    const newComment = `[${new Date().toLocaleString('ru-RU')}] ${author}: ${comment}`;
-    
-    this.comment = this.comment ? `${this.comment}\n${newComment}` : newComment;
-    
-    this.update({ comment: this.comment }, author);
+  addComment(comment, author = 'system', options = {}) {
+    const record = createComment(comment, author, options);
+    this.update({ comments: [...this.comments, record] }, author);
+    return record;
+  }
+
+  /**
+   * Правка комментария с сохранением прежнего текста в истории
+   * @param {string} id - ID комментария
+   * @param {string} text - Новый текст
+   * @param {string} editedBy - Кто изменил
+   * @param {Array<string>} mentions - Упомянутые коллеги
+   */
+  editComment(id, text, editedBy = 'system', mentions = []) {
+    this.update({ comments: updateCommentText(this.comments, id, text, editedBy, mentions) }, editedBy);
+  }
+
+  /**
+   * Закрепление комментария
+   * @param {string} id - ID комментария
+   * @param {boolean} pinned - Закрепить или открепить
+   * @param {string} changedBy - Кто изменил
+   */
+  pinComment(id, pinned, changedBy = 'system') {
+    this.update({ comments: setCommentPinned(this.comments, id, pinned) }, changedBy);
   }
 
   /**
    * Обновление данных из OCR
    * @param {Object} ocrData - Данные из OCR
    * @param {number} quality - Качество распознавания (0-100)
+   * @param {string} fileId - ID исходного изображения в DocumentFileStore
    */
-  updateFromOCR(ocrData, quality = null) {
+  updateFromOCR(ocrData, quality = null, fileId = null) {
     const updates = {};
     
     if (ocrData.fullName && !this.name) {
@@ -292,6 +457,24 @@ class CandidateModel extends BaseModel {
     if (ocrData.birthPlace) {
       updates.birthPlace = ocrData.birthPlace;
     }
+
+    // Распознанные документы получены, но еще не проверены рекрутером
+    const recognized = ['passport', 'inn', 'snils'].filter(type => ocrData[type]);
+    if (recognized.length > 0) {
+      updates.documents = { ...this.documents };
+      recognized.forEach(type => {
+        const current = this.documents[type] || {};
+        if (current.status === DOCUMENT_STATUSES.VERIFIED) return;
+        updates.documents[type] = {
+          ...current,
+          status: DOCUMENT_STATUSES.RECEIVED,
+          number: ocrData[type],
+          issueDate: type === 'passport' && ocrData.issueDate ? ocrData.issueDate : current.issueDate || null,
+          fileId: fileId || current.fileId || null,
+          updatedAt: new Date().toISOString()
+        };
+      });
+    }
     
     updates.documentProcessed = true;
     updates.documentError = null;
@@ -308,6 +491,36 @@ class CandidateModel extends BaseModel {
     });
   }
 
+  /**
+   * Изменение документа из пакета
+   * @param {string} type - Тип документа (DOCUMENT_TYPES)
+   * @param {Object} changes - { status, number, issueDate, expiryDate, fileId, comment }
+   * @param {string} changedBy - Кто изменил
+   * @throws {Error} Если тип или статус документа неизвестен
+   */
+  setDocument(type, changes, changedBy = 'system') {
+    if (!DOCUMENT_TYPES[type]) {
+      throw new Error(`Неизвестный тип документа: ${type}`);
+    }
+    if (changes.status && !Object.values(DOCUMENT_STATUSES).includes(changes.status)) {
+      throw new Error(`Недопустимый статус документа: ${changes.status}`);
+    }
+
+    const document = {
+      status: DOCUMENT_STATUSES.MISSING,
+      ...this.documents[type],
+      ...changes,
+      updatedAt: new Date().toISOString(),
+      updatedBy: changedBy
+    };
+    // Новые даты - новая проверка срока действия
+    if (changes.expiryDate !== undefined) {
+      delete document.expiryAlertAt;
+    }
+
+    this.update({ documents: { ...this.documents, [type]: document } }, changedBy);
+  }
+
   /**
    * Установка ошибки OCR
    * @param {string} error - Текст ошибки
@@ -365,12 +578,7 @@ class CandidateModel extends BaseModel {
    * @returns {number|null} Время ответа в минутах
    */
   getResponseTime() {
-    if (!this.lastReply || !this.createdAt) return null;
-    
-    const created = new Date(this.createdAt);
-    const replied = new Date(this.lastReply);
-    
-    return Math.round((replied - created) / (1000 * 60));
+    return getResponseTime(this);
   }
 
   /**
@@ -379,24 +587,16 @@ class CandidateModel extends BaseModel {
    * @returns {boolean} Является ли дубликатом
    */
   isDuplicateOf(other) {
-    if (!other || !(other instanceof CandidateModel)) return false;
-    
-    // Проверяем по телефону
-    const cleanPhone1 = this.phone.replace(/\D/g, '');
-    const cleanPhone2 = other.phone.replace(/\D/g, '');
-    
-    if (cleanPhone1 === cleanPhone2) return true;
-    
-    // Проверяем по ИНН
-    if (this.inn && other.inn && this.inn === other.inn) return true;
-    
-    // Проверяем по СНИЛС
-    if (this.snils && other.snils && this.snils === other.snils) return true;
-    
-    // Проверяем по паспорту
-    if (this.passport && other.passport && this.passport === other.passport) return true;
-    
-    return false;
+    return this.getDuplicateReasons(other).length > 0;
+  }
+
+  /**
+   * Признаки, по которым кандидаты совпадают
+   * @param {CandidateModel|Object} other - Другой кандидат
+   * @returns {Array<string>} Признаки: phone, inn, snils, passport, name
+   */
+  getDuplicateReasons(other) {
+    return getDuplicateReasons(this, other);
   }
 
   /**
@@ -404,21 +604,7 @@ class CandidateModel extends BaseModel {
    * @returns {Object} Прогресс заполнения
    */
   getCompletionProgress() {
-    const fields = [
-      'name', 'phone', 'email', 'project',
-      'inn', 'snils', 'passport', 'birthDate'
-    ];
-    
-    const completed = fields.filter(field => this[field]).length;
-    const total = fields.length;
-    const percentage = Math.round((completed / total) * 100);
-    
-    return {
-      completed,
-      total,
-      percentage,
-      missingFields: fields.filter(field => !this[field])
-    };
+    return getCompletionProgress(this);
   }
 
   /**
@@ -472,7 +658,7 @@ class CandidateModel extends BaseModel {
       passport: { type: 'string', pattern: '^\\d{4} \\d{6}' },
       status: { 
         type: 'string', 
-        enum: ['Новый', 'Активен', 'Молчит', 'Передан', 'Доведен', 'Отказ', 'Архив', 'Заблокирован']
+        enum: [...CANDIDATE_STATUSES]
       },
       priority: {
         type: 'string',
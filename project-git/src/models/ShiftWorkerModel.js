@@ -5,6 +5,12 @@
  */
 import BaseModel from './BaseModel.js';
 import ValidationModel from './ValidationModel.js';
+import {
+  createComment,
+  updateCommentText,
+  setCommentPinned,
+  mergeLegacyComments
+} from '../services/CommentService.js';
 
 class ShiftWorkerModel extends BaseModel {
   constructor(data = {}) {
@@ -26,14 +32,21 @@ class ShiftWorkerModel extends BaseModel {
     this.shiftStartDate = data.shiftStartDate || null;
     this.shiftEndDate = data.shiftEndDate || null;
     this.isOnShift = data.isOnShift || false;
+
+    // График вахты: { startDate, onDays, offDays }, периоды строит RotationService
+    this.rotation = data.rotation || null;
     
     // Специальные даты
     this.fiveDaysBeforeEnd = data.fiveDaysBeforeEnd || null;
     this.returnConfirmed = data.returnConfirmed || null;
     this.returnDate = data.returnDate || null;
     
-    // Комментарии СО
-    this.soComment = data.soComment || '';
+    // Комментарии СО: строка старого формата переносится в записи при первом чтении
+    this.comments = mergeLegacyComments(data.comments, data.soComment, {
+      withAuthor: false,
+      fallbackDate: this.createdAt
+    });
+    this.soComment = '';
     this.contactAttempts = data.contactAttempts || 0;
     
     this.validate();
@@ -130,6 +143,37 @@ class ShiftWorkerModel extends BaseModel {
     this.updatedAt = new Date().toISOString();
   }
 
+  /**
+   * Назначение графика вахты
+   * @param {Object} rotation - { startDate, onDays, offDays }
+   * @param {Object|null} period - Текущий или ближайший период графика
+   */
+  setRotation(rotation, period) {
+    this.rotation = rotation;
+    if (period) {
+      this.applyRotationPeriod(period);
+    }
+  }
+
+  /**
+   * Переход на период графика вахты
+   * @description Даты вахты и "за 5 дней до конца" берутся из периода;
+   * на вахте вахтовик с первого дня периода
+   * @param {Object} period - { start, end }
+   * @param {Date} now - Момент проверки
+   */
+  applyRotationPeriod(period, now = new Date()) {
+    const isNewPeriod = this.shiftStartDate !== period.start;
+    this.setShiftPeriod(new Date(period.start), new Date(period.end));
+    this.isOnShift = new Date(period.start) <= now;
+
+    // Подтверждение возвращения относится к прошлой вахте
+    if (isNewPeriod) {
+      this.returnConfirmed = null;
+      this.returnDate = null;
+    }
+  }
+
   /**
    * Подтверждение возвращения
    * @param {Date} returnDate - Дата возвращения
@@ -154,11 +198,36 @@ class ShiftWorkerModel extends BaseModel {
   /**
    * Добавление комментария СО
    * @param {string} comment - Комментарий
+   * @param {string} author - Автор комментария
+   * @param {Object} options - Вложения и упоминания (см. createComment)
+   * @returns {Object} Новый комментарий
+   */
+  addSOComment(comment, author = 'system', options = {}) {
+    const record = createComment(comment, author, options);
+    this.comments = [...this.comments, record];
+    this.updatedAt = new Date().toISOString();
+    return record;
+  }
+
+  /**
+   * Правка комментария с сохранением прежнего текста в истории
+   * @param {string} id - ID комментария
+   * @param {string} text - Новый текст
+   * @param {string} editedBy - Кто изменил
+   * @param {Array<string>} mentions - Упомянутые коллеги
+   */
+  editComment(id, text, editedBy = 'system', mentions = []) {
+    this.comments = updateCommentText(this.comments, id, text, editedBy, mentions);
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Закрепление комментария
+   * @param {string} id - ID комментария
+   * @param {boolean} pinned - Закрепить или открепить
    */
-  addSOComment(comment) {
-    const timestamp = new Date().toLocaleString('ru-RU');
-    const newComment = `[${timestamp}] ${comment}`;
-    this.soComment = this.soComment ? `${this.soComment}\n${newComment}` : newComment;
+  pinComment(id, pinned) {
+    this.comments = setCommentPinned(this.comments, id, pinned);
     this.updatedAt = new Date().toISOString();
   }
 
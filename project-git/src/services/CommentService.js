@@ -0,0 +1,334 @@
+// src/services/CommentService.js
+/**
+ * 💬 Сервис комментариев
+ * @description Комментарии кандидатов и вахтовиков хранятся в записи массивом:
+ * автор, время, история правок, закрепление, вложения и @упоминания коллег.
+ * Здесь же разбор комментариев старого формата - одной строки с записями
+ * вида "[дата] автор: текст"
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import AttachmentStore from '../stores/AttachmentStore.js';
+
+/**
+ * Хранилища, к записям которых пишутся комментарии
+ * @description legacyField - поле со строкой комментариев старого формата,
+ * withAuthor - есть ли в строках старого формата автор
+ */
+export const COMMENT_ENTITIES = {
+  candidates: { label: 'Кандидат', legacyField: 'comment', withAuthor: true },
+  shiftWorkers: { label: 'Вахтовик', legacyField: 'soComment', withAuthor: false }
+};
+
+// Ключ настроек приложения в localStorage (список коллег для упоминаний)
+const SETTINGS_KEY = 'hr-assistant-settings';
+
+// Строка старого формата: "[19.10.2026, 14:05:33] Автор: текст"
+const LEGACY_LINE = /^\[(\d{1,2})\.(\d{1,2})\.(\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\]\s?(.*)$/;
+
+/**
+ * Генерация ID комментария
+ * @returns {string} Уникальный идентификатор
+ */
+function generateId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * ID комментария, перенесенного из строки старого формата
+ * @param {string} createdAt - Время комментария
+ * @param {number} index - Номер комментария в строке
+ * @returns {string} ID
+ */
+function legacyId(createdAt, index) {
+  return `legacy-${new Date(createdAt).getTime().toString(36)}-${index}`;
+}
+
+/**
+ * Новый комментарий
+ * @param {string} text - Текст
+ * @param {string} author - Автор
+ * @param {Object} options - Опции
+ * @param {Array<Object>} options.attachments - Вложения { id, name, type, size }
+ * @param {Array<string>} options.mentions - Упомянутые коллеги
+ * @param {string} options.createdAt - Время создания (по умолчанию сейчас)
+ * @param {boolean} options.legacy - Комментарий перенесен из строки старого формата
+ * @param {string} options.id - ID (по умолчанию новый)
+ * @returns {Object} Комментарий
+ */
+export function createComment(text, author = 'system', {
+  attachments = [],
+  mentions = [],
+  createdAt = new Date().toISOString(),
+  legacy = false,
+  id = generateId()
+} = {}) {
+  const comment = {
+    id,
+    text: String(text || '').trim(),
+    author,
+    createdAt,
+    updatedAt: null,
+    updatedBy: null,
+    history: [],
+    pinned: false,
+    attachments,
+    mentions
+  };
+  if (legacy) {
+    comment.legacy = true;
+  }
+  return comment;
+}
+
+/**
+ * Разбор строки комментариев старого формата
+ * @description Каждая строка "[дата] автор: текст" становится комментарием,
+ * строки без даты дописываются к предыдущему комментарию. Текст без дат
+ * (например, введенный вручную в форме) становится одним комментарием
+ * без автора с датой fallbackDate. ID комментариев зависят только от строки:
+ * запись, которую еще не пересохранили, при каждом чтении дает те же ID
+ * @param {string} text - Строка комментариев
+ * @param {Object} options - Опции
+ * @param {boolean} options.withAuthor - Есть ли в строках автор
+ * @param {string} options.fallbackDate - Дата для текста без даты
+ * @returns {Array<Object>} Комментарии
+ */
+export function parseLegacyComments(text, { withAuthor = true, fallbackDate = new Date().toISOString() } = {}) {
+  const comments = [];
+
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const match = line.match(LEGACY_LINE);
+    if (!match) {
+      if (!line.trim()) return;
+      const last = comments[comments.length - 1];
+      if (last) {
+        last.text = `${last.text}\n${line.trim()}`;
+      } else {
+        comments.push(createComment(line, '', { createdAt: fallbackDate, legacy: true, id: legacyId(fallbackDate, 0) }));
+      }
+      return;
+    }
+
+    const [, day, month, year, hours, minutes, seconds = '0', rest] = match;
+    const createdAt = new Date(year, month - 1, day, hours, minutes, seconds).toISOString();
+
+    let author = '';
+    let body = rest;
+    const separator = rest.indexOf(': ');
+    if (withAuthor && separator > 0) {
+      author = rest.slice(0, separator);
+      body = rest.slice(separator + 2);
+    }
+
+    comments.push(createComment(body, author, {
+      createdAt,
+      legacy: true,
+      id: legacyId(createdAt, comments.length)
+    }));
+  });
+
+  return comments;
+}
+
+/**
+ * Комментарии записи с учетом строки старого формата
+ * @description Используется моделями: записи, которые миграция не смогла
+ * разобрать (например, зашифрованные), переводятся при первом чтении
+ * @param {Array<Object>} comments - Комментарии записи
+ * @param {string} legacyText - Строка комментариев старого формата
+ * @param {Object} options - Опции parseLegacyComments
+ * @returns {Array<Object>} Комментарии по времени создания
+ */
+export function mergeLegacyComments(comments, legacyText, options = {}) {
+  const current = Array.isArray(comments) ? comments : [];
+  if (!legacyText) {
+    return current;
+  }
+  const ids = new Set(current.map(item => item.id));
+  return [...parseLegacyComments(legacyText, options).filter(item => !ids.has(item.id)), ...current]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Комментарии записи для показа
+ * @description Учитывает строку старого формата у записей, которые еще не пересохранены
+ * @param {string} entityType - Хранилище записи (COMMENT_ENTITIES)
+ * @param {Object} entity - Кандидат или вахтовик
+ * @returns {Array<Object>} Комментарии по времени создания
+ */
+export function getEntityComments(entityType, entity) {
+  const { legacyField, withAuthor } = COMMENT_ENTITIES[entityType];
+  return mergeLegacyComments(entity.comments, entity[legacyField], {
+    withAuthor,
+    fallbackDate: entity.createdAt
+  });
+}
+
+/**
+ * Правка комментария: прежний текст уходит в историю
+ * @param {Array<Object>} comments - Комментарии
+ * @param {string} id - ID комментария
+ * @param {string} text - Новый текст
+ * @param {string} editedBy - Кто изменил
+ * @param {Array<string>} mentions - Упомянутые коллеги
+ * @returns {Array<Object>} Комментарии
+ * @throws {Error} Если комментарий не найден
+ */
+export function updateCommentText(comments, id, text, editedBy = 'system', mentions = []) {
+  const comment = findComment(comments, id);
+  const now = new Date().toISOString();
+
+  return comments.map(item => (item !== comment ? item : {
+    ...item,
+    text: String(text || '').trim(),
+    mentions,
+    updatedAt: now,
+    updatedBy: editedBy,
+    history: [...(item.history || []), {
+      text: item.text,
+      changedAt: item.updatedAt || item.createdAt,
+      changedBy: item.updatedBy || item.author
+    }]
+  }));
+}
+
+/**
+ * Закрепление комментария
+ * @param {Array<Object>} comments - Комментарии
+ * @param {string} id - ID комментария
+ * @param {boolean} pinned - Закрепить или открепить
+ * @returns {Array<Object>} Комментарии
+ * @throws {Error} Если комментарий не найден
+ */
+export function setCommentPinned(comments, id, pinned) {
+  const comment = findComment(comments, id);
+  return comments.map(item => (item === comment ? { ...item, pinned: Boolean(pinned) } : item));
+}
+
+/**
+ * Поиск комментария
+ * @param {Array<Object>} comments - Комментарии
+ * @param {string} id - ID комментария
+ * @returns {Object} Комментарий
+ * @throws {Error} Если комментарий не найден
+ */
+function findComment(comments, id) {
+  const comment = (comments || []).find(item => item.id === id);
+  if (!comment) {
+    throw new Error('Комментарий не найден');
+  }
+  return comment;
+}
+
+/**
+ * Главный комментарий для карточки: последний закрепленный, иначе последний
+ * @param {Array<Object>} comments - Комментарии
+ * @returns {Object|null} Комментарий
+ */
+export function getLatestComment(comments) {
+  const list = Array.isArray(comments) ? comments : [];
+  const pinned = list.filter(item => item.pinned);
+  const source = pinned.length > 0 ? pinned : list;
+  return source[source.length - 1] || null;
+}
+
+/**
+ * Комментарии одной строкой: для таблиц и выгрузок
+ * @param {Array<Object>} comments - Комментарии
+ * @returns {string} Строки "[дата] автор: текст"
+ */
+export function formatCommentsText(comments) {
+  return (Array.isArray(comments) ? comments : []).map(item => {
+    const date = new Date(item.createdAt).toLocaleString('ru-RU');
+    return `[${date}] ${item.author ? `${item.author}: ` : ''}${item.text}`;
+  }).join('\n');
+}
+
+class CommentService {
+  constructor() {
+    this.logger = new Logger('CommentService');
+
+    // Вложения удаляются вместе с записью
+    EventBus.on('transaction:committed', this.handleCommitted.bind(this));
+  }
+
+  /**
+   * Коллеги, которых можно упомянуть
+   * @returns {Array<string>} Имена из настроек
+   */
+  getColleagues() {
+    try {
+      const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+      const colleagues = Array.isArray(settings.colleagues) ? settings.colleagues : [];
+      return [...new Set(colleagues.map(name => String(name).trim()).filter(Boolean))];
+    } catch (error) {
+      this.logger.warn('Не удалось прочитать список коллег', error);
+      return [];
+    }
+  }
+
+  /**
+   * Упоминания коллег в тексте
+   * @description Упоминание - "@" и имя коллеги из настроек; длинные имена
+   * проверяются первыми, чтобы "@Анна Петрова" не считалось упоминанием "@Анна"
+   * @param {string} text - Текст комментария
+   * @param {Array<string>} colleagues - Коллеги (по умолчанию из настроек)
+   * @returns {Array<string>} Упомянутые коллеги
+   */
+  extractMentions(text, colleagues = this.getColleagues()) {
+    let rest = String(text || '').toLowerCase();
+    const mentions = [];
+
+    [...colleagues].sort((a, b) => b.length - a.length).forEach(name => {
+      const token = `@${name.toLowerCase()}`;
+      if (rest.includes(token)) {
+        mentions.push(name);
+        rest = rest.split(token).join(' ');
+      }
+    });
+
+    return mentions;
+  }
+
+  /**
+   * Удаление вложений окончательно удаленных записей
+   * @description Вложения записей, перенесенных в архив, остаются для восстановления
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes, context }) {
+    if (context.archive) return;
+
+    const purgedIds = changes
+      .filter(({ storeName, action }) => COMMENT_ENTITIES[storeName] && action === 'purged')
+      .map(({ id }) => id);
+
+    if (purgedIds.length > 0) {
+      this.deleteAttachments(purgedIds);
+    }
+  }
+
+  /**
+   * Удаление вложений комментариев записей
+   * @param {Array<string>} entityIds - ID записей
+   * @returns {Promise<void>}
+   */
+  async deleteAttachments(entityIds) {
+    try {
+      await AttachmentStore.ready;
+      const fileIds = await AttachmentStore.getIdsForEntities(entityIds);
+      if (fileIds.length === 0) return;
+
+      await AttachmentStore.transaction(async tx => {
+        for (const fileId of fileIds) {
+          await tx.delete(fileId);
+        }
+      }, { undoable: false });
+    } catch (error) {
+      this.logger.warn('Не удалось удалить вложения комментариев', error);
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new CommentService();
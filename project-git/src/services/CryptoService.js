@@ -0,0 +1,402 @@
+// src/services/CryptoService.js
+/**
+ * 🔐 Сервис шифрования
+ * @description Ключи шифрования данных в IndexedDB: вывод из пароля пользователя
+ * (PBKDF2), шифрование полей (AES-GCM), слепые индексы (HMAC) для поиска
+ * по точному значению, блокировка и автоблокировка при бездействии.
+ * Ключи живут только в памяти вкладки и не сохраняются
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+
+// Ключ настроек шифрования в таблице meta
+export const CONFIG_KEY = 'encryption';
+
+// Параметры вывода ключа из пароля
+const PBKDF2_ITERATIONS = 310000;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// Известный текст, по которому проверяется пароль
+const VERIFIER_TEXT = 'hr-assistant';
+
+// Автоблокировка по умолчанию (минут бездействия)
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+/**
+ * Что шифруется: только поля документов или все неиндексируемые поля
+ */
+export const ENCRYPTION_SCOPES = {
+  DOCUMENTS: 'documents',
+  ALL: 'all'
+};
+
+// События активности пользователя, которые откладывают автоблокировку
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * Ошибка операции над зашифрованными данными без ключа
+ */
+export class LockedError extends Error {
+  constructor(message = 'Данные заблокированы: введите пароль шифрования') {
+    super(message);
+    this.name = 'LockedError';
+  }
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Байты в base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Байты
+ * @returns {string} Строка base64
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+
+  // Частями, чтобы не упереться в лимит аргументов у больших записей
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * base64 в байты
+ * @param {string} value - Строка base64
+ * @returns {Uint8Array} Байты
+ */
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+class CryptoService {
+  constructor() {
+    this.logger = new Logger('CryptoService');
+    this.config = null;
+    this.keys = null;
+    this.autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES;
+    this.autoLockTimer = null;
+    this.handleActivity = this.handleActivity.bind(this);
+
+    // Настройки шифрования могли измениться в другой вкладке
+    EventBus.on('crypto:configChanged', this.handleConfigChanged.bind(this));
+
+    this.ready = this.loadConfig();
+  }
+
+  /**
+   * Доступен ли WebCrypto (только в защищенном контексте: HTTPS или localhost)
+   * @returns {boolean} Доступность
+   */
+  isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  /**
+   * Загрузка настроек шифрования
+   * @returns {Promise<Object|null>} Настройки или null, если шифрование выключено
+   */
+  async loadConfig() {
+    try {
+      this.config = (await StorageEngine.table('meta').get(CONFIG_KEY)) || null;
+    } catch (error) {
+      this.logger.error('Ошибка загрузки настроек шифрования', error);
+      this.config = null;
+    }
+    return this.config;
+  }
+
+  /**
+   * Включено ли шифрование
+   * @returns {boolean} Включено ли
+   */
+  isEnabled() {
+    return !!this.config;
+  }
+
+  /**
+   * Заблокированы ли данные (шифрование включено, а ключа нет)
+   * @returns {boolean} Заблокированы ли
+   */
+  isLocked() {
+    return this.isEnabled() && !this.keys;
+  }
+
+  /**
+   * Что шифруется
+   * @returns {string|null} ENCRYPTION_SCOPES или null, если шифрование выключено
+   */
+  getScope() {
+    return this.config ? this.config.scope : null;
+  }
+
+  /**
+   * Вывод ключей из пароля
+   * @param {string} passphrase - Пароль
+   * @param {Uint8Array} salt - Соль
+   * @param {number} iterations - Количество итераций PBKDF2
+   * @returns {Promise<Object>} { encryptionKey, indexKey }
+   */
+  async deriveKeys(passphrase, salt, iterations) {
+    if (!this.isSupported()) {
+      throw new Error('Шифрование недоступно: приложение должно работать по HTTPS');
+    }
+
+    const material = await crypto.subtle.importKey(
+      'raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      512
+    ));
+
+    // Первая половина - ключ шифрования, вторая - ключ слепых индексов
+    const [encryptionKey, indexKey] = await Promise.all([
+      crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+      crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    ]);
+
+    return { encryptionKey, indexKey };
+  }
+
+  /**
+   * Создание новых ключей и настроек для пароля
+   * @param {string} passphrase - Пароль
+   * @param {string} scope - Что шифруется (ENCRYPTION_SCOPES)
+   * @returns {Promise<{config: Object, keys: Object}>} Настройки для таблицы meta и ключи
+   */
+  async createKeys(passphrase, scope) {
+    this.assertPassphrase(passphrase);
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const keyId = toBase64(crypto.getRandomValues(new Uint8Array(8)));
+    const keys = { keyId, ...(await this.deriveKeys(passphrase, salt, PBKDF2_ITERATIONS)) };
+
+    const config = {
+      key: CONFIG_KEY,
+      keyId,
+      scope: Object.values(ENCRYPTION_SCOPES).includes(scope) ? scope : ENCRYPTION_SCOPES.DOCUMENTS,
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await this.encrypt(VERIFIER_TEXT, keys),
+      updatedAt: new Date().toISOString()
+    };
+
+    return { config, keys };
+  }
+
+  /**
+   * Проверка пароля по текущим настройкам
+   * @param {string} passphrase - Пароль
+   * @returns {Promise<Object>} Ключи
+   * @throws {Error} Если пароль неверный
+   */
+  async checkPassphrase(passphrase) {
+    await this.ready;
+    if (!this.config) {
+      throw new Error('Шифрование не включено');
+    }
+
+    const keys = {
+      keyId: this.config.keyId,
+      ...(await this.deriveKeys(passphrase || '', fromBase64(this.config.salt), this.config.iterations))
+    };
+
+    try {
+      await this.decrypt(this.config.verifier, keys);
+    } catch (error) {
+      throw new Error('Неверный пароль');
+    }
+
+    return keys;
+  }
+
+  /**
+   * Проверка сложности пароля
+   * @param {string} passphrase - Пароль
+   * @throws {Error} Если пароль слишком короткий
+   */
+  assertPassphrase(passphrase) {
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error('Пароль должен содержать не менее 8 символов');
+    }
+  }
+
+  /**
+   * Разблокировка данных
+   * @param {string} passphrase - Пароль
+   * @returns {Promise<void>}
+   * @throws {Error} Если пароль неверный
+   */
+  async unlock(passphrase) {
+    this.keys = await this.checkPassphrase(passphrase);
+    this.startAutoLock();
+    this.logger.info('Данные разблокированы');
+    EventBus.emit('crypto:unlocked');
+  }
+
+  /**
+   * Блокировка: ключи удаляются из памяти
+   */
+  lock() {
+    if (!this.keys) return;
+
+    this.keys = null;
+    this.stopAutoLock();
+    this.logger.info('Данные заблокированы');
+    EventBus.emit('crypto:locked');
+  }
+
+  /**
+   * Применение новых настроек после включения шифрования или смены пароля
+   * @description Вызывается после того, как данные перезаписаны новым ключом
+   * @param {Object|null} config - Настройки или null, если шифрование выключено
+   * @param {Object|null} keys - Ключи
+   */
+  activate(config, keys) {
+    this.config = config;
+    this.keys = keys;
+
+    if (keys) {
+      this.startAutoLock();
+    } else {
+      this.stopAutoLock();
+    }
+
+    EventBus.emit('crypto:configChanged', { keyId: config ? config.keyId : null });
+  }
+
+  /**
+   * Смена настроек в другой вкладке: старый ключ больше не подходит
+   * @param {Object} data - { keyId }
+   */
+  async handleConfigChanged({ keyId } = {}) {
+    const currentKeyId = this.config ? this.config.keyId : null;
+    if (keyId === currentKeyId) return;
+
+    this.keys = null;
+    this.stopAutoLock();
+    await this.loadConfig();
+    EventBus.emit(this.config ? 'crypto:locked' : 'crypto:unlocked');
+  }
+
+  /**
+   * Шифрование значения
+   * @param {*} value - Значение (сериализуется в JSON)
+   * @param {Object} keys - Ключи (по умолчанию текущие)
+   * @returns {Promise<Object>} { keyId, iv, data }
+   * @throws {LockedError} Если ключа нет
+   */
+  async encrypt(value, keys = this.keys) {
+    if (!keys) {
+      throw new LockedError();
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      keys.encryptionKey,
+      encoder.encode(JSON.stringify(value))
+    );
+
+    return { keyId: keys.keyId, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /**
+   * Расшифровка значения
+   * @param {Object} payload - { keyId, iv, data }
+   * @param {Object} keys - Ключи (по умолчанию текущие)
+   * @returns {Promise<*>} Значение
+   * @throws {LockedError} Если ключа нет
+   */
+  async decrypt(payload, keys = this.keys) {
+    if (!keys) {
+      throw new LockedError();
+    }
+    if (payload.keyId !== keys.keyId) {
+      throw new Error('Данные зашифрованы другим ключом');
+    }
+
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+      keys.encryptionKey,
+      fromBase64(payload.data)
+    );
+
+    return JSON.parse(decoder.decode(data));
+  }
+
+  /**
+   * Слепой индекс значения: одинаковые значения дают одинаковый хэш,
+   * по хэшу нельзя восстановить значение без ключа
+   * @param {*} value - Значение
+   * @param {Object} keys - Ключи (по умолчанию текущие)
+   * @returns {Promise<string>} Хэш в base64
+   * @throws {LockedError} Если ключа нет
+   */
+  async blindIndex(value, keys = this.keys) {
+    if (!keys) {
+      throw new LockedError();
+    }
+
+    const normalized = String(value).toLowerCase().replace(/[\s\-]/g, '');
+    const signature = await crypto.subtle.sign('HMAC', keys.indexKey, encoder.encode(normalized));
+    return toBase64(signature);
+  }
+
+  /**
+   * Установка времени автоблокировки
+   * @param {number} minutes - Минут бездействия, 0 - без автоблокировки
+   */
+  setAutoLock(minutes) {
+    this.autoLockMinutes = Math.max(0, Number(minutes) || 0);
+    if (this.keys) {
+      this.startAutoLock();
+    }
+  }
+
+  /**
+   * Запуск отслеживания бездействия
+   */
+  startAutoLock() {
+    this.stopAutoLock();
+    if (!this.autoLockMinutes || typeof window === 'undefined') return;
+
+    ACTIVITY_EVENTS.forEach(eventName => {
+      window.addEventListener(eventName, this.handleActivity, { passive: true });
+    });
+    this.handleActivity();
+  }
+
+  /**
+   * Остановка отслеживания бездействия
+   */
+  stopAutoLock() {
+    clearTimeout(this.autoLockTimer);
+    this.autoLockTimer = null;
+
+    if (typeof window === 'undefined') return;
+    ACTIVITY_EVENTS.forEach(eventName => {
+      window.removeEventListener(eventName, this.handleActivity);
+    });
+  }
+
+  /**
+   * Активность пользователя откладывает блокировку
+   */
+  handleActivity() {
+    clearTimeout(this.autoLockTimer);
+    this.autoLockTimer = setTimeout(() => {
+      this.logger.info(`Автоблокировка после ${this.autoLockMinutes} мин. бездействия`);
+      this.lock();
+    }, this.autoLockMinutes * 60 * 1000);
+  }
+}
+
+// Экспортируем синглтон
+export default new CryptoService();
@@ -0,0 +1,268 @@
+// src/services/DocumentService.js
+/**
+ * 📑 Сервис документов кандидатов
+ * @description Типы и статусы документов, обязательный пакет документов
+ * для каждого проекта и проверка сроков действия. Пакеты хранятся
+ * в таблице meta и редактируются в настройках
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+import DocumentFileStore from '../stores/DocumentFileStore.js';
+
+// Ключ пакетов документов в таблице meta
+export const DOCUMENT_CHECKLISTS_KEY = 'documentChecklists';
+
+// Хранилище, вместе с записями которого удаляются изображения документов
+const CANDIDATES_STORE = 'candidates';
+
+/**
+ * Типы документов
+ * @description legacyField - поле кандидата, по которому документ
+ * считается полученным у записей, созданных до появления пакетов
+ */
+export const DOCUMENT_TYPES = {
+  passport: { label: 'Паспорт', legacyField: 'passport' },
+  inn: { label: 'ИНН', legacyField: 'inn' },
+  snils: { label: 'СНИЛС', legacyField: 'snils' },
+  medical: { label: 'Медицинская справка' },
+  patent: { label: 'Патент на работу' },
+  driverLicense: { label: 'Водительское удостоверение' }
+};
+
+/**
+ * Статусы документа
+ */
+export const DOCUMENT_STATUSES = {
+  MISSING: 'missing',
+  RECEIVED: 'received',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Названия статусов документа
+ */
+export const DOCUMENT_STATUS_LABELS = {
+  [DOCUMENT_STATUSES.MISSING]: 'Нет',
+  [DOCUMENT_STATUSES.RECEIVED]: 'Получен',
+  [DOCUMENT_STATUSES.VERIFIED]: 'Проверен',
+  [DOCUMENT_STATUSES.REJECTED]: 'Отклонен'
+};
+
+/**
+ * Пакет по умолчанию для проектов без своего пакета
+ */
+const DEFAULT_CHECKLISTS = {
+  default: ['passport', 'inn', 'snils'],
+  projects: {}
+};
+
+/**
+ * Оставляет только известные типы документов без повторов
+ * @param {Array<string>} types - Типы документов
+ * @returns {Array<string>} Типы документов
+ */
+function normalizeTypes(types) {
+  return [...new Set(Array.isArray(types) ? types : [])].filter(type => DOCUMENT_TYPES[type]);
+}
+
+class DocumentService {
+  constructor() {
+    this.logger = new Logger('DocumentService');
+    this.checklists = this.normalize(DEFAULT_CHECKLISTS);
+
+    // Изображения документов удаляются вместе с кандидатом
+    EventBus.on('transaction:committed', this.handleCommitted.bind(this));
+    // Пакеты изменили в другой вкладке
+    EventBus.on('documents:checklistsChanged', () => this.load());
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Загрузка пакетов документов
+   * @returns {Promise<Object>} Пакеты
+   */
+  async load() {
+    try {
+      const stored = await StorageEngine.table('meta').get(DOCUMENT_CHECKLISTS_KEY);
+      this.checklists = this.normalize(stored ? stored.checklists : DEFAULT_CHECKLISTS);
+    } catch (error) {
+      this.logger.error('Ошибка загрузки пакетов документов', error);
+    }
+    return this.checklists;
+  }
+
+  /**
+   * Приведение пакетов к полному виду
+   * @param {Object} checklists - Пакеты { default, projects }
+   * @returns {Object} Пакеты
+   */
+  normalize(checklists) {
+    return {
+      default: normalizeTypes(checklists.default),
+      projects: Object.fromEntries(Object.entries(checklists.projects || {})
+        .map(([project, types]) => [project, normalizeTypes(types)]))
+    };
+  }
+
+  /**
+   * Сохранение пакетов документов
+   * @param {Object} checklists - Пакеты { default, projects }
+   * @returns {Promise<Object>} Сохраненные пакеты
+   */
+  async saveChecklists(checklists) {
+    const normalized = this.normalize(checklists);
+
+    await StorageEngine.table('meta').put({
+      key: DOCUMENT_CHECKLISTS_KEY,
+      checklists: normalized,
+      updatedAt: new Date().toISOString()
+    });
+
+    this.checklists = normalized;
+    EventBus.emit('documents:checklistsChanged', { updatedAt: new Date().toISOString() });
+    this.logger.info('Пакеты документов сохранены');
+    return this.getChecklists();
+  }
+
+  /**
+   * Текущие пакеты (копия для редактирования)
+   * @returns {Object} Пакеты
+   */
+  getChecklists() {
+    return JSON.parse(JSON.stringify(this.checklists));
+  }
+
+  /**
+   * Обязательные документы проекта
+   * @param {string} project - Проект
+   * @returns {Array<string>} Типы документов
+   */
+  getChecklist(project) {
+    return this.checklists.projects[project] || this.checklists.default;
+  }
+
+  /**
+   * Документ кандидата
+   * @description Если документа нет в записи, но заполнено его поле
+   * (паспорт, ИНН, СНИЛС у старых записей), документ считается полученным
+   * @param {Object} candidate - Кандидат
+   * @param {string} type - Тип документа
+   * @returns {Object} { status, number, issueDate, expiryDate, fileId, comment }
+   */
+  getDocument(candidate, type) {
+    const stored = (candidate.documents || {})[type];
+    if (stored) {
+      return stored;
+    }
+
+    const { legacyField } = DOCUMENT_TYPES[type];
+    if (legacyField && candidate[legacyField]) {
+      return {
+        status: DOCUMENT_STATUSES.RECEIVED,
+        number: candidate[legacyField],
+        issueDate: type === 'passport' ? candidate.passportIssueDate : null
+      };
+    }
+
+    return { status: DOCUMENT_STATUSES.MISSING };
+  }
+
+  /**
+   * Истекает ли документ до начала вахты
+   * @description Без плановой даты вахты проверяется, не истек ли документ сегодня
+   * @param {Object} document - Документ
+   * @param {string} plannedShiftStart - Плановое начало вахты
+   * @returns {boolean} Истекает ли
+   */
+  isExpiringBeforeShift(document, plannedShiftStart) {
+    if (!document.expiryDate || document.status === DOCUMENT_STATUSES.MISSING) {
+      return false;
+    }
+    const deadline = plannedShiftStart ? new Date(plannedShiftStart) : new Date();
+    return new Date(document.expiryDate) < deadline;
+  }
+
+  /**
+   * Состояние пакета документов кандидата
+   * @param {Object} candidate - Кандидат
+   * @returns {Object} { items, received, verified, total, percentage, expiring }
+   * items - [{ type, label, required, expiring, ...документ }]: сначала обязательные,
+   * затем прочие документы, которые есть у кандидата
+   */
+  getChecklistStatus(candidate) {
+    const required = this.getChecklist(candidate.project);
+    const extra = Object.keys(DOCUMENT_TYPES).filter(type => (
+      !required.includes(type) && this.getDocument(candidate, type).status !== DOCUMENT_STATUSES.MISSING
+    ));
+
+    const items = [...required, ...extra].map(type => {
+      const document = this.getDocument(candidate, type);
+      return {
+        ...document,
+        type,
+        label: DOCUMENT_TYPES[type].label,
+        required: required.includes(type),
+        expiring: this.isExpiringBeforeShift(document, candidate.plannedShiftStart)
+      };
+    });
+
+    const requiredItems = items.filter(item => item.required);
+    const isReady = item => !item.expiring && (
+      item.status === DOCUMENT_STATUSES.RECEIVED || item.status === DOCUMENT_STATUSES.VERIFIED
+    );
+    const received = requiredItems.filter(isReady).length;
+
+    return {
+      items,
+      received,
+      verified: requiredItems.filter(item => isReady(item) && item.status === DOCUMENT_STATUSES.VERIFIED).length,
+      total: requiredItems.length,
+      percentage: requiredItems.length > 0 ? Math.round((received / requiredItems.length) * 100) : 100,
+      expiring: items.filter(item => item.expiring)
+    };
+  }
+
+  /**
+   * Удаление изображений документов окончательно удаленных кандидатов
+   * @description Изображения кандидатов, перенесенных в архив, остаются для восстановления
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes, context }) {
+    if (context.archive) return;
+
+    const purgedIds = changes
+      .filter(({ storeName, action }) => storeName === CANDIDATES_STORE && action === 'purged')
+      .map(({ id }) => id);
+
+    if (purgedIds.length > 0) {
+      this.deleteFiles(purgedIds);
+    }
+  }
+
+  /**
+   * Удаление изображений документов кандидатов
+   * @param {Array<string>} candidateIds - ID кандидатов
+   * @returns {Promise<void>}
+   */
+  async deleteFiles(candidateIds) {
+    try {
+      await DocumentFileStore.ready;
+      const fileIds = (await Promise.all(candidateIds.map(id => DocumentFileStore.getIdsForCandidate(id)))).flat();
+      if (fileIds.length === 0) return;
+
+      await DocumentFileStore.transaction(async tx => {
+        for (const fileId of fileIds) {
+          await tx.delete(fileId);
+        }
+      }, { undoable: false });
+    } catch (error) {
+      this.logger.warn('Не удалось удалить изображения документов', error);
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new DocumentService();
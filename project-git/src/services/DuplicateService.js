@@ -0,0 +1,129 @@
+// src/services/DuplicateService.js
+/**
+ * 👥 Сервис поиска дублей
+ * @description Проверяет кандидатов на дубли при создании, импорте и изменении
+ * контактов или документов, какой бы код их ни сохранил. Найденные пары
+ * попадают в очередь возможных дублей
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import { getDuplicateReasons } from '../models/CandidateModel.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import DuplicateStore, { DUPLICATE_REASONS } from '../stores/DuplicateStore.js';
+
+// Хранилище, записи которого проверяются
+const CANDIDATES_STORE = 'candidates';
+
+// Поля, при изменении которых кандидат проверяется заново
+const MATCH_FIELDS = ['name', 'phone', 'inn', 'snils', 'passport', 'birthDate'];
+
+class DuplicateService {
+  constructor() {
+    this.logger = new Logger('DuplicateService');
+
+    EventBus.on('transaction:committed', this.handleCommitted.bind(this));
+  }
+
+  /**
+   * Обработка сохраненных изменений
+   * @description Отмена и повтор действий кандидатов не проверяют
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes, context }) {
+    if (context.history) return;
+
+    // Одна запись может меняться в транзакции несколько раз: важно итоговое состояние
+    const candidates = new Map();
+    for (const { storeName, id, action, before, after } of changes) {
+      if (storeName !== CANDIDATES_STORE) continue;
+
+      const isChanged = action === 'created' || action === 'restored' || (
+        action === 'updated' && MATCH_FIELDS.some(field => before[field] !== after[field])
+      );
+      const previous = candidates.get(id);
+      candidates.set(id, { after, isChanged: isChanged || Boolean(previous && previous.isChanged) });
+    }
+
+    candidates.forEach(({ after, isChanged }) => {
+      if (isChanged && after && !after.deletedAt) {
+        this.detect(after);
+      }
+    });
+  }
+
+  /**
+   * Поиск дублей кандидата и запись пар в очередь
+   * @param {Object} candidate - Сохраненный кандидат
+   * @returns {Promise<Array>} Найденные дубли { candidate, reasons }
+   */
+  async detect(candidate) {
+    try {
+      const matches = await CandidateStore.findDuplicates(candidate);
+      const found = [];
+
+      for (const match of matches) {
+        const recorded = await DuplicateStore.recordPair(candidate.id, match.candidate.id, match.reasons);
+        if (recorded && recorded.isNew) {
+          found.push(match);
+        }
+      }
+
+      if (found.length > 0) {
+        this.notify(candidate, found);
+        EventBus.emit('duplicates:found', { candidate, matches: found });
+      }
+
+      return matches;
+    } catch (error) {
+      // Например, данные заблокированы и документы нельзя сравнить
+      this.logger.warn(`Не удалось проверить кандидата ${candidate.id} на дубли: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Проверка всех кандидатов
+   * @description Нужна для данных, сохраненных до появления поиска дублей.
+   * Кандидаты загружаются один раз и сравниваются попарно в памяти
+   * @returns {Promise<number>} Количество новых пар
+   */
+  async scanAll() {
+    const candidates = [];
+    await CandidateStore.each(record => candidates.push(record));
+
+    let created = 0;
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        const reasons = getDuplicateReasons(candidates[i], candidates[j]);
+        if (reasons.length === 0) continue;
+
+        const recorded = await DuplicateStore.recordPair(candidates[j].id, candidates[i].id, reasons);
+        if (recorded && recorded.isNew) created++;
+      }
+    }
+
+    if (created > 0) {
+      EventBus.emit('duplicates:found', { candidate: null, matches: [] });
+    }
+    return created;
+  }
+
+  /**
+   * Уведомление рекрутера о возможном дубле
+   * @param {Object} candidate - Кандидат
+   * @param {Array} matches - Новые пары { candidate, reasons }
+   */
+  notify(candidate, matches) {
+    const [first] = matches;
+    const reasons = first.reasons.map(reason => DUPLICATE_REASONS[reason]).join(', ');
+    const others = matches.length > 1 ? ` и еще ${matches.length - 1}` : '';
+
+    EventBus.emit(
+      'notification:warning',
+      `Возможный дубль: ${candidate.name} похож на ${first.candidate.name}${others} (${reasons})`
+    );
+  }
+}
+
+// Экспортируем синглтон
+export default new DuplicateService();
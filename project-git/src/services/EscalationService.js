@@ -0,0 +1,416 @@
+// src/services/EscalationService.js
+/**
+ * 📣 Сервис лестницы эскалации молчащих кандидатов
+ * @description Лестница - последовательность шагов: напоминания в WhatsApp,
+ * SMS и Telegram и задачи рекрутеру позвонить. Срок шага отсчитывается
+ * в рабочих часах (по правилам SLA) от последнего ответа кандидата, передачу
+ * на 1-ю линию по-прежнему выполняет SLA, и шаги должны успеть до нее.
+ * У шага свой шаблон, тихие часы
+ * и условия остановки. Лестницу можно задать для проекта.
+ * Правила хранятся в таблице meta
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+import SlaService from './SlaService.js';
+
+// Ключ правил эскалации в таблице meta
+export const ESCALATION_CONFIG_KEY = 'escalation';
+
+/**
+ * Каналы шагов
+ */
+export const ESCALATION_CHANNELS = {
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+  telegram: 'Telegram',
+  call: 'Задача: позвонить'
+};
+
+/**
+ * Условия остановки шага
+ */
+export const ESCALATION_STOP_CONDITIONS = {
+  replied: 'Кандидат ответил',
+  statusChanged: 'Изменился статус'
+};
+
+/**
+ * Итоги шагов
+ */
+export const ESCALATION_RESULTS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  SKIPPED: 'skipped',
+  STOPPED: 'stopped'
+};
+
+export const ESCALATION_RESULT_LABELS = {
+  [ESCALATION_RESULTS.PENDING]: 'отправляется',
+  [ESCALATION_RESULTS.SENT]: 'выполнен',
+  [ESCALATION_RESULTS.SKIPPED]: 'пропущен',
+  [ESCALATION_RESULTS.STOPPED]: 'остановлен'
+};
+
+// Статусы, в которых кандидат идет по лестнице
+export const ESCALATION_STATUSES = ['Активен', 'Молчит'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Лестница по умолчанию
+ * @description В шаблонах доступны {name}, {project} и {hours} - рабочих
+ * часов без ответа. Передача на 1-ю линию - по сроку SLA
+ */
+const DEFAULT_ESCALATION = {
+  steps: [
+    {
+      id: 'whatsapp-reminder',
+      afterHours: 8,
+      channel: 'whatsapp',
+      template: 'Здравствуйте, {name}! Мы ждем от вас ответ по поводу вакансии "{project}". Пожалуйста, свяжитесь с нами.',
+      quiet: { from: '21:00', to: '09:00', workingDaysOnly: false },
+      stopOn: ['replied', 'statusChanged']
+    },
+    {
+      id: 'sms-reminder',
+      afterHours: 20,
+      channel: 'sms',
+      template: 'Здравствуйте, {name}! Вы не отвечаете уже {hours} ч. Если вакансия "{project}" вам интересна, ответьте нам в WhatsApp.',
+      quiet: { from: '21:00', to: '09:00', workingDaysOnly: false },
+      stopOn: ['replied', 'statusChanged']
+    },
+    {
+      id: 'call-task',
+      afterHours: 26,
+      channel: 'call',
+      template: 'Позвонить кандидату {name} ({project}): не отвечает {hours} ч',
+      quiet: { from: '', to: '', workingDaysOnly: true },
+      stopOn: ['replied', 'statusChanged']
+    }
+  ],
+  projects: {}
+};
+
+/**
+ * Минуты от начала суток
+ * @param {string} time - чч:мм
+ * @returns {number|null} Минуты или null, если время не задано
+ */
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Подстановка значений в шаблон
+ * @param {string} template - Шаблон с {переменными}
+ * @param {Object} variables - Значения
+ * @returns {string} Текст
+ */
+export function renderTemplate(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (
+    variables[key] !== undefined && variables[key] !== null ? variables[key] : ''
+  ));
+}
+
+class EscalationService {
+  constructor() {
+    this.logger = new Logger('EscalationService');
+    this.definition = this.normalize(DEFAULT_ESCALATION);
+
+    // Правила изменили в другой вкладке
+    EventBus.on('escalation:changed', () => this.load());
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Загрузка правил
+   * @returns {Promise<Object>} Правила
+   */
+  async load() {
+    try {
+      const stored = await StorageEngine.table('meta').get(ESCALATION_CONFIG_KEY);
+      this.definition = this.normalize(stored ? stored.definition : DEFAULT_ESCALATION);
+    } catch (error) {
+      this.logger.error('Ошибка загрузки лестницы эскалации', error);
+    }
+    return this.definition;
+  }
+
+  /**
+   * Приведение шагов к полному виду
+   * @param {Array} steps - Шаги
+   * @returns {Array} Шаги по возрастанию срока
+   */
+  normalizeSteps(steps) {
+    return (steps || [])
+      .map((step, index) => ({
+        id: step.id || `step-${Date.now().toString(36)}-${index}`,
+        afterHours: Number(step.afterHours) || 0,
+        channel: step.channel,
+        template: String(step.template || ''),
+        quiet: {
+          from: step.quiet?.from || '',
+          to: step.quiet?.to || '',
+          workingDaysOnly: Boolean(step.quiet?.workingDaysOnly)
+        },
+        stopOn: (step.stopOn || []).filter(condition => ESCALATION_STOP_CONDITIONS[condition])
+      }))
+      .sort((a, b) => a.afterHours - b.afterHours);
+  }
+
+  /**
+   * Приведение правил к полному виду
+   * @param {Object} definition - Правила
+   * @returns {Object} Правила
+   */
+  normalize(definition) {
+    return {
+      steps: this.normalizeSteps(definition.steps),
+      projects: Object.fromEntries(Object.entries(definition.projects || {}).map(([project, steps]) => [
+        project,
+        this.normalizeSteps(steps)
+      ]))
+    };
+  }
+
+  /**
+   * Проверка правил перед сохранением
+   * @param {Object} definition - Правила
+   * @throws {Error} Если правила некорректны
+   */
+  validateDefinition(definition) {
+    const ladders = [
+      ['Общая лестница', '', definition.steps],
+      ...Object.entries(definition.projects).map(([project, steps]) => [project, project, steps])
+    ];
+
+    ladders.forEach(([name, project, steps]) => {
+      const transferHours = this.getLadderTransferHours(definition, project);
+      const ids = new Set();
+      steps.forEach((step, index) => {
+        const title = `${name}, шаг ${index + 1}`;
+        if (ids.has(step.id)) {
+          throw new Error(`${title}: повторяется идентификатор шага`);
+        }
+        ids.add(step.id);
+
+        if (!ESCALATION_CHANNELS[step.channel]) {
+          throw new Error(`${title}: неизвестный канал "${step.channel}"`);
+        }
+        if (step.afterHours <= 0) {
+          throw new Error(`${title}: срок должен быть больше нуля`);
+        }
+        if (step.afterHours >= transferHours) {
+          throw new Error(`${title}: срок должен быть раньше передачи на 1-ю линию (${transferHours} ч по SLA)`);
+        }
+        if (!step.template.trim()) {
+          throw new Error(`${title}: не заполнен шаблон`);
+        }
+        if (Boolean(step.quiet.from) !== Boolean(step.quiet.to) ||
+            (step.quiet.from && (toMinutes(step.quiet.from) === null || toMinutes(step.quiet.to) === null))) {
+          throw new Error(`${title}: тихие часы задаются началом и окончанием в формате чч:мм`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Сохранение правил
+   * @param {Object} definition - Правила
+   * @returns {Promise<Object>} Сохраненные правила
+   */
+  async saveDefinition(definition) {
+    await SlaService.ready;
+    const normalized = this.normalize(definition);
+    this.validateDefinition(normalized);
+
+    await StorageEngine.table('meta').put({
+      key: ESCALATION_CONFIG_KEY,
+      definition: normalized,
+      updatedAt: new Date().toISOString()
+    });
+
+    this.definition = normalized;
+    EventBus.emit('escalation:changed', { updatedAt: new Date().toISOString() });
+    this.logger.info('Лестница эскалации сохранена');
+    return this.getDefinition();
+  }
+
+  /**
+   * Возврат правил по умолчанию
+   * @returns {Promise<Object>} Правила
+   */
+  async resetDefinition() {
+    await StorageEngine.table('meta').delete(ESCALATION_CONFIG_KEY);
+    this.definition = this.normalize(DEFAULT_ESCALATION);
+    EventBus.emit('escalation:changed', { updatedAt: new Date().toISOString() });
+    return this.getDefinition();
+  }
+
+  /**
+   * Текущие правила (копия для редактирования)
+   * @returns {Object} Правила
+   */
+  getDefinition() {
+    return JSON.parse(JSON.stringify(this.definition));
+  }
+
+  /**
+   * Лестница проекта
+   * @param {string} project - Проект
+   * @returns {Array} Шаги проекта или общие
+   */
+  getLadder(project) {
+    return this.definition.projects[project] || this.definition.steps;
+  }
+
+  /**
+   * Срок передачи на 1-ю линию
+   * @description Рабочих часов от начала молчания: порог "Молчит" и срок
+   * передачи молчащего по правилам SLA проекта
+   * @param {string} project - Проект
+   * @returns {number} Рабочих часов
+   */
+  getTransferHours(project) {
+    const { silentHours, transferHours } = SlaService.getThresholds(project);
+    return silentHours + transferHours;
+  }
+
+  /**
+   * Срок передачи для лестницы
+   * @description Общая лестница действует во всех проектах без своей,
+   * поэтому для нее берется самый ранний срок из них
+   * @param {Object} definition - Правила
+   * @param {string} project - Проект ('' - общая лестница)
+   * @returns {number} Рабочих часов
+   */
+  getLadderTransferHours(definition, project) {
+    if (project) {
+      return this.getTransferHours(project);
+    }
+
+    const projects = Object.keys(SlaService.getDefinition().projects).filter(item => !definition.projects[item]);
+    return Math.min(this.getTransferHours(), ...projects.map(item => this.getTransferHours(item)));
+  }
+
+  /**
+   * Тихое ли сейчас время для шага
+   * @description Время считается в часовом поясе SLA. Интервал может
+   * переходить через полночь (21:00-09:00)
+   * @param {Object} step - Шаг
+   * @param {Date} now - Текущее время
+   * @returns {boolean} Нельзя ли выполнять шаг
+   */
+  isQuiet(step, now = new Date()) {
+    const time = now.getTime();
+    const { year, month, day, offset } = SlaService.getZoned(time);
+
+    if (step.quiet.workingDaysOnly && !SlaService.isWorkingDay(year, month, day)) {
+      return true;
+    }
+
+    const from = toMinutes(step.quiet.from);
+    const to = toMinutes(step.quiet.to);
+    if (from === null || to === null || from === to) {
+      return false;
+    }
+
+    const minutes = Math.floor((((time + offset) % DAY) + DAY) % DAY / MINUTE);
+    return from < to
+      ? minutes >= from && minutes < to
+      : minutes >= from || minutes < to;
+  }
+
+  /**
+   * Состояние лестницы кандидата
+   * @description Лестница отсчитывается от начала молчания (см. SlaService.getSilenceStart).
+   * Новая начинается, когда кандидат снова замолчал после ответа или возврата
+   * с 1-й линии, а прежняя пройдена
+   * @param {Object} candidate - Кандидат
+   * @returns {Object|null} { startedAt, status, steps: { id: { result, at, channel } } }
+   */
+  getState(candidate) {
+    const start = SlaService.getSilenceStart(candidate);
+    if (!start) return null;
+
+    const ladder = this.getLadder(candidate.project);
+    const state = candidate.escalation;
+    const isFinished = state && ladder.every(step => state.steps[step.id]);
+
+    if (!state || (isFinished && state.startedAt !== start)) {
+      return { startedAt: start, status: candidate.status, steps: {} };
+    }
+    return state;
+  }
+
+  /**
+   * Сработавшие условия остановки
+   * @description Автоматический переход из "Активен" в "Молчит" сменой
+   * статуса не считается - ради него лестница и существует
+   * @param {Object} candidate - Кандидат
+   * @param {Object} state - Состояние лестницы
+   * @returns {Array<string>} Условия
+   */
+  getStopReasons(candidate, state) {
+    const reasons = [];
+    if (new Date(candidate.lastReply) > new Date(state.startedAt)) {
+      reasons.push('replied');
+    }
+    if (candidate.status !== state.status && !(state.status === 'Активен' && candidate.status === 'Молчит')) {
+      reasons.push('statusChanged');
+    }
+    return reasons;
+  }
+
+  /**
+   * Следующий шаг лестницы к выполнению
+   * @description Шаг с сработавшим условием остановки возвращается сразу,
+   * не дожидаясь срока: так лестница быстрее освобождается для новой
+   * @param {Object} candidate - Кандидат
+   * @param {Date} now - Текущее время
+   * @returns {Object|null} { step, state, stopReason, quiet } или null, если выполнять нечего
+   */
+  getDueStep(candidate, now = new Date()) {
+    if (!ESCALATION_STATUSES.includes(candidate.status)) return null;
+
+    const state = this.getState(candidate);
+    if (!state) return null;
+
+    // Отмеченный шаг не повторяется, в том числе отправляемый
+    const step = this.getLadder(candidate.project).find(item => !state.steps[item.id]);
+    if (!step) return null;
+
+    const stopReason = this.getStopReasons(candidate, state).find(reason => step.stopOn.includes(reason)) || null;
+    if (stopReason) {
+      return { step, state, stopReason, quiet: false };
+    }
+
+    const dueAt = SlaService.addWorkingHours(state.startedAt, step.afterHours);
+    if (!dueAt || dueAt > now) return null;
+
+    return { step, state, stopReason: null, quiet: this.isQuiet(step, now) };
+  }
+
+  /**
+   * Текст шага для кандидата
+   * @param {Object} step - Шаг
+   * @param {Object} candidate - Кандидат
+   * @param {Object} state - Состояние лестницы
+   * @param {Date} now - Текущее время
+   * @returns {string} Текст
+   */
+  renderStep(step, candidate, state, now = new Date()) {
+    return renderTemplate(step.template, {
+      name: candidate.name,
+      project: candidate.project,
+      hours: Math.floor(SlaService.getWorkingHoursBetween(state.startedAt, now))
+    });
+  }
+}
+
+// Экспортируем синглтон
+export default new EscalationService();
@@ -0,0 +1,424 @@
+// src/services/ExportService.js
+/**
+ * 📤 Сервис экспорта
+ * @description Выгрузка кандидатов и вахтовиков: выбранные поля (включая вложенные
+ * stats и историю статусов), фильтры, формат дат и формат файла - CSV по RFC 4180,
+ * XLSX или JSON. Настройки выгрузки сохраняются как пресеты в таблице meta
+ */
+import Papa from 'papaparse';
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+import QueryEngine from '../stores/QueryEngine.js';
+import CandidateStore from '../stores/CandidateStore.js';
+import ShiftWorkerStore from '../stores/ShiftWorkerStore.js';
+import { writeXlsx } from '../utils/spreadsheetUtils.js';
+
+// Ключ пресетов в таблице meta
+export const EXPORT_PRESETS_KEY = 'exportPresets';
+
+/**
+ * Форматы файла
+ */
+export const EXPORT_FORMATS = {
+  csv: 'CSV',
+  xlsx: 'Excel (XLSX)',
+  json: 'JSON'
+};
+
+/**
+ * Форматы дат
+ */
+export const DATE_FORMATS = {
+  date: 'ДД.ММ.ГГГГ',
+  datetime: 'ДД.ММ.ГГГГ ЧЧ:ММ',
+  iso: 'ISO 8601'
+};
+
+/**
+ * Разделители CSV: запятая по RFC 4180, точка с запятой - для русского Excel
+ */
+export const CSV_DELIMITERS = {
+  ',': 'Запятая',
+  ';': 'Точка с запятой'
+};
+
+/**
+ * Поля кандидата
+ */
+const CANDIDATE_FIELDS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'ФИО' },
+  { key: 'phone', label: 'Телефон' },
+  { key: 'email', label: 'Email' },
+  { key: 'project', label: 'Проект' },
+  { key: 'status', label: 'Статус' },
+  { key: 'priority', label: 'Приоритет' },
+  { key: 'source', label: 'Источник' },
+  { key: 'tags', label: 'Теги', type: 'list' },
+  { key: 'comments', label: 'Комментарии', type: 'comments' },
+  { key: 'lastReply', label: 'Последний ответ', type: 'date' },
+  { key: 'lastActivity', label: 'Последняя активность', type: 'date' },
+  { key: 'silentSince', label: 'Молчит с', type: 'date' },
+  { key: 'transferredAt', label: 'Передан', type: 'date' },
+  { key: 'transferReason', label: 'Причина передачи' },
+  { key: 'documentProcessed', label: 'Документы обработаны', type: 'boolean' },
+  { key: 'birthDate', label: 'Дата рождения', type: 'date' },
+  { key: 'birthPlace', label: 'Место рождения' },
+  { key: 'passport', label: 'Паспорт' },
+  { key: 'passportIssueDate', label: 'Дата выдачи паспорта', type: 'date' },
+  { key: 'passportIssuedBy', label: 'Кем выдан паспорт' },
+  { key: 'registrationAddress', label: 'Адрес регистрации' },
+  { key: 'inn', label: 'ИНН' },
+  { key: 'snils', label: 'СНИЛС' },
+  { key: 'stats.messagesCount', label: 'Сообщений', type: 'number' },
+  { key: 'stats.documentsUploaded', label: 'Документов загружено', type: 'number' },
+  { key: 'stats.responseTime', label: 'Время ответа, мин', type: 'number' },
+  { key: 'statusHistory', label: 'История статусов', type: 'statusHistory' },
+  { key: 'activityHistory', label: 'История активности', type: 'activityHistory' },
+  { key: 'createdAt', label: 'Дата создания', type: 'date' },
+  { key: 'updatedAt', label: 'Дата изменения', type: 'date' }
+];
+
+/**
+ * Поля вахтовика
+ */
+const SHIFT_WORKER_FIELDS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'ФИО' },
+  { key: 'phone', label: 'Телефон' },
+  { key: 'object', label: 'Объект' },
+  { key: 'project', label: 'Проект' },
+  { key: 'position', label: 'Должность' },
+  { key: 'status', label: 'Статус' },
+  { key: 'currentCheckpoint', label: 'Текущая КТ' },
+  { key: 'checkpointDate', label: 'Дата КТ', type: 'date' },
+  { key: 'checkpointStatus', label: 'Статус КТ' },
+  { key: 'checkpointResponse', label: 'Ответ на КТ' },
+  { key: 'comments', label: 'Комментарии СО', type: 'comments' },
+  { key: 'shiftStartDate', label: 'Начало вахты', type: 'date' },
+  { key: 'shiftEndDate', label: 'Конец вахты', type: 'date' },
+  { key: 'isOnShift', label: 'На вахте', type: 'boolean' },
+  { key: 'returnDate', label: 'Дата возвращения', type: 'date' },
+  { key: 'contactAttempts', label: 'Попыток связи', type: 'number' },
+  { key: 'createdAt', label: 'Дата создания', type: 'date' },
+  { key: 'updatedAt', label: 'Дата изменения', type: 'date' }
+];
+
+/**
+ * Что можно выгружать
+ * @description defaultFields - состав прежней выгрузки в CSV
+ */
+export const EXPORT_ENTITIES = {
+  candidates: {
+    label: 'Кандидаты',
+    store: CandidateStore,
+    fields: CANDIDATE_FIELDS,
+    defaultFields: ['id', 'name', 'phone', 'project', 'status', 'lastReply'],
+    filters: { status: 'Статус', project: 'Проект' }
+  },
+  shiftWorkers: {
+    label: 'Вахтовики',
+    store: ShiftWorkerStore,
+    fields: SHIFT_WORKER_FIELDS,
+    defaultFields: [
+      'id', 'name', 'phone', 'object', 'position', 'status', 'currentCheckpoint',
+      'checkpointDate', 'checkpointStatus', 'checkpointResponse', 'comments', 'createdAt'
+    ],
+    filters: { status: 'Статус', object: 'Объект', project: 'Проект' }
+  }
+};
+
+/**
+ * Запись значения по вложенному пути
+ * @param {Object} target - Объект
+ * @param {string} path - Путь (stats.messagesCount)
+ * @param {*} value - Значение
+ */
+function setValue(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    object[key] = object[key] || {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+}
+
+class ExportService {
+  constructor() {
+    this.logger = new Logger('ExportService');
+  }
+
+  /**
+   * Описание выгружаемой сущности
+   * @param {string} entity - Ключ EXPORT_ENTITIES
+   * @returns {Object} Описание
+   * @throws {Error} Если сущность неизвестна
+   */
+  getEntity(entity) {
+    const definition = EXPORT_ENTITIES[entity];
+    if (!definition) {
+      throw new Error(`Неизвестный тип выгрузки: ${entity}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Настройки выгрузки по умолчанию
+   * @param {string} entity - Ключ EXPORT_ENTITIES
+   * @returns {Object} { entity, fields, filters, periodDays, dateFormat, format, delimiter }
+   */
+  getDefaultConfig(entity) {
+    return {
+      entity,
+      fields: [...this.getEntity(entity).defaultFields],
+      filters: {},
+      periodDays: 0,
+      dateFormat: 'date',
+      format: 'csv',
+      delimiter: ','
+    };
+  }
+
+  /**
+   * Условия запроса по фильтрам выгрузки
+   * @param {Object} config - Настройки выгрузки
+   * @returns {Object} Условия для BaseStore.query
+   */
+  buildWhere({ entity, filters = {}, periodDays = 0 }) {
+    const where = {};
+
+    Object.keys(this.getEntity(entity).filters).forEach(field => {
+      const values = filters[field];
+      if (Array.isArray(values) && values.length > 0) {
+        where[field] = { $in: values };
+      }
+    });
+
+    // Относительный период: пресет "за неделю" всегда выгружает последние 7 дней
+    if (periodDays > 0) {
+      where.updatedAt = { $gte: new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000).toISOString() };
+    }
+
+    return where;
+  }
+
+  /**
+   * Форматирование даты
+   * @param {string} value - Дата
+   * @param {string} dateFormat - Ключ DATE_FORMATS
+   * @returns {string} Дата
+   */
+  formatDate(value, dateFormat) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return String(value);
+
+    switch (dateFormat) {
+      case 'iso':
+        return date.toISOString();
+      case 'datetime':
+        return date.toLocaleString('ru-RU', {
+          day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+      default:
+        return date.toLocaleDateString('ru-RU');
+    }
+  }
+
+  /**
+   * Значение поля для выгрузки
+   * @description В таблицах история - по записи на строку внутри ячейки,
+   * в JSON списки и история остаются массивами
+   * @param {Object} record - Запись
+   * @param {Object} field - Описание поля
+   * @param {Object} options - { dateFormat, structured }
+   * @returns {*} Значение
+   */
+  formatValue(record, field, { dateFormat, structured = false }) {
+    const value = QueryEngine.getValue(record, field.key);
+    if (value === null || value === undefined) {
+      return structured ? null : '';
+    }
+
+    switch (field.type) {
+      case 'date':
+        return this.formatDate(value, dateFormat);
+      case 'number':
+        return typeof value === 'number' ? value : Number(value) || 0;
+      case 'boolean':
+        return structured ? Boolean(value) : (value ? 'Да' : 'Нет');
+      case 'list':
+        return structured ? value : value.join(', ');
+      case 'statusHistory':
+        return structured
+          ? value.map(item => ({ ...item, timestamp: this.formatDate(item.timestamp, dateFormat) }))
+          : value.map(item => (
+            `${this.formatDate(item.timestamp, dateFormat)}: ${item.from || '—'} → ${item.to}` +
+            (item.reason ? ` (${item.reason})` : '')
+          )).join('\n');
+      case 'activityHistory':
+        return structured
+          ? value.map(item => ({ ...item, timestamp: this.formatDate(item.timestamp, dateFormat) }))
+          : value.map(item => `${this.formatDate(item.timestamp, dateFormat)}: ${item.type}`).join('\n');
+      case 'comments':
+        return structured
+          ? value.map(item => ({ ...item, createdAt: this.formatDate(item.createdAt, dateFormat) }))
+          : value.map(item => (
+            `${this.formatDate(item.createdAt, dateFormat)}: ${item.author ? `${item.author}: ` : ''}${item.text}`
+          )).join('\n');
+      default:
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+  }
+
+  /**
+   * Выбранные поля в порядке описания сущности
+   * @param {string} entity - Ключ EXPORT_ENTITIES
+   * @param {Array<string>} keys - Ключи полей
+   * @returns {Array<Object>} Описания полей
+   */
+  getFields(entity, keys) {
+    const fields = this.getEntity(entity).fields.filter(field => keys.includes(field.key));
+    if (fields.length === 0) {
+      throw new Error('Выберите хотя бы одно поле');
+    }
+    return fields;
+  }
+
+  /**
+   * Таблица для CSV и XLSX
+   * @param {Array} records - Записи
+   * @param {Array<Object>} fields - Описания полей
+   * @param {string} dateFormat - Ключ DATE_FORMATS
+   * @returns {Array<Array>} Строки, первая - заголовок
+   */
+  buildTable(records, fields, dateFormat) {
+    return [
+      fields.map(field => field.label),
+      ...records.map(record => fields.map(field => this.formatValue(record, field, { dateFormat })))
+    ];
+  }
+
+  /**
+   * CSV по RFC 4180
+   * @description Ячейки с разделителем, кавычками или переводом строки берутся
+   * в кавычки, кавычки внутри удваиваются; строки разделяются CRLF.
+   * BOM в начале нужен Excel, чтобы распознать UTF-8
+   * @param {Array<Array>} table - Строки таблицы
+   * @param {string} delimiter - Разделитель
+   * @returns {string} CSV
+   */
+  toCSV(table, delimiter = ',') {
+    const [fields, ...data] = table;
+    return '\uFEFF' + Papa.unparse({ fields, data }, { delimiter, newline: '\r\n' });
+  }
+
+  /**
+   * Сборка файла выгрузки
+   * @param {Object} config - Настройки выгрузки (см. getDefaultConfig)
+   * @returns {Promise<{blob: Blob, filename: string, count: number}>} Файл
+   */
+  async buildExport(config) {
+    const { entity, fields: keys, dateFormat = 'date', format = 'csv', delimiter = ',' } = config;
+    const definition = this.getEntity(entity);
+    const fields = this.getFields(entity, keys);
+
+    const { items } = await definition.store.query({
+      where: this.buildWhere(config),
+      sort: [['createdAt', 'asc']]
+    });
+
+    const filename = `${entity}_${new Date().toISOString().split('T')[0]}`;
+    let blob;
+
+    if (format === 'json') {
+      const data = items.map(record => {
+        const item = {};
+        fields.forEach(field => {
+          setValue(item, field.key, this.formatValue(record, field, { dateFormat, structured: true }));
+        });
+        return item;
+      });
+      blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json;charset=utf-8;' });
+    } else if (format === 'xlsx') {
+      blob = writeXlsx(this.buildTable(items, fields, dateFormat), definition.label);
+    } else {
+      const csv = this.toCSV(this.buildTable(items, fields, dateFormat), delimiter);
+      blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    }
+
+    this.logger.info(`Выгружено записей: ${items.length}`, { entity, format });
+    return { blob, filename: `${filename}.${format}`, count: items.length };
+  }
+
+  /**
+   * Сохраненные пресеты
+   * @param {string} entity - Ключ EXPORT_ENTITIES (без него - все)
+   * @returns {Promise<Array>} Пресеты
+   */
+  async getPresets(entity) {
+    const stored = await StorageEngine.table('meta').get(EXPORT_PRESETS_KEY);
+    const presets = stored ? stored.presets : [];
+    return entity ? presets.filter(preset => preset.entity === entity) : presets;
+  }
+
+  /**
+   * Запись списка пресетов
+   * @param {Array} presets - Пресеты
+   * @returns {Promise<void>}
+   */
+  async writePresets(presets) {
+    await StorageEngine.table('meta').put({
+      key: EXPORT_PRESETS_KEY,
+      presets,
+      updatedAt: new Date().toISOString()
+    });
+    EventBus.emit('export:presetsChanged', { updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Сохранение пресета
+   * @description Пресет с тем же названием для той же сущности перезаписывается
+   * @param {Object} preset - { id?, name, ...настройки выгрузки }
+   * @returns {Promise<Object>} Сохраненный пресет
+   * @throws {Error} Если не указано название
+   */
+  async savePreset(preset) {
+    const name = (preset.name || '').trim();
+    if (!name) {
+      throw new Error('Укажите название пресета');
+    }
+    this.getFields(preset.entity, preset.fields);
+
+    const presets = await this.getPresets();
+    const existing = presets.find(item => (
+      item.id === preset.id || (item.entity === preset.entity && item.name === name)
+    ));
+    const saved = {
+      ...preset,
+      name,
+      id: existing ? existing.id : `preset_${Date.now().toString(36)}`,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.writePresets(existing
+      ? presets.map(item => (item.id === existing.id ? saved : item))
+      : [...presets, saved]);
+    return saved;
+  }
+
+  /**
+   * Удаление пресета
+   * @param {string} id - ID пресета
+   * @returns {Promise<void>}
+   */
+  async deletePreset(id) {
+    const presets = await this.getPresets();
+    await this.writePresets(presets.filter(preset => preset.id !== id));
+  }
+}
+
+// Экспортируем синглтон
+export default new ExportService();
@@ -4,6 +4,7 @@
  * @description Синхронизация данных с Google Таблицами
  */
 import ExtensionAPIService from './ExtensionAPIService.js';
+import { getEntityComments, formatCommentsText } from './CommentService.js';
 import EventBus from '../utils/EventBus.js';
 import Logger from '../utils/Logger.js';
 
@@ -236,7 +237,7 @@ class GoogleSheetsService {
         candidate.passportIssueDate || '',
         candidate.passportIssuedBy || '',
         candidate.lastReply || '',
-        candidate.comment || '',
+        formatCommentsText(getEntityComments('candidates', candidate)),
         (candidate.tags || []).join(', '),
         candidate.source || 'manual'
       ]);
@@ -289,7 +290,7 @@ class GoogleSheetsService {
         worker.checkpointDate || '',
         worker.checkpointStatus || '',
         worker.checkpointResponse || '',
-        worker.soComment || '',
+        formatCommentsText(getEntityComments('shiftWorkers', worker)),
         worker.shiftSchedule || ''
       ]);
       
@@ -0,0 +1,254 @@
+// src/services/HandoffService.js
+/**
+ * 📨 Сервис передачи кандидатов на 1-ю линию
+ * @description При переходе кандидата в "Передан" - откуда бы он ни произошел -
+ * собирает карточку передачи и ставит ее в очередь 1-й линии, а если в
+ * настройках указана Telegram-группа 1-й линии, отправляет карточку туда.
+ * Когда кандидат уходит из "Передан" в обход очереди, передача закрывается
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import HandoffStore, { HANDOFF_STATUSES } from '../stores/HandoffStore.js';
+import TimelineStore from '../stores/TimelineStore.js';
+import DocumentService, { DOCUMENT_STATUS_LABELS } from './DocumentService.js';
+import { getEntityComments, getLatestComment } from './CommentService.js';
+import { ESCALATION_CHANNELS, ESCALATION_RESULT_LABELS } from './EscalationService.js';
+import ExtensionAPIService from './ExtensionAPIService.js';
+
+// Хранилище кандидатов
+const CANDIDATES_STORE = 'candidates';
+
+// Ключ настроек приложения
+const SETTINGS_KEY = 'hr-assistant-settings';
+
+// Статус кандидата на 1-й линии
+export const HANDOFF_STATUS = 'Передан';
+
+// Сколько последних сообщений попадает в карточку
+const CARD_MESSAGES = 5;
+
+/**
+ * Итоги работы 1-й линии и статус, с которым кандидат возвращается рекрутеру
+ */
+export const HANDOFF_OUTCOMES = {
+  reached: { label: 'Дозвонились', status: 'Активен' },
+  wrong_number: { label: 'Неверный номер', status: 'Архив' },
+  refused: { label: 'Отказался', status: 'Отказ' },
+  returned: { label: 'Возвращен без результата', status: 'Активен' }
+};
+
+/**
+ * Текст карточки передачи для мессенджера
+ * @param {Object} card - Карточка
+ * @returns {string} Текст
+ */
+export function formatHandoffCard(card) {
+  const date = (value) => (value ? new Date(value).toLocaleString('ru-RU') : '-');
+  const lines = [
+    `Передача на 1-ю линию: ${card.name}`,
+    `Проект: ${card.project || '-'}`,
+    `Телефон: ${card.contacts.phone || '-'}`
+  ];
+
+  if (card.contacts.email) lines.push(`Email: ${card.contacts.email}`);
+  lines.push(`Причина: ${card.reason || 'не указана'}`);
+  lines.push(`Документы: ${card.documents.received} из ${card.documents.total}`);
+  lines.push(`Напоминаний: ${card.attempts.reminders}, молчит с ${date(card.attempts.silentSince)}`);
+
+  card.attempts.steps.forEach(step => {
+    lines.push(`  ${date(step.at)} ${step.channel}: ${step.result}`);
+  });
+
+  if (card.messages.length > 0) {
+    lines.push('Последние сообщения:');
+    card.messages.forEach(message => {
+      lines.push(`  ${message.direction === 'in' ? '←' : '→'} ${date(message.timestamp)}: ${message.text}`);
+    });
+  }
+  if (card.lastComment) {
+    lines.push(`Комментарий: ${card.lastComment}`);
+  }
+
+  return lines.join('\n');
+}
+
+class HandoffService {
+  constructor() {
+    this.logger = new Logger('HandoffService');
+
+    EventBus.on('transaction:committed', this.handleCommitted.bind(this));
+  }
+
+  /**
+   * Telegram-группа 1-й линии
+   * @returns {string} ID чата из настроек или пустая строка
+   */
+  getTelegramChat() {
+    try {
+      const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+      return String(settings.firstLineTelegramChat || '').trim();
+    } catch (error) {
+      this.logger.warn('Не удалось прочитать настройки 1-й линии', error);
+      return '';
+    }
+  }
+
+  /**
+   * Открытие и закрытие передач при смене статуса кандидата
+   * @description Отмена и повтор действий передачи не создают
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes, context }) {
+    if (context.history) return;
+
+    for (const { storeName, action, before, after } of changes) {
+      if (storeName !== CANDIDATES_STORE || !after) continue;
+      if (action !== 'created' && action !== 'updated') continue;
+
+      const from = before ? before.status : null;
+      if (from === after.status) continue;
+
+      if (after.status === HANDOFF_STATUS) {
+        this.openHandoff(after, { from, user: context.user });
+      } else if (from === HANDOFF_STATUS) {
+        this.closeHandoff(after);
+      }
+    }
+  }
+
+  /**
+   * Карточка передачи
+   * @param {Object} candidate - Кандидат
+   * @param {string} from - Статус до передачи
+   * @returns {Promise<Object>} Карточка
+   */
+  async buildCard(candidate, from = null) {
+    await DocumentService.ready;
+    const checklist = DocumentService.getChecklistStatus(candidate);
+    const events = await TimelineStore.getForCandidate(candidate.id);
+    const latestComment = getLatestComment(getEntityComments(CANDIDATES_STORE, candidate));
+    const escalationSteps = Object.values(candidate.escalation?.steps || {})
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    return {
+      name: candidate.name,
+      project: candidate.project,
+      previousStatus: from,
+      reason: candidate.transferReason || '',
+      transferredAt: candidate.transferredAt || new Date().toISOString(),
+      contacts: {
+        phone: candidate.phone || '',
+        email: candidate.email || '',
+        chatId: candidate.chatId || '',
+        telegramId: candidate.telegramId || ''
+      },
+      documents: {
+        received: checklist.received,
+        total: checklist.total,
+        items: checklist.items.map(item => ({
+          label: item.label,
+          status: DOCUMENT_STATUS_LABELS[item.status] || item.status,
+          required: item.required
+        }))
+      },
+      messages: events
+        .filter(event => event.type === 'message_in' || event.type === 'message_out')
+        .slice(0, CARD_MESSAGES)
+        .map(event => ({
+          direction: event.type === 'message_in' ? 'in' : 'out',
+          text: event.text,
+          timestamp: event.timestamp
+        })),
+      attempts: {
+        reminders: candidate.smsAttempts || 0,
+        lastReminderAt: candidate.lastSmsDate || null,
+        silentSince: candidate.silentSince || null,
+        steps: escalationSteps.map(step => ({
+          channel: ESCALATION_CHANNELS[step.channel] || step.channel,
+          result: ESCALATION_RESULT_LABELS[step.result] || step.result,
+          at: step.at
+        }))
+      },
+      lastComment: latestComment ? latestComment.text : ''
+    };
+  }
+
+  /**
+   * Постановка кандидата в очередь 1-й линии
+   * @description Повторная передача, пока прежняя открыта, не создает новую
+   * @param {Object} candidate - Кандидат
+   * @param {Object} options - { from, user }
+   * @returns {Promise<Object|null>} Передача
+   */
+  async openHandoff(candidate, { from = null, user } = {}) {
+    try {
+      await HandoffStore.ready;
+      if (await HandoffStore.getOpenForCandidate(candidate.id)) {
+        return null;
+      }
+
+      const card = await this.buildCard(candidate, from);
+      const telegramChat = this.getTelegramChat();
+      const delivery = telegramChat ? await this.sendToTelegram(card, telegramChat) : null;
+
+      const handoff = await HandoffStore.create({
+        candidateId: candidate.id,
+        status: HANDOFF_STATUSES.OPEN,
+        card,
+        delivery,
+        transferredBy: user || 'system',
+        outcome: null,
+        comment: ''
+      });
+
+      EventBus.emit('handoff:opened', handoff);
+      return handoff;
+    } catch (error) {
+      this.logger.error(`Не удалось поставить кандидата ${candidate.id} в очередь 1-й линии`, error);
+      EventBus.emit('notification:warning', `Карточка передачи кандидата ${candidate.name} не создана`);
+      return null;
+    }
+  }
+
+  /**
+   * Отправка карточки в Telegram-группу 1-й линии
+   * @param {Object} card - Карточка
+   * @param {string} chatId - ID группы
+   * @returns {Promise<Object>} { channel, chatId, success, at }
+   */
+  async sendToTelegram(card, chatId) {
+    let success = false;
+    try {
+      const result = await ExtensionAPIService.sendTelegram(formatHandoffCard(card), chatId);
+      success = Boolean(result && result.success);
+    } catch (error) {
+      this.logger.warn('Не удалось отправить карточку передачи в Telegram', error);
+    }
+    return { channel: 'telegram', chatId, success, at: new Date().toISOString() };
+  }
+
+  /**
+   * Закрытие передачи кандидата, которого вывели из "Передан" в обход очереди
+   * @param {Object} candidate - Кандидат
+   * @returns {Promise<void>}
+   */
+  async closeHandoff(candidate) {
+    try {
+      await HandoffStore.ready;
+      const handoff = await HandoffStore.getOpenForCandidate(candidate.id);
+      if (!handoff) return;
+
+      await HandoffStore.update(handoff.id, {
+        status: HANDOFF_STATUSES.CLOSED,
+        closedAt: new Date().toISOString(),
+        comment: `Статус изменен на "${candidate.status}" без итога 1-й линии`
+      });
+      EventBus.emit('handoff:closed', handoff.id);
+    } catch (error) {
+      this.logger.error(`Не удалось закрыть передачу кандидата ${candidate.id}`, error);
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new HandoffService();
@@ -0,0 +1,486 @@
+// src/services/PipelineService.js
+/**
+ * 🔀 Сервис воронки кандидатов
+ * @description Описание воронки: разрешенные переходы между статусами,
+ * обязательные поля и причина для входа в статус, действия при входе
+ * и выходе из статуса (сообщение кандидату или задача рекрутеру).
+ * Описание хранится в таблице meta и редактируется в настройках
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+import WhatsAppService from './WhatsAppService.js';
+import TimelineService from './TimelineService.js';
+
+// Ключ описания воронки в таблице meta
+export const PIPELINE_CONFIG_KEY = 'pipeline';
+
+// Хранилище, смену статусов в котором отслеживает воронка
+const CANDIDATES_STORE = 'candidates';
+
+/**
+ * Статусы кандидата (порядок - порядок этапов воронки)
+ */
+export const CANDIDATE_STATUSES = [
+  'Новый', 'Активен', 'Молчит', 'Передан',
+  'Доведен', 'Отказ', 'Архив', 'Заблокирован'
+];
+
+/**
+ * Поля кандидата, которые можно сделать обязательными для статуса
+ */
+export const PIPELINE_FIELDS = {
+  phone: 'Телефон',
+  email: 'Email',
+  project: 'Проект',
+  passport: 'Паспорт',
+  passportIssueDate: 'Дата выдачи паспорта',
+  passportIssuedBy: 'Кем выдан паспорт',
+  birthDate: 'Дата рождения',
+  birthPlace: 'Место рождения',
+  registrationAddress: 'Адрес регистрации',
+  inn: 'ИНН',
+  snils: 'СНИЛС'
+};
+
+/**
+ * Типы действий при смене статуса
+ */
+export const HOOK_TYPES = {
+  // Сообщение кандидату в WhatsApp
+  MESSAGE: 'message',
+  // Задача рекрутеру
+  TASK: 'task'
+};
+
+/**
+ * Воронка по умолчанию
+ * @description В шаблонах действий доступны {name}, {project}, {status} и {reason}.
+ * У статуса можно задать wipLimit - сколько кандидатов допустимо в колонке доски
+ */
+export const DEFAULT_PIPELINE = {
+  initialStatus: 'Новый',
+  statuses: [
+    {
+      name: 'Новый',
+      transitions: ['Активен', 'Молчит', 'Передан', 'Отказ', 'Архив', 'Заблокирован'],
+      requiredFields: [],
+      requiresReason: false,
+      onEnter: [],
+      onExit: []
+    },
+    {
+      name: 'Активен',
+      transitions: ['Молчит', 'Передан', 'Доведен', 'Отказ', 'Архив', 'Заблокирован'],
+      requiredFields: [],
+      requiresReason: false,
+      onEnter: [],
+      onExit: []
+    },
+    {
+      name: 'Молчит',
+      transitions: ['Активен', 'Передан', 'Отказ', 'Архив', 'Заблокирован'],
+      requiredFields: [],
+      requiresReason: false,
+      onEnter: [],
+      onExit: []
+    },
+    {
+      name: 'Передан',
+      transitions: ['Активен', 'Доведен', 'Отказ', 'Архив', 'Заблокирован'],
+      requiredFields: [],
+      requiresReason: false,
+      onEnter: [
+        { type: HOOK_TYPES.TASK, text: 'Связаться с кандидатом {name} (1-я линия)' }
+      ],
+      onExit: []
+    },
+    {
+      name: 'Доведен',
+      transitions: ['Архив'],
+      requiredFields: ['passport', 'inn', 'snils'],
+      requiresReason: false,
+      onEnter: [
+        { type: HOOK_TYPES.TASK, text: 'Оформить кандидата {name} на проект «{project}»' }
+      ],
+      onExit: []
+    },
+    {
+      name: 'Отказ',
+      transitions: ['Активен', 'Архив'],
+      requiredFields: [],
+      requiresReason: true,
+      onEnter: [],
+      onExit: []
+    },
+    {
+      name: 'Архив',
+      transitions: ['Активен'],
+      requiredFields: [],
+      requiresReason: false,
+      onEnter: [],
+      onExit: []
+    },
+    {
+      name: 'Заблокирован',
+      transitions: ['Активен', 'Архив'],
+      requiredFields: [],
+      requiresReason: true,
+      onEnter: [],
+      onExit: []
+    }
+  ]
+};
+
+/**
+ * Ошибка недопустимой смены статуса
+ */
+export class TransitionError extends Error {
+  /**
+   * @param {string} message - Сообщение
+   * @param {Object} details - { from, to, missingFields, reasonRequired }
+   */
+  constructor(message, { from = null, to = null, missingFields = [], reasonRequired = false } = {}) {
+    super(message);
+    this.name = 'TransitionError';
+    this.from = from;
+    this.to = to;
+    this.missingFields = missingFields;
+    this.reasonRequired = reasonRequired;
+  }
+}
+
+/**
+ * Приведение описания статуса к полному виду
+ * @param {Object} status - Описание статуса
+ * @returns {Object} Описание со всеми полями
+ */
+function normalizeStatus(status) {
+  return {
+    name: status.name,
+    transitions: Array.isArray(status.transitions) ? status.transitions : [],
+    requiredFields: Array.isArray(status.requiredFields) ? status.requiredFields : [],
+    requiresReason: !!status.requiresReason,
+    wipLimit: Number(status.wipLimit) > 0 ? Number(status.wipLimit) : null,
+    onEnter: Array.isArray(status.onEnter) ? status.onEnter : [],
+    onExit: Array.isArray(status.onExit) ? status.onExit : []
+  };
+}
+
+class PipelineService {
+  constructor() {
+    this.logger = new Logger('PipelineService');
+    this.definition = this.normalize(DEFAULT_PIPELINE);
+
+    // Действия выполняются после сохранения смены статуса, какой бы код ее ни сделал
+    EventBus.on('transaction:committed', this.handleCommitted.bind(this));
+    // Воронку изменили в другой вкладке
+    EventBus.on('pipeline:changed', () => this.load());
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Загрузка описания воронки
+   * @returns {Promise<Object>} Описание воронки
+   */
+  async load() {
+    try {
+      const stored = await StorageEngine.table('meta').get(PIPELINE_CONFIG_KEY);
+      this.definition = this.normalize(stored ? stored.definition : DEFAULT_PIPELINE);
+    } catch (error) {
+      this.logger.error('Ошибка загрузки описания воронки', error);
+    }
+    return this.definition;
+  }
+
+  /**
+   * Приведение описания воронки к полному виду
+   * @description Статусы, которых нет в описании, добавляются без переходов
+   * @param {Object} definition - Описание воронки
+   * @returns {Object} Описание воронки
+   */
+  normalize(definition) {
+    const statuses = (definition.statuses || [])
+      .filter(status => CANDIDATE_STATUSES.includes(status.name))
+      .map(normalizeStatus);
+
+    CANDIDATE_STATUSES
+      .filter(name => !statuses.some(status => status.name === name))
+      .forEach(name => statuses.push(normalizeStatus({ name })));
+
+    return {
+      initialStatus: CANDIDATE_STATUSES.includes(definition.initialStatus)
+        ? definition.initialStatus
+        : DEFAULT_PIPELINE.initialStatus,
+      statuses
+    };
+  }
+
+  /**
+   * Проверка описания воронки перед сохранением
+   * @param {Object} definition - Описание воронки
+   * @throws {Error} Если описание некорректно
+   */
+  validateDefinition(definition) {
+    if (!CANDIDATE_STATUSES.includes(definition.initialStatus)) {
+      throw new Error(`Недопустимый начальный статус: ${definition.initialStatus}`);
+    }
+
+    for (const status of definition.statuses) {
+      if (!CANDIDATE_STATUSES.includes(status.name)) {
+        throw new Error(`Недопустимый статус: ${status.name}`);
+      }
+
+      const unknownTransition = status.transitions.find(name => !CANDIDATE_STATUSES.includes(name) || name === status.name);
+      if (unknownTransition) {
+        throw new Error(`Недопустимый переход «${status.name}» → «${unknownTransition}»`);
+      }
+
+      const unknownField = status.requiredFields.find(field => !PIPELINE_FIELDS[field]);
+      if (unknownField) {
+        throw new Error(`Поле ${unknownField} нельзя сделать обязательным`);
+      }
+
+      for (const hook of [...status.onEnter, ...status.onExit]) {
+        if (!Object.values(HOOK_TYPES).includes(hook.type)) {
+          throw new Error(`Неизвестное действие «${hook.type}» в статусе «${status.name}»`);
+        }
+        if (!String(hook.text || '').trim()) {
+          throw new Error(`Не заполнен текст действия в статусе «${status.name}»`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Сохранение описания воронки
+   * @param {Object} definition - Описание воронки
+   * @returns {Promise<Object>} Сохраненное описание
+   */
+  async saveDefinition(definition) {
+    const normalized = this.normalize(definition);
+    this.validateDefinition(normalized);
+
+    await StorageEngine.table('meta').put({
+      key: PIPELINE_CONFIG_KEY,
+      definition: normalized,
+      updatedAt: new Date().toISOString()
+    });
+
+    this.definition = normalized;
+    EventBus.emit('pipeline:changed', { updatedAt: new Date().toISOString() });
+    this.logger.info('Описание воронки сохранено');
+    return this.getDefinition();
+  }
+
+  /**
+   * Возврат воронки по умолчанию
+   * @returns {Promise<Object>} Описание воронки
+   */
+  async resetDefinition() {
+    await StorageEngine.table('meta').delete(PIPELINE_CONFIG_KEY);
+    this.definition = this.normalize(DEFAULT_PIPELINE);
+    EventBus.emit('pipeline:changed', { updatedAt: new Date().toISOString() });
+    return this.getDefinition();
+  }
+
+  /**
+   * Текущее описание воронки (копия для редактирования)
+   * @returns {Object} Описание воронки
+   */
+  getDefinition() {
+    return JSON.parse(JSON.stringify(this.definition));
+  }
+
+  /**
+   * Начальный статус нового кандидата
+   * @returns {string} Статус
+   */
+  getInitialStatus() {
+    return this.definition.initialStatus;
+  }
+
+  /**
+   * Известен ли статус
+   * @param {string} status - Статус
+   * @returns {boolean} Известен ли
+   */
+  isKnownStatus(status) {
+    return CANDIDATE_STATUSES.includes(status);
+  }
+
+  /**
+   * Описание статуса
+   * @param {string} name - Статус
+   * @returns {Object|null} Описание статуса
+   */
+  getStatus(name) {
+    return this.definition.statuses.find(status => status.name === name) || null;
+  }
+
+  /**
+   * Статусы, в которые можно перейти из указанного
+   * @description Из неизвестного статуса (старые записи) можно перейти в любой
+   * @param {string} from - Текущий статус
+   * @returns {Array<string>} Статусы
+   */
+  getAllowedTransitions(from) {
+    const status = this.getStatus(from);
+    if (!status) {
+      return CANDIDATE_STATUSES.filter(name => name !== from);
+    }
+    return status.transitions;
+  }
+
+  /**
+   * Проверка смены статуса
+   * @param {Object} candidate - Кандидат (текущие значения полей)
+   * @param {string} to - Новый статус
+   * @param {string} reason - Причина смены
+   * @returns {Object} { allowed, message, missingFields, reasonRequired }
+   */
+  checkTransition(candidate, to, reason = '') {
+    const from = candidate.status;
+    const result = { allowed: false, message: '', missingFields: [], reasonRequired: false };
+
+    if (!this.isKnownStatus(to)) {
+      result.message = `Недопустимый статус: ${to}`;
+      return result;
+    }
+
+    if (from === to) {
+      result.message = `Кандидат уже в статусе «${to}»`;
+      return result;
+    }
+
+    if (from && !this.getAllowedTransitions(from).includes(to)) {
+      result.message = `Переход «${from}» → «${to}» не разрешен`;
+      return result;
+    }
+
+    const target = this.getStatus(to);
+    result.missingFields = target.requiredFields.filter(field => !candidate[field]);
+    result.reasonRequired = target.requiresReason && !String(reason || '').trim();
+
+    if (result.missingFields.length > 0) {
+      const labels = result.missingFields.map(field => PIPELINE_FIELDS[field] || field);
+      result.message = `Для статуса «${to}» заполните: ${labels.join(', ')}`;
+    } else if (result.reasonRequired) {
+      result.message = `Для статуса «${to}» укажите причину`;
+    }
+
+    result.allowed = !result.message;
+    return result;
+  }
+
+  /**
+   * Проверка смены статуса с ошибкой
+   * @param {Object} candidate - Кандидат
+   * @param {string} to - Новый статус
+   * @param {string} reason - Причина смены
+   * @throws {TransitionError} Если переход недопустим
+   */
+  assertTransition(candidate, to, reason = '') {
+    const { allowed, message, missingFields, reasonRequired } = this.checkTransition(candidate, to, reason);
+    if (!allowed) {
+      throw new TransitionError(message, { from: candidate.status, to, missingFields, reasonRequired });
+    }
+  }
+
+  /**
+   * Обработка сохраненной транзакции: действия при смене статуса
+   * @description Отмена и повтор действий не запускают их заново
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes, context }) {
+    if (context.history) return;
+
+    for (const { storeName, action, before, after } of changes) {
+      if (storeName !== CANDIDATES_STORE || !after) continue;
+      if (action !== 'created' && action !== 'updated') continue;
+
+      const from = before ? before.status : null;
+      if (from === after.status) continue;
+
+      this.runHooks(after, from, after.status);
+    }
+  }
+
+  /**
+   * Выполнение действий при выходе из статуса и входе в новый
+   * @param {Object} candidate - Кандидат
+   * @param {string|null} from - Прежний статус
+   * @param {string} to - Новый статус
+   * @returns {Promise<void>}
+   */
+  async runHooks(candidate, from, to) {
+    const exitStatus = from ? this.getStatus(from) : null;
+    const enterStatus = this.getStatus(to);
+    const hooks = [
+      ...(exitStatus ? exitStatus.onExit : []),
+      ...(enterStatus ? enterStatus.onEnter : [])
+    ];
+
+    const lastChange = (candidate.statusHistory || []).slice(-1)[0];
+    const variables = {
+      name: candidate.name,
+      project: candidate.project,
+      status: to,
+      reason: lastChange && lastChange.to === to ? lastChange.reason : ''
+    };
+
+    for (const hook of hooks) {
+      try {
+        await this.runHook(hook, candidate, variables);
+      } catch (error) {
+        this.logger.error(`Ошибка действия воронки (${hook.type})`, error);
+        EventBus.emit('notification:warning', `Не выполнено действие при смене статуса кандидата ${candidate.name}`);
+      }
+    }
+  }
+
+  /**
+   * Выполнение одного действия
+   * @param {Object} hook - Действие { type, text }
+   * @param {Object} candidate - Кандидат
+   * @param {Object} variables - Значения для шаблона
+   * @returns {Promise<void>}
+   */
+  async runHook(hook, candidate, variables) {
+    const text = hook.text.replace(/\{(\w+)\}/g, (match, key) => (
+      variables[key] !== undefined && variables[key] !== null ? variables[key] : ''
+    ));
+
+    if (hook.type === HOOK_TYPES.MESSAGE) {
+      if (!candidate.chatId) {
+        this.logger.warn(`У кандидата ${candidate.id} нет чата, сообщение не отправлено`);
+        return;
+      }
+
+      const sent = await WhatsAppService.sendMessage(candidate.chatId, text);
+      if (!sent) {
+        throw new Error(`Не удалось отправить сообщение кандидату ${candidate.name}`);
+      }
+      await TimelineService.record(candidate.id, 'message_out', { text, status: 'sent' });
+      return;
+    }
+
+    if (hook.type === HOOK_TYPES.TASK) {
+      EventBus.emit('pipeline:task', { candidateId: candidate.id, title: text, status: variables.status });
+      EventBus.emit('notification:show', {
+        type: 'info',
+        title: 'Новая задача',
+        message: text,
+        duration: 0,
+        data: {
+          action: 'navigation:candidates',
+          candidateId: candidate.id
+        }
+      });
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new PipelineService();
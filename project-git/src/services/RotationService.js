@@ -0,0 +1,396 @@
+// src/services/RotationService.js
+/**
+ * 🔄 Сервис графика вахт
+ * @description Вахта идет по схеме "дней на вахте / дней отдыха" (30/30,
+ * 60/30, 45/15...) от даты первого заезда. По схеме строятся будущие периоды
+ * вахтовика, дата уведомления "за 5 дней до окончания" и даты КТ, а по
+ * периодам всех вахтовиков объекта - численность на каждый день и провалы
+ * ниже минимума объекта. Схемы и минимумы объектов хранятся в таблице meta
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+
+// Ключ правил вахт в таблице meta
+export const ROTATION_CONFIG_KEY = 'rotation';
+
+/**
+ * Типовые схемы вахты
+ */
+export const ROTATION_TEMPLATES = {
+  '30/30': { onDays: 30, offDays: 30 },
+  '60/30': { onDays: 60, offDays: 30 },
+  '45/15': { onDays: 45, offDays: 15 },
+  '15/15': { onDays: 15, offDays: 15 }
+};
+
+// За сколько дней до окончания вахты уведомляется вахтовик
+export const NOTIFY_DAYS_BEFORE_END = 5;
+
+// На сколько дней вперед строится план
+export const PLAN_HORIZON_DAYS = 180;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Правила по умолчанию: схема 30/30 без минимальной численности
+ */
+const DEFAULT_ROTATION = {
+  onDays: 30,
+  offDays: 30,
+  minHeadcount: 0,
+  objects: {}
+};
+
+/**
+ * Начало дня
+ * @param {Date|string} value - Дата
+ * @returns {Date} Полночь того же дня (местное время)
+ */
+export function startOfDay(value) {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Сдвиг даты на дни
+ * @description Через setDate, чтобы переход на летнее время не сдвигал полночь
+ * @param {Date} date - Дата
+ * @param {number} days - Дней
+ * @returns {Date} Новая дата
+ */
+export function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Число дней между датами
+ * @param {Date} from - Начало
+ * @param {Date} to - Конец
+ * @returns {number} Дней
+ */
+export function daysBetween(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY);
+}
+
+/**
+ * Название схемы
+ * @param {Object} rule - { onDays, offDays }
+ * @returns {string} Например "30/30"
+ */
+export function formatRotation(rule) {
+  return `${rule.onDays}/${rule.offDays}`;
+}
+
+class RotationService {
+  constructor() {
+    this.logger = new Logger('RotationService');
+    this.definition = this.normalize(DEFAULT_ROTATION);
+
+    // Правила изменили в другой вкладке
+    EventBus.on('rotation:changed', () => this.load());
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Загрузка правил
+   * @returns {Promise<Object>} Правила
+   */
+  async load() {
+    try {
+      const stored = await StorageEngine.table('meta').get(ROTATION_CONFIG_KEY);
+      this.definition = this.normalize(stored ? stored.definition : DEFAULT_ROTATION);
+    } catch (error) {
+      this.logger.error('Ошибка загрузки правил вахт', error);
+    }
+    return this.definition;
+  }
+
+  /**
+   * Приведение правила объекта к полному виду
+   * @param {Object} rule - { onDays, offDays, minHeadcount }
+   * @returns {Object} Правило
+   */
+  normalizeRule(rule) {
+    return {
+      onDays: Number(rule.onDays) || 0,
+      offDays: Number(rule.offDays) || 0,
+      minHeadcount: Number(rule.minHeadcount) || 0
+    };
+  }
+
+  /**
+   * Приведение правил к полному виду
+   * @param {Object} definition - Правила
+   * @returns {Object} Правила
+   */
+  normalize(definition) {
+    return {
+      ...this.normalizeRule(definition),
+      objects: Object.fromEntries(Object.entries(definition.objects || {}).map(([object, rule]) => [
+        object,
+        this.normalizeRule(rule)
+      ]))
+    };
+  }
+
+  /**
+   * Проверка правил перед сохранением
+   * @param {Object} definition - Правила
+   * @throws {Error} Если правила некорректны
+   */
+  validateDefinition(definition) {
+    const rules = [['Общая схема', definition], ...Object.entries(definition.objects)];
+
+    rules.forEach(([name, rule]) => {
+      if (!Number.isInteger(rule.onDays) || rule.onDays <= NOTIFY_DAYS_BEFORE_END) {
+        throw new Error(`${name}: вахта должна быть длиннее ${NOTIFY_DAYS_BEFORE_END} дней`);
+      }
+      if (!Number.isInteger(rule.offDays) || rule.offDays < 0) {
+        throw new Error(`${name}: дней отдыха не может быть меньше нуля`);
+      }
+      if (!Number.isInteger(rule.minHeadcount) || rule.minHeadcount < 0) {
+        throw new Error(`${name}: минимальная численность не может быть меньше нуля`);
+      }
+    });
+  }
+
+  /**
+   * Сохранение правил
+   * @param {Object} definition - Правила
+   * @returns {Promise<Object>} Сохраненные правила
+   */
+  async saveDefinition(definition) {
+    const normalized = this.normalize(definition);
+    this.validateDefinition(normalized);
+
+    await StorageEngine.table('meta').put({
+      key: ROTATION_CONFIG_KEY,
+      definition: normalized,
+      updatedAt: new Date().toISOString()
+    });
+
+    this.definition = normalized;
+    EventBus.emit('rotation:changed', { updatedAt: new Date().toISOString() });
+    this.logger.info('Правила вахт сохранены');
+    return this.getDefinition();
+  }
+
+  /**
+   * Возврат правил по умолчанию
+   * @returns {Promise<Object>} Правила
+   */
+  async resetDefinition() {
+    await StorageEngine.table('meta').delete(ROTATION_CONFIG_KEY);
+    this.definition = this.normalize(DEFAULT_ROTATION);
+    EventBus.emit('rotation:changed', { updatedAt: new Date().toISOString() });
+    return this.getDefinition();
+  }
+
+  /**
+   * Текущие правила (копия для редактирования)
+   * @returns {Object} Правила
+   */
+  getDefinition() {
+    return JSON.parse(JSON.stringify(this.definition));
+  }
+
+  /**
+   * Правило объекта с учетом общего
+   * @param {string} object - Объект
+   * @returns {{onDays: number, offDays: number, minHeadcount: number}} Правило
+   */
+  getRule(object) {
+    const { onDays, offDays, minHeadcount } = this.definition;
+    return this.definition.objects[object] || { onDays, offDays, minHeadcount };
+  }
+
+  /**
+   * Даты КТ периода: заезд, середина вахты и выезд
+   * @param {Date} start - Первый день вахты
+   * @param {Date} end - Последний день вахты
+   * @returns {Array<{checkpoint: string, date: string}>} КТ
+   */
+  getCheckpoints(start, end) {
+    return [
+      { checkpoint: 'Заезд на вахту', date: start.toISOString() },
+      { checkpoint: 'Середина вахты', date: addDays(start, Math.floor(daysBetween(start, end) / 2)).toISOString() },
+      { checkpoint: 'Выезд с вахты', date: end.toISOString() }
+    ];
+  }
+
+  /**
+   * Периоды вахты в интервале
+   * @description Периоды идут от первого заезда с шагом "вахта + отдых";
+   * возвращаются те, что пересекают интервал, в том числе уже идущий
+   * @param {Object} rotation - { startDate, onDays, offDays }
+   * @param {Date} from - Начало интервала
+   * @param {Date} until - Конец интервала
+   * @returns {Array<Object>} [{ start, end, fiveDaysBeforeEnd, checkpoints }]
+   */
+  generatePeriods(rotation, from, until) {
+    const anchor = startOfDay(rotation.startDate);
+    const cycle = rotation.onDays + rotation.offDays;
+    const first = startOfDay(from);
+    const last = startOfDay(until);
+    const periods = [];
+
+    // Первый цикл, который может пересечь интервал
+    let index = Math.max(0, Math.floor(daysBetween(anchor, first) / cycle));
+    for (;;) {
+      const start = addDays(anchor, index * cycle);
+      if (start > last) break;
+
+      const end = addDays(start, rotation.onDays - 1);
+      if (end >= first) {
+        periods.push({
+          start: start.toISOString(),
+          end: end.toISOString(),
+          fiveDaysBeforeEnd: addDays(end, -NOTIFY_DAYS_BEFORE_END).toISOString(),
+          checkpoints: this.getCheckpoints(start, end)
+        });
+      }
+      index++;
+    }
+
+    return periods;
+  }
+
+  /**
+   * Текущий или ближайший период вахтовика
+   * @param {Object} rotation - { startDate, onDays, offDays }
+   * @param {Date} now - Момент проверки
+   * @returns {Object|null} Период
+   */
+  getCurrentPeriod(rotation, now = new Date()) {
+    const cycle = rotation.onDays + rotation.offDays;
+    return this.generatePeriods(rotation, now, addDays(now, cycle))[0] || null;
+  }
+
+  /**
+   * Периоды вахтовика в интервале
+   * @description Без графика периодом считаются даты текущей вахты
+   * @param {Object} worker - Вахтовик
+   * @param {Date} from - Начало интервала
+   * @param {Date} until - Конец интервала
+   * @returns {Array<Object>} [{ start, end, fiveDaysBeforeEnd, checkpoints }]
+   */
+  getWorkerPeriods(worker, from, until) {
+    if (worker.rotation) {
+      return this.generatePeriods(worker.rotation, from, until);
+    }
+    if (!worker.shiftStartDate || !worker.shiftEndDate) {
+      return [];
+    }
+
+    const start = startOfDay(worker.shiftStartDate);
+    const end = startOfDay(worker.shiftEndDate);
+    if (end < startOfDay(from) || start > startOfDay(until)) {
+      return [];
+    }
+
+    return [{
+      start: start.toISOString(),
+      end: end.toISOString(),
+      fiveDaysBeforeEnd: addDays(end, -NOTIFY_DAYS_BEFORE_END).toISOString(),
+      checkpoints: this.getCheckpoints(start, end)
+    }];
+  }
+
+  /**
+   * План вахт по объектам
+   * @description В плане все объекты схем и вахтовиков. Для каждого дня
+   * считается, сколько вахтовиков объекта на вахте; дни ниже минимума
+   * объекта собираются в провалы
+   * @param {Array<Object>} workers - Вахтовики
+   * @param {Date} from - Первый день плана
+   * @param {number} days - Дней в плане
+   * @returns {Array<Object>} [{ object, rule, rows, headcount, gaps }]
+   */
+  buildPlan(workers, from, days) {
+    const first = startOfDay(from);
+    const last = addDays(first, days - 1);
+    const byObject = new Map(Object.keys(this.definition.objects).map(object => [object, []]));
+
+    workers
+      .filter(worker => worker.object)
+      .forEach(worker => {
+        if (!byObject.has(worker.object)) {
+          byObject.set(worker.object, []);
+        }
+
+        // Периоды в индексах дней плана
+        const periods = this.getWorkerPeriods(worker, first, last).map(period => {
+          const startIndex = Math.max(0, daysBetween(first, period.start));
+          const endIndex = Math.min(days - 1, daysBetween(first, period.end));
+          return { ...period, startIndex, length: endIndex - startIndex + 1 };
+        });
+
+        byObject.get(worker.object).push({
+          workerId: worker.id,
+          name: worker.name,
+          rotation: worker.rotation ? formatRotation(worker.rotation) : 'без графика',
+          periods
+        });
+      });
+
+    return [...byObject.entries()]
+      .sort(([a], [b]) => a.localeCompare(b, 'ru'))
+      .map(([object, rows]) => {
+        const rule = this.getRule(object);
+        const headcount = new Array(days).fill(0);
+        rows.forEach(row => row.periods.forEach(({ startIndex, length }) => {
+          for (let i = startIndex; i < startIndex + length; i++) {
+            headcount[i]++;
+          }
+        }));
+
+        return {
+          object,
+          rule,
+          rows: rows.sort((a, b) => a.name.localeCompare(b.name, 'ru')),
+          headcount,
+          gaps: this.findGaps(headcount, rule.minHeadcount, first)
+        };
+      });
+  }
+
+  /**
+   * Провалы численности
+   * @param {Array<number>} headcount - Численность по дням
+   * @param {number} minHeadcount - Минимум объекта
+   * @param {Date} first - Первый день плана
+   * @returns {Array<Object>} [{ from, to, startIndex, length, lowest }]
+   */
+  findGaps(headcount, minHeadcount, first) {
+    const gaps = [];
+    if (minHeadcount <= 0) return gaps;
+
+    let gap = null;
+    headcount.forEach((count, index) => {
+      if (count < minHeadcount) {
+        if (!gap) {
+          gap = { startIndex: index, length: 0, lowest: count };
+          gaps.push(gap);
+        }
+        gap.length++;
+        gap.lowest = Math.min(gap.lowest, count);
+      } else {
+        gap = null;
+      }
+    });
+
+    return gaps.map(item => ({
+      ...item,
+      from: addDays(first, item.startIndex).toISOString(),
+      to: addDays(first, item.startIndex + item.length - 1).toISOString()
+    }));
+  }
+}
+
+// Экспортируем синглтон
+export default new RotationService();
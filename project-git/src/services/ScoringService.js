@@ -0,0 +1,333 @@
+// src/services/ScoringService.js
+/**
+ * 🎯 Сервис оценки кандидатов
+ * @description Оценка кандидата от 0 до 100 по правилам: заполненность
+ * документов, время ответа, спрос на проект, возраст, молчание и источник.
+ * Веса правил, спрос и возрастные рамки настраиваются для каждого проекта
+ * и хранятся в таблице meta
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+import { getCompletionProgress, getResponseTime } from '../models/CandidateModel.js';
+
+// Ключ правил оценки в таблице meta
+export const SCORING_CONFIG_KEY = 'scoring';
+
+/**
+ * Правила оценки
+ */
+export const SCORING_FACTORS = {
+  documents: 'Документы',
+  response: 'Время ответа',
+  demand: 'Спрос на проект',
+  age: 'Возраст',
+  silence: 'Молчание',
+  source: 'Источник'
+};
+
+/**
+ * Спрос на проект и его вклад в оценку
+ */
+export const DEMAND_LEVELS = {
+  low: { label: 'Низкий', value: 0 },
+  normal: { label: 'Обычный', value: 0.5 },
+  high: { label: 'Высокий', value: 1 }
+};
+
+/**
+ * Источники кандидатов
+ */
+export const CANDIDATE_SOURCES = {
+  manual: 'Вручную',
+  import: 'Импорт',
+  whatsapp: 'WhatsApp',
+  referral: 'Рекомендация',
+  training: 'Обучение'
+};
+
+// Ответ в течение часа - лучший результат, через двое суток и позже - худший
+const RESPONSE_BEST_MINUTES = 60;
+const RESPONSE_WORST_MINUTES = 48 * 60;
+
+// Через трое суток молчания правило дает ноль
+const SILENCE_LIMIT_HOURS = 72;
+
+// Вклад источника, которого нет в настройках
+const DEFAULT_SOURCE_VALUE = 50;
+
+/**
+ * Правила по умолчанию
+ */
+const DEFAULT_SCORING = {
+  weights: {
+    documents: 30,
+    response: 20,
+    demand: 15,
+    age: 10,
+    silence: 20,
+    source: 5
+  },
+  sources: {
+    manual: 50,
+    import: 40,
+    whatsapp: 70,
+    referral: 100,
+    training: 0
+  },
+  projects: {}
+};
+
+/**
+ * Приведение весов к полному набору неотрицательных чисел
+ * @param {Object} weights - Веса
+ * @param {Object} fallback - Веса по умолчанию
+ * @returns {Object} Веса
+ */
+function normalizeWeights(weights = {}, fallback = DEFAULT_SCORING.weights) {
+  return Object.fromEntries(Object.keys(SCORING_FACTORS).map(factor => {
+    const weight = Number(weights[factor]);
+    return [factor, Number.isFinite(weight) && weight >= 0 ? weight : fallback[factor]];
+  }));
+}
+
+/**
+ * Полный возраст на сегодня
+ * @param {string} birthDate - Дата рождения
+ * @returns {number|null} Возраст
+ */
+function getAge(birthDate) {
+  const date = new Date(birthDate);
+  if (!birthDate || isNaN(date.getTime())) return null;
+
+  const now = new Date();
+  let age = now.getFullYear() - date.getFullYear();
+  if (now.getMonth() < date.getMonth() || (now.getMonth() === date.getMonth() && now.getDate() < date.getDate())) {
+    age--;
+  }
+  return age;
+}
+
+class ScoringService {
+  constructor() {
+    this.logger = new Logger('ScoringService');
+    this.definition = this.normalize(DEFAULT_SCORING);
+
+    // Правила изменили в другой вкладке
+    EventBus.on('scoring:changed', () => this.load());
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Загрузка правил оценки
+   * @returns {Promise<Object>} Правила
+   */
+  async load() {
+    try {
+      const stored = await StorageEngine.table('meta').get(SCORING_CONFIG_KEY);
+      this.definition = this.normalize(stored ? stored.definition : DEFAULT_SCORING);
+    } catch (error) {
+      this.logger.error('Ошибка загрузки правил оценки', error);
+    }
+    return this.definition;
+  }
+
+  /**
+   * Приведение правил к полному виду
+   * @description Веса проекта, которых нет в описании, берутся из общих
+   * @param {Object} definition - Правила
+   * @returns {Object} Правила
+   */
+  normalize(definition) {
+    const weights = normalizeWeights(definition.weights);
+    const sources = { ...DEFAULT_SCORING.sources, ...definition.sources };
+    const projects = Object.fromEntries(Object.entries(definition.projects || {}).map(([project, rules]) => {
+      const ageMin = Number(rules.ageMin) > 0 ? Number(rules.ageMin) : null;
+      const ageMax = Number(rules.ageMax) > 0 ? Number(rules.ageMax) : null;
+      return [project, {
+        weights: normalizeWeights(rules.weights, weights),
+        demand: DEMAND_LEVELS[rules.demand] ? rules.demand : 'normal',
+        ageMin,
+        ageMax
+      }];
+    }));
+
+    return { weights, sources, projects };
+  }
+
+  /**
+   * Проверка правил перед сохранением
+   * @param {Object} definition - Правила
+   * @throws {Error} Если правила некорректны
+   */
+  validateDefinition(definition) {
+    const allWeights = [definition.weights, ...Object.values(definition.projects).map(rules => rules.weights)];
+    if (allWeights.some(weights => Object.values(weights).every(weight => weight === 0))) {
+      throw new Error('Хотя бы одно правило должно иметь ненулевой вес');
+    }
+
+    for (const [project, rules] of Object.entries(definition.projects)) {
+      if (rules.ageMin && rules.ageMax && rules.ageMin > rules.ageMax) {
+        throw new Error(`Минимальный возраст больше максимального в проекте «${project}»`);
+      }
+    }
+
+    const invalidSource = Object.entries(definition.sources).find(([, value]) => (
+      !Number.isFinite(Number(value)) || value < 0 || value > 100
+    ));
+    if (invalidSource) {
+      throw new Error(`Вклад источника «${invalidSource[0]}» должен быть от 0 до 100`);
+    }
+  }
+
+  /**
+   * Сохранение правил оценки
+   * @param {Object} definition - Правила
+   * @returns {Promise<Object>} Сохраненные правила
+   */
+  async saveDefinition(definition) {
+    const normalized = this.normalize(definition);
+    this.validateDefinition(normalized);
+
+    await StorageEngine.table('meta').put({
+      key: SCORING_CONFIG_KEY,
+      definition: normalized,
+      updatedAt: new Date().toISOString()
+    });
+
+    this.definition = normalized;
+    EventBus.emit('scoring:changed', { updatedAt: new Date().toISOString() });
+    this.logger.info('Правила оценки сохранены');
+    return this.getDefinition();
+  }
+
+  /**
+   * Возврат правил по умолчанию
+   * @returns {Promise<Object>} Правила
+   */
+  async resetDefinition() {
+    await StorageEngine.table('meta').delete(SCORING_CONFIG_KEY);
+    this.definition = this.normalize(DEFAULT_SCORING);
+    EventBus.emit('scoring:changed', { updatedAt: new Date().toISOString() });
+    return this.getDefinition();
+  }
+
+  /**
+   * Текущие правила (копия для редактирования)
+   * @returns {Object} Правила
+   */
+  getDefinition() {
+    return JSON.parse(JSON.stringify(this.definition));
+  }
+
+  /**
+   * Правила проекта с учетом общих
+   * @param {string} project - Проект
+   * @returns {Object} { weights, demand, ageMin, ageMax }
+   */
+  getProjectRules(project) {
+    return this.definition.projects[project] || {
+      weights: this.definition.weights,
+      demand: 'normal',
+      ageMin: null,
+      ageMax: null
+    };
+  }
+
+  /**
+   * Результат одного правила
+   * @param {string} factor - Правило (SCORING_FACTORS)
+   * @param {Object} candidate - Кандидат
+   * @param {Object} rules - Правила проекта
+   * @returns {{value: number, note: string}} Доля от 0 до 1 и пояснение
+   */
+  evaluate(factor, candidate, rules) {
+    switch (factor) {
+      case 'documents': {
+        const { completed, total, percentage } = getCompletionProgress(candidate);
+        return { value: percentage / 100, note: `Заполнено ${completed} из ${total}` };
+      }
+
+      case 'response': {
+        const minutes = getResponseTime(candidate);
+        if (minutes === null) {
+          return { value: 0, note: 'Еще не отвечал' };
+        }
+        const value = 1 - (Math.max(minutes, RESPONSE_BEST_MINUTES) - RESPONSE_BEST_MINUTES) /
+          (RESPONSE_WORST_MINUTES - RESPONSE_BEST_MINUTES);
+        const note = minutes < 60 ? `${minutes} мин` : `${Math.round(minutes / 60)} ч`;
+        return { value: Math.max(0, value), note: `Ответил через ${note}` };
+      }
+
+      case 'demand': {
+        const level = DEMAND_LEVELS[rules.demand];
+        return { value: level.value, note: `${level.label} спрос` };
+      }
+
+      case 'age': {
+        if (!rules.ageMin && !rules.ageMax) {
+          return { value: 1, note: 'Без ограничений' };
+        }
+        const age = getAge(candidate.birthDate);
+        if (age === null) {
+          return { value: 0.5, note: 'Не указана дата рождения' };
+        }
+        const fits = (!rules.ageMin || age >= rules.ageMin) && (!rules.ageMax || age <= rules.ageMax);
+        return { value: fits ? 1 : 0, note: fits ? `${age} лет` : `${age} лет, вне рамок проекта` };
+      }
+
+      case 'silence': {
+        if (!candidate.silentSince) {
+          return { value: 1, note: 'На связи' };
+        }
+        const hours = Math.max(0, Math.round((Date.now() - new Date(candidate.silentSince)) / (1000 * 60 * 60)));
+        return { value: Math.max(0, 1 - hours / SILENCE_LIMIT_HOURS), note: `Молчит ${hours} ч` };
+      }
+
+      case 'source': {
+        const source = candidate.source || 'manual';
+        const value = this.definition.sources[source] ?? DEFAULT_SOURCE_VALUE;
+        return { value: value / 100, note: CANDIDATE_SOURCES[source] || source };
+      }
+
+      default:
+        return { value: 0, note: '' };
+    }
+  }
+
+  /**
+   * Оценка кандидата
+   * @description Оценка - взвешенная сумма правил, приведенная к 100.
+   * Вклад правила в разбивке - сколько баллов из 100 оно принесло
+   * @param {Object} candidate - Кандидат (запись хранилища или модель)
+   * @returns {{score: number, breakdown: Array<Object>}} Оценка и разбивка
+   * { factor, label, weight, value, points, note }
+   */
+  score(candidate) {
+    const rules = this.getProjectRules(candidate.project);
+    const totalWeight = Object.values(rules.weights).reduce((sum, weight) => sum + weight, 0);
+
+    const breakdown = Object.keys(SCORING_FACTORS).map(factor => {
+      const weight = rules.weights[factor];
+      const { value, note } = this.evaluate(factor, candidate, rules);
+      return {
+        factor,
+        label: SCORING_FACTORS[factor],
+        weight,
+        value,
+        points: totalWeight > 0 ? (weight / totalWeight) * value * 100 : 0,
+        note
+      };
+    });
+
+    const score = Math.round(breakdown.reduce((sum, item) => sum + item.points, 0));
+    return {
+      score,
+      breakdown: breakdown.map(item => ({ ...item, points: Math.round(item.points * 10) / 10 }))
+    };
+  }
+}
+
+// Экспортируем синглтон
+export default new ScoringService();
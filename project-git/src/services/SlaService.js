@@ -0,0 +1,532 @@
+// src/services/SlaService.js
+/**
+ * ⏱️ Сервис сроков реакции (SLA)
+ * @description Считает только рабочее время: рабочие часы и дни недели
+ * в заданном часовом поясе, без праздников производственного календаря.
+ * По рабочему времени определяется, когда кандидат "замолчал" и когда
+ * молчащего пора передавать на 1-ю линию. Пороги можно задать для проекта.
+ * Правила хранятся в таблице meta
+ */
+import Papa from 'papaparse';
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+
+// Ключ правил SLA в таблице meta
+export const SLA_CONFIG_KEY = 'sla';
+
+// Ключ настроек приложения: из них берутся значения по умолчанию
+const SETTINGS_KEY = 'hr-assistant-settings';
+
+/**
+ * Дни недели (0 - воскресенье, как в Date.getDay)
+ */
+export const WEEK_DAYS = {
+  1: 'Пн',
+  2: 'Вт',
+  3: 'Ср',
+  4: 'Чт',
+  5: 'Пт',
+  6: 'Сб',
+  0: 'Вс'
+};
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+// Дальше этого горизонта рабочее время не ищется (защита от пустого календаря)
+const MAX_DAYS = 3 * 366;
+
+/**
+ * Правила по умолчанию
+ * @description Рабочие часы, часовой пояс и пороги берутся из настроек
+ * приложения (workingHours, silentTimeout, transferTimeout)
+ * @returns {Object} Правила
+ */
+function getDefaultSla() {
+  let settings = {};
+  try {
+    settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+  } catch (error) {
+    settings = {};
+  }
+  const workingHours = settings.workingHours || {};
+
+  return {
+    timezone: workingHours.timezone || 'Europe/Moscow',
+    start: toTime(workingHours.start ?? 9),
+    end: toTime(workingHours.end ?? 18),
+    workDays: [1, 2, 3, 4, 5],
+    holidays: [],
+    workingWeekends: [],
+    silentHours: Number(settings.silentTimeout) || 8,
+    transferHours: Number(settings.transferTimeout) || 24,
+    projects: {}
+  };
+}
+
+/**
+ * Время "чч:мм" из часа или строки
+ * @param {number|string} value - 9, "9", "09:30"
+ * @returns {string} чч:мм
+ */
+function toTime(value) {
+  const [hours, minutes = 0] = String(value).split(':').map(Number);
+  return `${String(hours || 0).padStart(2, '0')}:${String(minutes || 0).padStart(2, '0')}`;
+}
+
+/**
+ * Минуты от начала суток
+ * @param {string} time - чч:мм
+ * @returns {number} Минуты
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Дата "ГГГГ-ММ-ДД" из строки в формате ГГГГ-ММ-ДД или ДД.ММ.ГГГГ
+ * @param {string} value - Дата
+ * @returns {string|null} Дата или null, если не распознана
+ */
+export function parseDay(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    return formatDay(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (match) {
+    return formatDay(Number(match[3]), Number(match[2]), Number(match[1]));
+  }
+  return null;
+}
+
+/**
+ * Дата "ГГГГ-ММ-ДД"
+ * @param {number} year - Год
+ * @param {number} month - Месяц (1-12)
+ * @param {number} day - День
+ * @returns {string} Дата
+ */
+function formatDay(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Разбор производственного календаря
+ * @description Понимает открытые данные "Производственный календарь"
+ * (CSV: строка на год, в колонках месяцев - нерабочие дни, "*" - сокращенный
+ * рабочий день, "+" - перенесенный выходной) и простой список дат
+ * ГГГГ-ММ-ДД или ДД.ММ.ГГГГ через запятую или с новой строки.
+ * Из CSV берутся и праздники, и рабочие субботы/воскресенья
+ * @param {string} text - Содержимое файла
+ * @param {Array<number>} workDays - Рабочие дни недели
+ * @returns {{holidays: Array<string>, workingWeekends: Array<string>, years: Array<number>}} Календарь
+ * @throws {Error} Если в файле нет ни одной даты
+ */
+export function parseHolidayCalendar(text, workDays = [1, 2, 3, 4, 5]) {
+  const holidays = new Set();
+  const workingWeekends = new Set();
+  const years = new Set();
+
+  if (/Год\s*\/\s*Месяц/i.test(text)) {
+    const { data } = Papa.parse(String(text).trim(), { skipEmptyLines: true });
+    data.slice(1).forEach(row => {
+      const year = Number(row[0]);
+      if (!year) return;
+      years.add(year);
+
+      for (let month = 1; month <= 12; month++) {
+        const offDays = new Set(String(row[month] || '')
+          .split(',')
+          .map(item => item.trim())
+          .filter(item => item && !item.includes('*'))
+          .map(item => parseInt(item, 10)));
+
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+          const isWorkDay = workDays.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+          if (isWorkDay && offDays.has(day)) {
+            holidays.add(formatDay(year, month, day));
+          } else if (!isWorkDay && !offDays.has(day)) {
+            workingWeekends.add(formatDay(year, month, day));
+          }
+        }
+      }
+    });
+  } else {
+    String(text).split(/[\s,;]+/).map(parseDay).filter(Boolean).forEach(day => {
+      holidays.add(day);
+      years.add(Number(day.slice(0, 4)));
+    });
+  }
+
+  if (holidays.size === 0 && workingWeekends.size === 0) {
+    throw new Error('В файле не найдено ни одной даты');
+  }
+
+  return {
+    holidays: [...holidays].sort(),
+    workingWeekends: [...workingWeekends].sort(),
+    years: [...years].sort()
+  };
+}
+
+/**
+ * Длительность в рабочих часах для показа
+ * @param {number} hours - Часы
+ * @returns {string} "2 ч 15 мин"
+ */
+export function formatWorkingDuration(hours) {
+  const totalMinutes = Math.max(0, Math.round(hours * 60));
+  const wholeHours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (wholeHours === 0) {
+    return `${minutes} мин`;
+  }
+  return minutes > 0 ? `${wholeHours} ч ${minutes} мин` : `${wholeHours} ч`;
+}
+
+class SlaService {
+  constructor() {
+    this.logger = new Logger('SlaService');
+    this.formatters = new Map();
+    this.definition = this.normalize(getDefaultSla());
+
+    // Правила изменили в другой вкладке
+    EventBus.on('sla:changed', () => this.load());
+
+    this.ready = this.load();
+  }
+
+  /**
+   * Загрузка правил
+   * @returns {Promise<Object>} Правила
+   */
+  async load() {
+    try {
+      const stored = await StorageEngine.table('meta').get(SLA_CONFIG_KEY);
+      this.definition = this.normalize(stored ? stored.definition : getDefaultSla());
+    } catch (error) {
+      this.logger.error('Ошибка загрузки правил SLA', error);
+    }
+    return this.definition;
+  }
+
+  /**
+   * Приведение правил к полному виду
+   * @param {Object} definition - Правила
+   * @returns {Object} Правила
+   */
+  normalize(definition) {
+    const defaults = getDefaultSla();
+    const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+    const days = (list) => [...new Set((list || []).map(parseDay).filter(Boolean))].sort();
+
+    const silentHours = positive(definition.silentHours, defaults.silentHours);
+    const transferHours = positive(definition.transferHours, defaults.transferHours);
+
+    return {
+      timezone: definition.timezone || defaults.timezone,
+      start: toTime(definition.start || defaults.start),
+      end: toTime(definition.end || defaults.end),
+      workDays: Array.isArray(definition.workDays)
+        ? [...new Set(definition.workDays.map(Number))].filter(day => day >= 0 && day <= 6).sort()
+        : defaults.workDays,
+      holidays: days(definition.holidays),
+      workingWeekends: days(definition.workingWeekends),
+      silentHours,
+      transferHours,
+      projects: Object.fromEntries(Object.entries(definition.projects || {}).map(([project, rules]) => [
+        project,
+        {
+          silentHours: positive(rules.silentHours, silentHours),
+          transferHours: positive(rules.transferHours, transferHours)
+        }
+      ]))
+    };
+  }
+
+  /**
+   * Проверка правил перед сохранением
+   * @param {Object} definition - Правила
+   * @throws {Error} Если правила некорректны
+   */
+  validateDefinition(definition) {
+    try {
+      new Intl.DateTimeFormat('ru-RU', { timeZone: definition.timezone });
+    } catch (error) {
+      throw new Error(`Неизвестный часовой пояс: ${definition.timezone}`);
+    }
+
+    if (toMinutes(definition.start) >= toMinutes(definition.end)) {
+      throw new Error('Начало рабочего дня должно быть раньше окончания');
+    }
+    if (definition.workDays.length === 0 && definition.workingWeekends.length === 0) {
+      throw new Error('Выберите хотя бы один рабочий день недели');
+    }
+  }
+
+  /**
+   * Сохранение правил
+   * @param {Object} definition - Правила
+   * @returns {Promise<Object>} Сохраненные правила
+   */
+  async saveDefinition(definition) {
+    const normalized = this.normalize(definition);
+    this.validateDefinition(normalized);
+
+    await StorageEngine.table('meta').put({
+      key: SLA_CONFIG_KEY,
+      definition: normalized,
+      updatedAt: new Date().toISOString()
+    });
+
+    this.definition = normalized;
+    EventBus.emit('sla:changed', { updatedAt: new Date().toISOString() });
+    this.logger.info('Правила SLA сохранены');
+    return this.getDefinition();
+  }
+
+  /**
+   * Возврат правил по умолчанию
+   * @returns {Promise<Object>} Правила
+   */
+  async resetDefinition() {
+    await StorageEngine.table('meta').delete(SLA_CONFIG_KEY);
+    this.definition = this.normalize(getDefaultSla());
+    EventBus.emit('sla:changed', { updatedAt: new Date().toISOString() });
+    return this.getDefinition();
+  }
+
+  /**
+   * Текущие правила (копия для редактирования)
+   * @returns {Object} Правила
+   */
+  getDefinition() {
+    return JSON.parse(JSON.stringify(this.definition));
+  }
+
+  /**
+   * Пороги проекта с учетом общих
+   * @param {string} project - Проект
+   * @returns {{silentHours: number, transferHours: number}} Рабочих часов до "Молчит" и до передачи
+   */
+  getThresholds(project) {
+    return this.definition.projects[project] || {
+      silentHours: this.definition.silentHours,
+      transferHours: this.definition.transferHours
+    };
+  }
+
+  /**
+   * Наименьший порог молчания среди проектов
+   * @description Рабочих часов не больше, чем календарных, поэтому кандидаты,
+   * ответившие позже чем столько часов назад, точно не молчат
+   * @returns {number} Часы
+   */
+  getMinSilentHours() {
+    return Math.min(this.definition.silentHours, ...Object.values(this.definition.projects).map(rules => rules.silentHours));
+  }
+
+  /**
+   * Календарная дата и смещение часового пояса в момент времени
+   * @param {number} time - Момент времени (мс)
+   * @returns {{year: number, month: number, day: number, offset: number}} Дата в поясе и смещение от UTC (мс)
+   */
+  getZoned(time) {
+    const { timezone } = this.definition;
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+
+    const parts = Object.fromEntries(this.formatters.get(timezone).formatToParts(new Date(time))
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      offset: asUtc - Math.floor(time / 1000) * 1000
+    };
+  }
+
+  /**
+   * Момент времени для даты и времени суток в часовом поясе
+   * @param {number} year - Год
+   * @param {number} month - Месяц (1-12)
+   * @param {number} day - День
+   * @param {number} minutes - Минуты от начала суток
+   * @returns {number} Момент времени (мс)
+   */
+  fromZoned(year, month, day, minutes) {
+    const local = Date.UTC(year, month - 1, day) + minutes * MINUTE;
+    const guess = local - this.getZoned(local).offset;
+    // Повторный расчет учитывает переход на летнее время между guess и local
+    return local - this.getZoned(guess).offset;
+  }
+
+  /**
+   * Рабочий ли день
+   * @param {number} year - Год
+   * @param {number} month - Месяц (1-12)
+   * @param {number} day - День
+   * @returns {boolean} Рабочий ли
+   */
+  isWorkingDay(year, month, day) {
+    const key = formatDay(year, month, day);
+    if (this.definition.workingWeekends.includes(key)) return true;
+    if (this.definition.holidays.includes(key)) return false;
+    return this.definition.workDays.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+  }
+
+  /**
+   * Рабочие интервалы по дням, начиная с дня момента from
+   * @param {number} from - Момент времени (мс)
+   * @yields {[number, number]} Начало и конец рабочего времени дня (мс)
+   */
+  *workingWindows(from) {
+    const startMinutes = toMinutes(this.definition.start);
+    const endMinutes = toMinutes(this.definition.end);
+    const { year, month, day } = this.getZoned(from);
+
+    for (let index = 0; index < MAX_DAYS; index++) {
+      const date = new Date(Date.UTC(year, month - 1, day + index));
+      const [y, m, d] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+      if (this.isWorkingDay(y, m, d)) {
+        yield [this.fromZoned(y, m, d, startMinutes), this.fromZoned(y, m, d, endMinutes)];
+      }
+    }
+  }
+
+  /**
+   * Рабочие часы между двумя моментами
+   * @param {Date|string|number} from - Начало
+   * @param {Date|string|number} to - Конец
+   * @returns {number} Часы (0, если конец раньше начала)
+   */
+  getWorkingHoursBetween(from, to) {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (!(end > start)) return 0;
+
+    let total = 0;
+    for (const [windowStart, windowEnd] of this.workingWindows(start)) {
+      if (windowStart >= end) break;
+      total += Math.max(0, Math.min(windowEnd, end) - Math.max(windowStart, start));
+    }
+    return total / HOUR;
+  }
+
+  /**
+   * Момент, когда истекут рабочие часы
+   * @param {Date|string|number} from - Начало отсчета
+   * @param {number} hours - Рабочих часов
+   * @returns {Date|null} Момент или null, если рабочего времени нет
+   */
+  addWorkingHours(from, hours) {
+    const start = new Date(from).getTime();
+    let left = hours * HOUR;
+
+    for (const [windowStart, windowEnd] of this.workingWindows(start)) {
+      const available = windowEnd - Math.max(windowStart, start);
+      if (available <= 0) continue;
+      if (left <= available) {
+        return new Date(Math.max(windowStart, start) + left);
+      }
+      left -= available;
+    }
+    return null;
+  }
+
+  /**
+   * Начало отсчета молчания
+   * @description Последний ответ или возврат с 1-й линии - что позже
+   * @param {Object} candidate - Кандидат
+   * @returns {string|null} Дата ISO
+   */
+  getSilenceStart(candidate) {
+    const { lastReply, returnedAt } = candidate;
+    if (!lastReply || !returnedAt) return lastReply || returnedAt || null;
+    return new Date(returnedAt) > new Date(lastReply) ? returnedAt : lastReply;
+  }
+
+  /**
+   * Срок, когда активный кандидат будет считаться молчащим
+   * @param {Object} candidate - Кандидат
+   * @returns {Date|null} Срок
+   */
+  getSilentDeadline(candidate) {
+    const start = this.getSilenceStart(candidate);
+    if (candidate.status !== 'Активен' || !start) return null;
+    return this.addWorkingHours(start, this.getThresholds(candidate.project).silentHours);
+  }
+
+  /**
+   * Срок передачи молчащего кандидата на 1-ю линию
+   * @param {Object} candidate - Кандидат
+   * @returns {Date|null} Срок
+   */
+  getTransferDeadline(candidate) {
+    if (candidate.status !== 'Молчит' || !candidate.silentSince) return null;
+    return this.addWorkingHours(candidate.silentSince, this.getThresholds(candidate.project).transferHours);
+  }
+
+  /**
+   * Молчит ли активный кандидат дольше порога
+   * @param {Object} candidate - Кандидат
+   * @param {Date} now - Текущее время
+   * @returns {boolean} Молчит ли
+   */
+  isSilent(candidate, now = new Date()) {
+    const deadline = this.getSilentDeadline(candidate);
+    return Boolean(deadline) && now >= deadline;
+  }
+
+  /**
+   * Истек ли срок передачи молчащего кандидата
+   * @param {Object} candidate - Кандидат
+   * @param {Date} now - Текущее время
+   * @returns {boolean} Пора ли передавать
+   */
+  shouldTransfer(candidate, now = new Date()) {
+    const deadline = this.getTransferDeadline(candidate);
+    return Boolean(deadline) && now >= deadline;
+  }
+
+  /**
+   * Обратный отсчет до ближайшего срока кандидата
+   * @param {Object} candidate - Кандидат
+   * @param {Date} now - Текущее время
+   * @returns {Object|null} { stage: 'silent'|'transfer', deadline, remainingHours, overdue }
+   * (remainingHours - рабочие часы) или null, если срока нет
+   */
+  getCountdown(candidate, now = new Date()) {
+    const stage = candidate.status === 'Молчит' ? 'transfer' : 'silent';
+    const deadline = stage === 'transfer' ? this.getTransferDeadline(candidate) : this.getSilentDeadline(candidate);
+    if (!deadline) return null;
+
+    return {
+      stage,
+      deadline: deadline.toISOString(),
+      remainingHours: this.getWorkingHoursBetween(now, deadline),
+      overdue: now >= deadline
+    };
+  }
+}
+
+// Экспортируем синглтон
+export default new SlaService();
@@ -0,0 +1,159 @@
+// src/services/StorageHealthService.js
+/**
+ * 💽 Сервис состояния хранилища
+ * @description Заполненность квоты браузера, размер каждого хранилища
+ * и предупреждение до того, как место закончится
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+
+// Пороги заполненности квоты (доля от 0 до 1)
+const WARNING_THRESHOLD = 0.8;
+const CRITICAL_THRESHOLD = 0.95;
+
+// Как часто проверять квоту
+const CHECK_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * Уровни заполненности хранилища
+ */
+export const STORAGE_LEVELS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  CRITICAL: 'critical'
+};
+
+class StorageHealthService {
+  constructor() {
+    this.logger = new Logger('StorageHealthService');
+    this.status = { level: STORAGE_LEVELS.OK, usage: 0, quota: 0, percent: 0 };
+    this.timer = null;
+
+    // После переполнения состояние нужно обновить сразу
+    EventBus.on('storage:quotaExceeded', () => this.check());
+  }
+
+  /**
+   * Запуск периодической проверки квоты
+   */
+  startMonitoring() {
+    if (this.timer) return;
+
+    this.check();
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Остановка периодической проверки
+   */
+  stopMonitoring() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Использование квоты браузера
+   * @returns {Promise<{usage: number, quota: number}>} Байты
+   */
+  async estimate() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return { usage: 0, quota: 0 };
+    }
+
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+
+  /**
+   * Уровень заполненности
+   * @param {number} percent - Заполненность в процентах
+   * @returns {string} STORAGE_LEVELS
+   */
+  getLevel(percent) {
+    if (percent >= CRITICAL_THRESHOLD * 100) return STORAGE_LEVELS.CRITICAL;
+    if (percent >= WARNING_THRESHOLD * 100) return STORAGE_LEVELS.WARNING;
+    return STORAGE_LEVELS.OK;
+  }
+
+  /**
+   * Проверка квоты
+   * @description Событие storage:health рассылается при каждой проверке,
+   * предупреждение - только при переходе на более высокий уровень
+   * @returns {Promise<Object>} { level, usage, quota, percent }
+   */
+  async check() {
+    try {
+      const { usage, quota } = await this.estimate();
+      const percent = quota > 0 ? Math.round((usage / quota) * 100) : 0;
+      const previousLevel = this.status.level;
+
+      this.status = { level: this.getLevel(percent), usage, quota, percent };
+      EventBus.emit('storage:health', this.status);
+
+      if (this.status.level !== STORAGE_LEVELS.OK && this.status.level !== previousLevel) {
+        this.logger.warn(`Хранилище заполнено на ${percent}%`);
+        EventBus.emit('notification:warning', `Хранилище браузера заполнено на ${percent}%. Сожмите данные в настройках`);
+      }
+    } catch (error) {
+      this.logger.error('Ошибка проверки квоты хранилища', error);
+    }
+
+    return this.status;
+  }
+
+  /**
+   * Последнее известное состояние
+   * @returns {Object} { level, usage, quota, percent }
+   */
+  getStatus() {
+    return { ...this.status };
+  }
+
+  /**
+   * Размер таблиц IndexedDB
+   * @description Оценка по длине JSON записей: точный размер на диске браузер не сообщает
+   * @returns {Promise<Array>} [{ storeName, count, size }]
+   */
+  async getStoreSizes() {
+    return Promise.all(StorageEngine.getStoreNames().map(async storeName => {
+      let count = 0;
+      let size = 0;
+
+      await StorageEngine.table(storeName).each(record => {
+        count++;
+        size += JSON.stringify(record).length;
+      });
+
+      return { storeName, count, size };
+    }));
+  }
+
+  /**
+   * Размер данных localStorage (настройки, логи, кэш)
+   * @returns {Array} [{ key, size }], самые большие первыми
+   */
+  getLocalStorageSizes() {
+    const sizes = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      // Строки в localStorage хранятся в UTF-16
+      sizes.push({ key, size: (key.length + (localStorage.getItem(key) || '').length) * 2 });
+    }
+
+    return sizes.sort((a, b) => b.size - a.size);
+  }
+
+  /**
+   * Полный отчет о хранилище
+   * @returns {Promise<Object>} { status, stores, localStorage }
+   */
+  async getReport() {
+    const [status, stores] = await Promise.all([this.check(), this.getStoreSizes()]);
+    return { status, stores, localStorage: this.getLocalStorageSizes() };
+  }
+}
+
+// Экспортируем синглтон
+export default new StorageHealthService();
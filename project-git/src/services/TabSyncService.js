@@ -0,0 +1,157 @@
+// src/services/TabSyncService.js
+/**
+ * 🔄 Сервис синхронизации вкладок
+ * @description Данные хранилищ общие для всех вкладок (IndexedDB), но EventBus у каждой
+ * вкладки свой. Сервис пересылает события изменения хранилищ и выбранные события EventBus
+ * в остальные вкладки через BroadcastChannel и выбирает ведущую вкладку,
+ * которая единственная выполняет фоновые процессы
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import StorageEngine from '../stores/StorageEngine.js';
+
+const CHANNEL_NAME = 'hr-assistant-sync';
+const LEADER_LOCK_NAME = 'hr-assistant-leader';
+
+// События изменения хранилищ: <storeName>:<type>
+const STORE_EVENT_TYPES = ['created', 'updated', 'deleted', 'restored', 'purged', 'cleared'];
+
+// События EventBus, которые дублируются в других вкладках
+const SHARED_EVENTS = [
+  'mailing:progress', 'checkpoint:responded', 'crypto:configChanged', 'pipeline:changed',
+  'export:presetsChanged', 'scoring:changed', 'documents:checklistsChanged',
+  'sla:changed', 'escalation:changed', 'rotation:changed'
+];
+
+class TabSyncService {
+  constructor() {
+    this.logger = new Logger('TabSyncService');
+    this.tabId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    this.channel = null;
+    this.isLeader = false;
+    this.leaderCallbacks = [];
+
+    // Событие из другой вкладки не отправляется обратно
+    this.isApplyingRemote = false;
+
+    this.initialize();
+  }
+
+  /**
+   * Инициализация сервиса
+   */
+  initialize() {
+    if (typeof BroadcastChannel === 'undefined') {
+      this.logger.warn('BroadcastChannel не поддерживается, синхронизация вкладок отключена');
+    } else {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+      this.setupEventListeners();
+    }
+
+    this.electLeader();
+  }
+
+  /**
+   * Подписка на события, которые пересылаются в другие вкладки
+   */
+  setupEventListeners() {
+    const storeEvents = StorageEngine.getStoreNames().flatMap(storeName =>
+      STORE_EVENT_TYPES.map(type => `${storeName}:${type}`)
+    );
+
+    [...storeEvents, ...SHARED_EVENTS].forEach(eventName => {
+      EventBus.on(eventName, (data) => this.broadcast(eventName, data));
+    });
+  }
+
+  /**
+   * Отправка события в другие вкладки
+   * @param {string} eventName - Название события
+   * @param {any} data - Данные события
+   */
+  broadcast(eventName, data) {
+    if (!this.channel || this.isApplyingRemote) return;
+
+    try {
+      this.channel.postMessage({ source: this.tabId, eventName, data });
+    } catch (error) {
+      // Данные, которые нельзя клонировать (функции, DOM), не пересылаются
+      this.logger.warn(`Не удалось переслать событие ${eventName}`, error);
+    }
+  }
+
+  /**
+   * Обработка события из другой вкладки
+   * @param {Object} message - Сообщение { source, eventName, data }
+   */
+  handleMessage({ source, eventName, data }) {
+    if (source === this.tabId) return;
+
+    this.isApplyingRemote = true;
+    try {
+      EventBus.emit(eventName, data);
+
+      const [storeName, type] = eventName.split(':');
+      if (STORE_EVENT_TYPES.includes(type) && StorageEngine.getStoreNames().includes(storeName)) {
+        EventBus.emit('sync:remoteChange', { storeName, type, data });
+      }
+    } finally {
+      this.isApplyingRemote = false;
+    }
+  }
+
+  /**
+   * Выбор ведущей вкладки
+   * @description Блокировка Web Locks удерживается до закрытия вкладки,
+   * после чего ее получает одна из оставшихся вкладок
+   */
+  electLeader() {
+    if (!navigator.locks) {
+      // Без Web Locks считаем вкладку единственной
+      this.becomeLeader();
+      return;
+    }
+
+    navigator.locks.request(LEADER_LOCK_NAME, () => {
+      this.becomeLeader();
+      return new Promise(() => {});
+    }).catch(error => {
+      this.logger.error('Ошибка выбора ведущей вкладки', error);
+    });
+  }
+
+  /**
+   * Переход вкладки в роль ведущей
+   */
+  becomeLeader() {
+    this.isLeader = true;
+    this.logger.info('Вкладка стала ведущей');
+    EventBus.emit('sync:leaderChanged', { tabId: this.tabId, isLeader: true });
+
+    const callbacks = this.leaderCallbacks;
+    this.leaderCallbacks = [];
+    callbacks.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        this.logger.error('Ошибка запуска процессов ведущей вкладки', error);
+      }
+    });
+  }
+
+  /**
+   * Выполнение функции, когда вкладка станет ведущей
+   * @param {Function} callback - Функция (выполняется один раз)
+   */
+  whenLeader(callback) {
+    if (this.isLeader) {
+      callback();
+    } else {
+      this.leaderCallbacks.push(callback);
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new TabSyncService();
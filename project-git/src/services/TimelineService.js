@@ -0,0 +1,253 @@
+// src/services/TimelineService.js
+/**
+ * 🕓 Сервис хронологии кандидата
+ * @description Собирает в одну ленту все, что происходило с кандидатом:
+ * сообщения WhatsApp, смены статуса, результаты OCR, напоминания, доставку
+ * рассылок и комментарии. Сообщения, напоминания и рассылки записываются
+ * в TimelineStore в момент отправки, остальное берется из записи кандидата
+ */
+import Logger from '../utils/Logger.js';
+import { formatDate } from '../utils/dateHelpers.js';
+import TimelineStore, { TIMELINE_TYPES } from '../stores/TimelineStore.js';
+import { getEntityComments } from './CommentService.js';
+
+/**
+ * Результат отправки сообщения
+ */
+export const DELIVERY_STATUSES = {
+  sent: 'Отправлено',
+  failed: 'Не доставлено'
+};
+
+/**
+ * Каналы сообщений
+ */
+export const TIMELINE_CHANNELS = {
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+  telegram: 'Telegram',
+  call: 'Звонок'
+};
+
+/**
+ * Экранирование текста для HTML
+ * @param {string} value - Текст
+ * @returns {string} Безопасный текст
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * События из истории статусов
+ * @param {Object} candidate - Кандидат
+ * @returns {Array<Object>} События
+ */
+function fromStatusHistory(candidate) {
+  return (candidate.statusHistory || []).map((item, index) => ({
+    id: `status-${index}`,
+    type: 'status',
+    timestamp: item.timestamp,
+    title: `${item.from || '—'} → ${item.to}`,
+    text: item.reason || '',
+    author: item.changedBy || ''
+  }));
+}
+
+/**
+ * События распознавания документов из истории активности
+ * @param {Object} candidate - Кандидат
+ * @returns {Array<Object>} События
+ */
+function fromOcrActivity(candidate) {
+  return (candidate.activityHistory || [])
+    .filter(item => item.type === 'ocr_processed' || item.type === 'ocr_error')
+    .map((item, index) => {
+      const data = item.data || {};
+      const processed = item.type === 'ocr_processed';
+      const details = [];
+      if (processed && typeof data.quality === 'number') {
+        details.push(`Качество: ${data.quality}%`);
+      }
+      if (processed && Array.isArray(data.extractedFields) && data.extractedFields.length > 0) {
+        details.push(`Поля: ${data.extractedFields.join(', ')}`);
+      }
+
+      return {
+        id: `ocr-${index}`,
+        type: 'ocr',
+        timestamp: item.timestamp,
+        title: processed ? 'Документ распознан' : 'Документ не распознан',
+        text: processed ? '' : data.error || '',
+        details,
+        failed: !processed
+      };
+    });
+}
+
+/**
+ * События комментариев
+ * @param {Object} candidate - Кандидат
+ * @returns {Array<Object>} События
+ */
+function fromComments(candidate) {
+  return getEntityComments('candidates', candidate).map(comment => ({
+    id: `comment-${comment.id}`,
+    type: 'comment',
+    timestamp: comment.createdAt,
+    title: comment.pinned ? 'Закрепленный комментарий' : TIMELINE_TYPES.comment,
+    text: comment.text,
+    author: comment.author || ''
+  }));
+}
+
+/**
+ * События, записанные при отправке и получении сообщений
+ * @param {Array<Object>} events - Записи TimelineStore
+ * @returns {Array<Object>} События
+ */
+function fromStoredEvents(events) {
+  return events.map(event => {
+    const details = [];
+    if (event.channel) {
+      details.push(TIMELINE_CHANNELS[event.channel] || event.channel);
+    }
+    if (event.status) {
+      details.push(DELIVERY_STATUSES[event.status] || event.status);
+    }
+
+    return {
+      id: event.id,
+      type: event.type,
+      timestamp: event.timestamp,
+      title: event.title || TIMELINE_TYPES[event.type] || event.type,
+      text: event.text || '',
+      author: event.author || '',
+      details,
+      failed: event.status === 'failed'
+    };
+  });
+}
+
+/**
+ * Общая лента событий кандидата
+ * @param {Object} candidate - Кандидат
+ * @param {Array<Object>} events - Записи TimelineStore
+ * @returns {Array<Object>} События { id, type, timestamp, title, text, author, details, failed }, новые первыми
+ */
+export function buildTimeline(candidate, events = []) {
+  return [
+    ...fromStoredEvents(events),
+    ...fromStatusHistory(candidate),
+    ...fromOcrActivity(candidate),
+    ...fromComments(candidate)
+  ]
+    .filter(entry => entry.timestamp)
+    .map(entry => ({ details: [], author: '', failed: false, ...entry }))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+class TimelineService {
+  constructor() {
+    this.logger = new Logger('TimelineService');
+  }
+
+  /**
+   * Запись события в хронологию
+   * @description Ошибка записи не должна мешать отправке сообщения,
+   * поэтому она только попадает в лог
+   * @param {string} candidateId - ID кандидата
+   * @param {string} type - Тип события (message_in, message_out, reminder, mailing)
+   * @param {Object} data - Данные события
+   * @param {string} data.text - Текст сообщения
+   * @param {string} data.title - Заголовок (по умолчанию название типа)
+   * @param {string} data.channel - Канал (TIMELINE_CHANNELS)
+   * @param {string} data.status - Результат отправки (DELIVERY_STATUSES)
+   * @param {string} data.mailingId - ID рассылки
+   * @returns {Promise<Object|null>} Сохраненное событие
+   */
+  async record(candidateId, type, data = {}) {
+    if (!candidateId) return null;
+
+    try {
+      return await TimelineStore.create({
+        candidateId,
+        type,
+        timestamp: new Date().toISOString(),
+        channel: 'whatsapp',
+        ...data
+      });
+    } catch (error) {
+      this.logger.warn(`Не удалось записать событие хронологии "${type}"`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Хронология кандидата
+   * @param {Object} candidate - Кандидат
+   * @returns {Promise<Array<Object>>} События, новые первыми
+   */
+  async getTimeline(candidate) {
+    const events = await TimelineStore.getForCandidate(candidate.id);
+    return buildTimeline(candidate, events);
+  }
+
+  /**
+   * Хронология для печати и сохранения в PDF
+   * @param {Object} candidate - Кандидат
+   * @param {Array<Object>} entries - События
+   * @returns {string} HTML-документ
+   */
+  buildPrintHtml(candidate, entries) {
+    const rows = entries.map(entry => `
+      <tr class="${entry.failed ? 'failed' : ''}">
+        <td class="date">${escapeHtml(formatDate(entry.timestamp, 'full'))}</td>
+        <td class="type">${escapeHtml(TIMELINE_TYPES[entry.type] || entry.type)}</td>
+        <td>
+          <strong>${escapeHtml(entry.title)}</strong>${entry.author ? ` <span class="muted">(${escapeHtml(entry.author)})</span>` : ''}
+          ${entry.text ? `<div class="text">${escapeHtml(entry.text)}</div>` : ''}
+          ${entry.details.length > 0 ? `<div class="muted">${escapeHtml(entry.details.join(' · '))}</div>` : ''}
+        </td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Хронология: ${escapeHtml(candidate.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; color: #111827; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    .summary { margin: 0 0 16px; color: #4b5563; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    .date { width: 150px; white-space: nowrap; }
+    .type { width: 150px; }
+    .text { margin-top: 2px; white-space: pre-wrap; }
+    .muted { color: #6b7280; }
+    .failed td { color: #b91c1c; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(candidate.name)}</h1>
+  <p class="summary">
+    ${escapeHtml([candidate.phone, candidate.project, candidate.status].filter(Boolean).join(' · '))}<br>
+    Сформировано ${escapeHtml(formatDate(new Date(), 'full'))}
+  </p>
+  <table>
+    <thead><tr><th>Дата</th><th>Событие</th><th>Описание</th></tr></thead>
+    <tbody>${rows || '<tr><td colspan="3">Событий нет</td></tr>'}</tbody>
+  </table>
+</body>
+</html>`;
+  }
+}
+
+// Экспортируем синглтон
+export default new TimelineService();
@@ -0,0 +1,201 @@
+// src/services/UndoService.js
+/**
+ * ↩️ Сервис отмены действий
+ * @description История последних изменений, сделанных в интерфейсе этой вкладки.
+ * Каждая транзакция хранилищ - один шаг отмены; отмена выполняется обратной
+ * транзакцией с проверкой версий, поэтому уже измененные кем-то записи не затираются
+ */
+import EventBus from '../utils/EventBus.js';
+import Logger from '../utils/Logger.js';
+import BaseStore from '../stores/BaseStore.js';
+import StoreTransaction from '../stores/StoreTransaction.js';
+import { ConflictError } from '../stores/StoreErrors.js';
+
+// Сколько последних действий можно отменить
+const DEFAULT_LIMIT = 20;
+
+const ACTION_LABELS = {
+  created: 'Запись создана',
+  updated: 'Изменения сохранены',
+  deleted: 'Перемещено в корзину',
+  restored: 'Восстановлено из корзины',
+  purged: 'Удалено окончательно'
+};
+
+class UndoService {
+  constructor() {
+    this.logger = new Logger('UndoService');
+    this.undoStack = [];
+    this.redoStack = [];
+    this.limit = DEFAULT_LIMIT;
+
+    EventBus.on('transaction:committed', this.handleCommitted.bind(this));
+
+    // История хранит расшифрованные записи и не должна переживать блокировку
+    EventBus.on('crypto:locked', this.clear.bind(this));
+  }
+
+  /**
+   * Обработка зафиксированной транзакции
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes, context }) {
+    // Отменяются только действия пользователя в интерфейсе
+    if (context.undoable === false || changes.length === 0) return;
+    if (changes.some(change => change.channel !== 'ui')) return;
+
+    const entry = { changes, label: this.describe(changes), timestamp: Date.now() };
+
+    if (context.history === 'undo') {
+      this.push(this.redoStack, entry);
+    } else if (context.history === 'redo') {
+      this.push(this.undoStack, entry);
+    } else {
+      this.push(this.undoStack, entry);
+      this.redoStack = [];
+      EventBus.emit('undo:available', { label: entry.label });
+    }
+
+    EventBus.emit('undo:changed', this.getState());
+  }
+
+  /**
+   * Добавление шага в историю с ограничением размера
+   * @param {Array} stack - Стек
+   * @param {Object} entry - Шаг истории
+   */
+  push(stack, entry) {
+    stack.push(entry);
+    if (stack.length > this.limit) {
+      stack.shift();
+    }
+  }
+
+  /**
+   * Описание шага для уведомления
+   * @param {Array} changes - Изменения транзакции
+   * @returns {string} Описание
+   */
+  describe(changes) {
+    const label = ACTION_LABELS[changes[0].action] || ACTION_LABELS.updated;
+    return changes.length > 1 ? `${label} (${changes.length})` : label;
+  }
+
+  /**
+   * Отмена последнего действия
+   * @returns {Promise<boolean>} Удалось ли отменить
+   */
+  async undo() {
+    return this.replay(this.undoStack, 'undo');
+  }
+
+  /**
+   * Повтор отмененного действия
+   * @returns {Promise<boolean>} Удалось ли повторить
+   */
+  async redo() {
+    return this.replay(this.redoStack, 'redo');
+  }
+
+  /**
+   * Применение обратных изменений шага истории
+   * @param {Array} stack - Стек, из которого берется шаг
+   * @param {string} history - 'undo' или 'redo'
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async replay(stack, history) {
+    const entry = stack.pop();
+    if (!entry) return false;
+
+    try {
+      await StoreTransaction.run(async tx => {
+        // Обратные изменения применяются в обратном порядке
+        for (const change of [...entry.changes].reverse()) {
+          await this.revert(tx.store(BaseStore.getStore(change.storeName)), change);
+        }
+      }, { history });
+
+      EventBus.emit('undo:done', { history, label: entry.label });
+      return true;
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        EventBus.emit('notification:error', 'Запись уже изменена, действие нельзя отменить');
+      } else {
+        this.logger.error('Ошибка отмены действия', error);
+        EventBus.emit('notification:error', 'Не удалось отменить действие');
+      }
+      return false;
+    } finally {
+      EventBus.emit('undo:changed', this.getState());
+    }
+  }
+
+  /**
+   * Обратное изменение одной записи
+   * @param {TransactionScope} scope - Операции над хранилищем записи
+   * @param {Object} change - Изменение { id, action, before, after }
+   */
+  async revert(scope, { id, action, before, after }) {
+    const options = after ? { expectedVersion: after.version || 1 } : {};
+
+    switch (action) {
+      case 'created':
+        await scope.purge(id, options);
+        break;
+      case 'purged':
+        await scope.create(before);
+        break;
+      case 'deleted':
+        await scope.restore(id, options);
+        break;
+      case 'restored':
+        await scope.delete(id, options);
+        break;
+      default: {
+        // Поля, которых не было до изменения, очищаются
+        const cleared = Object.fromEntries(
+          Object.keys(after).filter(key => !(key in before)).map(key => [key, null])
+        );
+        await scope.update(id, { ...cleared, ...before }, options);
+      }
+    }
+  }
+
+  /**
+   * Состояние истории
+   * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel }
+   */
+  getState() {
+    const lastUndo = this.undoStack[this.undoStack.length - 1];
+    const lastRedo = this.redoStack[this.redoStack.length - 1];
+
+    return {
+      canUndo: !!lastUndo,
+      canRedo: !!lastRedo,
+      undoLabel: lastUndo?.label || null,
+      redoLabel: lastRedo?.label || null
+    };
+  }
+
+  /**
+   * Установка размера истории
+   * @param {number} limit - Количество шагов
+   */
+  setLimit(limit) {
+    this.limit = Math.max(1, limit);
+    this.undoStack = this.undoStack.slice(-this.limit);
+    this.redoStack = this.redoStack.slice(-this.limit);
+  }
+
+  /**
+   * Очистка истории
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    EventBus.emit('undo:changed', this.getState());
+  }
+}
+
+// Экспортируем синглтон
+export default new UndoService();
@@ -177,7 +177,8 @@ class WhatsAppService {
       birthDate: passportData.birthDate,
       passportIssueDate: passportData.issueDate,
       passportIssuedBy: passportData.issuedBy,
-      status: 'Документы получены',
+      // Получение документов отмечает documentProcessed, отдельного статуса для него нет
+      status: 'Активен',
       lastReply: new Date().toISOString(),
       documentProcessed: true,
       documentError: null
@@ -410,7 +411,8 @@ class WhatsAppService {
       birthDate: passportData.birthDate,
       passportIssueDate: passportData.issueDate,
       passportIssuedBy: passportData.issuedBy,
-      status: 'Документы получены',
+      // Получение документов отмечает documentProcessed, отдельного статуса для него нет
+      status: 'Активен',
       lastReply: new Date().toISOString(),
       documentProcessed: true,
       documentError: null
@@ -590,57 +592,6 @@ class WhatsAppService {
     }));
   }
 
-  /**
-   * Автоматическая проверка молчащих кандидатов
-   * @description Проверяет кандидатов без ответа более 8 часов
-   */
-  async checkSilentCandidates() {
-    const candidates = JSON.parse(localStorage.getItem('hr-assistant-data') || '{}').candidates || [];
-    const now = new Date();
-    const silentThreshold = 8 * 60 * 60 * 1000; // 8 часов в миллисекундах
-
-    for (const candidate of candidates) {
-      if (candidate.chatId && candidate.lastReply) {
-        const lastReplyTime = new Date(candidate.lastReply);
-        const timeDiff = now - lastReplyTime;
-
-        // Если молчит более 8 часов и еще не отправляли SMS
-        if (timeDiff > silentThreshold && !candidate.silentSmsLast) {
-          await this.sendSilentReminderSms(candidate);
-        }
-
-        // Если молчит более суток после SMS - переводим на 1-ю линию
-        const transferThreshold = 24 * 60 * 60 * 1000; // 24 часа
-        if (candidate.silentSmsLast && timeDiff > transferThreshold) {
-          window.dispatchEvent(new CustomEvent('transferCandidate', {
-            detail: { candidateId: candidate.id }
-          }));
-        }
-      }
-    }
-  }
-
-  /**
-   * Отправка напоминания молчащему кандидату
-   * @param {Object} candidate - Данные кандидата
-   */
-  async sendSilentReminderSms(candidate) {
-    const reminderMessage = `Здравствуйте, ${candidate.name}! Мы ждем от вас ответ по поводу вакансии. Пожалуйста, свяжитесь с нами.`;
-    
-    const success = await this.sendMessage(candidate.chatId, reminderMessage);
-    
-    if (success) {
-      // Обновляем данные кандидата
-      window.dispatchEvent(new CustomEvent('updateCandidate', {
-        detail: {
-          id: candidate.id,
-          silentSmsLast: new Date().toISOString(),
-          smsAttempts: (candidate.smsAttempts || 0) + 1
-        }
-      }));
-    }
-  }
-
   /**
    * Получение статистики сообщений
    * @returns {Promise<Object>} Статистика
@@ -662,21 +613,6 @@ class WhatsAppService {
     }
   }
 
-  /**
-   * Инициализация автоматических проверок
-   */
-  startAutomaticChecks() {
-    // Проверка молчащих кандидатов каждые 30 минут
-    setInterval(() => {
-      this.checkSilentCandidates();
-    }, 30 * 60 * 1000);
-
-    // Проверка контрольных точек для вахтовиков каждый час
-    setInterval(() => {
-      this.checkShiftWorkerCheckpoints();
-    }, 60 * 60 * 1000);
-  }
-
   /**
    * Проверка контрольных точек вахтовиков
    */
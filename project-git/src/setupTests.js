@@ -0,0 +1,10 @@
+// src/setupTests.js
+/**
+ * Окружение тестов: IndexedDB в памяти и API браузера, которых нет в jsdom
+ */
+import 'fake-indexeddb/auto';
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+
+Object.assign(global, { TextEncoder, TextDecoder });
+Object.defineProperty(global, 'crypto', { value: webcrypto });
@@ -0,0 +1,135 @@
+// src/stores/AppointmentStore.js
+/**
+ * 📅 Хранилище встреч с кандидатами
+ * @description Собеседования, медосмотры и отъезды на вахту: время, место,
+ * ответственный рекрутер, итог и отметки об отправленных напоминаниях
+ */
+import BaseStore from './BaseStore.js';
+
+// Хранилище кандидатов, к которым привязаны встречи
+const CANDIDATES_STORE = 'candidates';
+
+/**
+ * Типы встреч
+ */
+export const APPOINTMENT_TYPES = {
+  interview: 'Собеседование',
+  medical: 'Медосмотр',
+  departure: 'Отъезд на вахту'
+};
+
+/**
+ * Статусы встреч
+ */
+export const APPOINTMENT_STATUSES = {
+  SCHEDULED: 'scheduled',
+  COMPLETED: 'completed',
+  MISSED: 'missed',
+  CANCELLED: 'cancelled'
+};
+
+export const APPOINTMENT_STATUS_LABELS = {
+  [APPOINTMENT_STATUSES.SCHEDULED]: 'Назначена',
+  [APPOINTMENT_STATUSES.COMPLETED]: 'Состоялась',
+  [APPOINTMENT_STATUSES.MISSED]: 'Не пришел',
+  [APPOINTMENT_STATUSES.CANCELLED]: 'Отменена'
+};
+
+class AppointmentStore extends BaseStore {
+  constructor() {
+    super('appointments', {
+      schemaVersion: 1,
+      migrations: [],
+      softDelete: false,
+      auditIgnore: ['reminders'],
+      encryptedFields: ['location', 'link', 'outcome']
+    });
+
+    // Встречи окончательно удаленного кандидата больше не нужны
+    this.eventBus.on('transaction:committed', this.handleCommitted.bind(this));
+  }
+
+  /**
+   * Встречи в интервале времени
+   * @param {Date|string} from - Начало интервала
+   * @param {Date|string} to - Конец интервала
+   * @returns {Promise<Array>} Встречи по времени начала
+   */
+  async getRange(from, to) {
+    const { items } = await this.query({
+      where: { startsAt: { $gte: new Date(from).toISOString(), $lt: new Date(to).toISOString() } },
+      sort: [['startsAt', 'asc']]
+    });
+    return items;
+  }
+
+  /**
+   * Встречи кандидата
+   * @param {string} candidateId - ID кандидата
+   * @returns {Promise<Array>} Встречи, ближайшие первыми
+   */
+  async getForCandidate(candidateId) {
+    const { items } = await this.query({
+      where: { candidateId },
+      sort: [['startsAt', 'desc']]
+    });
+    return items;
+  }
+
+  /**
+   * Назначенные встречи, которые начинаются до указанного времени
+   * @param {Date} before - Граница по времени начала
+   * @returns {Promise<Array>} Встречи
+   */
+  async getScheduled(before) {
+    const { items } = await this.query({
+      where: {
+        status: APPOINTMENT_STATUSES.SCHEDULED,
+        startsAt: { $lt: before.toISOString() }
+      },
+      sort: [['startsAt', 'asc']]
+    });
+    return items;
+  }
+
+  /**
+   * Удаление встреч окончательно удаленных кандидатов
+   * @description Встречи кандидатов, перенесенных в архив, остаются для восстановления
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes, context }) {
+    if (context.archive) return;
+
+    const purgedIds = changes
+      .filter(({ storeName, action }) => storeName === CANDIDATES_STORE && action === 'purged')
+      .map(({ id }) => id);
+
+    if (purgedIds.length > 0) {
+      this.deleteForCandidates(purgedIds);
+    }
+  }
+
+  /**
+   * Удаление встреч кандидатов
+   * @param {Array<string>} candidateIds - ID кандидатов
+   * @returns {Promise<void>}
+   */
+  async deleteForCandidates(candidateIds) {
+    try {
+      await this.ready;
+      const { items } = await this.query({ where: { candidateId: { $in: candidateIds } } });
+      if (items.length === 0) return;
+
+      await this.transaction(async tx => {
+        for (const appointment of items) {
+          await tx.delete(appointment.id);
+        }
+      }, { undoable: false });
+    } catch (error) {
+      this.logger.error('Не удалось удалить встречи кандидатов', error);
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new AppointmentStore();
@@ -0,0 +1,105 @@
+// src/stores/ArchiveStore.js
+/**
+ * 🗜️ Хранилище архивов
+ * @description Сжатые архивы записей, вынесенных из рабочих хранилищ при сжатии
+ * данных. Архив можно восстановить обратно в исходное хранилище
+ */
+import BaseStore from './BaseStore.js';
+
+// Формат сжатия архивов (CompressionStream)
+const COMPRESSION_FORMAT = 'gzip';
+
+/**
+ * Сжатие текста
+ * @param {string} text - Текст
+ * @returns {Promise<{data: string, compression: string}>} Данные в base64 и формат сжатия
+ */
+async function compress(text) {
+  // Без CompressionStream (старые браузеры) архив хранится несжатым
+  if (typeof CompressionStream === 'undefined') {
+    return { data: text, compression: 'none' };
+  }
+
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream(COMPRESSION_FORMAT));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return { data: btoa(binary), compression: COMPRESSION_FORMAT };
+}
+
+/**
+ * Распаковка текста
+ * @param {string} data - Данные архива
+ * @param {string} compression - Формат сжатия
+ * @returns {Promise<string>} Текст
+ */
+async function decompress(data, compression) {
+  if (compression === 'none') {
+    return data;
+  }
+
+  const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(compression));
+  return new Response(stream).text();
+}
+
+class ArchiveStore extends BaseStore {
+  constructor() {
+    super('archives', {
+      schemaVersion: 1,
+      migrations: [],
+      audit: false,
+      softDelete: false,
+      // В архиве лежат записи целиком, включая документы
+      encryptedFields: ['data']
+    });
+  }
+
+  /**
+   * Подготовка архива записей
+   * @description Возвращает запись архива, которую нужно сохранить в той же
+   * транзакции, что и удаление записей из исходного хранилища
+   * @param {string} storeName - Исходное хранилище
+   * @param {Array} records - Записи
+   * @param {string} reason - Описание архива
+   * @returns {Promise<Object>} Запись архива
+   */
+  async buildArchive(storeName, records, reason = '') {
+    const json = JSON.stringify(records);
+    const { data, compression } = await compress(json);
+
+    return {
+      storeName,
+      reason,
+      count: records.length,
+      originalSize: json.length,
+      size: data.length,
+      compression,
+      data
+    };
+  }
+
+  /**
+   * Чтение записей из архива
+   * @param {Object} archive - Запись архива
+   * @returns {Promise<Array>} Записи
+   */
+  async readArchive(archive) {
+    return JSON.parse(await decompress(archive.data, archive.compression));
+  }
+
+  /**
+   * Список архивов без содержимого
+   * @returns {Promise<Array>} Архивы, новые первыми
+   */
+  async getSummaries() {
+    const { items } = await this.query({ sort: [['createdAt', 'desc']] });
+    return items.map(({ data, ...summary }) => summary);
+  }
+}
+
+// Экспортируем синглтон
+export default new ArchiveStore();
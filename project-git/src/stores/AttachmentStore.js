@@ -0,0 +1,53 @@
+// src/stores/AttachmentStore.js
+/**
+ * 📎 Хранилище вложений комментариев
+ * @description Файлы, прикрепленные к комментариям кандидатов и вахтовиков.
+ * Файл хранится как data URL, чтобы шифроваться вместе с остальными данными
+ */
+import BaseStore from './BaseStore.js';
+import { readAsDataURL } from './DocumentFileStore.js';
+
+class AttachmentStore extends BaseStore {
+  constructor() {
+    super('attachments', {
+      schemaVersion: 1,
+      migrations: [],
+      audit: false,
+      softDelete: false,
+      encryptedFields: ['data']
+    });
+  }
+
+  /**
+   * Подготовка записи вложения
+   * @description Возвращает запись, которую нужно сохранить в той же транзакции,
+   * что и комментарий со ссылкой на нее
+   * @param {string} entityType - Хранилище записи (candidates, shiftWorkers)
+   * @param {string} entityId - ID записи
+   * @param {Blob} blob - Файл
+   * @returns {Promise<Object>} Запись вложения
+   */
+  async buildFile(entityType, entityId, blob) {
+    return {
+      entityType,
+      entityId,
+      name: blob.name || 'attachment',
+      type: blob.type,
+      size: blob.size,
+      data: await readAsDataURL(blob)
+    };
+  }
+
+  /**
+   * ID вложений записей
+   * @param {Array<string>} entityIds - ID записей
+   * @returns {Promise<Array<string>>} ID вложений
+   */
+  async getIdsForEntities(entityIds) {
+    const { items } = await this.query({ where: { entityId: { $in: entityIds } } });
+    return items.map(item => item.id);
+  }
+}
+
+// Экспортируем синглтон
+export default new AttachmentStore();
@@ -0,0 +1,186 @@
+// src/stores/AuditLogStore.js
+/**
+ * 🕵️ Журнал изменений
+ * @description Кто, когда и через какой канал изменил поля записей.
+ * Записи журнала создаются в той же транзакции, что и изменения данных
+ */
+import BaseStore, { isEmptyValue } from './BaseStore.js';
+import StoreTransaction from './StoreTransaction.js';
+import CryptoService from '../services/CryptoService.js';
+
+/**
+ * Каналы, через которые вносятся изменения
+ */
+export const AUDIT_CHANNELS = {
+  UI: 'ui',
+  WHATSAPP: 'whatsapp',
+  OCR: 'ocr',
+  SHEETS: 'sheets',
+  IMPORT: 'import',
+  SYSTEM: 'system'
+};
+
+/**
+ * Названия каналов для интерфейса
+ */
+export const AUDIT_CHANNEL_LABELS = {
+  [AUDIT_CHANNELS.UI]: 'Интерфейс',
+  [AUDIT_CHANNELS.WHATSAPP]: 'WhatsApp',
+  [AUDIT_CHANNELS.OCR]: 'Распознавание документов',
+  [AUDIT_CHANNELS.SHEETS]: 'Google Sheets',
+  [AUDIT_CHANNELS.IMPORT]: 'Импорт',
+  [AUDIT_CHANNELS.SYSTEM]: 'Автоматически'
+};
+
+// Служебные поля, изменения которых не записываются
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', 'version', 'metadata'];
+
+class AuditLogStore extends BaseStore {
+  constructor() {
+    super('auditLog', {
+      schemaVersion: 1,
+      migrations: [],
+      audit: false,
+      softDelete: false,
+      // Журнал хранит прежние и новые значения полей, в том числе документов
+      encryptedFields: ['changes']
+    });
+
+    // Пользователь, от имени которого вносятся изменения из интерфейса
+    this.currentUser = 'system';
+
+    // Транзакции хранилищ пишут журнал через это хранилище
+    StoreTransaction.setAuditLog(this);
+  }
+
+  /**
+   * Установка текущего пользователя
+   * @param {string} user - Имя пользователя
+   */
+  setCurrentUser(user) {
+    this.currentUser = user || 'system';
+  }
+
+  /**
+   * Подготовка записи журнала
+   * @param {BaseStore} store - Хранилище, в котором меняется запись
+   * @param {string} action - Действие: created, updated, deleted
+   * @param {Object|null} before - Запись до изменения
+   * @param {Object|null} after - Запись после изменения
+   * @param {Object} context - Контекст изменения
+   * @param {string} context.channel - Канал (AUDIT_CHANNELS)
+   * @param {string} context.user - Пользователь
+   * @returns {Object|null} Запись журнала или null, если значимых изменений нет
+   */
+  buildEntry(store, action, before, after, { channel = AUDIT_CHANNELS.UI, user } = {}) {
+    const changes = this.diff(before || {}, after || {}, store.auditIgnore);
+
+    if (action === 'updated' && Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    return {
+      id: this.generateId(),
+      entityType: store.storeName,
+      entityId: (after || before).id,
+      action,
+      changes,
+      // Автоматические изменения не приписываются пользователю
+      user: user || (channel === AUDIT_CHANNELS.UI ? this.currentUser : 'system'),
+      channel,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Шифрование записи журнала
+   * @description Без ключа изменения только открытых полей записи (статус и т.п.)
+   * сохраняются открыто: иначе фоновые изменения при заблокированных данных
+   * нельзя было бы записать. Пустые значения зашифрованных полей, которые
+   * подставила модель, изменениями не считаются; остальные требуют ключа
+   * @param {Object} record - Запись журнала
+   * @param {Object} options - Ключи и режим (по умолчанию текущие)
+   * @returns {Promise<Object>} Запись для IndexedDB
+   */
+  async encryptRecord(record, options = {}) {
+    const { keys = CryptoService.keys, scope = CryptoService.getScope() } = options;
+    if (keys || !scope || !record.changes) {
+      return super.encryptRecord(record, options);
+    }
+
+    const store = BaseStore.getStore(record.entityType);
+    const changes = {};
+    for (const [field, change] of Object.entries(record.changes)) {
+      if (!store.isEncryptedField(field, scope)) {
+        changes[field] = change;
+      } else if (!isEmptyValue(change.from) || !isEmptyValue(change.to)) {
+        return super.encryptRecord(record, options);
+      }
+    }
+    return { ...record, changes };
+  }
+
+  /**
+   * Изменения полей между двумя состояниями записи
+   * @param {Object} before - Запись до изменения
+   * @param {Object} after - Запись после изменения
+   * @param {Array<string>} ignore - Дополнительно игнорируемые поля
+   * @returns {Object} Изменения { field: { from, to } }
+   */
+  diff(before, after, ignore = []) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    fields.forEach(field => {
+      if (field === 'id' || IGNORED_FIELDS.includes(field) || ignore.includes(field)) return;
+
+      const from = before[field] ?? null;
+      const to = after[field] ?? null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * История изменений записи
+   * @param {string} entityType - Название хранилища записи
+   * @param {string} entityId - ID записи
+   * @returns {Promise<Array>} Записи журнала, новые первыми
+   */
+  async getByEntity(entityType, entityId) {
+    const { items } = await this.query({
+      where: { entityId, entityType },
+      sort: [['timestamp', 'desc']]
+    });
+    return items;
+  }
+
+  /**
+   * Изменения, внесенные пользователем
+   * @param {string} user - Имя пользователя
+   * @param {Object} options - Опции { limit, cursor }
+   * @returns {Promise<{items: Array, total: number, nextCursor: string|null}>} Результат
+   */
+  async getByUser(user, { limit = 50, cursor } = {}) {
+    return this.query({
+      where: { user },
+      sort: [['timestamp', 'desc']],
+      limit,
+      cursor
+    });
+  }
+
+  /**
+   * Пользователи, вносившие изменения
+   * @returns {Promise<Array<string>>} Имена пользователей
+   */
+  async getUsers() {
+    return this.getDistinctValues('user');
+  }
+}
+
+// Экспортируем синглтон
+export default new AuditLogStore();
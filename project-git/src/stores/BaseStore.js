@@ -5,64 +5,353 @@
  */
 import EventBus from '../utils/EventBus.js';
 import Logger from '../utils/Logger.js';
+import StorageEngine from './StorageEngine.js';
+import MigrationRunner from './MigrationRunner.js';
+import QueryEngine from './QueryEngine.js';
+import StoreTransaction from './StoreTransaction.js';
+import CryptoService, { ENCRYPTION_SCOPES, LockedError } from '../services/CryptoService.js';
+
+// Созданные хранилища по названию
+const registry = new Map();
+
+// Служебные поля записи никогда не шифруются
+const SYSTEM_FIELDS = ['id', 'version', 'createdAt', 'updatedAt', 'deletedAt', 'isDeleted'];
+
+// Поля зашифрованной записи: шифротекст и слепые индексы
+export const ENCRYPTED_KEY = '_encrypted';
+const BLIND_INDEX_KEY = '_blindIndex';
+
+/**
+ * Пустое ли значение поля
+ * @description Модели заполняют отсутствующие поля пустыми значениями
+ * (null, пустая строка, [] или {})
+ * @param {*} value - Значение
+ * @returns {boolean} Пустое ли
+ */
+export function isEmptyValue(value) {
+  if (value == null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype &&
+    Object.keys(value).length === 0;
+}
 
 class BaseStore {
-  constructor(storeName) {
+  /**
+   * @param {string} storeName - Название хранилища
+   * @param {Object} options - Опции хранилища
+   * @param {number} options.schemaVersion - Текущая версия схемы записей
+   * @param {Array} options.migrations - Шаги миграции { version, description, up }
+   * @param {string} options.legacyKey - Ключ localStorage, из которого переносятся данные
+   * @param {boolean} options.audit - Записывать изменения в журнал изменений
+   * @param {Array<string>} options.auditIgnore - Поля, изменения которых не записываются в журнал
+   * @param {boolean} options.softDelete - Удалять записи в корзину (поле deletedAt)
+   * @param {Array<string>} options.encryptedFields - Поля с персональными данными,
+   *   которые шифруются при включенном шифровании
+   * @param {Array<string>} options.blindIndexes - Зашифрованные поля, по которым
+   *   возможен поиск по точному значению
+   */
+  constructor(storeName, {
+    schemaVersion = 1,
+    migrations = [],
+    legacyKey,
+    audit = true,
+    auditIgnore = [],
+    softDelete = true,
+    encryptedFields = [],
+    blindIndexes = []
+  } = {}) {
     this.storeName = storeName;
-    this.data = new Map();
+    this.legacyKey = legacyKey || `hr-assistant-${storeName}`;
+    this.schemaVersion = schemaVersion;
+    this.migrations = migrations;
+    this.audit = audit;
+    this.auditIgnore = auditIgnore;
+    this.softDelete = softDelete;
+    this.encryptedFields = encryptedFields;
+    this.blindIndexes = blindIndexes;
     this.eventBus = EventBus;
     this.logger = new Logger(`${storeName}Store`);
-    
-    this.loadFromLocalStorage();
+    this.table = StorageEngine.table(storeName);
+    this.indexes = StorageEngine.getIndexes(storeName);
+
+    // Все операции ждут завершения инициализации
+    this.ready = this.initialize();
+
+    registry.set(storeName, this);
   }
 
   /**
-   * Загрузка данных из localStorage
+   * Получение хранилища по названию
+   * @param {string} storeName - Название хранилища
+   * @returns {BaseStore} Хранилище
+   * @throws {Error} Если хранилище еще не создано
    */
-  loadFromLocalStorage() {
-    try {
-      const stored = localStorage.getItem(`hr-assistant-${this.storeName}`);
-      if (stored) {
-        const parsed = JSON.parse(stored);
-        parsed.forEach(item => {
-          this.data.set(item.id, item);
-        });
-        this.logger.info(`Загружено ${this.data.size} записей из localStorage`);
+  static getStore(storeName) {
+    if (!registry.has(storeName)) {
+      throw new Error(`Хранилище ${storeName} не зарегистрировано`);
+    }
+    return registry.get(storeName);
+  }
+
+  /**
+   * Условие отбора с учетом корзины
+   * @param {Object} where - Условия запроса
+   * @param {Object} options - Опции
+   * @param {boolean} options.withDeleted - Включать записи из корзины
+   * @param {boolean} options.onlyDeleted - Только записи из корзины
+   * @returns {Object} Условия запроса
+   */
+  scopeWhere(where = {}, { withDeleted = false, onlyDeleted = false } = {}) {
+    if (!this.softDelete || withDeleted || where.deletedAt !== undefined) {
+      return where;
+    }
+    return { ...where, deletedAt: { $exists: onlyDeleted } };
+  }
+
+  /**
+   * Шифруется ли поле
+   * @description В режиме "все поля" шифруется все, кроме служебных и индексируемых полей:
+   * индексы IndexedDB строятся по открытым значениям
+   * @param {string} field - Поле
+   * @param {string} scope - Что шифруется (ENCRYPTION_SCOPES), по умолчанию текущий режим
+   * @returns {boolean} Шифруется ли поле
+   */
+  isEncryptedField(field, scope = CryptoService.getScope()) {
+    if (!scope || SYSTEM_FIELDS.includes(field) || this.indexes.includes(field)) {
+      return false;
+    }
+    if (field === ENCRYPTED_KEY || field === BLIND_INDEX_KEY) {
+      return false;
+    }
+    return scope === ENCRYPTION_SCOPES.ALL || this.encryptedFields.includes(field);
+  }
+
+  /**
+   * Шифрование записи перед сохранением
+   * @description Зашифрованные поля переносятся в один шифротекст, для полей
+   * из blindIndexes сохраняются слепые индексы
+   * @param {Object} record - Запись
+   * @param {Object} options - Ключи и режим (по умолчанию текущие)
+   * @returns {Promise<Object>} Запись для IndexedDB
+   * @throws {LockedError} Если нужно зашифровать непустые поля, а ключа нет
+   */
+  async encryptRecord(record, { keys = CryptoService.keys, scope = CryptoService.getScope() } = {}) {
+    const fields = Object.keys(record).filter(field => (
+      record[field] !== undefined && this.isEncryptedField(field, scope)
+    ));
+
+    // Запись, прочитанная без ключа, сохраняет свой шифротекст без изменений
+    if (fields.length === 0) {
+      return record;
+    }
+    if (!keys) {
+      return this.keepEncrypted(record, fields);
+    }
+
+    const payload = {};
+    const rest = { ...record };
+    delete rest[ENCRYPTED_KEY];
+    delete rest[BLIND_INDEX_KEY];
+    fields.forEach(field => {
+      payload[field] = record[field];
+      delete rest[field];
+    });
+
+    const blindIndex = {};
+    for (const field of this.blindIndexes) {
+      if (payload[field] != null && payload[field] !== '') {
+        blindIndex[field] = await CryptoService.blindIndex(payload[field], keys);
       }
-    } catch (error) {
-      this.logger.error('Ошибка загрузки из localStorage', error);
     }
+
+    return {
+      ...rest,
+      [ENCRYPTED_KEY]: await CryptoService.encrypt(payload, keys),
+      [BLIND_INDEX_KEY]: blindIndex
+    };
+  }
+
+  /**
+   * Запись зашифрованных полей без ключа
+   * @description Пустое зашифрованное поле считается неизмененным: оно не
+   * сохраняется, а прежний шифротекст записи остается. Так фоновые задачи
+   * меняют статус и другие открытые поля и при заблокированных данных
+   * @param {Object} record - Запись
+   * @param {Array<string>} fields - Зашифрованные поля записи
+   * @returns {Object} Запись для IndexedDB
+   * @throws {LockedError} Если запись задает непустое значение зашифрованного поля
+   */
+  keepEncrypted(record, fields) {
+    const changed = fields.filter(field => !isEmptyValue(record[field]));
+    if (changed.length > 0) {
+      throw new LockedError(`Нельзя изменить зашифрованные поля (${changed.join(', ')}): данные заблокированы`);
+    }
+
+    const rest = { ...record };
+    fields.forEach(field => {
+      delete rest[field];
+    });
+    return rest;
+  }
+
+  /**
+   * Расшифровка записи после чтения
+   * @description Без ключа запись возвращается как есть: зашифрованных полей в ней нет
+   * @param {Object|null} record - Запись из IndexedDB
+   * @param {Object} keys - Ключи (по умолчанию текущие)
+   * @returns {Promise<Object|null>} Запись с открытыми полями
+   */
+  async decryptRecord(record, keys = CryptoService.keys) {
+    if (!record || !record[ENCRYPTED_KEY] || !keys) {
+      return record;
+    }
+
+    const {
+      [ENCRYPTED_KEY]: encrypted,
+      [BLIND_INDEX_KEY]: blindIndex,
+      ...rest
+    } = record;
+
+    return { ...rest, ...(await CryptoService.decrypt(encrypted, keys)) };
+  }
+
+  /**
+   * Расшифровка списка записей
+   * @param {Array} records - Записи из IndexedDB
+   * @returns {Promise<Array>} Записи с открытыми полями
+   */
+  async decryptRecords(records) {
+    if (!CryptoService.isEnabled()) {
+      return records;
+    }
+    return Promise.all(records.map(record => this.decryptRecord(record)));
+  }
+
+  /**
+   * Подготовка условий с учетом шифрования
+   * @description Точное совпадение по полю со слепым индексом заменяется
+   * сравнением хэшей, поэтому запись не нужно расшифровывать
+   * @param {Object} where - Условия запроса
+   * @returns {Promise<Object>} Условия запроса
+   */
+  async prepareWhere(where = {}) {
+    if (!CryptoService.isEnabled() || CryptoService.isLocked()) {
+      return where;
+    }
+
+    const prepared = {};
+    for (const [field, condition] of Object.entries(where)) {
+      const value = condition && typeof condition === 'object' && !Array.isArray(condition)
+        ? condition.$eq
+        : condition;
+      const isExactMatch = value != null && typeof value !== 'object' && value !== '';
+
+      if (isExactMatch && this.blindIndexes.includes(field) && this.isEncryptedField(field)) {
+        prepared[`${BLIND_INDEX_KEY}.${field}`] = await CryptoService.blindIndex(value);
+      } else {
+        prepared[field] = condition;
+      }
+    }
+    return prepared;
+  }
+
+  /**
+   * Нужна ли расшифровка всех записей для выполнения запроса
+   * @param {Object} where - Условия
+   * @param {Array} sort - Сортировка
+   * @returns {boolean} Затрагивает ли запрос зашифрованные поля
+   * @throws {LockedError} Если затрагивает, а ключа нет
+   */
+  requiresDecryption(where, sort) {
+    if (!CryptoService.isEnabled()) {
+      return false;
+    }
+
+    const fields = [
+      ...QueryEngine.getFields(where),
+      ...QueryEngine.normalizeSort(sort).map(([field]) => field.split('.')[0])
+    ];
+    const encrypted = fields.filter(field => this.isEncryptedField(field));
+    if (encrypted.length === 0) {
+      return false;
+    }
+
+    if (CryptoService.isLocked()) {
+      throw new LockedError(`Поиск по зашифрованным полям (${encrypted.join(', ')}) недоступен: данные заблокированы`);
+    }
+    return true;
   }
 
   /**
-   * Сохранение данных в localStorage
+   * Инициализация хранилища
+   * @description При первом запуске переносит данные из localStorage в IndexedDB,
+   * затем приводит записи к текущей версии схемы
+   * @returns {Promise<void>}
    */
-  saveToLocalStorage() {
+  async initialize() {
     try {
-      const dataArray = Array.from(this.data.values());
-      localStorage.setItem(`hr-assistant-${this.storeName}`, JSON.stringify(dataArray));
+      await StorageEngine.migrateFromLocalStorage(this.storeName, this.legacyKey);
+      await MigrationRunner.migrateStore(this.getSchema(), this.table);
+
+      const total = await this.table.count();
+      this.logger.info(`Хранилище готово, записей: ${total}`);
     } catch (error) {
-      this.logger.error('Ошибка сохранения в localStorage', error);
+      this.logger.error('Ошибка инициализации хранилища', error);
+      this.eventBus.emit('notification:error', error.message);
+
+      // Хранилище недоступно: все операции получат эту ошибку
+      throw error;
     }
   }
 
+  /**
+   * Схема хранилища для миграций
+   * @returns {Object} Название, версия и шаги миграции
+   */
+  getSchema() {
+    return {
+      storeName: this.storeName,
+      version: this.schemaVersion,
+      migrations: this.migrations
+    };
+  }
+
+  /**
+   * Пробный прогон миграций без изменения данных
+   * @returns {Promise<Object>} Отчет: версии и количество затронутых записей по шагам
+   */
+  async previewMigrations() {
+    await StorageEngine.migrateFromLocalStorage(this.storeName, this.legacyKey);
+    return MigrationRunner.migrateStore(this.getSchema(), this.table, { dryRun: true });
+  }
+
+  /**
+   * Получение журнала примененных миграций
+   * @returns {Promise<Object|null>} Версия схемы и журнал
+   */
+  async getMigrationHistory() {
+    return MigrationRunner.getSchemaInfo(this.storeName);
+  }
+
+  /**
+   * Приведение внешних записей (например, из файла экспорта) к текущей схеме
+   * @param {Array} records - Записи
+   * @param {number} fromVersion - Версия схемы записей
+   * @returns {Array} Обновленные записи
+   */
+  migrateRecords(records, fromVersion = 1) {
+    return MigrationRunner.migrateRecords(records, this.getSchema(), fromVersion);
+  }
+
   /**
    * Создание записи
    * @param {Object} item - Элемент для создания
+   * @param {Object} options - Контекст для журнала изменений { channel, user }
    * @returns {Promise<Object>} Созданный элемент
    */
-  async create(item) {
+  async create(item, options = {}) {
     try {
-      const id = item.id || this.generateId();
-      const itemWithId = { ...item, id };
-      
-      this.data.set(id, itemWithId);
-      this.saveToLocalStorage();
-      
-      this.eventBus.emit(`${this.storeName}:created`, itemWithId);
-      this.logger.info(`Создан элемент ${id}`);
-      
-      return itemWithId;
+      return await this.transaction(tx => tx.create(item, options));
     } catch (error) {
       this.logger.error('Ошибка создания элемента', error);
       throw error;
@@ -70,61 +359,120 @@ class BaseStore {
   }
 
   /**
-   * Получение всех записей
-   * @param {Object} filters - Фильтры
-   * @returns {Promise<Array>} Массив элементов
+   * Декларативный запрос к хранилищу
+   * @description Записи из корзины не возвращаются, если не указано withDeleted или onlyDeleted.
+   * Условия и сортировка по зашифрованным полям выполняются после расшифровки
+   * всех записей таблицы; точное совпадение по слепому индексу - без расшифровки
+   * @param {Object} query - Запрос { where, sort, offset, limit, cursor, withDeleted, onlyDeleted },
+   *   см. QueryEngine
+   * @returns {Promise<{items: Array, total: number, nextCursor: string|null}>} Результат
    */
-  async getAll(filters = {}) {
+  async query(query = {}) {
     try {
-      let items = Array.from(this.data.values());
-      
-      // Применяем фильтры
-      if (Object.keys(filters).length > 0) {
-        items = items.filter(item => {
-          return Object.entries(filters).every(([key, value]) => {
-            if (!value) return true;
-            return item[key] && item[key].toString().toLowerCase().includes(value.toLowerCase());
-          });
-        });
+      await this.ready;
+      const { withDeleted, onlyDeleted, ...rest } = query;
+      const where = await this.prepareWhere(this.scopeWhere(rest.where, { withDeleted, onlyDeleted }));
+
+      if (this.requiresDecryption(where, rest.sort)) {
+        const records = await this.decryptRecords(await this.table.toArray());
+        return QueryEngine.runOnRecords(records, { ...rest, where });
       }
-      
-      return items;
+
+      const result = await QueryEngine.run(this.table, this.indexes, { ...rest, where });
+      return { ...result, items: await this.decryptRecords(result.items) };
     } catch (error) {
-      this.logger.error('Ошибка получения элементов', error);
+      this.logger.error('Ошибка выполнения запроса', error);
       throw error;
     }
   }
 
+  /**
+   * Получение первой записи по условию
+   * @param {Object} where - Условия запроса
+   * @param {Array} sort - Сортировка
+   * @returns {Promise<Object|null>} Запись или null
+   */
+  async findOne(where, sort) {
+    const { items } = await this.query({ where, sort, limit: 1 });
+    return items[0] || null;
+  }
+
+  /**
+   * Подсчет записей по условию
+   * @param {Object} where - Условия запроса
+   * @param {Object} options - Опции { withDeleted, onlyDeleted }
+   * @returns {Promise<number>} Количество записей
+   */
+  async countWhere(where = {}, options = {}) {
+    await this.ready;
+    const prepared = await this.prepareWhere(this.scopeWhere(where, options));
+
+    if (this.requiresDecryption(prepared)) {
+      const records = await this.decryptRecords(await this.table.toArray());
+      return records.filter(record => QueryEngine.matches(record, prepared)).length;
+    }
+
+    return QueryEngine.count(this.table, this.indexes, prepared);
+  }
+
+  /**
+   * Уникальные значения индексированного поля
+   * @param {string} field - Индексированное поле
+   * @returns {Promise<Array>} Отсортированные значения
+   */
+  async getDistinctValues(field) {
+    if (!this.indexes.includes(field)) {
+      throw new Error(`Поле ${field} не индексировано в хранилище ${this.storeName}`);
+    }
+
+    await this.ready;
+    const values = await this.table.orderBy(field).uniqueKeys();
+    return values.filter(value => value !== '' && value != null);
+  }
+
+  /**
+   * Получение всех записей
+   * @description Каждый фильтр - поиск подстроки без учета регистра;
+   * для точных условий и постраничной выборки используйте query()
+   * @param {Object} filters - Фильтры
+   * @returns {Promise<Array>} Массив элементов
+   */
+  async getAll(filters = {}) {
+    const where = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) {
+        where[key] = { $like: value };
+      }
+    });
+
+    const { items } = await this.query({ where });
+    return items;
+  }
+
   /**
    * Получение записи по ID
    * @param {string} id - ID элемента
    * @returns {Promise<Object|null>} Элемент или null
    */
   async getById(id) {
-    return this.data.get(id) || null;
+    await this.ready;
+    return (await this.decryptRecord(await this.table.get(id))) || null;
   }
 
   /**
    * Обновление записи
    * @param {string} id - ID элемента
    * @param {Object} updates - Обновления
+   * @param {Object} options - Опции
+   * @param {number} options.expectedVersion - Версия записи, которую видел автор изменений;
+   *   если запись с тех пор изменилась, будет выброшен ConflictError
+   * @param {string} options.channel - Канал изменения для журнала (AUDIT_CHANNELS)
+   * @param {string} options.user - Автор изменения для журнала
    * @returns {Promise<Object|null>} Обновленный элемент
    */
-  async update(id, updates) {
+  async update(id, updates, options = {}) {
     try {
-      const existing = this.data.get(id);
-      if (!existing) {
-        throw new Error(`Элемент с ID ${id} не найден`);
-      }
-      
-      const updated = { ...existing, ...updates, updatedAt: new Date().toISOString() };
-      this.data.set(id, updated);
-      this.saveToLocalStorage();
-      
-      this.eventBus.emit(`${this.storeName}:updated`, updated);
-      this.logger.info(`Обновлен элемент ${id}`);
-      
-      return updated;
+      return await this.transaction(tx => tx.update(id, updates, options));
     } catch (error) {
       this.logger.error('Ошибка обновления элемента', error);
       throw error;
@@ -132,34 +480,155 @@ class BaseStore {
   }
 
   /**
-   * Удаление записи
+   * Удаление записи в корзину
+   * @description Хранилища без мягкого удаления удаляют запись окончательно
    * @param {string} id - ID элемента
+   * @param {Object} options - Контекст для журнала изменений { channel, user }
    * @returns {Promise<boolean>} Успех операции
    */
-  async delete(id) {
+  async delete(id, options = {}) {
     try {
-      const existed = this.data.has(id);
-      if (existed) {
-        this.data.delete(id);
-        this.saveToLocalStorage();
-        
-        this.eventBus.emit(`${this.storeName}:deleted`, id);
-        this.logger.info(`Удален элемент ${id}`);
-      }
-      
-      return existed;
+      return await this.transaction(tx => tx.delete(id, options));
     } catch (error) {
       this.logger.error('Ошибка удаления элемента', error);
       throw error;
     }
   }
 
+  /**
+   * Восстановление записи из корзины
+   * @param {string} id - ID элемента
+   * @param {Object} options - Контекст для журнала изменений { channel, user }
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async restore(id, options = {}) {
+    try {
+      return await this.transaction(tx => tx.restore(id, options));
+    } catch (error) {
+      this.logger.error('Ошибка восстановления элемента', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Окончательное удаление записи
+   * @param {string} id - ID элемента
+   * @param {Object} options - Контекст для журнала изменений { channel, user }
+   * @returns {Promise<boolean>} Успех операции
+   */
+  async purge(id, options = {}) {
+    try {
+      return await this.transaction(tx => tx.purge(id, options), { undoable: false });
+    } catch (error) {
+      this.logger.error('Ошибка окончательного удаления элемента', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Записи в корзине
+   * @param {Object} query - Запрос { where, sort, limit, cursor }
+   * @returns {Promise<{items: Array, total: number, nextCursor: string|null}>} Результат
+   */
+  async getDeleted(query = {}) {
+    return this.query({ sort: [['deletedAt', 'desc']], ...query, onlyDeleted: true });
+  }
+
+  /**
+   * Окончательное удаление записей, которые лежат в корзине дольше срока хранения
+   * @param {Date} before - Удаляются записи, перемещенные в корзину раньше этой даты
+   * @param {Object} context - Контекст для журнала изменений { channel, user }
+   * @returns {Promise<number>} Количество удаленных записей
+   */
+  async purgeDeletedBefore(before, context = {}) {
+    if (!this.softDelete) {
+      return 0;
+    }
+
+    const { items } = await this.query({ where: { deletedAt: { $lt: before.toISOString() } } });
+    if (items.length === 0) {
+      return 0;
+    }
+
+    await this.transaction(async tx => {
+      for (const item of items) {
+        await tx.purge(item.id);
+      }
+    }, { channel: 'system', ...context, undoable: false });
+
+    this.logger.info(`Из корзины удалено записей: ${items.length}`);
+    return items.length;
+  }
+
+  /**
+   * Транзакция над хранилищем
+   * @description Изменения буферизуются и записываются одной транзакцией IndexedDB,
+   * события *:created/updated/deleted рассылаются только после фиксации.
+   * Через tx.store(OtherStore) в транзакцию включаются другие хранилища.
+   * Запросы query() внутри транзакции видят только зафиксированные данные
+   * @param {Function} callback - async (tx) => результат
+   * @param {Object} context - Контекст для журнала изменений { channel, user }
+   * @returns {Promise<*>} Результат callback
+   * @example
+   * await CandidateStore.transaction(async tx => {
+   *   await tx.update(candidateId, { status: 'Передан' });
+   *   await tx.store(MailingStore).update(mailingId, { status: 'sent' });
+   * });
+   */
+  async transaction(callback, context = {}) {
+    return StoreTransaction.run(tx => callback(tx.store(this)), context);
+  }
+
+  /**
+   * Подготовка новой записи к сохранению
+   * @description Переопределяется в дочерних хранилищах для нормализации через модель
+   * @param {Object} item - Данные записи
+   * @returns {Object} Запись для сохранения
+   */
+  prepareCreate(item) {
+    const data = this.toPlainRecord(item);
+    const now = new Date().toISOString();
+
+    return {
+      createdAt: now,
+      updatedAt: now,
+      ...data,
+      id: data.id || this.generateId()
+    };
+  }
+
+  /**
+   * Подготовка обновленной записи к сохранению
+   * @param {Object} existing - Текущая запись
+   * @param {Object} updates - Обновления
+   * @returns {Object} Запись для сохранения
+   */
+  prepareUpdate(existing, updates) {
+    return {
+      ...existing,
+      ...this.toPlainRecord(updates),
+      id: existing.id,
+      // Версию ведет хранилище, а не автор изменений
+      version: (existing.version || 1) + 1,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Приведение модели к простому объекту для записи в IndexedDB
+   * @param {Object} item - Модель или объект
+   * @returns {Object} Простой объект
+   */
+  toPlainRecord(item) {
+    return item && typeof item.toJSON === 'function' ? item.toJSON() : { ...item };
+  }
+
   /**
    * Очистка всех данных
    */
   async clear() {
-    this.data.clear();
-    this.saveToLocalStorage();
+    await this.ready;
+    await this.table.clear();
     this.eventBus.emit(`${this.storeName}:cleared`);
     this.logger.info('Хранилище очищено');
   }
@@ -173,20 +642,48 @@ class BaseStore {
   }
 
   /**
-   * Получение количества записей
-   * @returns {number} Количество записей
+   * Получение количества записей (без корзины)
+   * @returns {Promise<number>} Количество записей
    */
-  count() {
-    return this.data.size;
+  async count() {
+    return this.countWhere();
   }
 
   /**
-   * Поиск записей
+   * Поиск записей (без корзины)
    * @param {Function} predicate - Функция поиска
-   * @returns {Array} Найденные элементы
+   * @returns {Promise<Array>} Найденные элементы
    */
-  find(predicate) {
-    return Array.from(this.data.values()).filter(predicate);
+  async find(predicate) {
+    await this.ready;
+
+    if (!CryptoService.isEnabled()) {
+      return this.table.filter(record => !record.deletedAt && predicate(record)).toArray();
+    }
+
+    const records = await this.table.filter(record => !record.deletedAt).toArray();
+    return (await this.decryptRecords(records)).filter(predicate);
+  }
+
+  /**
+   * Обход записей (без корзины)
+   * @description Без шифрования записи читаются потоково; зашифрованные записи
+   * нужно расшифровать, поэтому таблица загружается целиком
+   * @param {Function} callback - Обработчик записи
+   * @returns {Promise<void>}
+   */
+  async each(callback) {
+    await this.ready;
+
+    if (!CryptoService.isEnabled()) {
+      await this.table.each(record => {
+        if (!record.deletedAt) callback(record);
+      });
+      return;
+    }
+
+    const records = await this.table.filter(record => !record.deletedAt).toArray();
+    (await this.decryptRecords(records)).forEach(callback);
   }
 }
 
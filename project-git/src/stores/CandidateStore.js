@@ -3,25 +3,238 @@
  * Хранилище кандидатов
  * @description Специализированное хранилище для кандидатов
  */
-import BaseStore from './BaseStore.js';
-import CandidateModel from '../models/CandidateModel.js';
+import BaseStore, { ENCRYPTED_KEY } from './BaseStore.js';
+import StorageEngine from './StorageEngine.js';
+import MigrationRunner from './MigrationRunner.js';
+import CandidateModel, { normalizePhone, getDuplicateReasons, toDateKey } from '../models/CandidateModel.js';
+import { mergeLegacyComments } from '../services/CommentService.js';
+import CryptoService from '../services/CryptoService.js';
+import SlaService from '../services/SlaService.js';
+
+/**
+ * Шаги миграции схемы кандидатов
+ */
+// Ключ в таблице meta: старые комментарии зашифрованных записей ждут разбора
+const ENCRYPTED_COMMENTS_KEY = 'legacyComments:candidates';
+
+/**
+ * Разбор строки комментариев старого формата в отдельные записи
+ * @param {Object} record - Запись кандидата
+ * @returns {Object} Запись (та же, если разбирать нечего)
+ */
+function parseLegacyComment(record) {
+  if (typeof record.comment !== 'string' || !record.comment) {
+    return record;
+  }
+
+  return {
+    ...record,
+    comments: mergeLegacyComments(record.comments, record.comment, {
+      withAuthor: true,
+      fallbackDate: record.createdAt
+    }),
+    comment: ''
+  };
+}
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'История статусов, история активности и статистика хранятся в каждой записи',
+    up: (record) => ({
+      ...record,
+      statusHistory: Array.isArray(record.statusHistory) ? record.statusHistory : [],
+      activityHistory: Array.isArray(record.activityHistory) ? record.activityHistory : [],
+      stats: {
+        messagesCount: 0,
+        documentsUploaded: 0,
+        responseTime: null,
+        ...record.stats
+      }
+    })
+  },
+  {
+    version: 3,
+    description: 'Статуса "Документы получены" нет в воронке: такие кандидаты переводятся в "Активен"',
+    up: (record) => (
+      record.status === 'Документы получены'
+        ? { ...record, status: 'Активен', documentProcessed: true }
+        : record
+    )
+  },
+  {
+    version: 4,
+    description: 'Комментарии из одной строки разбираются в отдельные записи с автором и временем',
+    // Записи, зашифрованные целиком, разбираются после разблокировки (parseEncryptedComments)
+    up: parseLegacyComment
+  }
+];
 
 class CandidateStore extends BaseStore {
   constructor() {
-    super('candidates');
+    super('candidates', {
+      schemaVersion: 4,
+      migrations: MIGRATIONS,
+      // Смена статуса уже видна в журнале по полю status
+      auditIgnore: ['statusHistory', 'activityHistory'],
+      // Паспортные данные и реквизиты шифруются при включенном шифровании
+      encryptedFields: [
+        'passport', 'passportIssueDate', 'passportIssuedBy', 'birthDate',
+        'birthPlace', 'registrationAddress', 'inn', 'snils', 'documents'
+      ],
+      // Поиск дублей по документам идет по точному совпадению
+      blindIndexes: ['passport', 'inn', 'snils']
+    });
+
+    // Ключ даты рождения записей, сохраненных до его появления, и старые
+    // комментарии зашифрованных записей обрабатываются, как только записи
+    // можно расшифровать
+    Promise.all([this.ready, CryptoService.ready]).then(() => this.completeEncryptedRecords());
+    this.eventBus.on('crypto:unlocked', () => this.completeEncryptedRecords());
+  }
+
+  /**
+   * Инициализация хранилища
+   * @description Миграция комментариев (версия 4) не видит их в записях,
+   * зашифрованных целиком (режим "все поля"): до миграции такие записи
+   * отмечаются, чтобы разобрать их после разблокировки
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.markEncryptedComments();
+    return super.initialize();
+  }
+
+  /**
+   * Отметка о зашифрованных записях, которые миграция комментариев пропустит
+   * @returns {Promise<void>}
+   */
+  async markEncryptedComments() {
+    try {
+      const info = await MigrationRunner.getSchemaInfo(this.storeName);
+      if (info && info.version >= 4) return;
+
+      const skipped = await this.table
+        .filter(record => Boolean(record[ENCRYPTED_KEY]) && record.comment === undefined)
+        .count();
+      if (skipped > 0) {
+        await StorageEngine.table('meta').put({
+          key: ENCRYPTED_COMMENTS_KEY,
+          count: skipped,
+          markedAt: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      this.logger.warn('Не удалось отметить зашифрованные записи для разбора комментариев', error);
+    }
+  }
+
+  /**
+   * Доработка записей, которые стало можно расшифровать
+   * @returns {Promise<void>}
+   */
+  async completeEncryptedRecords() {
+    await this.indexBirthDates();
+    await this.parseEncryptedComments();
+  }
+
+  /**
+   * Разбор старых комментариев записей, пропущенных миграцией
+   * @description Записи перезаписываются напрямую в таблицу, как при миграции:
+   * версия и журнал не меняются. Отметка снимается после разбора всех записей
+   * @returns {Promise<void>}
+   */
+  async parseEncryptedComments() {
+    try {
+      if (CryptoService.isLocked()) return;
+
+      await this.ready;
+      const meta = StorageEngine.table('meta');
+      if (!(await meta.get(ENCRYPTED_COMMENTS_KEY))) return;
+
+      let parsed = 0;
+      for (const record of await this.decryptRecords(await this.table.toArray())) {
+        const migrated = parseLegacyComment(record);
+        if (migrated !== record) {
+          await this.table.put(await this.encryptRecord(migrated));
+          parsed++;
+        }
+      }
+
+      await meta.delete(ENCRYPTED_COMMENTS_KEY);
+      this.logger.info(`Разобраны старые комментарии зашифрованных записей: ${parsed}`);
+    } catch (error) {
+      this.logger.warn('Не удалось разобрать старые комментарии зашифрованных записей', error);
+    }
+  }
+
+  /**
+   * Ключ даты рождения для индекса birthDateKey
+   * @description Дата в формате ГГГГ-ММ-ДД, а при шифровании даты рождения -
+   * ее слепой индекс: индексированные поля хранятся открыто
+   * @param {string} birthDate - Дата рождения
+   * @param {Object} options - Ключи и режим (по умолчанию текущие)
+   * @returns {Promise<string|null>} Ключ
+   * @throws {LockedError} Если дата шифруется, а ключа нет
+   */
+  async getBirthDateKey(birthDate, { keys = CryptoService.keys, scope = CryptoService.getScope() } = {}) {
+    const date = toDateKey(birthDate);
+    if (!date) return null;
+    return this.isEncryptedField('birthDate', scope) ? CryptoService.blindIndex(date, keys) : date;
+  }
+
+  /**
+   * Шифрование записи перед сохранением
+   * @description Ключ даты рождения пересчитывается при каждой записи, в том числе
+   * при перешифровании. Запись, прочитанная без ключа, даты не содержит и
+   * сохраняет прежний ключ
+   * @param {Object} record - Запись
+   * @param {Object} options - Ключи и режим (по умолчанию текущие)
+   * @returns {Promise<Object>} Запись для IndexedDB
+   */
+  async encryptRecord(record, { keys = CryptoService.keys, scope = CryptoService.getScope() } = {}) {
+    if (record.birthDate === undefined || (!keys && this.isEncryptedField('birthDate', scope))) {
+      return super.encryptRecord(record, { keys, scope });
+    }
+
+    const birthDateKey = await this.getBirthDateKey(record.birthDate, { keys, scope });
+    return super.encryptRecord({ ...record, birthDateKey }, { keys, scope });
   }
 
   /**
-   * Создание кандидата
+   * Заполнение ключа даты рождения у записей без него
+   * @description Ключ записывается напрямую в таблицу: это производное поле,
+   * версия и журнал записи не меняются
+   * @returns {Promise<void>}
+   */
+  async indexBirthDates() {
+    try {
+      if (CryptoService.isLocked()) return;
+
+      await this.ready;
+      const records = await this.table.filter(record => record.birthDateKey === undefined).toArray();
+      if (records.length === 0) return;
+
+      for (const record of await this.decryptRecords(records)) {
+        await this.table.update(record.id, { birthDateKey: await this.getBirthDateKey(record.birthDate) });
+      }
+      this.logger.info(`Заполнен ключ даты рождения: ${records.length}`);
+    } catch (error) {
+      this.logger.warn('Не удалось заполнить ключ даты рождения', error);
+    }
+  }
+
+  /**
+   * Подготовка кандидата к сохранению (валидация через модель)
    * @param {Object|CandidateModel} candidateData - Данные кандидата
-   * @returns {Promise<CandidateModel>} Созданный кандидат
+   * @returns {Object} Запись кандидата
    */
-  async create(candidateData) {
+  prepareCreate(candidateData) {
     const candidate = candidateData instanceof CandidateModel 
       ? candidateData 
       : new CandidateModel(candidateData);
     
-    return await super.create(candidate.toJSON());
+    return super.prepareCreate(candidate.toJSON());
   }
 
   /**
@@ -30,8 +243,11 @@ class CandidateStore extends BaseStore {
    * @returns {Promise<CandidateModel|null>} Кандидат
    */
   async getByChatId(chatId) {
-    const candidates = Array.from(this.data.values());
-    const found = candidates.find(c => c.chatId === chatId);
+    if (!chatId) {
+      return null;
+    }
+
+    const found = await this.findOne({ chatId });
     return found ? new CandidateModel(found) : null;
   }
 
@@ -41,17 +257,28 @@ class CandidateStore extends BaseStore {
    * @returns {Promise<Array>} Массив кандидатов
    */
   async getByStatus(status) {
-    const candidates = await this.getAll();
-    return candidates.filter(c => c.status === status);
+    const { items } = await this.query({ where: { status } });
+    return items;
   }
 
   /**
-   * Получение молчащих кандидатов
+   * Получение активных кандидатов, которые молчат дольше порога SLA
+   * @description Молчание отсчитывается от последнего ответа или возврата
+   * с 1-й линии. Рабочих часов не больше календарных, поэтому запрос отсекает
+   * ответивших недавно, а точный порог проверяет SlaService
    * @returns {Promise<Array>} Молчащие кандидаты
    */
   async getSilentCandidates() {
-    const candidates = await this.getAll();
-    return candidates.filter(c => {
+    await SlaService.ready;
+    const threshold = new Date(Date.now() - SlaService.getMinSilentHours() * 60 * 60 * 1000).toISOString();
+    const { items } = await this.query({
+      where: {
+        status: 'Активен',
+        $or: [{ lastReply: { $lte: threshold } }, { returnedAt: { $lte: threshold } }]
+      }
+    });
+
+    return items.filter(c => {
       const candidate = new CandidateModel(c);
       return candidate.isSilent();
     });
@@ -62,8 +289,12 @@ class CandidateStore extends BaseStore {
    * @returns {Promise<Array>} Кандидаты для передачи
    */
   async getCandidatesForTransfer() {
-    const candidates = await this.getAll();
-    return candidates.filter(c => {
+    await SlaService.ready;
+    const { items } = await this.query({
+      where: { status: 'Молчит', silentSince: { $exists: true } }
+    });
+
+    return items.filter(c => {
       const candidate = new CandidateModel(c);
       return candidate.shouldTransfer();
     });
@@ -71,17 +302,61 @@ class CandidateStore extends BaseStore {
 
   /**
    * Поиск кандидатов по телефону
+   * @description Телефон индексируется и поэтому не шифруется ни в одном режиме:
+   * по нему сопоставляются входящие сообщения, даже пока данные заблокированы
    * @param {string} phone - Номер телефона
    * @returns {Promise<Array>} Найденные кандидаты
    */
   async searchByPhone(phone) {
-    const candidates = await this.getAll();
-    const cleanPhone = phone.replace(/\D/g, '');
-    
-    return candidates.filter(c => {
-      const candidatePhone = c.phone.replace(/\D/g, '');
-      return candidatePhone.includes(cleanPhone);
-    });
+    const cleanPhone = (phone || '').replace(/\D/g, '');
+    if (!cleanPhone) {
+      return [];
+    }
+
+    await this.ready;
+
+    // Перебираем только ключи индекса, сами записи не загружаем
+    const phones = await this.table.orderBy('phone').uniqueKeys();
+    const matched = phones.filter(p => String(p).replace(/\D/g, '').includes(cleanPhone));
+    if (matched.length === 0) {
+      return [];
+    }
+
+    const found = await this.table.where('phone').anyOf(matched).filter(c => !c.deletedAt).toArray();
+    return this.decryptRecords(found);
+  }
+
+  /**
+   * Поиск возможных дублей кандидата
+   * @description Кандидаты для сравнения отбираются по индексам: телефону, слепым
+   * индексам документов и ключу даты рождения. Совпадение, в том числе ФИО
+   * с точностью до опечаток, проверяет модель
+   * @param {Object|CandidateModel} candidate - Кандидат (можно еще не сохраненный)
+   * @returns {Promise<Array<{candidate: Object, reasons: Array<string>}>>} Дубли и признаки совпадения
+   */
+  async findDuplicates(candidate) {
+    const found = new Map();
+    const collect = (records) => records.forEach(record => found.set(record.id, record));
+
+    const phone = normalizePhone(candidate.phone);
+    if (phone) {
+      collect(await this.searchByPhone(phone));
+    }
+
+    for (const field of ['inn', 'snils', 'passport']) {
+      if (candidate[field]) {
+        collect((await this.query({ where: { [field]: candidate[field] } })).items);
+      }
+    }
+
+    const birthDateKey = candidate.name ? await this.getBirthDateKey(candidate.birthDate) : null;
+    if (birthDateKey) {
+      collect((await this.query({ where: { birthDateKey } })).items);
+    }
+
+    return Array.from(found.values())
+      .map(record => ({ candidate: record, reasons: getDuplicateReasons(candidate, record) }))
+      .filter(({ reasons }) => reasons.length > 0);
   }
 
   /**
@@ -89,10 +364,8 @@ class CandidateStore extends BaseStore {
    * @returns {Promise<Object>} Статистика
    */
   async getStatistics() {
-    const candidates = await this.getAll();
-    
     const stats = {
-      total: candidates.length,
+      total: 0,
       byStatus: {},
       byProject: {},
       withDocuments: 0,
@@ -102,7 +375,10 @@ class CandidateStore extends BaseStore {
     const now = new Date();
     const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
-    candidates.forEach(c => {
+    // Кандидаты в корзине не учитываются
+    await this.each(c => {
+      stats.total++;
+
       // Статистика по статусам
       stats.byStatus[c.status] = (stats.byStatus[c.status] || 0) + 1;
       
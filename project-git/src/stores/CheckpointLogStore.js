@@ -0,0 +1,201 @@
+// src/stores/CheckpointLogStore.js
+/**
+ * 📋 Журнал контрольных точек вахтовиков
+ * @description Каждая назначенная КТ - отдельная запись: кто и когда назначил,
+ * срок, отправленные сообщения, ответ работника и действия СО. В записи
+ * вахтовика остается только текущая КТ
+ */
+import BaseStore from './BaseStore.js';
+
+// Хранилище вахтовиков, к которым привязаны КТ
+const SHIFT_WORKERS_STORE = 'shiftWorkers';
+
+// Срок ответа на КТ - 15:00 МСК дня КТ
+const DEADLINE_HOUR = 15;
+
+/**
+ * Состояния КТ в журнале
+ */
+export const CHECKPOINT_STATUSES = {
+  PENDING: 'Ожидание',
+  ANSWERED: 'Ответил',
+  MISSED: 'Пропущена',
+  REPLACED: 'Заменена'
+};
+
+/**
+ * Виды сообщений вахтовику по КТ
+ */
+export const CHECKPOINT_MESSAGES = {
+  notification: 'Уведомление',
+  reminder: 'Напоминание'
+};
+
+class CheckpointLogStore extends BaseStore {
+  constructor() {
+    super('checkpointLog', {
+      schemaVersion: 1,
+      migrations: [],
+      audit: false,
+      softDelete: false,
+      encryptedFields: ['response', 'actions']
+    });
+
+    // КТ окончательно удаленного вахтовика больше не нужны
+    this.eventBus.on('transaction:committed', this.handleCommitted.bind(this));
+  }
+
+  /**
+   * Новая запись журнала по текущей КТ вахтовика
+   * @param {Object} worker - Вахтовик с назначенной КТ
+   * @param {string} assignedBy - Кто назначил КТ
+   * @returns {Object} Запись журнала
+   */
+  buildEntry(worker, assignedBy = 'system') {
+    const deadline = new Date(worker.checkpointDate);
+    deadline.setHours(DEADLINE_HOUR, 0, 0, 0);
+
+    return {
+      workerId: worker.id,
+      object: worker.object,
+      checkpoint: worker.currentCheckpoint,
+      date: worker.checkpointDate,
+      deadline: deadline.toISOString(),
+      assignedAt: new Date().toISOString(),
+      assignedBy,
+      status: CHECKPOINT_STATUSES.PENDING,
+      messages: [],
+      response: null,
+      respondedAt: null,
+      actions: [],
+      closedAt: null
+    };
+  }
+
+  /**
+   * КТ вахтовика
+   * @param {string} workerId - ID вахтовика
+   * @returns {Promise<Array>} Записи журнала, новые первыми
+   */
+  async getForWorker(workerId) {
+    const { items } = await this.query({
+      where: { workerId },
+      sort: [['assignedAt', 'desc']]
+    });
+    return items;
+  }
+
+  /**
+   * Текущая КТ вахтовика, ожидающая ответа
+   * @param {string} workerId - ID вахтовика
+   * @returns {Promise<Object|null>} Запись журнала
+   */
+  async getCurrent(workerId) {
+    const { items } = await this.query({
+      where: { workerId, status: CHECKPOINT_STATUSES.PENDING },
+      sort: [['assignedAt', 'desc']],
+      limit: 1
+    });
+    return items[0] || null;
+  }
+
+  /**
+   * Сообщение вахтовику по текущей КТ
+   * @param {string} workerId - ID вахтовика
+   * @param {string} kind - Вид из CHECKPOINT_MESSAGES
+   * @param {boolean} success - Доставлено ли сообщение
+   * @returns {Promise<Object|null>} Обновленная запись или null, если КТ нет
+   */
+  async recordMessage(workerId, kind, success) {
+    const entry = await this.getCurrent(workerId);
+    if (!entry) return null;
+
+    return this.update(entry.id, {
+      messages: [...entry.messages, { kind, success: Boolean(success), at: new Date().toISOString() }]
+    });
+  }
+
+  /**
+   * Действие СО по текущей КТ
+   * @param {string} workerId - ID вахтовика
+   * @param {string} text - Что сделано
+   * @param {string} by - Кто сделал
+   * @returns {Promise<Object|null>} Обновленная запись или null, если КТ нет
+   */
+  async recordAction(workerId, text, by = 'system') {
+    const entry = await this.getCurrent(workerId);
+    if (!entry) return null;
+
+    return this.update(entry.id, {
+      actions: [...entry.actions, { text, by, at: new Date().toISOString() }]
+    });
+  }
+
+  /**
+   * Соблюдение КТ по объектам
+   * @description Доля отвеченных среди закрытых КТ: замененные
+   * и ожидающие ответа в расчет не входят
+   * @returns {Promise<Array>} [{ object, total, answered, missed, pending, rate }]
+   */
+  async getComplianceByObject() {
+    const byObject = new Map();
+
+    await this.each(entry => {
+      const object = entry.object || 'Без объекта';
+      if (!byObject.has(object)) {
+        byObject.set(object, { object, total: 0, answered: 0, missed: 0, pending: 0 });
+      }
+
+      const stats = byObject.get(object);
+      stats.total++;
+      if (entry.status === CHECKPOINT_STATUSES.ANSWERED) stats.answered++;
+      if (entry.status === CHECKPOINT_STATUSES.MISSED) stats.missed++;
+      if (entry.status === CHECKPOINT_STATUSES.PENDING) stats.pending++;
+    });
+
+    return [...byObject.values()]
+      .map(stats => {
+        const closed = stats.answered + stats.missed;
+        return { ...stats, rate: closed > 0 ? Math.round((stats.answered / closed) * 100) : null };
+      })
+      .sort((a, b) => a.object.localeCompare(b.object, 'ru'));
+  }
+
+  /**
+   * Удаление КТ окончательно удаленных вахтовиков
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes }) {
+    const purgedIds = changes
+      .filter(({ storeName, action }) => storeName === SHIFT_WORKERS_STORE && action === 'purged')
+      .map(({ id }) => id);
+
+    if (purgedIds.length > 0) {
+      this.deleteForWorkers(purgedIds);
+    }
+  }
+
+  /**
+   * Удаление КТ вахтовиков
+   * @param {Array<string>} workerIds - ID вахтовиков
+   * @returns {Promise<void>}
+   */
+  async deleteForWorkers(workerIds) {
+    try {
+      await this.ready;
+      const { items } = await this.query({ where: { workerId: { $in: workerIds } } });
+      if (items.length === 0) return;
+
+      await this.transaction(async tx => {
+        for (const entry of items) {
+          await tx.delete(entry.id);
+        }
+      }, { undoable: false });
+    } catch (error) {
+      this.logger.error('Не удалось удалить журнал КТ вахтовиков', error);
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new CheckpointLogStore();
@@ -0,0 +1,65 @@
+// src/stores/DocumentFileStore.js
+/**
+ * 📎 Хранилище изображений документов
+ * @description Исходные фото и сканы документов кандидатов. Изображение
+ * хранится как data URL, чтобы шифроваться вместе с остальными документами
+ */
+import BaseStore from './BaseStore.js';
+
+/**
+ * Чтение файла или Blob в data URL
+ * @param {Blob} blob - Файл
+ * @returns {Promise<string>} data URL
+ */
+export function readAsDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Не удалось прочитать файл документа'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+class DocumentFileStore extends BaseStore {
+  constructor() {
+    super('documentFiles', {
+      schemaVersion: 1,
+      migrations: [],
+      audit: false,
+      softDelete: false,
+      encryptedFields: ['data']
+    });
+  }
+
+  /**
+   * Подготовка записи изображения
+   * @description Возвращает запись, которую нужно сохранить в той же транзакции,
+   * что и ссылку на нее в документе кандидата
+   * @param {string} candidateId - ID кандидата
+   * @param {Blob} blob - Изображение
+   * @param {string} name - Имя файла
+   * @returns {Promise<Object>} Запись изображения
+   */
+  async buildFile(candidateId, blob, name = '') {
+    return {
+      candidateId,
+      name: name || blob.name || 'document',
+      type: blob.type,
+      size: blob.size,
+      data: await readAsDataURL(blob)
+    };
+  }
+
+  /**
+   * ID изображений кандидата
+   * @param {string} candidateId - ID кандидата
+   * @returns {Promise<Array<string>>} ID изображений
+   */
+  async getIdsForCandidate(candidateId) {
+    const { items } = await this.query({ where: { candidateId } });
+    return items.map(item => item.id);
+  }
+}
+
+// Экспортируем синглтон
+export default new DocumentFileStore();
@@ -0,0 +1,111 @@
+// src/stores/DuplicateStore.js
+/**
+ * 👥 Хранилище возможных дублей
+ * @description Пары кандидатов, похожих друг на друга. Пара ждет решения
+ * рекрутера: объединить кандидатов или отметить, что это разные люди
+ */
+import BaseStore from './BaseStore.js';
+
+/**
+ * Статусы пары
+ */
+export const DUPLICATE_STATUSES = {
+  OPEN: 'open',
+  DISMISSED: 'dismissed',
+  MERGED: 'merged'
+};
+
+/**
+ * Названия признаков совпадения
+ */
+export const DUPLICATE_REASONS = {
+  phone: 'Телефон',
+  inn: 'ИНН',
+  snils: 'СНИЛС',
+  passport: 'Паспорт',
+  name: 'ФИО и дата рождения'
+};
+
+/**
+ * ID пары: не зависит от порядка кандидатов
+ * @param {string} firstId - ID первого кандидата
+ * @param {string} secondId - ID второго кандидата
+ * @returns {string} ID пары
+ */
+export function getPairId(firstId, secondId) {
+  return [firstId, secondId].sort().join(':');
+}
+
+class DuplicateStore extends BaseStore {
+  constructor() {
+    super('duplicates', {
+      schemaVersion: 1,
+      migrations: [],
+      audit: false,
+      softDelete: false
+    });
+  }
+
+  /**
+   * Запись пары возможных дублей
+   * @description Пара, которую уже отклонили или объединили, повторно не появляется.
+   * Запись пары не попадает в историю отмены: отменяется само действие с кандидатом
+   * @param {string} candidateId - Новый или измененный кандидат
+   * @param {string} duplicateId - Похожий кандидат
+   * @param {Array<string>} reasons - Признаки совпадения
+   * @returns {Promise<{pair: Object, isNew: boolean}|null>} Пара или null, если по ней уже есть решение
+   */
+  async recordPair(candidateId, duplicateId, reasons) {
+    const id = getPairId(candidateId, duplicateId);
+
+    return this.transaction(async tx => {
+      const existing = await tx.getById(id);
+
+      if (!existing) {
+        const pair = await tx.create({
+          id,
+          candidateIds: [duplicateId, candidateId],
+          reasons,
+          status: DUPLICATE_STATUSES.OPEN,
+          detectedAt: new Date().toISOString()
+        });
+        return { pair, isNew: true };
+      }
+
+      if (existing.status !== DUPLICATE_STATUSES.OPEN) {
+        return null;
+      }
+
+      const merged = Array.from(new Set([...existing.reasons, ...reasons]));
+      const pair = merged.length === existing.reasons.length
+        ? existing
+        : await tx.update(id, { reasons: merged });
+      return { pair, isNew: false };
+    }, { undoable: false });
+  }
+
+  /**
+   * Пары, ожидающие решения
+   * @returns {Promise<Array>} Пары, новые первыми
+   */
+  async getOpen() {
+    const { items } = await this.query({
+      where: { status: DUPLICATE_STATUSES.OPEN },
+      sort: [['detectedAt', 'desc']]
+    });
+    return items;
+  }
+
+  /**
+   * Пары, в которых участвует кандидат
+   * @param {string} candidateId - ID кандидата
+   * @returns {Promise<Array>} Пары, ожидающие решения
+   */
+  async getOpenForCandidate(candidateId) {
+    const pairs = await this.getOpen();
+    return pairs.filter(pair => pair.candidateIds.includes(candidateId));
+  }
+}
+
+// Экспортируем синглтон
+export default new DuplicateStore();
@@ -0,0 +1,108 @@
+// src/stores/HandoffStore.js
+/**
+ * 📨 Хранилище передач на 1-ю линию
+ * @description Очередь 1-й линии: карточка кандидата на момент передачи,
+ * доставка в Telegram и итог работы 1-й линии
+ */
+import BaseStore from './BaseStore.js';
+
+// Хранилище кандидатов, к которым привязаны передачи
+const CANDIDATES_STORE = 'candidates';
+
+/**
+ * Состояния передачи
+ */
+export const HANDOFF_STATUSES = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+class HandoffStore extends BaseStore {
+  constructor() {
+    super('handoffs', {
+      schemaVersion: 1,
+      migrations: [],
+      softDelete: false,
+      encryptedFields: ['card', 'comment']
+    });
+
+    // Передачи окончательно удаленного кандидата больше не нужны
+    this.eventBus.on('transaction:committed', this.handleCommitted.bind(this));
+  }
+
+  /**
+   * Передачи в очереди 1-й линии
+   * @returns {Promise<Array>} Открытые передачи, старые первыми
+   */
+  async getOpen() {
+    const { items } = await this.query({
+      where: { status: HANDOFF_STATUSES.OPEN },
+      sort: [['createdAt', 'asc']]
+    });
+    return items;
+  }
+
+  /**
+   * Передачи кандидата
+   * @param {string} candidateId - ID кандидата
+   * @returns {Promise<Array>} Передачи, новые первыми
+   */
+  async getForCandidate(candidateId) {
+    const { items } = await this.query({
+      where: { candidateId },
+      sort: [['createdAt', 'desc']]
+    });
+    return items;
+  }
+
+  /**
+   * Открытая передача кандидата
+   * @param {string} candidateId - ID кандидата
+   * @returns {Promise<Object|null>} Передача
+   */
+  async getOpenForCandidate(candidateId) {
+    const handoffs = await this.getForCandidate(candidateId);
+    return handoffs.find(handoff => handoff.status === HANDOFF_STATUSES.OPEN) || null;
+  }
+
+  /**
+   * Удаление передач окончательно удаленных кандидатов
+   * @description Передачи кандидатов, перенесенных в архив, остаются для восстановления
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes, context }) {
+    if (context.archive) return;
+
+    const purgedIds = changes
+      .filter(({ storeName, action }) => storeName === CANDIDATES_STORE && action === 'purged')
+      .map(({ id }) => id);
+
+    if (purgedIds.length > 0) {
+      this.deleteForCandidates(purgedIds);
+    }
+  }
+
+  /**
+   * Удаление передач кандидатов
+   * @param {Array<string>} candidateIds - ID кандидатов
+   * @returns {Promise<void>}
+   */
+  async deleteForCandidates(candidateIds) {
+    try {
+      await this.ready;
+      const { items } = await this.query({ where: { candidateId: { $in: candidateIds } } });
+      if (items.length === 0) return;
+
+      await this.transaction(async tx => {
+        for (const handoff of items) {
+          await tx.delete(handoff.id);
+        }
+      }, { undoable: false });
+    } catch (error) {
+      this.logger.error('Не удалось удалить передачи кандидатов', error);
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new HandoffStore();
@@ -7,7 +7,10 @@ import BaseStore from './BaseStore.js';
 
 class KnowledgeStore extends BaseStore {
   constructor() {
-    super('knowledge');
+    super('knowledge', {
+      schemaVersion: 1,
+      migrations: []
+    });
     this.categories = new Set();
     this.loadCategories();
   }
@@ -89,19 +92,18 @@ class KnowledgeStore extends BaseStore {
       return [];
     }
 
-    const allItems = await this.getAll();
     const searchTerm = query.toLowerCase().trim();
     
-    // Простой поиск по заголовку, содержимому и тегам
-    const results = allItems.filter(item => {
-      const titleMatch = item.title?.toLowerCase().includes(searchTerm);
-      const contentMatch = item.content?.toLowerCase().includes(searchTerm);
-      const tagsMatch = item.tags?.some(tag => 
-        tag.toLowerCase().includes(searchTerm)
-      );
-      const categoryMatch = item.category?.toLowerCase().includes(searchTerm);
-      
-      return titleMatch || contentMatch || tagsMatch || categoryMatch;
+    // Простой поиск по заголовку, содержимому, категории и тегам
+    const { items: results } = await this.query({
+      where: {
+        $or: [
+          { title: { $like: searchTerm } },
+          { content: { $like: searchTerm } },
+          { category: { $like: searchTerm } },
+          { tags: { $like: searchTerm } }
+        ]
+      }
     });
 
     // Сортировка по релевантности (простая версия)
@@ -123,7 +125,8 @@ class KnowledgeStore extends BaseStore {
    * @returns {Promise<Array>} Записи категории
    */
   async getByCategory(category) {
-    return this.getAll({ category });
+    const { items } = await this.query({ where: { category } });
+    return items;
   }
 
   /**
@@ -132,10 +135,8 @@ class KnowledgeStore extends BaseStore {
    * @returns {Promise<Array>} Популярные записи
    */
   async getPopular(limit = 10) {
-    const items = await this.getAll();
-    return items
-      .sort((a, b) => (b.views || 0) - (a.views || 0))
-      .slice(0, limit);
+    const { items } = await this.query({ sort: [['views', 'desc']], limit });
+    return items;
   }
 
   /**
@@ -144,10 +145,8 @@ class KnowledgeStore extends BaseStore {
    * @returns {Promise<Array>} Последние записи
    */
   async getRecent(limit = 10) {
-    const items = await this.getAll();
-    return items
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(0, limit);
+    const { items } = await this.query({ sort: [['createdAt', 'desc']], limit });
+    return items;
   }
 
   /**
@@ -284,8 +283,8 @@ class KnowledgeStore extends BaseStore {
       if (data.items && Array.isArray(data.items)) {
         for (const item of data.items) {
           // Проверяем дубликаты по заголовку
-          const existing = await this.getAll({ title: item.title });
-          if (existing.length === 0) {
+          const existing = await this.findOne({ title: item.title });
+          if (!existing) {
             await this.create(item);
             imported++;
           } else {
@@ -0,0 +1,62 @@
+// src/stores/MailingStore.js
+/**
+ * 📧 Хранилище рассылок
+ * @description История рассылок и их результаты
+ */
+import BaseStore from './BaseStore.js';
+
+class MailingStore extends BaseStore {
+  constructor() {
+    super('mailings', {
+      schemaVersion: 1,
+      migrations: [],
+      // Раньше история рассылок хранилась отдельным ключом
+      legacyKey: 'hr-assistant-mailing-history'
+    });
+  }
+
+  /**
+   * Получение истории рассылок
+   * @returns {Promise<Array>} Рассылки, новые первыми
+   */
+  async getHistory() {
+    const { items } = await this.query({ sort: [['createdAt', 'desc']] });
+    return items;
+  }
+
+  /**
+   * Получение статистики рассылок
+   * @returns {Promise<Object>} Статистика
+   */
+  async getStatistics() {
+    const stats = {
+      total: 0,
+      sent: 0,
+      draft: 0,
+      totalRecipients: 0,
+      totalSent: 0,
+      totalFailed: 0,
+      successRate: 0
+    };
+
+    await this.each(mailing => {
+      stats.total++;
+      if (mailing.status === 'sent') {
+        stats.sent++;
+      }
+      stats.totalRecipients += mailing.total || 0;
+      stats.totalSent += mailing.sent || 0;
+      stats.totalFailed += mailing.failed || 0;
+    });
+
+    stats.draft = stats.total - stats.sent;
+    stats.successRate = stats.totalRecipients > 0
+      ? Math.round((stats.totalSent / stats.totalRecipients) * 100)
+      : 0;
+
+    return stats;
+  }
+}
+
+// Экспортируем синглтон
+export default new MailingStore();
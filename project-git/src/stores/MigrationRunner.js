@@ -0,0 +1,186 @@
+// src/stores/MigrationRunner.js
+/**
+ * 🧬 Миграции схемы хранилищ
+ * @description Последовательно применяет шаги миграции к записям хранилищ,
+ * ведет журнал примененных миграций и поддерживает пробный прогон
+ */
+import Logger from '../utils/Logger.js';
+import StorageEngine from './StorageEngine.js';
+
+/**
+ * @typedef {Object} MigrationStep
+ * @property {number} version - Версия схемы после применения шага
+ * @property {string} description - Описание изменений
+ * @property {Function} up - Преобразование записи: (record) => record
+ */
+
+class MigrationRunner {
+  constructor() {
+    this.logger = new Logger('MigrationRunner');
+    this.meta = StorageEngine.table('meta');
+  }
+
+  /**
+   * Ключ записи о версии схемы хранилища
+   * @param {string} storeName - Название хранилища
+   * @returns {string} Ключ в таблице meta
+   */
+  getMetaKey(storeName) {
+    return `schema:${storeName}`;
+  }
+
+  /**
+   * Получение сведений о схеме хранилища
+   * @param {string} storeName - Название хранилища
+   * @returns {Promise<Object|null>} Версия и журнал миграций
+   */
+  async getSchemaInfo(storeName) {
+    return (await this.meta.get(this.getMetaKey(storeName))) || null;
+  }
+
+  /**
+   * Получение шагов миграции между версиями
+   * @param {Object} schema - Схема хранилища { storeName, version, migrations }
+   * @param {number} fromVersion - Текущая версия данных
+   * @returns {Array<MigrationStep>} Шаги в порядке применения
+   * @throws {Error} Если данные новее, чем поддерживает приложение
+   */
+  getPendingSteps(schema, fromVersion) {
+    if (fromVersion > schema.version) {
+      throw new Error(
+        `Данные "${schema.storeName}" имеют версию схемы ${fromVersion}, ` +
+        `а приложение поддерживает только версию ${schema.version}. Обновите приложение`
+      );
+    }
+
+    return schema.migrations
+      .filter(step => step.version > fromVersion && step.version <= schema.version)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Применение шагов миграции к одной записи
+   * @param {Object} record - Запись
+   * @param {Array<MigrationStep>} steps - Шаги миграции
+   * @returns {Object} Обновленная запись
+   */
+  applySteps(record, steps) {
+    return steps.reduce((current, step) => step.up({ ...current }) || current, record);
+  }
+
+  /**
+   * Миграция массива записей (используется при импорте)
+   * @param {Array} records - Записи
+   * @param {Object} schema - Схема хранилища
+   * @param {number} fromVersion - Версия схемы записей
+   * @returns {Array} Обновленные записи
+   */
+  migrateRecords(records, schema, fromVersion = 1) {
+    const steps = this.getPendingSteps(schema, fromVersion);
+    if (steps.length === 0) {
+      return records;
+    }
+
+    return records.map(record => this.applySteps(record, steps));
+  }
+
+  /**
+   * Определение версии данных хранилища
+   * @description Хранилище без журнала, но с данными считается версией 1,
+   * пустое хранилище сразу получает текущую версию
+   * @param {Object} schema - Схема хранилища
+   * @param {Dexie.Table} table - Таблица хранилища
+   * @returns {Promise<Object>} Сведения о схеме
+   */
+  async resolveSchemaInfo(schema, table) {
+    const info = await this.getSchemaInfo(schema.storeName);
+    if (info) {
+      return info;
+    }
+
+    const total = await table.count();
+    return {
+      key: this.getMetaKey(schema.storeName),
+      version: total > 0 ? 1 : schema.version,
+      applied: []
+    };
+  }
+
+  /**
+   * Миграция хранилища до текущей версии схемы
+   * @param {Object} schema - Схема хранилища { storeName, version, migrations }
+   * @param {Dexie.Table} table - Таблица хранилища
+   * @param {Object} options - Опции
+   * @param {boolean} options.dryRun - Только отчет, без записи изменений
+   * @returns {Promise<Object>} Отчет о миграции
+   */
+  async migrateStore(schema, table, { dryRun = false } = {}) {
+    const info = await this.resolveSchemaInfo(schema, table);
+    const steps = this.getPendingSteps(schema, info.version);
+
+    const report = {
+      storeName: schema.storeName,
+      fromVersion: info.version,
+      toVersion: schema.version,
+      dryRun,
+      steps: steps.map(step => ({
+        version: step.version,
+        description: step.description,
+        affected: 0
+      }))
+    };
+
+    if (steps.length === 0) {
+      if (!dryRun && !(await this.getSchemaInfo(schema.storeName))) {
+        await this.meta.put(info);
+      }
+      return report;
+    }
+
+    // Считаем затронутые записи по каждому шагу
+    const countAffected = (record) => {
+      let current = record;
+      steps.forEach((step, index) => {
+        const next = step.up({ ...current }) || current;
+        if (JSON.stringify(next) !== JSON.stringify(current)) {
+          report.steps[index].affected++;
+        }
+        current = next;
+      });
+      return current;
+    };
+
+    if (dryRun) {
+      await table.each(record => {
+        countAffected(record);
+      });
+      return report;
+    }
+
+    await StorageEngine.db.transaction('rw', table, this.meta, async () => {
+      await table.toCollection().modify((record, ref) => {
+        ref.value = countAffected(record);
+      });
+
+      const appliedAt = new Date().toISOString();
+      await this.meta.put({
+        ...info,
+        version: schema.version,
+        applied: [
+          ...info.applied,
+          ...report.steps.map(step => ({ ...step, appliedAt }))
+        ]
+      });
+    });
+
+    this.logger.info(
+      `Хранилище "${schema.storeName}" обновлено с версии ${info.version} до ${schema.version}`,
+      report
+    );
+
+    return report;
+  }
+}
+
+// Экспортируем синглтон
+export default new MigrationRunner();
@@ -0,0 +1,460 @@
+// src/stores/QueryEngine.js
+/**
+ * 🔎 Движок запросов к хранилищам
+ * @description Декларативные запросы: операторы сравнения, комбинаторы,
+ * сортировка по нескольким полям и постраничная выборка (offset/limit или курсор)
+ */
+import Dexie from 'dexie';
+
+/**
+ * Индексы, которые есть у каждой записи: сортировка по ним идет
+ * потоково через IndexedDB без загрузки всей выборки в память
+ */
+const STREAM_SORT_FIELDS = ['id', 'updatedAt'];
+
+/**
+ * Операторы, которые можно выполнить через индекс
+ */
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+
+/**
+ * @typedef {Object} StoreQuery
+ * @property {Object} where - Условия: { field: value } или { field: { $op: value } },
+ *   операторы $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $contains, $containsAny,
+ *   $like, $exists; комбинаторы $and, $or, $not
+ * @property {Array} sort - Сортировка: [['updatedAt', 'desc'], ['name', 'asc']]
+ * @property {number} offset - Смещение
+ * @property {number} limit - Размер страницы
+ * @property {string} cursor - Курсор следующей страницы из предыдущего результата
+ */
+
+/**
+ * @typedef {Object} QueryResult
+ * @property {Array} items - Записи страницы
+ * @property {number} total - Общее количество записей по условию
+ * @property {string|null} nextCursor - Курсор следующей страницы
+ */
+
+class QueryEngine {
+  /**
+   * Выполнение запроса к таблице
+   * @param {Dexie.Table} table - Таблица хранилища
+   * @param {Array<string>} indexes - Индексированные поля таблицы
+   * @param {StoreQuery} query - Запрос
+   * @returns {Promise<QueryResult>} Результат запроса
+   */
+  async run(table, indexes, query = {}) {
+    const where = query.where || {};
+    const sort = this.normalizeSort(query.sort);
+    const offset = query.offset || 0;
+    const limit = query.limit || Infinity;
+    const cursor = query.cursor ? this.decodeCursor(query.cursor) : null;
+
+    const isAfterCursor = (record) => !cursor || this.compare(record, cursor, sort) > 0;
+    const matches = (record) => this.matches(record, where);
+
+    // Потоковый путь: сортировка по индексу, который есть у каждой записи
+    const streamField = this.getStreamSortField(sort, where, indexes);
+    if (streamField) {
+      const build = () => {
+        const collection = table.orderBy(streamField);
+        return sort[0][1] === 'desc' ? collection.reverse() : collection;
+      };
+
+      const total = await build().filter(matches).count();
+      const page = build().filter(record => matches(record) && isAfterCursor(record));
+      const items = await page.offset(offset).limit(limit === Infinity ? Number.MAX_SAFE_INTEGER : limit).toArray();
+
+      return this.buildResult(items, total, sort, offset, limit, cursor);
+    }
+
+    // Общий путь: отбор через индекс (если возможно), сортировка в памяти
+    const matched = await this.selectCollection(table, indexes, where).filter(matches).toArray();
+    return this.paginate(matched, sort, offset, limit, cursor);
+  }
+
+  /**
+   * Выполнение запроса над уже загруженными записями
+   * @description Нужен для расшифрованных записей: условия по зашифрованным полям
+   * нельзя проверить внутри IndexedDB
+   * @param {Array} records - Записи
+   * @param {StoreQuery} query - Запрос
+   * @returns {QueryResult} Результат запроса
+   */
+  runOnRecords(records, query = {}) {
+    const where = query.where || {};
+    const matched = records.filter(record => this.matches(record, where));
+
+    return this.paginate(
+      matched,
+      this.normalizeSort(query.sort),
+      query.offset || 0,
+      query.limit || Infinity,
+      query.cursor ? this.decodeCursor(query.cursor) : null
+    );
+  }
+
+  /**
+   * Сортировка и постраничная выборка в памяти
+   * @param {Array} matched - Записи, подходящие под условия
+   * @param {Array} sort - Нормализованная сортировка
+   * @param {number} offset - Смещение
+   * @param {number} limit - Размер страницы
+   * @param {Object|null} cursor - Текущий курсор
+   * @returns {QueryResult} Результат
+   */
+  paginate(matched, sort, offset, limit, cursor) {
+    matched.sort((a, b) => this.compare(a, b, sort));
+
+    const afterCursor = cursor ? matched.filter(record => this.compare(record, cursor, sort) > 0) : matched;
+    const items = afterCursor.slice(offset, limit === Infinity ? undefined : offset + limit);
+
+    return this.buildResult(items, matched.length, sort, offset, limit, cursor, afterCursor.length);
+  }
+
+  /**
+   * Поля верхнего уровня, которые используются в условиях
+   * @param {Object} where - Условия
+   * @returns {Array<string>} Поля
+   */
+  getFields(where = {}) {
+    return Object.entries(where).flatMap(([key, condition]) => {
+      switch (key) {
+        case '$and':
+        case '$or':
+          return condition.flatMap(sub => this.getFields(sub));
+        case '$not':
+          return this.getFields(condition);
+        default:
+          return [key.split('.')[0]];
+      }
+    });
+  }
+
+  /**
+   * Подсчет записей по условию без загрузки их в результат
+   * @param {Dexie.Table} table - Таблица хранилища
+   * @param {Array<string>} indexes - Индексированные поля таблицы
+   * @param {Object} where - Условия
+   * @returns {Promise<number>} Количество записей
+   */
+  async count(table, indexes, where = {}) {
+    const collection = this.selectCollection(table, indexes, where);
+    return Object.keys(where).length === 0
+      ? collection.count()
+      : collection.filter(record => this.matches(record, where)).count();
+  }
+
+  /**
+   * Формирование результата запроса
+   * @param {Array} items - Записи страницы
+   * @param {number} total - Общее количество записей
+   * @param {Array} sort - Нормализованная сортировка
+   * @param {number} offset - Смещение
+   * @param {number} limit - Размер страницы
+   * @param {Object|null} cursor - Текущий курсор
+   * @param {number} remaining - Количество записей после курсора (если известно)
+   * @returns {QueryResult} Результат
+   */
+  buildResult(items, total, sort, offset, limit, cursor, remaining) {
+    const hasMore = remaining !== undefined
+      ? offset + items.length < remaining
+      : items.length === limit;
+    const last = items[items.length - 1];
+
+    return {
+      items,
+      total,
+      nextCursor: hasMore && last ? this.encodeCursor(last, sort) : null
+    };
+  }
+
+  /**
+   * Нормализация сортировки
+   * @description Поддерживает ['field', 'desc'] и { field, direction };
+   * в конец всегда добавляется id для стабильного порядка
+   * @param {Array|Object|string} sort - Сортировка
+   * @returns {Array<Array>} Пары [поле, направление]
+   */
+  normalizeSort(sort) {
+    const isSinglePair = Array.isArray(sort) && typeof sort[0] === 'string' &&
+      ['asc', 'desc'].includes(sort[1]);
+    const list = !sort ? [] : isSinglePair ? [sort] : [].concat(sort);
+
+    const normalized = list.map(item => {
+      if (typeof item === 'string') return [item, 'asc'];
+      if (Array.isArray(item)) return [item[0], item[1] === 'desc' ? 'desc' : 'asc'];
+      return [item.field, item.direction === 'desc' ? 'desc' : 'asc'];
+    });
+
+    if (!normalized.some(([field]) => field === 'id')) {
+      normalized.push(['id', normalized.length > 0 ? normalized[0][1] : 'asc']);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Поле для потоковой сортировки через индекс
+   * @param {Array} sort - Нормализованная сортировка
+   * @param {Object} where - Условия
+   * @param {Array<string>} indexes - Индексированные поля
+   * @returns {string|null} Поле или null
+   */
+  getStreamSortField(sort, where, indexes) {
+    const [field] = sort[0];
+    const isSingleKey = sort.length === 1 || (sort.length === 2 && sort[1][0] === 'id');
+
+    if (!isSingleKey || !STREAM_SORT_FIELDS.includes(field) || !indexes.includes(field)) {
+      return null;
+    }
+
+    // Если условие можно отобрать по индексу, выгоднее сузить выборку
+    return this.findIndexedCondition(where, indexes) ? null : field;
+  }
+
+  /**
+   * Поиск условия верхнего уровня, которое можно выполнить через индекс
+   * @param {Object} where - Условия
+   * @param {Array<string>} indexes - Индексированные поля
+   * @returns {Object|null} { field, condition }
+   */
+  findIndexedCondition(where, indexes) {
+    for (const [field, condition] of Object.entries(where)) {
+      if (field.startsWith('$') || !indexes.includes(field)) continue;
+
+      if (this.isIndexKey(condition)) {
+        return { field, condition: { $eq: condition } };
+      }
+
+      if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        if (this.isIndexKey(condition.$eq)) {
+          return { field, condition: { $eq: condition.$eq } };
+        }
+        if (Array.isArray(condition.$in) && condition.$in.every(value => this.isIndexKey(value))) {
+          return { field, condition: { $in: condition.$in } };
+        }
+        const range = RANGE_OPERATORS.filter(op => this.isIndexKey(this.normalizeValue(condition[op])));
+        if (range.length > 0) {
+          return { field, condition };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Отбор коллекции через индекс
+   * @param {Dexie.Table} table - Таблица
+   * @param {Array<string>} indexes - Индексированные поля
+   * @param {Object} where - Условия
+   * @returns {Dexie.Collection} Коллекция
+   */
+  selectCollection(table, indexes, where) {
+    const indexed = this.findIndexedCondition(where, indexes);
+    if (!indexed) {
+      return table.toCollection();
+    }
+
+    const { field, condition } = indexed;
+    const clause = table.where(field);
+
+    if (condition.$eq !== undefined) {
+      return clause.equals(condition.$eq);
+    }
+
+    if (condition.$in) {
+      return clause.anyOf(condition.$in);
+    }
+
+    const lower = this.normalizeValue(condition.$gt ?? condition.$gte);
+    const upper = this.normalizeValue(condition.$lt ?? condition.$lte);
+
+    return clause.between(
+      this.isIndexKey(lower) ? lower : Dexie.minKey,
+      this.isIndexKey(upper) ? upper : Dexie.maxKey,
+      condition.$gt === undefined,
+      condition.$lt === undefined
+    );
+  }
+
+  /**
+   * Проверка записи на соответствие условиям
+   * @param {Object} record - Запись
+   * @param {Object} where - Условия
+   * @returns {boolean} Соответствует ли запись
+   */
+  matches(record, where = {}) {
+    return Object.entries(where).every(([key, condition]) => {
+      switch (key) {
+        case '$and':
+          return condition.every(sub => this.matches(record, sub));
+        case '$or':
+          return condition.some(sub => this.matches(record, sub));
+        case '$not':
+          return !this.matches(record, condition);
+        default:
+          return this.matchesField(this.getValue(record, key), condition);
+      }
+    });
+  }
+
+  /**
+   * Проверка значения поля на соответствие условию
+   * @param {*} value - Значение поля
+   * @param {*} condition - Значение для равенства или объект операторов
+   * @returns {boolean} Соответствует ли значение
+   */
+  matchesField(value, condition) {
+    const isOperatorObject = condition && typeof condition === 'object' &&
+      !Array.isArray(condition) && !(condition instanceof Date) &&
+      Object.keys(condition).every(key => key.startsWith('$'));
+
+    if (!isOperatorObject) {
+      return this.isEqual(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      const normalized = this.normalizeValue(value);
+      const target = this.normalizeValue(operand);
+
+      switch (operator) {
+        case '$eq':
+          return this.isEqual(value, operand);
+        case '$ne':
+          return !this.isEqual(value, operand);
+        case '$in':
+          return operand.some(item => this.isEqual(value, item));
+        case '$nin':
+          return !operand.some(item => this.isEqual(value, item));
+        case '$gt':
+          return normalized != null && normalized > target;
+        case '$gte':
+          return normalized != null && normalized >= target;
+        case '$lt':
+          return normalized != null && normalized < target;
+        case '$lte':
+          return normalized != null && normalized <= target;
+        case '$contains':
+          return Array.isArray(value) && value.some(item => this.isEqual(item, operand));
+        case '$containsAny':
+          return Array.isArray(value) && value.some(item => operand.some(o => this.isEqual(item, o)));
+        case '$like':
+          return value != null && value.toString().toLowerCase().includes(String(operand).toLowerCase());
+        case '$exists':
+          return operand ? value != null && value !== '' : value == null || value === '';
+        default:
+          throw new Error(`Неизвестный оператор запроса: ${operator}`);
+      }
+    });
+  }
+
+  /**
+   * Получение значения поля, в том числе вложенного (stats.messagesCount)
+   * @param {Object} record - Запись
+   * @param {string} path - Путь к полю
+   * @returns {*} Значение
+   */
+  getValue(record, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+  }
+
+  /**
+   * Приведение значения к сравнимому виду (даты - к строке ISO)
+   * @param {*} value - Значение
+   * @returns {*} Нормализованное значение
+   */
+  normalizeValue(value) {
+    return value instanceof Date ? value.toISOString() : value;
+  }
+
+  /**
+   * Сравнение значений на равенство
+   * @param {*} a - Первое значение
+   * @param {*} b - Второе значение
+   * @returns {boolean} Равны ли значения
+   */
+  isEqual(a, b) {
+    return this.normalizeValue(a) === this.normalizeValue(b);
+  }
+
+  /**
+   * Может ли значение быть ключом индекса IndexedDB
+   * @param {*} value - Значение
+   * @returns {boolean} Подходит ли значение
+   */
+  isIndexKey(value) {
+    return typeof value === 'string' || (typeof value === 'number' && !isNaN(value));
+  }
+
+  /**
+   * Сравнение записей по сортировке
+   * @description Пустые значения всегда идут в конце
+   * @param {Object} a - Первая запись
+   * @param {Object} b - Вторая запись (или значения курсора)
+   * @param {Array} sort - Нормализованная сортировка
+   * @returns {number} Результат сравнения
+   */
+  compare(a, b, sort) {
+    for (const [field, direction] of sort) {
+      const left = this.normalizeValue(this.getValue(a, field));
+      const right = this.normalizeValue(this.getValue(b, field));
+
+      if (left === right) continue;
+      if (left == null) return 1;
+      if (right == null) return -1;
+
+      const result = typeof left === 'string' && typeof right === 'string'
+        ? left.localeCompare(right, 'ru')
+        : (left < right ? -1 : 1);
+
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Кодирование курсора по последней записи страницы
+   * @param {Object} record - Последняя запись
+   * @param {Array} sort - Нормализованная сортировка
+   * @returns {string} Курсор
+   */
+  encodeCursor(record, sort) {
+    const values = {};
+    sort.forEach(([field]) => {
+      values[field] = this.normalizeValue(this.getValue(record, field)) ?? null;
+    });
+
+    return btoa(encodeURIComponent(JSON.stringify(values)));
+  }
+
+  /**
+   * Декодирование курсора
+   * @param {string} cursor - Курсор
+   * @returns {Object} Значения полей сортировки
+   */
+  decodeCursor(cursor) {
+    try {
+      const values = JSON.parse(decodeURIComponent(atob(cursor)));
+
+      // Вложенные поля хранятся плоско, разворачиваем их обратно
+      const record = {};
+      Object.entries(values).forEach(([path, value]) => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((node, key) => (node[key] = node[key] || {}), record);
+        target[last] = value;
+      });
+      return record;
+    } catch (error) {
+      throw new Error('Некорректный курсор постраничной выборки');
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new QueryEngine();
@@ -5,10 +5,37 @@
  */
 import BaseStore from './BaseStore.js';
 import ShiftWorkerModel from '../models/ShiftWorkerModel.js';
+import CheckpointLogStore, { CHECKPOINT_STATUSES } from './CheckpointLogStore.js';
+import { mergeLegacyComments } from '../services/CommentService.js';
+
+/**
+ * Шаги миграции схемы вахтовиков
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Комментарии СО из одной строки разбираются в отдельные записи со временем',
+    up: (record) => (
+      typeof record.soComment === 'string' && record.soComment
+        ? {
+          ...record,
+          comments: mergeLegacyComments(record.comments, record.soComment, {
+            withAuthor: false,
+            fallbackDate: record.createdAt
+          }),
+          soComment: ''
+        }
+        : record
+    )
+  }
+];
 
 class ShiftWorkerStore extends BaseStore {
   constructor() {
-    super('shiftWorkers');
+    super('shiftWorkers', {
+      schemaVersion: 2,
+      migrations: MIGRATIONS
+    });
   }
 
   /**
@@ -17,19 +44,34 @@ class ShiftWorkerStore extends BaseStore {
    * @returns {Promise<ShiftWorkerModel>} Созданный вахтовик
    */
   async create(workerData) {
-    const worker = new ShiftWorkerModel(workerData);
-    const created = await super.create(worker.toJSON());
+    const created = await super.create(workerData);
     return new ShiftWorkerModel(created);
   }
 
+  /**
+   * Подготовка вахтовика к сохранению (валидация через модель)
+   * @param {Object|ShiftWorkerModel} workerData - Данные вахтовика
+   * @returns {Object} Запись вахтовика
+   */
+  prepareCreate(workerData) {
+    const worker = workerData instanceof ShiftWorkerModel
+      ? workerData
+      : new ShiftWorkerModel(workerData);
+
+    return super.prepareCreate(worker.toJSON());
+  }
+
   /**
    * Получение вахтовика по Chat ID
    * @param {string} chatId - ID чата
    * @returns {Promise<ShiftWorkerModel|null>} Вахтовик или null
    */
   async getByChatId(chatId) {
-    const workers = await this.getAll();
-    const worker = workers.find(w => w.chatId === chatId);
+    if (!chatId) {
+      return null;
+    }
+
+    const worker = await this.findOne({ chatId });
     return worker ? new ShiftWorkerModel(worker) : null;
   }
 
@@ -39,8 +81,8 @@ class ShiftWorkerStore extends BaseStore {
    * @returns {Promise<Array<ShiftWorkerModel>>} Массив вахтовиков
    */
   async getByObject(object) {
-    const workers = await this.getAll({ object });
-    return workers.map(w => new ShiftWorkerModel(w));
+    const { items } = await this.query({ where: { object }, sort: [['name', 'asc']] });
+    return items.map(w => new ShiftWorkerModel(w));
   }
 
   /**
@@ -48,23 +90,28 @@ class ShiftWorkerStore extends BaseStore {
    * @returns {Promise<Array<ShiftWorkerModel>>} Массив вахтовиков
    */
   async getOverdueCheckpoints() {
-    const workers = await this.getAll();
     const now = new Date();
     const deadlineTime = new Date();
     deadlineTime.setHours(15, 0, 0, 0); // 15:00 МСК
 
-    return workers
-      .filter(w => {
-        if (!w.checkpointDate || w.checkpointStatus !== 'Ожидание') {
-          return false;
-        }
-        
-        const checkpointDate = new Date(w.checkpointDate);
-        return checkpointDate.toDateString() === now.toDateString() && 
-               now > deadlineTime && 
-               !w.checkpointResponse;
-      })
-      .map(w => new ShiftWorkerModel(w));
+    if (now <= deadlineTime) {
+      return [];
+    }
+
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+    const startOfTomorrow = new Date(startOfToday);
+    startOfTomorrow.setDate(startOfTomorrow.getDate() + 1);
+
+    const { items } = await this.query({
+      where: {
+        checkpointStatus: 'Ожидание',
+        checkpointDate: { $gte: startOfToday, $lt: startOfTomorrow },
+        checkpointResponse: { $exists: false }
+      }
+    });
+
+    return items.map(w => new ShiftWorkerModel(w));
   }
 
   /**
@@ -72,85 +119,105 @@ class ShiftWorkerStore extends BaseStore {
    * @returns {Promise<Object>} Статистика
    */
   async getStatistics() {
-    const workers = await this.getAll();
     const now = new Date();
-    const today = now.toDateString();
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+    const startOfTomorrow = new Date(startOfToday);
+    startOfTomorrow.setDate(startOfTomorrow.getDate() + 1);
+    const deadlineTime = new Date();
+    deadlineTime.setHours(15, 0, 0, 0);
+
+    const [total, active, onShift, onLeave, todayCheckpoints, overdueCheckpoints] = await Promise.all([
+      this.countWhere(),
+      this.countWhere({ status: 'Активен' }),
+      this.countWhere({ status: 'На вахте' }),
+      this.countWhere({ status: 'В отпуске' }),
+      this.countWhere({ checkpointDate: { $gte: startOfToday, $lt: startOfTomorrow } }),
+      now > deadlineTime
+        ? this.countWhere({
+            checkpointStatus: 'Ожидание',
+            checkpointDate: { $lt: now },
+            checkpointResponse: { $exists: false }
+          })
+        : 0
+    ]);
 
     return {
-      total: workers.length,
-      active: workers.filter(w => w.status === 'Активен').length,
-      onShift: workers.filter(w => w.status === 'На вахте').length,
-      onLeave: workers.filter(w => w.status === 'В отпуске').length,
-      todayCheckpoints: workers.filter(w => {
-        if (!w.checkpointDate) return false;
-        return new Date(w.checkpointDate).toDateString() === today;
-      }).length,
-      overdueCheckpoints: workers.filter(w => {
-        if (!w.checkpointDate || w.checkpointStatus !== 'Ожидание') {
-          return false;
-        }
-        const checkpointDate = new Date(w.checkpointDate);
-        const deadlineTime = new Date();
-        deadlineTime.setHours(15, 0, 0, 0);
-        return checkpointDate < now && now > deadlineTime && !w.checkpointResponse;
-      }).length
+      total,
+      active,
+      onShift,
+      onLeave,
+      todayCheckpoints,
+      overdueCheckpoints
     };
   }
 
   /**
    * Обновление контрольной точки
+   * @description Вахтовик и журнал КТ меняются одной транзакцией: новая КТ
+   * заменяет ожидающую, ответ и пропуск закрывают текущую запись журнала
    * @param {string} workerId - ID вахтовика
    * @param {Object} checkpointData - Данные КТ
+   * @param {Object} options - Контекст для журнала изменений { channel, user }
    * @returns {Promise<ShiftWorkerModel>} Обновленный вахтовик
    */
-  async updateCheckpoint(workerId, checkpointData) {
+  async updateCheckpoint(workerId, checkpointData, options = {}) {
     const worker = await this.getById(workerId);
     if (!worker) {
       throw new Error(`Вахтовик с ID ${workerId} не найден`);
     }
 
     const workerModel = new ShiftWorkerModel(worker);
-    
-    if (checkpointData.response) {
-      workerModel.respondToCheckpoint(checkpointData.response);
-    } else if (checkpointData.checkpoint && checkpointData.date) {
-      workerModel.setCheckpoint(checkpointData.checkpoint, new Date(checkpointData.date));
-    } else if (checkpointData.missed) {
-      workerModel.missCheckpoint();
-    }
+    const user = options.user || 'system';
+    // КТ, назначенные до появления журнала, записываются в него при закрытии
+    const current = await CheckpointLogStore.getCurrent(workerId)
+      || (worker.checkpointDate && worker.checkpointStatus === CHECKPOINT_STATUSES.PENDING
+        ? { ...CheckpointLogStore.buildEntry(worker), assignedAt: worker.updatedAt }
+        : null);
+    const now = new Date().toISOString();
+
+    const updated = await this.transaction(async tx => {
+      const log = tx.store(CheckpointLogStore);
+      const closeCurrent = (changes) => (current.id
+        ? log.update(current.id, changes)
+        : log.create({ ...current, ...changes }));
+
+      if (checkpointData.response) {
+        workerModel.respondToCheckpoint(checkpointData.response);
+        if (current) {
+          await closeCurrent({
+            status: CHECKPOINT_STATUSES.ANSWERED,
+            response: checkpointData.response,
+            respondedAt: now,
+            closedAt: now
+          });
+        }
+      } else if (checkpointData.checkpoint && checkpointData.date) {
+        if (current) {
+          await closeCurrent({ status: CHECKPOINT_STATUSES.REPLACED, closedAt: now });
+        }
+        workerModel.setCheckpoint(checkpointData.checkpoint, new Date(checkpointData.date));
+        await log.create(CheckpointLogStore.buildEntry(workerModel, user));
+      } else if (checkpointData.missed) {
+        workerModel.missCheckpoint();
+        if (current) {
+          await closeCurrent({ status: CHECKPOINT_STATUSES.MISSED, closedAt: now });
+        }
+      }
+
+      return tx.update(workerId, workerModel.toJSON());
+    }, options);
 
-    const updated = await this.update(workerId, workerModel.toJSON());
     return new ShiftWorkerModel(updated);
   }
 
   /**
    * Получение истории контрольных точек
    * @param {string} workerId - ID вахтовика
-   * @returns {Promise<Array>} История КТ
+   * @returns {Promise<Array>} История КТ, новые первыми
    */
   async getCheckpointHistory(workerId) {
-    // В реальном приложении это должно храниться отдельно
-    // Пока возвращаем мокированные данные
-    return [
-      {
-        id: 1,
-        workerId,
-        checkpoint: 'КТ-1',
-        date: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
-        status: 'Ответил',
-        response: 'Все в порядке',
-        respondedAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-      },
-      {
-        id: 2,
-        workerId,
-        checkpoint: 'КТ-2',
-        date: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
-        status: 'Пропущена',
-        response: null,
-        respondedAt: null
-      }
-    ];
+    return CheckpointLogStore.getForWorker(workerId);
   }
 }
 
@@ -0,0 +1,120 @@
+// src/stores/StorageEngine.js
+/**
+ * 🗄️ Движок хранения данных
+ * @description IndexedDB-хранилище на базе Dexie: отдельная таблица на каждое
+ * хранилище, вторичные индексы и одноразовый перенос данных из localStorage
+ */
+import Dexie from 'dexie';
+import Logger from '../utils/Logger.js';
+
+const DATABASE_NAME = 'hr-assistant';
+
+// Увеличивается при любом изменении SCHEMA
+const DATABASE_VERSION = 14;
+
+/**
+ * Схема таблиц: первичный ключ и вторичные индексы
+ * @description Индексируются только поля, по которым идет поиск,
+ * остальные поля записи хранятся без индекса
+ */
+const SCHEMA = {
+  candidates: 'id, phone, chatId, status, project, birthDateKey, updatedAt, deletedAt',
+  shiftWorkers: 'id, phone, chatId, status, project, object, updatedAt, deletedAt',
+  knowledge: 'id, category, updatedAt, deletedAt',
+  mailings: 'id, status, createdAt, updatedAt, deletedAt',
+  auditLog: 'id, entityId, entityType, user, channel, timestamp',
+  archives: 'id, storeName, createdAt',
+  duplicates: 'id, status, detectedAt',
+  documentFiles: 'id, candidateId, createdAt',
+  appointments: 'id, candidateId, status, startsAt, updatedAt',
+  attachments: 'id, entityId, createdAt',
+  timeline: 'id, candidateId, timestamp',
+  handoffs: 'id, candidateId, status, createdAt',
+  checkpointLog: 'id, workerId, object, status, assignedAt',
+
+  // Служебные данные: версии схем и журнал миграций
+  meta: 'key'
+};
+
+class StorageEngine {
+  constructor() {
+    this.logger = new Logger('StorageEngine');
+    this.db = new Dexie(DATABASE_NAME);
+    this.db.version(DATABASE_VERSION).stores(SCHEMA);
+
+    // Переносы из localStorage, по одному на хранилище
+    this.localStorageMigrations = new Map();
+  }
+
+  /**
+   * Получение таблицы хранилища
+   * @param {string} storeName - Название хранилища
+   * @returns {Dexie.Table} Таблица IndexedDB
+   */
+  table(storeName) {
+    if (!SCHEMA[storeName]) {
+      throw new Error(`Таблица ${storeName} не описана в схеме хранилища`);
+    }
+    return this.db.table(storeName);
+  }
+
+  /**
+   * Названия таблиц с данными хранилищ (без служебных)
+   * @returns {Array<string>} Названия хранилищ
+   */
+  getStoreNames() {
+    return Object.keys(SCHEMA).filter(storeName => storeName !== 'meta');
+  }
+
+  /**
+   * Получение индексированных полей таблицы
+   * @param {string} storeName - Название хранилища
+   * @returns {Array<string>} Поля с индексами, включая первичный ключ
+   */
+  getIndexes(storeName) {
+    this.table(storeName);
+    return SCHEMA[storeName]
+      .split(',')
+      .map(index => index.trim().replace(/^(\+\+|&|\*)/, ''));
+  }
+
+  /**
+   * Одноразовый перенос данных хранилища из localStorage
+   * @param {string} storeName - Название хранилища
+   * @param {string} key - Ключ localStorage (по умолчанию hr-assistant-<store>)
+   * @returns {Promise<number>} Количество перенесенных записей
+   */
+  migrateFromLocalStorage(storeName, key = `hr-assistant-${storeName}`) {
+    if (!this.localStorageMigrations.has(storeName)) {
+      this.localStorageMigrations.set(storeName, this.runLocalStorageMigration(storeName, key));
+    }
+    return this.localStorageMigrations.get(storeName);
+  }
+
+  /**
+   * Перенос записей из ключа localStorage в таблицу
+   * @param {string} storeName - Название хранилища
+   * @param {string} key - Ключ localStorage
+   * @returns {Promise<number>} Количество перенесенных записей
+   */
+  async runLocalStorageMigration(storeName, key) {
+    const stored = localStorage.getItem(key);
+    if (!stored) {
+      return 0;
+    }
+
+    const parsed = JSON.parse(stored);
+    const items = Array.isArray(parsed) ? parsed.filter(item => item && item.id) : [];
+
+    await this.table(storeName).bulkPut(items);
+
+    // Ключ удаляем только после успешной записи, чтобы не потерять данные
+    localStorage.removeItem(key);
+    this.logger.info(`Перенесено ${items.length} записей "${storeName}" из localStorage в IndexedDB`);
+
+    return items.length;
+  }
+}
+
+// Экспортируем синглтон
+export default new StorageEngine();
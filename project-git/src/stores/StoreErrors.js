@@ -0,0 +1,66 @@
+// src/stores/StoreErrors.js
+/**
+ * ⚠️ Ошибки хранилищ
+ * @description Типизированные ошибки слоя данных, которые обрабатываются в интерфейсе
+ */
+
+/**
+ * Конфликт версий при обновлении записи
+ * @description Запись была изменена (в другой вкладке, синхронизацией или другим
+ * пользователем) после того, как ее прочитали для редактирования
+ */
+export class ConflictError extends Error {
+  /**
+   * @param {Object} details - Сведения о конфликте
+   * @param {string} details.storeName - Название хранилища
+   * @param {string} details.id - ID записи
+   * @param {number} details.expectedVersion - Версия, на основе которой сделаны изменения
+   * @param {number} details.actualVersion - Текущая версия в хранилище
+   * @param {Object} details.current - Текущая сохраненная запись
+   * @param {Object} details.updates - Отклоненные изменения
+   */
+  constructor({ storeName, id, expectedVersion, actualVersion, current, updates }) {
+    super(`Запись ${id} изменена другим пользователем (версия ${actualVersion}, ожидалась ${expectedVersion})`);
+    this.name = 'ConflictError';
+    this.storeName = storeName;
+    this.id = id;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+    this.current = current;
+    this.updates = updates;
+  }
+}
+
+/**
+ * Закончилось место в хранилище браузера
+ * @description Изменения не сохранены; пользователь должен освободить место
+ * (сжатие данных, экспорт, очистка корзины) и повторить действие
+ */
+export class QuotaError extends Error {
+  /**
+   * @param {Array<string>} storeNames - Хранилища, изменения которых не сохранены
+   * @param {Error} cause - Исходная ошибка браузера
+   */
+  constructor(storeNames = [], cause = null) {
+    super('Закончилось место в хранилище браузера, изменения не сохранены');
+    this.name = 'QuotaError';
+    this.storeNames = storeNames;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Является ли ошибка переполнением хранилища
+ * @description IndexedDB (Dexie) и localStorage сообщают об этом по-разному
+ * @param {Error} error - Ошибка
+ * @returns {boolean} Переполнено ли хранилище
+ */
+export function isQuotaError(error) {
+  if (!error) return false;
+  if (error instanceof QuotaError) return true;
+
+  const names = [error.name, error.inner && error.inner.name];
+  return names.includes('QuotaExceededError') ||
+    names.includes('NS_ERROR_DOM_QUOTA_REACHED') ||
+    error.code === 22;
+}
@@ -0,0 +1,495 @@
+// src/stores/StoreTransaction.js
+/**
+ * 🔒 Транзакции хранилищ
+ * @description Буферизует изменения одного или нескольких хранилищ,
+ * записывает их одной транзакцией IndexedDB и рассылает события только после фиксации.
+ * При ошибке внутри транзакции ни одно изменение не сохраняется.
+ * Вместе с изменениями записывается журнал изменений полей (AuditLogStore)
+ */
+import EventBus from '../utils/EventBus.js';
+import StorageEngine from './StorageEngine.js';
+import { ConflictError, QuotaError, isQuotaError } from './StoreErrors.js';
+
+// Хранилище журнала изменений, регистрируется через StoreTransaction.setAuditLog
+let auditLog = null;
+
+/**
+ * Операции транзакции над конкретным хранилищем
+ */
+class TransactionScope {
+  /**
+   * @param {StoreTransaction} transaction - Транзакция
+   * @param {BaseStore} store - Хранилище
+   */
+  constructor(transaction, store) {
+    this.transaction = transaction;
+    this.storeInstance = store;
+  }
+
+  /**
+   * Создание записи
+   * @param {Object} item - Данные записи
+   * @param {Object} options - Опции { channel, user }
+   * @returns {Promise<Object>} Запись, которая будет сохранена
+   */
+  create(item, options) {
+    return this.transaction.create(this.storeInstance, item, options);
+  }
+
+  /**
+   * Обновление записи
+   * @param {string} id - ID записи
+   * @param {Object} updates - Обновления
+   * @param {Object} options - Опции { expectedVersion, channel, user }
+   * @returns {Promise<Object>} Запись, которая будет сохранена
+   */
+  update(id, updates, options) {
+    return this.transaction.update(this.storeInstance, id, updates, options);
+  }
+
+  /**
+   * Удаление записи (в корзину, если хранилище поддерживает мягкое удаление)
+   * @param {string} id - ID записи
+   * @param {Object} options - Опции { expectedVersion, channel, user }
+   * @returns {Promise<boolean>} Существовала ли запись
+   */
+  delete(id, options) {
+    return this.transaction.delete(this.storeInstance, id, options);
+  }
+
+  /**
+   * Восстановление записи из корзины
+   * @param {string} id - ID записи
+   * @param {Object} options - Опции { expectedVersion, channel, user }
+   * @returns {Promise<boolean>} Была ли запись в корзине
+   */
+  restore(id, options) {
+    return this.transaction.restore(this.storeInstance, id, options);
+  }
+
+  /**
+   * Окончательное удаление записи
+   * @param {string} id - ID записи
+   * @param {Object} options - Опции { expectedVersion, channel, user }
+   * @returns {Promise<boolean>} Существовала ли запись
+   */
+  purge(id, options) {
+    return this.transaction.purge(this.storeInstance, id, options);
+  }
+
+  /**
+   * Получение записи с учетом изменений транзакции
+   * @param {string} id - ID записи
+   * @returns {Promise<Object|null>} Запись или null
+   */
+  getById(id) {
+    return this.transaction.getById(this.storeInstance, id);
+  }
+
+  /**
+   * Переход к другому хранилищу в рамках той же транзакции
+   * @param {BaseStore} store - Хранилище
+   * @returns {TransactionScope} Операции над хранилищем
+   */
+  store(store) {
+    return this.transaction.store(store);
+  }
+}
+
+class StoreTransaction {
+  /**
+   * @param {Object} context - Контекст изменений
+   * @param {string} context.channel - Канал изменения для журнала
+   * @param {string} context.user - Автор изменения для журнала
+   * @param {boolean} context.undoable - false, если изменения нельзя отменить (UndoService)
+   * @param {string} context.history - 'undo' или 'redo' для транзакций UndoService
+   * @param {boolean} context.audit - false, если журнал изменений не пишется
+   *   (например, записи переносятся в архив целиком)
+   * @param {boolean} context.archive - true, если записи удаляются при переносе в архив:
+   *   связанные с ними данные остаются для восстановления
+   */
+  constructor(context = {}) {
+    // storeName -> { store, records: Map<id, Object|null>, baseVersions: Map<id, number> }
+    this.buffers = new Map();
+    this.scopes = new Map();
+    this.events = [];
+    this.auditEntries = [];
+    this.changes = [];
+    this.context = context;
+    this.isFinished = false;
+  }
+
+  /**
+   * Регистрация хранилища журнала изменений
+   * @param {BaseStore} store - Хранилище журнала
+   */
+  static setAuditLog(store) {
+    auditLog = store;
+  }
+
+  /**
+   * Выполнение функции в транзакции
+   * @param {Function} callback - async (tx) => результат
+   * @param {Object} context - Контекст изменений для журнала { channel, user }
+   * @returns {Promise<*>} Результат callback после фиксации изменений
+   */
+  static async run(callback, context = {}) {
+    const transaction = new StoreTransaction(context);
+
+    try {
+      const result = await callback(transaction);
+      await transaction.commit();
+      return result;
+    } catch (error) {
+      transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Операции над хранилищем в рамках транзакции
+   * @param {BaseStore} store - Хранилище
+   * @returns {TransactionScope} Операции над хранилищем
+   */
+  store(store) {
+    if (!this.scopes.has(store.storeName)) {
+      this.scopes.set(store.storeName, new TransactionScope(this, store));
+    }
+    return this.scopes.get(store.storeName);
+  }
+
+  /**
+   * Буфер изменений хранилища
+   * @param {BaseStore} store - Хранилище
+   * @returns {Map} Записи по ID (null - запись удалена)
+   */
+  getBuffer(store) {
+    this.assertActive();
+
+    if (!this.buffers.has(store.storeName)) {
+      this.buffers.set(store.storeName, { store, records: new Map(), baseVersions: new Map() });
+    }
+    return this.buffers.get(store.storeName).records;
+  }
+
+  /**
+   * Запоминание версии, на основе которой изменяется сохраненная запись
+   * @param {BaseStore} store - Хранилище
+   * @param {Object} record - Прочитанная запись
+   */
+  rememberBaseVersion(store, record) {
+    const { baseVersions } = this.buffers.get(store.storeName);
+    if (!this.getBuffer(store).has(record.id) && !baseVersions.has(record.id)) {
+      baseVersions.set(record.id, record.version || 1);
+    }
+  }
+
+  /**
+   * Запись изменения в журнал и в список изменений транзакции
+   * @param {BaseStore} store - Хранилище
+   * @param {string} action - Действие: created, updated, deleted, restored, purged
+   * @param {Object|null} before - Запись до изменения
+   * @param {Object|null} after - Запись после изменения
+   * @param {Object} options - Контекст операции { channel, user }
+   */
+  recordChange(store, action, before, after, { channel, user } = {}) {
+    const context = {
+      channel: channel || this.context.channel,
+      user: user || this.context.user
+    };
+
+    this.changes.push({
+      storeName: store.storeName,
+      id: (after || before).id,
+      action,
+      before,
+      after,
+      channel: context.channel || 'ui'
+    });
+
+    if (!auditLog || !store.audit || this.context.audit === false) return;
+
+    const entry = auditLog.buildEntry(store, action, before, after, context);
+    if (entry) {
+      this.auditEntries.push(entry);
+    }
+  }
+
+  /**
+   * Проверка ожидаемой версии записи
+   * @param {BaseStore} store - Хранилище
+   * @param {Object} existing - Текущая запись
+   * @param {number} expectedVersion - Версия, которую видел автор изменений
+   * @param {Object} updates - Изменения
+   * @throws {ConflictError} Если запись уже изменена
+   */
+  assertVersion(store, existing, expectedVersion, updates) {
+    const actualVersion = existing.version || 1;
+    if (expectedVersion !== undefined && expectedVersion !== actualVersion) {
+      throw new ConflictError({
+        storeName: store.storeName,
+        id: existing.id,
+        expectedVersion,
+        actualVersion,
+        current: existing,
+        updates
+      });
+    }
+  }
+
+  /**
+   * Проверка, что транзакция еще не завершена
+   * @throws {Error} Если транзакция уже зафиксирована или отменена
+   */
+  assertActive() {
+    if (this.isFinished) {
+      throw new Error('Транзакция уже завершена');
+    }
+  }
+
+  /**
+   * Получение записи с учетом изменений транзакции
+   * @param {BaseStore} store - Хранилище
+   * @param {string} id - ID записи
+   * @returns {Promise<Object|null>} Запись или null
+   */
+  async getById(store, id) {
+    const buffer = this.getBuffer(store);
+    if (buffer.has(id)) {
+      const record = buffer.get(id);
+      return record ? { ...record } : null;
+    }
+    return store.getById(id);
+  }
+
+  /**
+   * Создание записи
+   * @param {BaseStore} store - Хранилище
+   * @param {Object} item - Данные записи
+   * @param {Object} options - Контекст операции { channel, user }
+   * @returns {Promise<Object>} Запись
+   */
+  async create(store, item, options = {}) {
+    const record = store.prepareCreate(item);
+    this.getBuffer(store).set(record.id, record);
+    this.recordChange(store, 'created', null, record, options);
+    this.events.push({ store, type: 'created', payload: record });
+    return { ...record };
+  }
+
+  /**
+   * Обновление записи
+   * @param {BaseStore} store - Хранилище
+   * @param {string} id - ID записи
+   * @param {Object} updates - Обновления
+   * @param {Object} options - Опции
+   * @param {number} options.expectedVersion - Версия, которую видел автор изменений
+   * @param {string} options.channel - Канал изменения для журнала
+   * @param {string} options.user - Автор изменения для журнала
+   * @returns {Promise<Object>} Запись
+   * @throws {ConflictError} Если запись уже изменена
+   */
+  async update(store, id, updates, options = {}) {
+    const existing = await this.getById(store, id);
+    if (!existing) {
+      throw new Error(`Элемент с ID ${id} не найден`);
+    }
+
+    return this.applyUpdate(store, existing, updates, options, 'updated');
+  }
+
+  /**
+   * Запись обновления в буфер
+   * @param {BaseStore} store - Хранилище
+   * @param {Object} existing - Текущая запись
+   * @param {Object} updates - Обновления
+   * @param {Object} options - Опции { expectedVersion, channel, user }
+   * @param {string} action - Действие для журнала и событий: updated, deleted, restored
+   * @returns {Object} Запись
+   */
+  applyUpdate(store, existing, updates, options, action) {
+    this.assertVersion(store, existing, options.expectedVersion, updates);
+    this.rememberBaseVersion(store, existing);
+
+    const record = store.prepareUpdate(existing, updates);
+    this.getBuffer(store).set(existing.id, record);
+    this.recordChange(store, action, existing, record, options);
+
+    // Подписчики *:deleted получают ID, как и при окончательном удалении
+    this.events.push({ store, type: action, payload: action === 'deleted' ? existing.id : record });
+    return { ...record };
+  }
+
+  /**
+   * Удаление записи
+   * @description В хранилищах с мягким удалением запись помечается deletedAt
+   * и попадает в корзину, в остальных удаляется окончательно
+   * @param {BaseStore} store - Хранилище
+   * @param {string} id - ID записи
+   * @param {Object} options - Опции { expectedVersion, channel, user }
+   * @returns {Promise<boolean>} Существовала ли запись
+   */
+  async delete(store, id, options = {}) {
+    if (!store.softDelete) {
+      return this.purge(store, id, options);
+    }
+
+    const existing = await this.getById(store, id);
+    if (!existing || existing.deletedAt) {
+      return false;
+    }
+
+    this.applyUpdate(store, existing, {
+      isDeleted: true,
+      deletedAt: new Date().toISOString()
+    }, options, 'deleted');
+    return true;
+  }
+
+  /**
+   * Восстановление записи из корзины
+   * @param {BaseStore} store - Хранилище
+   * @param {string} id - ID записи
+   * @param {Object} options - Опции { expectedVersion, channel, user }
+   * @returns {Promise<boolean>} Была ли запись в корзине
+   */
+  async restore(store, id, options = {}) {
+    const existing = await this.getById(store, id);
+    if (!existing || !existing.deletedAt) {
+      return false;
+    }
+
+    this.applyUpdate(store, existing, { isDeleted: false, deletedAt: null }, options, 'restored');
+    return true;
+  }
+
+  /**
+   * Окончательное удаление записи
+   * @param {BaseStore} store - Хранилище
+   * @param {string} id - ID записи
+   * @param {Object} options - Опции { expectedVersion, channel, user }
+   * @returns {Promise<boolean>} Существовала ли запись
+   */
+  async purge(store, id, options = {}) {
+    const existing = await this.getById(store, id);
+    if (!existing) {
+      return false;
+    }
+
+    this.assertVersion(store, existing, options.expectedVersion, null);
+    this.rememberBaseVersion(store, existing);
+    this.getBuffer(store).set(id, null);
+
+    // Без корзины окончательное удаление - обычное удаление
+    const action = store.softDelete ? 'purged' : 'deleted';
+    this.recordChange(store, action, existing, null, options);
+    this.events.push({ store, type: action, payload: id });
+    return true;
+  }
+
+  /**
+   * Фиксация изменений одной транзакцией IndexedDB
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    this.assertActive();
+    this.isFinished = true;
+
+    const buffers = Array.from(this.buffers.values()).filter(({ records }) => records.size > 0);
+    if (buffers.length === 0) {
+      return;
+    }
+
+    await Promise.all(buffers.map(({ store }) => store.ready));
+
+    // Шифрование асинхронное, поэтому выполняется до открытия транзакции IndexedDB:
+    // ожидание чужих промисов внутри нее завершает транзакцию раньше времени
+    const writes = await Promise.all(buffers.map(async ({ store, records }) => {
+      const puts = [];
+      const deletes = [];
+
+      for (const [id, record] of records) {
+        if (record) {
+          puts.push(await store.encryptRecord(record));
+        } else {
+          deletes.push(id);
+        }
+      }
+
+      return { store, puts, deletes };
+    }));
+    const auditEntries = await Promise.all(this.auditEntries.map(entry => auditLog.encryptRecord(entry)));
+
+    const tables = buffers.map(({ store }) => store.table);
+    if (auditEntries.length > 0) {
+      tables.push(auditLog.table);
+    }
+
+    try {
+      await StorageEngine.db.transaction('rw', tables, async () => {
+        // Пока транзакция выполнялась, записи могли изменить в другом месте
+        for (const { store, baseVersions } of buffers) {
+          for (const [id, baseVersion] of baseVersions) {
+            const current = await store.table.get(id);
+            const actualVersion = current ? current.version || 1 : null;
+
+            if (actualVersion !== baseVersion) {
+              throw new ConflictError({
+                storeName: store.storeName,
+                id,
+                expectedVersion: baseVersion,
+                actualVersion,
+                current,
+                updates: this.buffers.get(store.storeName).records.get(id)
+              });
+            }
+          }
+        }
+
+        for (const { store, puts, deletes } of writes) {
+          if (puts.length > 0) await store.table.bulkPut(puts);
+          if (deletes.length > 0) await store.table.bulkDelete(deletes);
+        }
+
+        if (auditEntries.length > 0) {
+          await auditLog.table.bulkAdd(auditEntries);
+        }
+      });
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+
+      // Переполнение не должно теряться в логах: пользователь получает способ освободить место
+      const storeNames = buffers.map(({ store }) => store.storeName);
+      EventBus.emit('storage:quotaExceeded', { storeNames });
+      throw new QuotaError(storeNames, error);
+    }
+
+    // События рассылаются только после успешной записи
+    this.events.forEach(({ store, type, payload }) => {
+      store.eventBus.emit(`${store.storeName}:${type}`, payload);
+    });
+    this.auditEntries.forEach(entry => {
+      auditLog.eventBus.emit('auditLog:created', entry);
+    });
+
+    // Полный список изменений - для истории отмены действий
+    EventBus.emit('transaction:committed', { changes: this.changes, context: this.context });
+
+    buffers.forEach(({ store, records }) => {
+      store.logger.info(`Зафиксировано изменений: ${records.size}`);
+    });
+  }
+
+  /**
+   * Отмена транзакции: буфер изменений отбрасывается
+   */
+  rollback() {
+    this.isFinished = true;
+    this.buffers.clear();
+    this.events = [];
+    this.auditEntries = [];
+    this.changes = [];
+  }
+}
+
+export default StoreTransaction;
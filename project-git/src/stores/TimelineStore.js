@@ -0,0 +1,93 @@
+// src/stores/TimelineStore.js
+/**
+ * 🕓 Хранилище событий хронологии кандидата
+ * @description События, которые не сохраняются в самой записи кандидата:
+ * сообщения WhatsApp, напоминания и доставка рассылок. Смены статуса,
+ * комментарии и результаты OCR берутся из записи кандидата
+ */
+import BaseStore from './BaseStore.js';
+
+// Хранилище кандидатов, к которым привязаны события
+const CANDIDATES_STORE = 'candidates';
+
+/**
+ * Типы событий хронологии
+ */
+export const TIMELINE_TYPES = {
+  message_in: 'Входящее сообщение',
+  message_out: 'Исходящее сообщение',
+  status: 'Смена статуса',
+  ocr: 'Распознавание документа',
+  reminder: 'Напоминание',
+  mailing: 'Рассылка',
+  comment: 'Комментарий'
+};
+
+class TimelineStore extends BaseStore {
+  constructor() {
+    super('timeline', {
+      schemaVersion: 1,
+      migrations: [],
+      audit: false,
+      softDelete: false,
+      encryptedFields: ['text']
+    });
+
+    // События окончательно удаленного кандидата больше не нужны
+    this.eventBus.on('transaction:committed', this.handleCommitted.bind(this));
+  }
+
+  /**
+   * События кандидата
+   * @param {string} candidateId - ID кандидата
+   * @returns {Promise<Array>} События, новые первыми
+   */
+  async getForCandidate(candidateId) {
+    const { items } = await this.query({
+      where: { candidateId },
+      sort: [['timestamp', 'desc']]
+    });
+    return items;
+  }
+
+  /**
+   * Удаление событий окончательно удаленных кандидатов
+   * @description События кандидатов, перенесенных в архив, остаются для восстановления
+   * @param {Object} data - { changes, context }
+   */
+  handleCommitted({ changes, context }) {
+    if (context.archive) return;
+
+    const purgedIds = changes
+      .filter(({ storeName, action }) => storeName === CANDIDATES_STORE && action === 'purged')
+      .map(({ id }) => id);
+
+    if (purgedIds.length > 0) {
+      this.deleteForCandidates(purgedIds);
+    }
+  }
+
+  /**
+   * Удаление событий кандидатов
+   * @param {Array<string>} candidateIds - ID кандидатов
+   * @returns {Promise<void>}
+   */
+  async deleteForCandidates(candidateIds) {
+    try {
+      await this.ready;
+      const { items } = await this.query({ where: { candidateId: { $in: candidateIds } } });
+      if (items.length === 0) return;
+
+      await this.transaction(async tx => {
+        for (const event of items) {
+          await tx.delete(event.id);
+        }
+      }, { undoable: false });
+    } catch (error) {
+      this.logger.error('Не удалось удалить события хронологии кандидатов', error);
+    }
+  }
+}
+
+// Экспортируем синглтон
+export default new TimelineStore();
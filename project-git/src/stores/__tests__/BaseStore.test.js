@@ -0,0 +1,74 @@
+// src/stores/__tests__/BaseStore.test.js
+/**
+ * Запись в хранилище при заблокированных данных
+ */
+import CandidateStore from '../CandidateStore.js';
+import AuditLogStore from '../AuditLogStore.js';
+import CandidateModel from '../../models/CandidateModel.js';
+import CryptoService, { ENCRYPTION_SCOPES, LockedError } from '../../services/CryptoService.js';
+
+// Интеграция с WhatsApp в этих тестах не участвует
+jest.mock('../../services/WhatsAppService.js', () => ({ __esModule: true, default: {} }));
+
+// Зашифрованная запись, прочитанная без ключа: документы только в шифротексте
+const ENCRYPTED_CANDIDATE = {
+  id: 'candidate-1',
+  name: 'Иванов Иван',
+  phone: '+79990001122',
+  status: 'Активен',
+  project: 'Проект',
+  version: 1,
+  createdAt: '2026-01-10T09:00:00.000Z',
+  updatedAt: '2026-01-10T09:00:00.000Z',
+  _encrypted: 'шифротекст',
+  _blindIndex: { inn: 'хэш' }
+};
+
+describe('BaseStore: запись без ключа шифрования', () => {
+  beforeEach(async () => {
+    await Promise.all([CandidateStore.ready, AuditLogStore.ready, CryptoService.ready]);
+    await Promise.all([CandidateStore.table.clear(), AuditLogStore.table.clear()]);
+    await CandidateStore.table.put({ ...ENCRYPTED_CANDIDATE });
+
+    CryptoService.config = { scope: ENCRYPTION_SCOPES.DOCUMENTS, keyId: 'test' };
+    CryptoService.keys = null;
+  });
+
+  afterEach(() => {
+    CryptoService.config = null;
+  });
+
+  test('изменение открытого поля сохраняет шифротекст документов', async () => {
+    const candidate = new CandidateModel(await CandidateStore.getById(ENCRYPTED_CANDIDATE.id));
+    candidate.changeStatus('Молчит', 'Нет ответа');
+
+    await CandidateStore.update(candidate.id, candidate);
+
+    const stored = await CandidateStore.table.get(ENCRYPTED_CANDIDATE.id);
+    expect(stored.status).toBe('Молчит');
+    expect(stored._encrypted).toBe(ENCRYPTED_CANDIDATE._encrypted);
+    expect(stored._blindIndex).toEqual(ENCRYPTED_CANDIDATE._blindIndex);
+    expect(stored).not.toHaveProperty('passport');
+    expect(stored).not.toHaveProperty('documents');
+
+    const [entry] = await AuditLogStore.getByEntity('candidates', ENCRYPTED_CANDIDATE.id);
+    expect(entry.changes.status).toEqual({ from: 'Активен', to: 'Молчит' });
+  });
+
+  test('кандидат без документов создается', async () => {
+    const created = await CandidateStore.create(new CandidateModel({
+      name: 'Петров Петр',
+      phone: '+79990003344',
+      project: 'Проект'
+    }));
+
+    expect(await CandidateStore.table.get(created.id)).toMatchObject({ name: 'Петров Петр' });
+  });
+
+  test('непустое значение зашифрованного поля без ключа не сохраняется', async () => {
+    await expect(CandidateStore.update(ENCRYPTED_CANDIDATE.id, { inn: '500100732259' }))
+      .rejects.toBeInstanceOf(LockedError);
+
+    expect(await CandidateStore.table.get(ENCRYPTED_CANDIDATE.id)).toEqual(ENCRYPTED_CANDIDATE);
+  });
+});
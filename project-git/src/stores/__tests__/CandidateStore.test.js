@@ -0,0 +1,97 @@
+// src/stores/__tests__/CandidateStore.test.js
+/**
+ * Выборка молчащих кандидатов и миграция комментариев зашифрованных записей
+ */
+import CandidateStore from '../CandidateStore.js';
+import AuditLogStore from '../AuditLogStore.js';
+import MigrationRunner from '../MigrationRunner.js';
+import CryptoService, { ENCRYPTION_SCOPES } from '../../services/CryptoService.js';
+
+// Интеграция с WhatsApp в этих тестах не участвует
+jest.mock('../../services/WhatsAppService.js', () => ({ __esModule: true, default: {} }));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Запись кандидата
+ * @param {string} id - ID
+ * @param {Object} fields - Поля молчания
+ * @returns {Object} Запись
+ */
+const candidate = (id, fields) => ({
+  id,
+  name: `Кандидат ${id}`,
+  phone: '+79990001122',
+  status: 'Активен',
+  project: 'Проект',
+  version: 1,
+  createdAt: new Date(Date.now() - 30 * DAY).toISOString(),
+  updatedAt: new Date(Date.now() - 30 * DAY).toISOString(),
+  ...fields
+});
+
+describe('CandidateStore: молчащие кандидаты', () => {
+  beforeEach(async () => {
+    await Promise.all([CandidateStore.ready, AuditLogStore.ready]);
+    await Promise.all([CandidateStore.table.clear(), AuditLogStore.table.clear()]);
+  });
+
+  test('молчание отсчитывается от ответа или возврата с 1-й линии', async () => {
+    const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+    await CandidateStore.table.bulkPut([
+      candidate('replied-long-ago', { lastReply: daysAgo(10) }),
+      candidate('replied-recently', { lastReply: new Date().toISOString() }),
+      candidate('returned-no-reply', { returnedAt: daysAgo(10) }),
+      candidate('returned-recently', { lastReply: daysAgo(20), returnedAt: new Date().toISOString() }),
+      candidate('never-contacted', {})
+    ]);
+
+    const silent = await CandidateStore.getSilentCandidates();
+
+    expect(silent.map(({ id }) => id).sort()).toEqual(['replied-long-ago', 'returned-no-reply']);
+  });
+});
+
+describe('CandidateStore: старые комментарии при шифровании всех полей', () => {
+  let keys;
+
+  beforeAll(async () => {
+    keys = { keyId: 'test', ...(await CryptoService.deriveKeys('пароль', new Uint8Array(16), 1000)) };
+  });
+
+  beforeEach(async () => {
+    await Promise.all([CandidateStore.ready, AuditLogStore.ready, CryptoService.ready]);
+    await Promise.all([CandidateStore.table.clear(), AuditLogStore.table.clear()]);
+    CryptoService.config = { scope: ENCRYPTION_SCOPES.ALL, keyId: keys.keyId };
+  });
+
+  afterEach(async () => {
+    CryptoService.config = null;
+    CryptoService.keys = null;
+    await MigrationRunner.migrateStore(CandidateStore.getSchema(), CandidateStore.table);
+  });
+
+  test('миграция без ключа откладывает разбор до разблокировки', async () => {
+    CryptoService.keys = keys;
+    await CandidateStore.table.put(await CandidateStore.encryptRecord(candidate('encrypted', {
+      comment: '[19.10.2025, 14:05:33] Анна: Перезвонить вечером',
+      comments: []
+    })));
+
+    // Данные сохранены до миграции комментариев, приложение запущено без ключа
+    const info = await MigrationRunner.getSchemaInfo(CandidateStore.storeName);
+    await MigrationRunner.meta.put({ ...info, version: 3 });
+    CryptoService.keys = null;
+    await CandidateStore.markEncryptedComments();
+    await MigrationRunner.migrateStore(CandidateStore.getSchema(), CandidateStore.table);
+
+    CryptoService.keys = keys;
+    await CandidateStore.parseEncryptedComments();
+
+    const stored = await CandidateStore.decryptRecord(await CandidateStore.table.get('encrypted'));
+    expect(stored.comment).toBe('');
+    expect(stored.comments).toEqual([
+      expect.objectContaining({ author: 'Анна', text: 'Перезвонить вечером', legacy: true })
+    ]);
+  });
+});
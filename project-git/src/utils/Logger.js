@@ -3,15 +3,21 @@
  * 📝 Система логирования для HR Assistant
  * @description Логгер с уровнями, фильтрацией и сохранением
  */
+import { isQuotaError } from '../stores/StoreErrors.js';
+
+// Сколько логов оставлять, если localStorage переполнен
+const LOGS_AFTER_QUOTA_ERROR = 100;
+
+// Логи перестают сохраняться до перезагрузки, если место не освободилось (общий флаг всех логгеров)
+let isStorageFull = false;
+
 class Logger {
   constructor(context = 'App') {
     this.context = context;
     this.logs = [];
     this.maxLogs = 1000;
-    this.logLevel = this.getLogLevel();
-    this.enabledCategories = this.getEnabledCategories();
-    
-    // Уровни логирования
+
+    // Уровни логирования (нужны для уровня из настроек)
     this.levels = {
       ERROR: 0,
       WARN: 1,
@@ -19,6 +25,8 @@ class Logger {
       DEBUG: 3,
       TRACE: 4
     };
+    this.logLevel = this.getLogLevel();
+    this.enabledCategories = this.getEnabledCategories();
 
     // Цвета для консоли
     this.colors = {
@@ -135,10 +143,14 @@ class Logger {
    * @param {Object} logEntry - Запись лога
    */
   saveToStorage(logEntry) {
+    if (isStorageFull) return;
+
+    const storageKey = 'hr-assistant-logs';
+    let logs = [];
+
     try {
-      const storageKey = 'hr-assistant-logs';
       const stored = localStorage.getItem(storageKey) || '[]';
-      const logs = JSON.parse(stored);
+      logs = JSON.parse(stored);
       
       logs.push(logEntry);
       
@@ -149,7 +161,19 @@ class Logger {
       
       localStorage.setItem(storageKey, JSON.stringify(logs));
     } catch (error) {
-      console.error('Ошибка сохранения лога в localStorage:', error);
+      if (!isQuotaError(error)) {
+        console.error('Ошибка сохранения лога в localStorage:', error);
+        return;
+      }
+
+      // Переполнение: логи не важнее данных, оставляем только последние
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(logs.slice(-LOGS_AFTER_QUOTA_ERROR)));
+      } catch (retryError) {
+        isStorageFull = true;
+        localStorage.removeItem(storageKey);
+        console.error('localStorage переполнен, логи больше не сохраняются до перезагрузки:', retryError);
+      }
     }
   }
 
@@ -328,6 +352,7 @@ class Logger {
   /**
    * Очистка логов
    * @param {Date} cutoffDate - Дата отсечки
+   * @returns {number} Количество удаленных записей в localStorage
    */
   cleanup(cutoffDate) {
     if (cutoffDate) {
@@ -339,16 +364,20 @@ class Logger {
     // Очищаем localStorage
     try {
       const storageKey = 'hr-assistant-logs';
+      const stored = localStorage.getItem(storageKey) || '[]';
+      const logs = JSON.parse(stored);
+
       if (cutoffDate) {
-        const stored = localStorage.getItem(storageKey) || '[]';
-        const logs = JSON.parse(stored);
         const filtered = logs.filter(log => new Date(log.timestamp) > cutoffDate);
         localStorage.setItem(storageKey, JSON.stringify(filtered));
-      } else {
-        localStorage.removeItem(storageKey);
+        return logs.length - filtered.length;
       }
+
+      localStorage.removeItem(storageKey);
+      return logs.length;
     } catch (error) {
       console.error('Ошибка очистки логов в localStorage:', error);
+      return 0;
     }
   }
 
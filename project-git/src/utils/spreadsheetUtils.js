@@ -0,0 +1,382 @@
+// src/utils/spreadsheetUtils.js
+/**
+ * 📊 Утилиты для таблиц
+ * @description Определение кодировки текстовых файлов, чтение первого листа
+ * XLSX и запись XLSX без сторонних библиотек: файл XLSX - это ZIP-архив с XML внутри
+ */
+
+// Сигнатуры ZIP
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+// Таблица CRC-32 для записи ZIP
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// 1 января 1970 года в днях от начала календаря Excel
+const EXCEL_EPOCH_OFFSET = 25569;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Декодирование текста с определением кодировки
+ * @description Файлы из Excel под Windows часто сохранены в cp1251: если текст
+ * не читается как UTF-8, он читается как windows-1251
+ * @param {ArrayBuffer} buffer - Содержимое файла
+ * @returns {{text: string, encoding: string}} Текст и кодировка
+ */
+export function decodeText(buffer) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { text: text.replace(/^\uFEFF/, ''), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1251').decode(buffer), encoding: 'windows-1251' };
+  }
+}
+
+/**
+ * Является ли файл ZIP-архивом (XLSX)
+ * @param {ArrayBuffer} buffer - Содержимое файла
+ * @returns {boolean} Начинается ли файл с сигнатуры ZIP
+ */
+export function isZip(buffer) {
+  return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === ZIP_LOCAL_HEADER;
+}
+
+/**
+ * Дата из числа дней Excel
+ * @param {number} serial - Число дней от 30.12.1899
+ * @returns {Date} Дата (UTC)
+ */
+export function excelSerialToDate(serial) {
+  return new Date(Math.round((serial - EXCEL_EPOCH_OFFSET) * DAY_MS));
+}
+
+/**
+ * Чтение файлов ZIP-архива
+ * @param {ArrayBuffer} buffer - Архив
+ * @returns {Map<string, Function>} Имя файла → функция чтения текста
+ */
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const names = new TextDecoder('utf-8');
+
+  // Оглавление архива описано в конце файла
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== ZIP_END_OF_DIRECTORY) {
+    end--;
+  }
+  if (end < 0) {
+    throw new Error('Файл поврежден: это не XLSX');
+  }
+
+  const entries = new Map();
+  let offset = view.getUint32(end + 16, true);
+  const count = view.getUint16(end + 10, true);
+
+  for (let i = 0; i < count && view.getUint32(offset, true) === ZIP_CENTRAL_HEADER; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = names.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, async () => {
+      const dataStart = localOffset + 30 +
+        view.getUint16(localOffset + 26, true) +
+        view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        return names.decode(data);
+      }
+      if (method !== 8 || typeof DecompressionStream === 'undefined') {
+        throw new Error('Браузер не может распаковать этот XLSX, сохраните файл в CSV');
+      }
+
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).text();
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Номер столбца из адреса ячейки: A1 → 0, AB7 → 27
+ * @param {string} reference - Адрес ячейки
+ * @returns {number} Номер столбца с нуля
+ */
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+$/, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Разбор XML
+ * @param {string} xml - Текст XML
+ * @returns {Document} Документ
+ */
+function parseXml(xml) {
+  return new DOMParser().parseFromString(xml, 'application/xml');
+}
+
+/**
+ * Путь к первому листу книги
+ * @param {Map} entries - Файлы архива
+ * @returns {Promise<string>} Путь внутри архива
+ */
+async function getFirstSheetPath(entries) {
+  const fallback = 'xl/worksheets/sheet1.xml';
+  if (!entries.has('xl/workbook.xml') || !entries.has('xl/_rels/workbook.xml.rels')) {
+    return fallback;
+  }
+
+  const workbook = parseXml(await entries.get('xl/workbook.xml')());
+  const sheet = workbook.getElementsByTagName('sheet')[0];
+  const relationId = sheet && (sheet.getAttribute('r:id') ||
+    sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id'));
+
+  const relations = parseXml(await entries.get('xl/_rels/workbook.xml.rels')());
+  const relation = Array.from(relations.getElementsByTagName('Relationship'))
+    .find(item => item.getAttribute('Id') === relationId);
+  if (!relation) {
+    return fallback;
+  }
+
+  const target = relation.getAttribute('Target').replace(/^\//, '');
+  return target.startsWith('xl/') ? target : `xl/${target}`;
+}
+
+/**
+ * Чтение первого листа XLSX
+ * @description Значения возвращаются строками; даты Excel хранит числами,
+ * их переводит в даты тот, кто знает смысл столбца (excelSerialToDate)
+ * @param {ArrayBuffer} buffer - Содержимое файла
+ * @returns {Promise<Array<Array<string>>>} Строки таблицы
+ */
+export async function readXlsx(buffer) {
+  const entries = readZipEntries(buffer);
+  const sheetPath = await getFirstSheetPath(entries);
+  if (!entries.has(sheetPath)) {
+    throw new Error('В файле XLSX нет листов');
+  }
+
+  // Повторяющиеся строки хранятся в общей таблице строк
+  const sharedStrings = [];
+  if (entries.has('xl/sharedStrings.xml')) {
+    const shared = parseXml(await entries.get('xl/sharedStrings.xml')());
+    Array.from(shared.getElementsByTagName('si')).forEach(item => {
+      sharedStrings.push(Array.from(item.getElementsByTagName('t')).map(t => t.textContent).join(''));
+    });
+  }
+
+  const sheet = parseXml(await entries.get(sheetPath)());
+  const rows = [];
+
+  Array.from(sheet.getElementsByTagName('row')).forEach(rowElement => {
+    const row = [];
+    Array.from(rowElement.getElementsByTagName('c')).forEach((cell, position) => {
+      const reference = cell.getAttribute('r');
+      const index = reference ? columnIndex(reference) : position;
+      const type = cell.getAttribute('t');
+      const valueElement = cell.getElementsByTagName('v')[0];
+      let value = valueElement ? valueElement.textContent : '';
+
+      if (type === 's') {
+        value = sharedStrings[Number(value)] || '';
+      } else if (type === 'inlineStr') {
+        value = Array.from(cell.getElementsByTagName('t')).map(t => t.textContent).join('');
+      } else if (type === 'b') {
+        value = value === '1' ? 'TRUE' : 'FALSE';
+      }
+
+      row[index] = value;
+    });
+
+    rows.push(Array.from(row, value => value || ''));
+  });
+
+  return rows;
+}
+
+/**
+ * Контрольная сумма CRC-32
+ * @param {Uint8Array} bytes - Данные
+ * @returns {number} Контрольная сумма
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Сборка ZIP-архива без сжатия
+ * @param {Array<{name: string, content: string}>} files - Файлы
+ * @returns {Uint8Array} Архив
+ */
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, ZIP_LOCAL_HEADER, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, ZIP_CENTRAL_HEADER, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, ZIP_END_OF_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Экранирование текста для XML
+ * @param {*} value - Значение
+ * @returns {string} Текст
+ */
+function escapeXml(value) {
+  return String(value)
+    // Управляющие символы запрещены в XML
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Адрес столбца: 0 → A, 27 → AB
+ * @param {number} index - Номер столбца с нуля
+ * @returns {string} Буквы столбца
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Запись таблицы в XLSX
+ * @description Числа записываются числами, остальное - строками внутри ячеек
+ * @param {Array<Array<*>>} rows - Строки таблицы, первая - заголовок
+ * @param {string} sheetName - Название листа
+ * @returns {Blob} Файл XLSX
+ */
+export function writeXlsx(rows, sheetName = 'Лист1') {
+  const sheetRows = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const reference = `${columnName(columnIndex)}${rowIndex + 1}`;
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${reference}"><v>${value}</v></c>`;
+      }
+      return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetRows.join('')}</sheetData>` +
+        '</worksheet>'
+    }
+  ];
+
+  return new Blob([buildZip(files)], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+}
@@ -0,0 +1,72 @@
+// src/views/components/common/LockScreen.jsx
+/**
+ * 🔒 Экран блокировки
+ * @description Ввод пароля шифрования при запуске и после автоблокировки
+ */
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Lock } from 'lucide-react';
+import Button from './Button';
+import './LockScreen.css';
+
+/**
+ * Экран блокировки
+ * @param {Object} props - Пропсы компонента
+ * @param {Function} props.onUnlock - async (passphrase) => boolean, разблокировка данных
+ * @returns {JSX.Element} Экран блокировки
+ */
+const LockScreen = ({ onUnlock }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [hasError, setHasError] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!passphrase) return;
+
+    setIsUnlocking(true);
+    const success = await onUnlock(passphrase);
+    setIsUnlocking(false);
+
+    // Пароль не держим в состоянии дольше необходимого
+    setPassphrase('');
+    setHasError(!success);
+  };
+
+  return (
+    <div className="lock-screen">
+      <motion.form
+        className="lock-screen-card"
+        onSubmit={handleSubmit}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        <Lock size={48} className="lock-screen-icon" />
+        <h2>Данные зашифрованы</h2>
+        <p>Введите пароль шифрования, чтобы продолжить работу</p>
+
+        <input
+          type="password"
+          className={`lock-screen-input ${hasError ? 'error' : ''}`}
+          placeholder="Пароль шифрования"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          autoComplete="current-password"
+          autoFocus
+        />
+        {hasError && <span className="lock-screen-error">Неверный пароль</span>}
+
+        <Button
+          type="submit"
+          variant="primary"
+          loading={isUnlocking}
+          disabled={isUnlocking || !passphrase}
+        >
+          Разблокировать
+        </Button>
+      </motion.form>
+    </div>
+  );
+};
+
+export default LockScreen;
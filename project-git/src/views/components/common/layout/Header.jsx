@@ -4,6 +4,7 @@
  * @description Верхняя панель с навигацией и уведомлениями
  */
 import React, { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { 
   Menu, 
   Bell, 
@@ -14,11 +15,13 @@ import {
   LogOut,
   Settings,
   HelpCircle,
-  ChevronDown
+  ChevronDown,
+  HardDrive
 } from 'lucide-react';
 
 // Утилиты
 import EventBus from '@utils/EventBus';
+import StorageHealthService, { STORAGE_LEVELS } from '@services/StorageHealthService';
 
 // Стили
 import './Header.css';
@@ -43,6 +46,7 @@ const Header = ({
   const [showNotifications, setShowNotifications] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [storageStatus, setStorageStatus] = useState(() => StorageHealthService.getStatus());
   const notificationRef = useRef(null);
   const userMenuRef = useRef(null);
 
@@ -61,6 +65,12 @@ const Header = ({
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
+  // Предупреждение о заполненности хранилища
+  useEffect(() => {
+    EventBus.on('storage:health', setStorageStatus);
+    return () => EventBus.off('storage:health', setStorageStatus);
+  }, []);
+
   // Переключение темы
   const toggleTheme = () => {
     const newTheme = settings.theme === 'dark' ? 'light' : 'dark';
@@ -141,6 +151,19 @@ const Header = ({
       </div>
 
       <div className="header-right">
+        {/* Заполненность хранилища */}
+        {storageStatus.level !== STORAGE_LEVELS.OK && (
+          <Link
+            to="/settings"
+            state={{ tab: 'data' }}
+            className={`header-storage-warning ${storageStatus.level}`}
+            title="Хранилище браузера почти заполнено. Открыть сжатие данных"
+          >
+            <HardDrive size={18} />
+            <span>{storageStatus.percent}%</span>
+          </Link>
+        )}
+
         {/* Переключатель темы */}
         <button
           className="header-icon-button"
@@ -18,7 +18,10 @@ import {
   X,
   HardHat,
   UserX,
-  Clock
+  Clock,
+  Trash2,
+  Copy,
+  Target
 } from 'lucide-react';
 
 // Стили
@@ -131,6 +134,17 @@ const Sidebar = ({ currentPage, stats = {}, onClose }) => {
           label: 'Переданы на 1-ю',
           icon: <SendHorizontal size={18} />,
           badge: stats.transferredCount || null
+        },
+        {
+          path: '/duplicates',
+          label: 'Возможные дубли',
+          icon: <Copy size={18} />,
+          badge: stats.duplicatesCount || null
+        },
+        {
+          path: '/work-queue',
+          label: 'Работать дальше',
+          icon: <Target size={18} />
         }
       ]
     },
@@ -201,8 +215,19 @@ const Sidebar = ({ currentPage, stats = {}, onClose }) => {
       {/* Разделитель */}
       <div className="sidebar-divider" />
 
-      {/* Настройки */}
+      {/* Корзина и настройки */}
       <div className="sidebar-footer">
+        <NavLink
+          to="/trash"
+          className={({ isActive }) => 
+            `nav-item ${isActive ? 'active' : ''}`
+          }
+        >
+          <span className="nav-item-icon">
+            <Trash2 size={20} />
+          </span>
+          <span className="nav-item-label">Корзина</span>
+        </NavLink>
         <NavLink
           to="/settings"
           className={({ isActive }) => 
@@ -0,0 +1,127 @@
+// src/views/components/features/AuditHistory.jsx
+/**
+ * 🕵️ История изменений
+ * @description Журнал изменений полей записи: кто, когда, через какой канал
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Clock, User } from 'lucide-react';
+
+// Хранилища
+import AuditLogStore, { AUDIT_CHANNEL_LABELS } from '@stores/AuditLogStore';
+
+// Утилиты
+import EventBus from '@utils/EventBus';
+import Logger from '@utils/Logger';
+
+// Стили
+import './AuditHistory.css';
+
+const logger = new Logger('AuditHistory');
+
+const ACTION_LABELS = {
+  created: 'Создание',
+  updated: 'Изменение',
+  deleted: 'Удаление',
+  restored: 'Восстановление',
+  purged: 'Окончательное удаление'
+};
+
+/**
+ * Форматирование значения поля
+ * @param {*} value - Значение
+ * @returns {string} Строка для отображения
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Да' : 'Нет';
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleString('ru-RU');
+  }
+  return String(value);
+};
+
+/**
+ * История изменений записи
+ * @param {Object} props - Пропсы компонента
+ * @param {string} props.entityType - Название хранилища записи
+ * @param {string} props.entityId - ID записи
+ * @param {Object} props.fieldLabels - Названия полей { field: 'Название' }
+ * @returns {JSX.Element} История изменений
+ */
+const AuditHistory = ({ entityType, entityId, fieldLabels = {} }) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setEntries(await AuditLogStore.getByEntity(entityType, entityId));
+    } catch (error) {
+      logger.error('Ошибка загрузки истории изменений', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    loadEntries();
+
+    const handleEntryCreated = (entry) => {
+      if (entry.entityType === entityType && entry.entityId === entityId) {
+        loadEntries();
+      }
+    };
+
+    EventBus.on('auditLog:created', handleEntryCreated);
+    return () => EventBus.off('auditLog:created', handleEntryCreated);
+  }, [loadEntries, entityType, entityId]);
+
+  if (isLoading) {
+    return <p className="audit-history-empty">Загрузка истории...</p>;
+  }
+
+  if (entries.length === 0) {
+    return <p className="audit-history-empty">Изменений пока нет</p>;
+  }
+
+  return (
+    <ul className="audit-history">
+      {entries.map(entry => (
+        <li key={entry.id} className={`audit-entry audit-${entry.action}`}>
+          <div className="audit-entry-header">
+            <span className="audit-action">{ACTION_LABELS[entry.action] || entry.action}</span>
+            <span className="audit-meta">
+              <Clock size={14} />
+              {new Date(entry.timestamp).toLocaleString('ru-RU')}
+            </span>
+            <span className="audit-meta">
+              <User size={14} />
+              {entry.user}
+            </span>
+            <span className="audit-channel">
+              {AUDIT_CHANNEL_LABELS[entry.channel] || entry.channel}
+            </span>
+          </div>
+
+          {entry.action !== 'deleted' && (
+            <table className="audit-changes">
+              <tbody>
+                {Object.entries(entry.changes).map(([field, { from, to }]) => (
+                  <tr key={field}>
+                    <td className="audit-field">{fieldLabels[field] || field}</td>
+                    {entry.action === 'updated' && (
+                      <td className="audit-from">{formatValue(from)}</td>
+                    )}
+                    <td className="audit-to">{formatValue(to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default AuditHistory;
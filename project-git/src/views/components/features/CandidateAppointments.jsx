@@ -0,0 +1,272 @@
+// src/views/components/features/CandidateAppointments.jsx
+/**
+ * 📅 Встречи кандидата
+ * @description Назначение собеседований, медосмотров и отъездов, перенос
+ * и итог встречи. Неявка переводит кандидата по воронке
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Save, Trash2, Bell } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры и утилиты
+import AppointmentController, { APPOINTMENT_REMINDERS } from '@controllers/AppointmentController';
+import {
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUSES,
+  APPOINTMENT_STATUS_LABELS
+} from '@stores/AppointmentStore';
+import EventBus from '@utils/EventBus';
+import { formatDate } from '@utils/dateHelpers';
+
+// Стили
+import './CandidateAppointments.css';
+
+/**
+ * Дата ISO для поля datetime-local
+ * @param {string} value - Дата
+ * @returns {string} ГГГГ-ММ-ДДTчч:мм по местному времени
+ */
+const toInputDateTime = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const EMPTY_DRAFT = { type: 'interview', startsAt: '', location: '', link: '', recruiter: '' };
+
+/**
+ * Форма встречи
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.initial - Исходные данные
+ * @param {string} props.submitLabel - Текст кнопки
+ * @param {Function} props.onSubmit - Сохранение: (data) => Promise<boolean>
+ * @returns {JSX.Element} Форма
+ */
+const AppointmentForm = ({ initial, submitLabel, onSubmit }) => {
+  const [draft, setDraft] = useState(() => ({
+    ...EMPTY_DRAFT,
+    ...initial,
+    startsAt: toInputDateTime(initial.startsAt)
+  }));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSubmit({
+      type: draft.type,
+      startsAt: draft.startsAt ? new Date(draft.startsAt).toISOString() : null,
+      location: draft.location.trim(),
+      link: draft.link.trim(),
+      recruiter: draft.recruiter.trim()
+    });
+    setIsSaving(false);
+    if (saved && !initial.id) {
+      setDraft(EMPTY_DRAFT);
+    }
+  };
+
+  return (
+    <form className="appointment-form" onSubmit={handleSubmit}>
+      <select value={draft.type} onChange={(e) => update({ type: e.target.value })}>
+        {Object.entries(APPOINTMENT_TYPES).map(([type, label]) => (
+          <option key={type} value={type}>{label}</option>
+        ))}
+      </select>
+      <input
+        type="datetime-local"
+        value={draft.startsAt}
+        onChange={(e) => update({ startsAt: e.target.value })}
+        required
+      />
+      <input
+        type="text"
+        value={draft.location}
+        onChange={(e) => update({ location: e.target.value })}
+        placeholder="Адрес"
+      />
+      <input
+        type="url"
+        value={draft.link}
+        onChange={(e) => update({ link: e.target.value })}
+        placeholder="Ссылка на онлайн-встречу"
+      />
+      <input
+        type="text"
+        value={draft.recruiter}
+        onChange={(e) => update({ recruiter: e.target.value })}
+        placeholder="Ответственный рекрутер"
+      />
+      <Button variant="primary" size="sm" type="submit" loading={isSaving}>
+        {initial.id ? <Save size={16} /> : <Plus size={16} />}
+        {submitLabel}
+      </Button>
+    </form>
+  );
+};
+
+/**
+ * Встреча кандидата
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.appointment - Встреча
+ * @param {AppointmentController} props.controller - Контроллер встреч
+ * @returns {JSX.Element} Встреча
+ */
+const AppointmentItem = ({ appointment, controller }) => {
+  const [outcome, setOutcome] = useState(appointment.outcome || '');
+  const [isEditing, setIsEditing] = useState(false);
+  const isScheduled = appointment.status === APPOINTMENT_STATUSES.SCHEDULED;
+  const sentReminders = Object.entries(APPOINTMENT_REMINDERS)
+    .filter(([key]) => (appointment.reminders || {})[key])
+    .map(([, { label }]) => label);
+
+  const handleUpdate = async (data) => {
+    const updated = await controller.updateAppointment(appointment.id, data, {
+      expectedVersion: appointment.version
+    });
+    if (updated) {
+      setIsEditing(false);
+    }
+    return Boolean(updated);
+  };
+
+  const handleOutcome = (status) => (
+    controller.setOutcome(appointment.id, status, outcome.trim(), { expectedVersion: appointment.version })
+  );
+
+  const handleDelete = () => {
+    if (window.confirm('Удалить встречу?')) {
+      controller.deleteAppointment(appointment.id);
+    }
+  };
+
+  return (
+    <li className={`appointment-item appointment-${appointment.status}`}>
+      <div className="appointment-title">
+        <strong>{APPOINTMENT_TYPES[appointment.type]}</strong>
+        <span>{formatDate(appointment.startsAt, 'full')}</span>
+        <span className="appointment-status">{APPOINTMENT_STATUS_LABELS[appointment.status]}</span>
+      </div>
+
+      <div className="appointment-meta">
+        {appointment.location && <span>{appointment.location}</span>}
+        {appointment.link && (
+          <a href={appointment.link} target="_blank" rel="noopener noreferrer">{appointment.link}</a>
+        )}
+        {appointment.recruiter && <span>Рекрутер: {appointment.recruiter}</span>}
+        {sentReminders.length > 0 && (
+          <span className="appointment-reminders">
+            <Bell size={12} />
+            Напомнили {sentReminders.join(' и ')}
+          </span>
+        )}
+      </div>
+
+      {isEditing ? (
+        <AppointmentForm initial={appointment} submitLabel="Сохранить" onSubmit={handleUpdate} />
+      ) : (
+        <div className="appointment-outcome">
+          <input
+            type="text"
+            value={outcome}
+            onChange={(e) => setOutcome(e.target.value)}
+            placeholder="Итог встречи"
+          />
+          {isScheduled ? (
+            <>
+              <Button variant="primary" size="sm" onClick={() => handleOutcome(APPOINTMENT_STATUSES.COMPLETED)}>
+                Состоялась
+              </Button>
+              <Button variant="secondary" size="sm" onClick={() => handleOutcome(APPOINTMENT_STATUSES.MISSED)}>
+                Не пришел
+              </Button>
+              <Button variant="secondary" size="sm" onClick={() => handleOutcome(APPOINTMENT_STATUSES.CANCELLED)}>
+                Отменить
+              </Button>
+              <Button variant="secondary" size="sm" onClick={() => setIsEditing(true)}>
+                Перенести
+              </Button>
+            </>
+          ) : (
+            <Button variant="secondary" size="sm" onClick={() => handleOutcome(appointment.status)}>
+              <Save size={16} />
+              Сохранить итог
+            </Button>
+          )}
+          <button type="button" className="appointment-delete" onClick={handleDelete} title="Удалить встречу">
+            <Trash2 size={16} />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Встречи кандидата
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.candidate - Кандидат
+ * @returns {JSX.Element} Встречи
+ */
+const CandidateAppointments = ({ candidate }) => {
+  const [controller] = useState(() => new AppointmentController());
+  const [appointments, setAppointments] = useState([]);
+
+  const loadAppointments = useCallback(async () => {
+    setAppointments(await controller.getForCandidate(candidate.id));
+  }, [controller, candidate.id]);
+
+  useEffect(() => {
+    loadAppointments();
+
+    const handleRemoteChange = ({ storeName }) => {
+      if (storeName === 'appointments') {
+        loadAppointments();
+      }
+    };
+
+    EventBus.on('appointment:created', loadAppointments);
+    EventBus.on('appointment:updated', loadAppointments);
+    EventBus.on('appointment:deleted', loadAppointments);
+    EventBus.on('undo:done', loadAppointments);
+    EventBus.on('sync:remoteChange', handleRemoteChange);
+
+    return () => {
+      EventBus.off('appointment:created', loadAppointments);
+      EventBus.off('appointment:updated', loadAppointments);
+      EventBus.off('appointment:deleted', loadAppointments);
+      EventBus.off('undo:done', loadAppointments);
+      EventBus.off('sync:remoteChange', handleRemoteChange);
+    };
+  }, [loadAppointments]);
+
+  const handleCreate = async (data) => Boolean(await controller.createAppointment(candidate.id, data));
+
+  return (
+    <div className="candidate-appointments">
+      <AppointmentForm initial={EMPTY_DRAFT} submitLabel="Назначить" onSubmit={handleCreate} />
+
+      <p className="appointment-hint">
+        Кандидату напоминают о встрече за день и за час через WhatsApp или SMS
+      </p>
+
+      <ul className="appointment-list">
+        {appointments.length === 0 && <li className="appointment-empty">Встреч пока нет</li>}
+        {appointments.map(appointment => (
+          <AppointmentItem
+            key={`${appointment.id}-${appointment.version}`}
+            appointment={appointment}
+            controller={controller}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CandidateAppointments;
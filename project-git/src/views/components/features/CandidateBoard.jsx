@@ -0,0 +1,463 @@
+// src/views/components/features/CandidateBoard.jsx
+/**
+ * 🗂️ Доска кандидатов
+ * @description Колонка на каждый статус воронки, перетаскивание карточек
+ * меняет статус через правила воронки. Дорожки по проектам, быстрые фильтры,
+ * большие колонки виртуализируются
+ */
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { useVirtual } from 'react-virtual';
+import { Phone, FileCheck, FileX, Clock } from 'lucide-react';
+
+// Компоненты
+import StatusChangeDialog from './StatusChangeDialog';
+
+// Контроллеры и сервисы
+import CandidateController from '@controllers/CandidateController';
+import PipelineService from '@services/PipelineService';
+import EventBus from '@utils/EventBus';
+
+// Стили
+import './CandidateBoard.css';
+
+// Высота карточки с отступом: от нее считается виртуальная прокрутка
+const CARD_HEIGHT = 96;
+
+// С какого количества карточек колонка виртуализируется
+const VIRTUALIZE_AFTER = 40;
+
+// Дорожка, когда разбиения по проектам нет
+const ALL_LANE = 'all';
+
+// Разделитель дорожки и статуса в ID колонки
+const DROPPABLE_SEPARATOR = '::';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Быстрые фильтры доски
+ */
+const QUICK_FILTERS = [
+  {
+    id: 'withDocuments',
+    label: 'С документами',
+    where: () => ({ documentProcessed: true })
+  },
+  {
+    id: 'withoutDocuments',
+    label: 'Без документов',
+    where: () => ({ documentProcessed: { $ne: true } })
+  },
+  {
+    id: 'urgent',
+    label: 'Срочные',
+    where: () => ({ priority: { $in: ['high', 'urgent'] } })
+  },
+  {
+    id: 'recent',
+    label: 'Новые за неделю',
+    where: () => ({ createdAt: { $gte: new Date(Date.now() - 7 * DAY).toISOString() } })
+  }
+];
+
+/**
+ * Сколько дней кандидат в текущем статусе
+ * @param {Object} candidate - Кандидат
+ * @returns {number} Дней
+ */
+const getDaysInStatus = (candidate) => {
+  const lastChange = (candidate.statusHistory || []).slice(-1)[0];
+  const since = lastChange ? lastChange.timestamp : candidate.createdAt;
+  return Math.floor((Date.now() - new Date(since)) / DAY);
+};
+
+/**
+ * Карточка кандидата на доске
+ * @param {Object} props - Пропсы компонента
+ * @returns {JSX.Element} Карточка
+ */
+const BoardCard = ({ candidate, provided, style, isDragging, onOpen }) => (
+  <div
+    ref={provided.innerRef}
+    {...provided.draggableProps}
+    {...provided.dragHandleProps}
+    style={{ ...provided.draggableProps.style, ...style }}
+    className={`board-card ${isDragging ? 'dragging' : ''} priority-${candidate.priority || 'normal'}`}
+    onDoubleClick={() => onOpen(candidate)}
+  >
+    <div className="board-card-name">{candidate.name}</div>
+    <div className="board-card-meta">
+      <Phone size={12} />
+      {candidate.phone}
+    </div>
+    <div className="board-card-footer">
+      <span className="board-card-project">{candidate.project}</span>
+      <span className="board-card-badges">
+        {candidate.documentProcessed
+          ? <FileCheck size={14} className="board-card-docs" title="Документы получены" />
+          : <FileX size={14} className="board-card-nodocs" title="Нет документов" />}
+        <Clock size={12} />
+        {getDaysInStatus(candidate)} дн.
+      </span>
+    </div>
+  </div>
+);
+
+/**
+ * Колонка статуса в дорожке
+ * @param {Object} props - Пропсы компонента
+ * @returns {JSX.Element} Колонка
+ */
+const BoardColumn = ({ lane, status, candidates, isDropDisabled, onOpen }) => {
+  const parentRef = useRef(null);
+  const isVirtual = candidates.length > VIRTUALIZE_AFTER;
+
+  const virtualizer = useVirtual({
+    size: candidates.length,
+    parentRef,
+    estimateSize: useCallback(() => CARD_HEIGHT, []),
+    overscan: 5
+  });
+
+  // Перетаскиваемая копия нужна виртуальной колонке: исходная карточка может уйти из DOM
+  const renderClone = (provided, snapshot, rubric) => (
+    <BoardCard
+      candidate={candidates[rubric.source.index]}
+      provided={provided}
+      isDragging={snapshot.isDragging}
+      onOpen={onOpen}
+    />
+  );
+
+  return (
+    <Droppable
+      droppableId={`${lane}${DROPPABLE_SEPARATOR}${status}`}
+      type={lane}
+      mode={isVirtual ? 'virtual' : 'standard'}
+      renderClone={renderClone}
+      isDropDisabled={isDropDisabled}
+    >
+      {(provided, snapshot) => (
+        <div
+          ref={(element) => {
+            provided.innerRef(element);
+            parentRef.current = element;
+          }}
+          {...provided.droppableProps}
+          className={`board-column-body ${snapshot.isDraggingOver ? 'drag-over' : ''} ${isDropDisabled ? 'drop-disabled' : ''}`}
+        >
+          {isVirtual ? (
+            <div
+              className="board-column-virtual"
+              style={{ height: virtualizer.totalSize + (snapshot.isUsingPlaceholder ? CARD_HEIGHT : 0) }}
+            >
+              {virtualizer.virtualItems.map(row => {
+                const candidate = candidates[row.index];
+                return (
+                  <Draggable key={candidate.id} draggableId={candidate.id} index={row.index}>
+                    {(dragProvided, dragSnapshot) => (
+                      <BoardCard
+                        candidate={candidate}
+                        provided={dragProvided}
+                        isDragging={dragSnapshot.isDragging}
+                        onOpen={onOpen}
+                        style={{
+                          position: 'absolute',
+                          top: row.start,
+                          left: 0,
+                          right: 0,
+                          height: CARD_HEIGHT - 8
+                        }}
+                      />
+                    )}
+                  </Draggable>
+                );
+              })}
+            </div>
+          ) : (
+            <>
+              {candidates.map((candidate, index) => (
+                <Draggable key={candidate.id} draggableId={candidate.id} index={index}>
+                  {(dragProvided, dragSnapshot) => (
+                    <BoardCard
+                      candidate={candidate}
+                      provided={dragProvided}
+                      isDragging={dragSnapshot.isDragging}
+                      onOpen={onOpen}
+                      style={{ height: CARD_HEIGHT - 8 }}
+                    />
+                  )}
+                </Draggable>
+              ))}
+              {provided.placeholder}
+            </>
+          )}
+        </div>
+      )}
+    </Droppable>
+  );
+};
+
+/**
+ * Доска кандидатов
+ * @param {Object} props - Пропсы компонента
+ * @param {string} props.searchQuery - Строка поиска
+ * @param {string} props.project - Проект ('all' - все)
+ * @param {Function} props.onOpen - Открытие карточки кандидата
+ * @returns {JSX.Element} Доска
+ */
+const CandidateBoard = ({ searchQuery = '', project = 'all', onOpen = () => {} }) => {
+  const [controller] = useState(() => new CandidateController());
+  const [definition, setDefinition] = useState(() => PipelineService.getDefinition());
+  const [candidates, setCandidates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [activeFilters, setActiveFilters] = useState([]);
+  const [showSwimlanes, setShowSwimlanes] = useState(false);
+  const [draggingFrom, setDraggingFrom] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null);
+
+  // Загрузка всех кандидатов по фильтрам (без разбиения на страницы)
+  const loadCandidates = useCallback(async () => {
+    const conditions = [];
+
+    if (searchQuery) {
+      conditions.push({
+        $or: ['name', 'phone', 'project', 'inn', 'snils'].map(field => ({
+          [field]: { $like: searchQuery }
+        }))
+      });
+    }
+    if (project !== 'all') {
+      conditions.push({ project });
+    }
+    QUICK_FILTERS
+      .filter(filter => activeFilters.includes(filter.id))
+      .forEach(filter => conditions.push(filter.where()));
+
+    const { items } = await controller.queryCandidates({
+      where: conditions.length > 0 ? { $and: conditions } : {},
+      sort: [['updatedAt', 'desc']]
+    });
+    setCandidates(items);
+    setIsLoading(false);
+  }, [controller, searchQuery, project, activeFilters]);
+
+  useEffect(() => {
+    const timeout = setTimeout(loadCandidates, searchQuery ? 300 : 0);
+    return () => clearTimeout(timeout);
+  }, [loadCandidates, searchQuery]);
+
+  // Описание воронки могло еще загружаться при первом рендере
+  useEffect(() => {
+    PipelineService.ready.then(() => setDefinition(PipelineService.getDefinition()));
+  }, []);
+
+  // Подписка на изменения кандидатов и воронки
+  useEffect(() => {
+    const handleChanged = () => loadCandidates();
+    const handleRemoteChange = ({ storeName }) => {
+      if (storeName === 'candidates') loadCandidates();
+    };
+    const handlePipelineChanged = async () => {
+      await PipelineService.load();
+      setDefinition(PipelineService.getDefinition());
+    };
+
+    const events = ['candidate:created', 'candidate:updated', 'candidate:deleted', 'candidate:statusChanged', 'undo:done'];
+    events.forEach(event => EventBus.on(event, handleChanged));
+    EventBus.on('sync:remoteChange', handleRemoteChange);
+    EventBus.on('pipeline:changed', handlePipelineChanged);
+
+    return () => {
+      events.forEach(event => EventBus.off(event, handleChanged));
+      EventBus.off('sync:remoteChange', handleRemoteChange);
+      EventBus.off('pipeline:changed', handlePipelineChanged);
+    };
+  }, [loadCandidates]);
+
+  const statuses = definition.statuses;
+
+  // Дорожки: { lane, columns: { [status]: [кандидаты] } }
+  const lanes = useMemo(() => {
+    const byLane = new Map();
+
+    for (const candidate of candidates) {
+      const lane = showSwimlanes ? (candidate.project || 'Без проекта') : ALL_LANE;
+      if (!byLane.has(lane)) {
+        byLane.set(lane, Object.fromEntries(statuses.map(({ name }) => [name, []])));
+      }
+
+      const column = byLane.get(lane)[candidate.status];
+      if (column) {
+        column.push(candidate);
+      }
+    }
+
+    if (byLane.size === 0) {
+      byLane.set(ALL_LANE, Object.fromEntries(statuses.map(({ name }) => [name, []])));
+    }
+
+    return [...byLane.entries()]
+      .sort(([a], [b]) => a.localeCompare(b, 'ru'))
+      .map(([lane, columns]) => ({ lane, columns }));
+  }, [candidates, statuses, showSwimlanes]);
+
+  // Количество кандидатов в каждом статусе по всем дорожкам
+  const counts = useMemo(() => {
+    const result = {};
+    candidates.forEach(({ status }) => {
+      result[status] = (result[status] || 0) + 1;
+    });
+    return result;
+  }, [candidates]);
+
+  const toggleFilter = (filterId) => {
+    setActiveFilters(prev => (
+      prev.includes(filterId) ? prev.filter(id => id !== filterId) : [...prev, filterId]
+    ));
+  };
+
+  // Смена статуса с мгновенным переносом карточки; при ошибке доска перезагружается
+  const moveCandidate = async (candidate, status, options = {}) => {
+    setCandidates(prev => prev.map(item => (item.id === candidate.id ? { ...item, status } : item)));
+
+    const updated = await controller.changeCandidateStatus(candidate.id, status, {
+      ...options,
+      expectedVersion: candidate.version
+    });
+    if (!updated) {
+      loadCandidates();
+    }
+    return updated;
+  };
+
+  const handleDragStart = ({ draggableId }) => {
+    const candidate = candidates.find(item => item.id === draggableId);
+    setDraggingFrom(candidate ? candidate.status : null);
+  };
+
+  const handleDragEnd = ({ draggableId, source, destination }) => {
+    setDraggingFrom(null);
+    if (!destination || destination.droppableId === source.droppableId) return;
+
+    const candidate = candidates.find(item => item.id === draggableId);
+    const status = destination.droppableId.split(DROPPABLE_SEPARATOR)[1];
+    if (!candidate) return;
+
+    const { allowed, message, missingFields, reasonRequired } = PipelineService.checkTransition(candidate, status);
+    if (allowed) {
+      moveCandidate(candidate, status);
+    } else if (missingFields.length > 0 || reasonRequired) {
+      // Причину и недостающие документы спрашиваем перед переносом
+      setPendingMove({ candidate, status });
+    } else {
+      EventBus.emit('notification:warning', message);
+    }
+  };
+
+  const handleConfirmMove = async ({ reason, fields }) => {
+    const { candidate, status } = pendingMove;
+    const updated = await moveCandidate(candidate, status, { reason, fields });
+    if (updated) {
+      setPendingMove(null);
+    }
+  };
+
+  // Колонки, в которые нельзя перенести перетаскиваемую карточку
+  const isDropDisabled = (status) => (
+    !!draggingFrom &&
+    status !== draggingFrom &&
+    !PipelineService.getAllowedTransitions(draggingFrom).includes(status)
+  );
+
+  if (isLoading) {
+    return (
+      <div className="page-loading">
+        <div className="loading-spinner"></div>
+        <p>Загрузка доски...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="candidate-board">
+      <div className="board-toolbar">
+        <div className="board-quick-filters">
+          {QUICK_FILTERS.map(filter => (
+            <button
+              key={filter.id}
+              type="button"
+              className={`board-chip ${activeFilters.includes(filter.id) ? 'active' : ''}`}
+              onClick={() => toggleFilter(filter.id)}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+        <label className="board-swimlanes-toggle">
+          <input
+            type="checkbox"
+            checked={showSwimlanes}
+            onChange={(e) => setShowSwimlanes(e.target.checked)}
+          />
+          Дорожки по проектам
+        </label>
+      </div>
+
+      <DragDropContext onDragStart={handleDragStart} onDragEnd={handleDragEnd}>
+        <div className="board-scroll">
+          <div className="board-header" style={{ gridTemplateColumns: `repeat(${statuses.length}, minmax(220px, 1fr))` }}>
+            {statuses.map(({ name, wipLimit }) => {
+              const count = counts[name] || 0;
+              return (
+                <div key={name} className={`board-column-header ${wipLimit && count > wipLimit ? 'over-limit' : ''}`}>
+                  <span>{name}</span>
+                  <span className="board-wip" title={wipLimit ? 'Кандидатов / лимит' : 'Кандидатов'}>
+                    {count}{wipLimit ? ` / ${wipLimit}` : ''}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+
+          {lanes.map(({ lane, columns }) => (
+            <div key={lane} className="board-lane">
+              {showSwimlanes && (
+                <div className="board-lane-title">
+                  {lane}
+                  <span className="board-wip">
+                    {Object.values(columns).reduce((sum, column) => sum + column.length, 0)}
+                  </span>
+                </div>
+              )}
+              <div className="board-columns" style={{ gridTemplateColumns: `repeat(${statuses.length}, minmax(220px, 1fr))` }}>
+                {statuses.map(({ name }) => (
+                  <BoardColumn
+                    key={name}
+                    lane={lane}
+                    status={name}
+                    candidates={columns[name]}
+                    isDropDisabled={isDropDisabled(name)}
+                    onOpen={onOpen}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </DragDropContext>
+
+      {pendingMove && (
+        <StatusChangeDialog
+          candidate={pendingMove.candidate}
+          status={pendingMove.status}
+          onConfirm={handleConfirmMove}
+          onCancel={() => setPendingMove(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CandidateBoard;
@@ -19,20 +19,44 @@ import {
 
 // Компоненты
 import Button from '../common/Button';
+import ConflictDialog from './ConflictDialog';
+
+// Хранилища
+import { ConflictError } from '@stores/StoreErrors';
 
 // Модели и валидация
 import ValidationModel from '@models/ValidationModel';
+import PipelineService from '@services/PipelineService';
 
 // Стили
 import './CandidateForm.css';
 
 const validator = new ValidationModel();
 
+// Поля, которые сравниваются при конфликте версий
+const CONFLICT_FIELDS = [
+  { name: 'name', label: 'ФИО' },
+  { name: 'phone', label: 'Телефон' },
+  { name: 'email', label: 'Email' },
+  { name: 'project', label: 'Проект' },
+  { name: 'plannedShiftStart', label: 'Плановое начало вахты' },
+  { name: 'passport', label: 'Паспорт' },
+  { name: 'inn', label: 'ИНН' },
+  { name: 'snils', label: 'СНИЛС' },
+  { name: 'birthDate', label: 'Дата рождения' },
+  { name: 'passportIssueDate', label: 'Дата выдачи' },
+  { name: 'passportIssuedBy', label: 'Кем выдан' },
+  { name: 'birthPlace', label: 'Место рождения' },
+  { name: 'registrationAddress', label: 'Адрес регистрации' },
+  { name: 'status', label: 'Статус' }
+];
+
 /**
  * Форма кандидата
  * @param {Object} props - Пропсы компонента
  * @param {Object} props.candidate - Данные кандидата для редактирования
- * @param {Function} props.onSubmit - Обработчик отправки формы
+ * @param {Function} props.onSubmit - Обработчик отправки формы: (data, { expectedVersion }) => Promise;
+ *   при конфликте версий должен пробросить ConflictError
  * @param {Function} props.onCancel - Обработчик отмены
  * @returns {JSX.Element} Форма кандидата
  */
@@ -45,6 +69,7 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
     phone: '',
     email: '',
     project: '',
+    plannedShiftStart: '',
     inn: '',
     snils: '',
     passport: '',
@@ -54,13 +79,18 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
     birthPlace: '',
     registrationAddress: '',
     comment: '',
-    status: 'Новый'
+    status: PipelineService.getInitialStatus(),
+    statusReason: ''
   });
 
   // Состояние ошибок
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Версия записи, на основе которой идет редактирование
+  const [expectedVersion, setExpectedVersion] = useState(null);
+  const [conflict, setConflict] = useState(null);
+
   // Инициализация данных при редактировании
   useEffect(() => {
     if (candidate) {
@@ -69,6 +99,7 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
         phone: candidate.phone || '',
         email: candidate.email || '',
         project: candidate.project || '',
+        plannedShiftStart: candidate.plannedShiftStart ? candidate.plannedShiftStart.split('T')[0] : '',
         inn: candidate.inn || '',
         snils: candidate.snils || '',
         passport: candidate.passport || '',
@@ -77,12 +108,20 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
         passportIssuedBy: candidate.passportIssuedBy || '',
         birthPlace: candidate.birthPlace || '',
         registrationAddress: candidate.registrationAddress || '',
-        comment: candidate.comment || '',
-        status: candidate.status || 'Новый'
+        comment: '',
+        status: candidate.status || PipelineService.getInitialStatus(),
+        statusReason: ''
       });
+      setExpectedVersion(candidate.version || 1);
     }
   }, [candidate]);
 
+  // Статус до редактирования и статусы, в которые воронка разрешает перейти
+  const originalStatus = isEditMode ? candidate.status : PipelineService.getInitialStatus();
+  const statusOptions = [originalStatus, ...PipelineService.getAllowedTransitions(originalStatus)];
+  const isStatusChanged = formData.status !== originalStatus;
+  const targetStatus = PipelineService.getStatus(formData.status);
+
   // Изменение поля формы
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -132,6 +171,25 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
       newErrors.snils = 'Неверный формат СНИЛС';
     }
 
+    // Смена статуса по правилам воронки
+    if (isStatusChanged) {
+      const transition = PipelineService.checkTransition(
+        { ...formData, status: originalStatus },
+        formData.status,
+        formData.statusReason
+      );
+
+      transition.missingFields.forEach(field => {
+        newErrors[field] = newErrors[field] || `Обязательно для статуса «${formData.status}»`;
+      });
+      if (transition.reasonRequired) {
+        newErrors.statusReason = 'Укажите причину';
+      }
+      if (!transition.allowed) {
+        newErrors.status = transition.message;
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -153,6 +211,7 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
         // Преобразуем даты в ISO формат
         birthDate: formData.birthDate ? new Date(formData.birthDate).toISOString() : null,
         passportIssueDate: formData.passportIssueDate ? new Date(formData.passportIssueDate).toISOString() : null,
+        plannedShiftStart: formData.plannedShiftStart ? new Date(formData.plannedShiftStart).toISOString() : null,
         // Обновляем временные метки
         updatedAt: new Date().toISOString()
       };
@@ -161,9 +220,42 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
         dataToSubmit.createdAt = new Date().toISOString();
       }
 
-      await onSubmit(dataToSubmit);
+      await submitData(dataToSubmit, expectedVersion);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Отправка данных с проверкой версии
+  const submitData = async (data, version) => {
+    try {
+      await onSubmit(data, isEditMode ? { expectedVersion: version } : {});
     } catch (error) {
+      if (error instanceof ConflictError) {
+        setConflict({ mine: data, theirs: error.current });
+        return;
+      }
       console.error('Ошибка отправки формы:', error);
+    }
+  };
+
+  // Разрешение конфликта: сохраняем выбранные значения поверх новой версии
+  const handleResolveConflict = async (merged) => {
+    const version = conflict.theirs.version || 1;
+
+    setConflict(null);
+    setExpectedVersion(version);
+    setFormData(prev => ({
+      ...prev,
+      ...Object.fromEntries(CONFLICT_FIELDS.map(({ name }) => [name, merged[name] || ''])),
+      birthDate: merged.birthDate ? merged.birthDate.split('T')[0] : '',
+      passportIssueDate: merged.passportIssueDate ? merged.passportIssueDate.split('T')[0] : '',
+      plannedShiftStart: merged.plannedShiftStart ? merged.plannedShiftStart.split('T')[0] : ''
+    }));
+
+    setIsSubmitting(true);
+    try {
+      await submitData({ ...merged, statusReason: formData.statusReason, updatedAt: new Date().toISOString() }, version);
     } finally {
       setIsSubmitting(false);
     }
@@ -262,6 +354,20 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
             />
             {errors.project && <span className="error-message">{errors.project}</span>}
           </div>
+
+          <div className="form-group">
+            <label htmlFor="plannedShiftStart">
+              <Calendar size={16} />
+              Плановое начало вахты
+            </label>
+            <input
+              type="date"
+              id="plannedShiftStart"
+              name="plannedShiftStart"
+              value={formData.plannedShiftStart}
+              onChange={handleChange}
+            />
+          </div>
         </div>
       </div>
 
@@ -282,7 +388,9 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
               value={formData.passport}
               onChange={handleChange}
               placeholder="1234 567890"
+              className={errors.passport ? 'error' : ''}
             />
+            {errors.passport && <span className="error-message">{errors.passport}</span>}
           </div>
 
           <div className="form-group">
@@ -415,29 +523,49 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
             name="status"
             value={formData.status}
             onChange={handleChange}
+            className={errors.status ? 'error' : ''}
           >
-            <option value="Новый">Новый</option>
-            <option value="Активен">Активен</option>
-            <option value="Молчит">Молчит</option>
-            <option value="Передан">Передан</option>
-            <option value="Доведен">Доведен</option>
-            <option value="Отказ">Отказ</option>
+            {statusOptions.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
           </select>
+          {errors.status && <span className="error-message">{errors.status}</span>}
         </div>
 
-        <div className="form-group full-width">
-          <label htmlFor="comment">
-            Комментарий
-          </label>
-          <textarea
-            id="comment"
-            name="comment"
-            value={formData.comment}
-            onChange={handleChange}
-            placeholder="Дополнительная информация о кандидате..."
-            rows={4}
-          />
-        </div>
+        {isStatusChanged && targetStatus?.requiresReason && (
+          <div className="form-group full-width">
+            <label htmlFor="statusReason" className="required">
+              Причина
+            </label>
+            <textarea
+              id="statusReason"
+              name="statusReason"
+              value={formData.statusReason}
+              onChange={handleChange}
+              placeholder={`Почему кандидат переводится в статус «${formData.status}»`}
+              rows={2}
+              className={errors.statusReason ? 'error' : ''}
+            />
+            {errors.statusReason && <span className="error-message">{errors.statusReason}</span>}
+          </div>
+        )}
+
+        {/* У существующего кандидата комментарии ведутся на вкладке "Комментарии" */}
+        {!isEditMode && (
+          <div className="form-group full-width">
+            <label htmlFor="comment">
+              Комментарий
+            </label>
+            <textarea
+              id="comment"
+              name="comment"
+              value={formData.comment}
+              onChange={handleChange}
+              placeholder="Дополнительная информация о кандидате..."
+              rows={4}
+            />
+          </div>
+        )}
       </div>
 
       {/* Кнопки действий */}
@@ -462,6 +590,17 @@ const CandidateForm = ({ candidate, onSubmit, onCancel }) => {
           {isEditMode ? 'Сохранить изменения' : 'Добавить кандидата'}
         </Button>
       </div>
+
+      {/* Конфликт версий */}
+      {conflict && (
+        <ConflictDialog
+          fields={CONFLICT_FIELDS}
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          onResolve={handleResolveConflict}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </form>
   );
 };
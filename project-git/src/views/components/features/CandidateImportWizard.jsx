@@ -0,0 +1,324 @@
+// src/views/components/features/CandidateImportWizard.jsx
+/**
+ * 📥 Мастер импорта кандидатов
+ * @description Загрузка CSV или XLSX, сопоставление столбцов, проверка строк
+ * с ошибками и дублями, импорт выбранных строк и отчет о пропущенных
+ */
+import React, { useState } from 'react';
+import { Upload, ArrowLeft, ArrowRight, Download, AlertCircle, Copy, CheckCircle } from 'lucide-react';
+
+// Компоненты
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+// Контроллеры
+import ImportController, { IMPORT_FIELDS } from '@controllers/ImportController';
+import { DUPLICATE_REASONS } from '@stores/DuplicateStore';
+
+// Стили
+import './CandidateImportWizard.css';
+
+const STEPS = {
+  UPLOAD: 'upload',
+  MAPPING: 'mapping',
+  PREVIEW: 'preview',
+  RESULT: 'result'
+};
+
+const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'windows-1251': 'Windows-1251'
+};
+
+const DELIMITER_LABELS = {
+  ',': 'запятая',
+  ';': 'точка с запятой',
+  '\t': 'табуляция',
+  '|': 'вертикальная черта'
+};
+
+/**
+ * Мастер импорта кандидатов
+ * @param {Object} props - Пропсы компонента
+ * @param {Function} props.onClose - Закрытие мастера
+ * @returns {JSX.Element} Мастер импорта
+ */
+const CandidateImportWizard = ({ onClose }) => {
+  const [controller] = useState(() => new ImportController());
+  const [step, setStep] = useState(STEPS.UPLOAD);
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [results, setResults] = useState([]);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Чтение файла
+  const handleFileChange = async (event) => {
+    const selected = event.target.files[0];
+    event.target.value = '';
+    if (!selected) return;
+
+    setError(null);
+    setIsBusy(true);
+    try {
+      const parsed = await controller.readFile(selected);
+      setFile({ name: selected.name, ...parsed });
+      setMapping(controller.guessMapping(parsed.headers));
+      setStep(STEPS.MAPPING);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Смена поля столбца: одно поле - один столбец
+  const handleMappingChange = (index, field) => {
+    setMapping(prev => prev.map((current, i) => {
+      if (i === index) return field;
+      return field && current === field ? '' : current;
+    }));
+  };
+
+  // Проверка строк
+  const handlePreview = async () => {
+    setError(null);
+    setIsBusy(true);
+    try {
+      setResults(await controller.preview(file.rows, mapping));
+      setStep(STEPS.PREVIEW);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const toggleRow = (rowNumber) => {
+    setResults(prev => prev.map(row => (
+      row.rowNumber === rowNumber ? { ...row, selected: !row.selected } : row
+    )));
+  };
+
+  // Импорт выбранных строк
+  const handleImport = async () => {
+    setIsBusy(true);
+    const result = await controller.importRows(results);
+    setIsBusy(false);
+
+    if (result) {
+      setReport(result);
+      setStep(STEPS.RESULT);
+    }
+  };
+
+  // Отчет о пропущенных строках
+  const handleDownloadReport = () => {
+    const csv = controller.buildErrorReport(file.headers, report.skipped);
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `import_errors_${new Date().toISOString().split('T')[0]}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const selectedCount = results.filter(row => row.selected && row.errors.length === 0).length;
+  const errorCount = results.filter(row => row.errors.length > 0).length;
+  const duplicateCount = results.filter(row => row.errors.length === 0 && row.duplicates.length > 0).length;
+  // В таблице предпросмотра - только сопоставленные столбцы
+  const mappedColumns = mapping
+    .map((field, index) => ({ field, index }))
+    .filter(({ field }) => field);
+
+  return (
+    <Modal title="Импорт кандидатов" onClose={onClose} size="xl">
+      <div className="import-wizard">
+        {error && (
+          <div className="import-error">
+            <AlertCircle size={18} />
+            {error}
+          </div>
+        )}
+
+        {step === STEPS.UPLOAD && (
+          <div className="import-upload">
+            <p>
+              Файл CSV или XLSX, первая строка - названия столбцов.
+              Кодировка и разделитель определяются автоматически.
+            </p>
+            <label className="import-file">
+              <input
+                type="file"
+                accept=".csv,.txt,.xlsx"
+                onChange={handleFileChange}
+                disabled={isBusy}
+                hidden
+              />
+              <Button variant="primary" as="span" loading={isBusy}>
+                <Upload size={18} />
+                Выбрать файл
+              </Button>
+            </label>
+          </div>
+        )}
+
+        {step === STEPS.MAPPING && (
+          <>
+            <p className="import-info">
+              {file.name}: строк {file.rows.length}
+              {file.encoding && `, кодировка ${ENCODING_LABELS[file.encoding] || file.encoding}`}
+              {file.delimiter && `, разделитель - ${DELIMITER_LABELS[file.delimiter] || file.delimiter}`}
+            </p>
+
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Столбец файла</th>
+                  <th>Пример</th>
+                  <th>Поле кандидата</th>
+                </tr>
+              </thead>
+              <tbody>
+                {file.headers.map((header, index) => (
+                  <tr key={index}>
+                    <td>{header || `Столбец ${index + 1}`}</td>
+                    <td className="import-sample">{file.rows[0][index]}</td>
+                    <td>
+                      <select
+                        value={mapping[index]}
+                        onChange={(e) => handleMappingChange(index, e.target.value)}
+                      >
+                        <option value="">Не импортировать</option>
+                        {Object.entries(IMPORT_FIELDS).map(([field, { label }]) => (
+                          <option key={field} value={field}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="import-actions">
+              <Button variant="secondary" onClick={() => setStep(STEPS.UPLOAD)}>
+                <ArrowLeft size={18} />
+                Другой файл
+              </Button>
+              <Button variant="primary" onClick={handlePreview} loading={isBusy}>
+                Проверить строки
+                <ArrowRight size={18} />
+              </Button>
+            </div>
+          </>
+        )}
+
+        {step === STEPS.PREVIEW && (
+          <>
+            <p className="import-info">
+              Будет импортировано: {selectedCount} • с ошибками: {errorCount} • возможные дубли: {duplicateCount}
+            </p>
+
+            <div className="import-preview">
+              <table className="import-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Строка</th>
+                    {mappedColumns.map(({ field, index }) => (
+                      <th key={index}>{IMPORT_FIELDS[field].label}</th>
+                    ))}
+                    <th>Проверка</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map(row => {
+                    const hasErrors = row.errors.length > 0;
+                    return (
+                      <tr
+                        key={row.rowNumber}
+                        className={hasErrors ? 'import-row-error' : row.duplicates.length > 0 ? 'import-row-duplicate' : ''}
+                      >
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={row.selected && !hasErrors}
+                            disabled={hasErrors}
+                            onChange={() => toggleRow(row.rowNumber)}
+                            aria-label={`Импортировать строку ${row.rowNumber}`}
+                          />
+                        </td>
+                        <td>{row.rowNumber}</td>
+                        {mappedColumns.map(({ index }) => (
+                          <td key={index}>{row.values[index]}</td>
+                        ))}
+                        <td className="import-check">
+                          {row.errors.map(message => (
+                            <span key={message} className="import-message error">
+                              <AlertCircle size={14} />
+                              {message}
+                            </span>
+                          ))}
+                          {row.duplicates.map((duplicate, i) => (
+                            <span key={i} className="import-message duplicate">
+                              <Copy size={14} />
+                              {duplicate.rowNumber ? `Строка ${duplicate.rowNumber}` : duplicate.name}
+                              {' '}({duplicate.reasons.map(reason => DUPLICATE_REASONS[reason]).join(', ')})
+                            </span>
+                          ))}
+                          {!hasErrors && row.duplicates.length === 0 && (
+                            <span className="import-message ok">
+                              <CheckCircle size={14} />
+                              OK
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="import-actions">
+              <Button variant="secondary" onClick={() => setStep(STEPS.MAPPING)}>
+                <ArrowLeft size={18} />
+                К столбцам
+              </Button>
+              <Button
+                variant="primary"
+                onClick={handleImport}
+                loading={isBusy}
+                disabled={selectedCount === 0}
+              >
+                Импортировать {selectedCount}
+              </Button>
+            </div>
+          </>
+        )}
+
+        {step === STEPS.RESULT && (
+          <div className="import-result">
+            <CheckCircle size={48} className="import-result-icon" />
+            <h3>Импортировано кандидатов: {report.imported}</h3>
+            {report.skipped.length > 0 && (
+              <>
+                <p>Пропущено строк: {report.skipped.length}</p>
+                <Button variant="secondary" onClick={handleDownloadReport}>
+                  <Download size={18} />
+                  Скачать отчет о пропущенных строках
+                </Button>
+              </>
+            )}
+            <Button variant="primary" onClick={onClose}>
+              Готово
+            </Button>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default CandidateImportWizard;
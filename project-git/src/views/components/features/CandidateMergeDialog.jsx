@@ -0,0 +1,151 @@
+// src/views/components/features/CandidateMergeDialog.jsx
+/**
+ * 👥 Объединение кандидатов
+ * @description Выбор кандидата, который останется, и значения каждого
+ * различающегося поля. Комментарии, теги и истории складываются
+ */
+import React, { useState } from 'react';
+import { ArrowLeftRight, GitMerge } from 'lucide-react';
+
+// Компоненты
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+// Контроллеры и утилиты
+import { MERGE_FIELDS } from '@controllers/DuplicateController';
+import { DUPLICATE_REASONS } from '@stores/DuplicateStore';
+import { formatDate } from '@utils/dateHelpers';
+
+// Стили
+import './CandidateMergeDialog.css';
+
+// Поля с датой
+const DATE_FIELDS = ['birthDate', 'passportIssueDate'];
+
+/**
+ * Значение поля для показа
+ * @param {string} field - Поле
+ * @param {*} value - Значение
+ * @returns {string} Текст
+ */
+const formatValue = (field, value) => {
+  if (!value) return '—';
+  return DATE_FIELDS.includes(field) ? formatDate(value, 'default') : String(value);
+};
+
+/**
+ * Диалог объединения кандидатов
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.pair - Пара { reasons, candidates: [первый, второй] }
+ * @param {Function} props.onMerge - Объединение: (primaryId, secondaryId, winners) => Promise
+ * @param {Function} props.onClose - Закрытие
+ * @returns {JSX.Element} Диалог
+ */
+const CandidateMergeDialog = ({ pair, onMerge, onClose }) => {
+  // Остается тот, кто появился раньше: на него уже ссылаются чаты и рассылки
+  const [candidates, setCandidates] = useState(() => (
+    [...pair.candidates].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  ));
+  const [choices, setChoices] = useState({});
+  const [isMerging, setIsMerging] = useState(false);
+  const [primary, secondary] = candidates;
+
+  // Выбирать нужно только поля, заполненные у обоих по-разному
+  const conflicts = Object.keys(MERGE_FIELDS).filter(field => (
+    primary[field] && secondary[field] && primary[field] !== secondary[field]
+  ));
+
+  const getChoice = (field) => choices[field] || primary.id;
+
+  const handleMerge = async () => {
+    const winners = Object.fromEntries(conflicts.map(field => [
+      field,
+      getChoice(field) === primary.id ? 'primary' : 'secondary'
+    ]));
+
+    setIsMerging(true);
+    try {
+      await onMerge(primary.id, secondary.id, winners);
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <Modal title="Объединение кандидатов" onClose={onClose} size="lg">
+      <div className="merge-dialog">
+        <p className="merge-reasons">
+          Совпадают: {pair.reasons.map(reason => DUPLICATE_REASONS[reason] || reason).join(', ')}
+        </p>
+
+        <table className="merge-table">
+          <thead>
+            <tr>
+              <th>Поле</th>
+              <th>
+                Останется
+                <span className="merge-candidate">{primary.name}</span>
+              </th>
+              <th>
+                Уйдет в корзину
+                <span className="merge-candidate">{secondary.name}</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(MERGE_FIELDS).map(([field, label]) => {
+              const isConflict = conflicts.includes(field);
+              const value = primary[field] || secondary[field];
+
+              return (
+                <tr key={field} className={isConflict ? 'merge-conflict' : ''}>
+                  <td>{label}</td>
+                  {isConflict ? (
+                    candidates.map(candidate => (
+                      <td key={candidate.id}>
+                        <label className="merge-choice">
+                          <input
+                            type="radio"
+                            name={`merge-${field}`}
+                            checked={getChoice(field) === candidate.id}
+                            onChange={() => setChoices(prev => ({ ...prev, [field]: candidate.id }))}
+                          />
+                          {formatValue(field, candidate[field])}
+                        </label>
+                      </td>
+                    ))
+                  ) : (
+                    <td colSpan={2} className="merge-same">{formatValue(field, value)}</td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <p className="merge-hint">
+          Комментарии, теги, история статусов и активности объединятся. Чат WhatsApp
+          и рассылки перейдут к оставшемуся кандидату. Объединение можно отменить.
+        </p>
+
+        <div className="merge-actions">
+          <Button variant="secondary" onClick={() => setCandidates([secondary, primary])}>
+            <ArrowLeftRight size={18} />
+            Поменять местами
+          </Button>
+          <div className="merge-actions-main">
+            <Button variant="secondary" onClick={onClose}>
+              Отмена
+            </Button>
+            <Button variant="primary" onClick={handleMerge} loading={isMerging}>
+              <GitMerge size={18} />
+              Объединить
+            </Button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default CandidateMergeDialog;
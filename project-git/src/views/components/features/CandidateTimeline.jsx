@@ -0,0 +1,143 @@
+// src/views/components/features/CandidateTimeline.jsx
+/**
+ * 🕓 Хронология кандидата
+ * @description Все события кандидата одной лентой с фильтром по типам
+ * и выгрузкой в PDF для передачи на первую линию
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  ArrowDownLeft,
+  ArrowUpRight,
+  GitBranch,
+  ScanLine,
+  Bell,
+  Mail,
+  MessageSquare,
+  FileDown
+} from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры и утилиты
+import TimelineController from '@controllers/TimelineController';
+import { TIMELINE_TYPES } from '@stores/TimelineStore';
+import EventBus from '@utils/EventBus';
+import { formatDate } from '@utils/dateHelpers';
+
+// Стили
+import './CandidateTimeline.css';
+
+// Иконки типов событий
+const TYPE_ICONS = {
+  message_in: ArrowDownLeft,
+  message_out: ArrowUpRight,
+  status: GitBranch,
+  ocr: ScanLine,
+  reminder: Bell,
+  mailing: Mail,
+  comment: MessageSquare
+};
+
+// События, после которых хронологию нужно перечитать
+const RELOAD_EVENTS = ['candidate:updated', 'comment:added', 'comment:updated', 'timeline:created', 'undo:done'];
+
+/**
+ * Хронология кандидата
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.candidate - Кандидат
+ * @returns {JSX.Element} Хронология
+ */
+const CandidateTimeline = ({ candidate }) => {
+  const [controller] = useState(() => new TimelineController());
+  const [entries, setEntries] = useState([]);
+  const [hiddenTypes, setHiddenTypes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadTimeline = useCallback(async () => {
+    setEntries(await controller.getTimeline(candidate.id));
+    setIsLoading(false);
+  }, [controller, candidate.id]);
+
+  useEffect(() => {
+    loadTimeline();
+
+    const handleRemoteChange = ({ storeName }) => {
+      if (storeName === 'candidates' || storeName === 'timeline') {
+        loadTimeline();
+      }
+    };
+
+    RELOAD_EVENTS.forEach(event => EventBus.on(event, loadTimeline));
+    EventBus.on('sync:remoteChange', handleRemoteChange);
+
+    return () => {
+      RELOAD_EVENTS.forEach(event => EventBus.off(event, loadTimeline));
+      EventBus.off('sync:remoteChange', handleRemoteChange);
+    };
+  }, [loadTimeline]);
+
+  const toggleType = (type) => {
+    setHiddenTypes(prev => (
+      prev.includes(type) ? prev.filter(item => item !== type) : [...prev, type]
+    ));
+  };
+
+  const visible = entries.filter(entry => !hiddenTypes.includes(entry.type));
+  const counts = entries.reduce((acc, entry) => ({ ...acc, [entry.type]: (acc[entry.type] || 0) + 1 }), {});
+
+  return (
+    <div className="candidate-timeline">
+      <div className="timeline-toolbar">
+        <div className="timeline-filters">
+          {Object.entries(TIMELINE_TYPES).map(([type, label]) => (
+            <label key={type} className="timeline-filter">
+              <input
+                type="checkbox"
+                checked={!hiddenTypes.includes(type)}
+                onChange={() => toggleType(type)}
+              />
+              {label} ({counts[type] || 0})
+            </label>
+          ))}
+        </div>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => controller.exportPdf(candidate, visible)}
+          disabled={visible.length === 0}
+        >
+          <FileDown size={16} />
+          PDF
+        </Button>
+      </div>
+
+      <ul className="timeline-list">
+        {!isLoading && visible.length === 0 && (
+          <li className="timeline-empty">Событий нет</li>
+        )}
+        {visible.map(entry => {
+          const Icon = TYPE_ICONS[entry.type] || MessageSquare;
+          return (
+            <li key={entry.id} className={`timeline-item timeline-${entry.type} ${entry.failed ? 'failed' : ''}`}>
+              <span className="timeline-icon"><Icon size={16} /></span>
+              <div className="timeline-body">
+                <div className="timeline-header">
+                  <strong>{entry.title}</strong>
+                  {entry.author && <span className="timeline-author">{entry.author}</span>}
+                  <span className="timeline-date">{formatDate(entry.timestamp, 'full')}</span>
+                </div>
+                {entry.text && <p className="timeline-text">{entry.text}</p>}
+                {entry.details.length > 0 && (
+                  <div className="timeline-details">{entry.details.join(' · ')}</div>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default CandidateTimeline;
@@ -7,8 +7,47 @@ import React, { useState, useEffect } from 'react';
 import { Edit, Trash2, MessageCircle, FileText, User } from 'lucide-react';
 import Button from '../common/button.jsx';
 import Modal from '../common/Modal.jsx';
+import AuditHistory from './AuditHistory.jsx';
+import ScoreBreakdown from './ScoreBreakdown.jsx';
+import DocumentChecklist, { DocumentProgress } from './DocumentChecklist.jsx';
+import CandidateAppointments from './CandidateAppointments.jsx';
+import CommentThread from './CommentThread.jsx';
+import CandidateTimeline from './CandidateTimeline.jsx';
+import ScoringService from '@services/ScoringService';
+import { getEntityComments, getLatestComment } from '@services/CommentService';
 import './CandidateView.css';
 
+// Названия полей кандидата для истории изменений
+const FIELD_LABELS = {
+  name: 'ФИО',
+  phone: 'Телефон',
+  email: 'Email',
+  project: 'Проект',
+  status: 'Статус',
+  passport: 'Паспорт',
+  inn: 'ИНН',
+  snils: 'СНИЛС',
+  birthDate: 'Дата рождения',
+  passportIssueDate: 'Дата выдачи паспорта',
+  passportIssuedBy: 'Кем выдан',
+  birthPlace: 'Место рождения',
+  registrationAddress: 'Адрес регистрации',
+  documents: 'Документы',
+  plannedShiftStart: 'Плановое начало вахты',
+  comment: 'Комментарий',
+  comments: 'Комментарии',
+  chatId: 'Chat ID',
+  lastReply: 'Последний ответ',
+  silentSince: 'Молчит с',
+  transferredAt: 'Передан на 1-ю',
+  transferReason: 'Причина передачи',
+  completedAt: 'Доведен',
+  smsAttempts: 'Попытки SMS',
+  documentProcessed: 'Документы обработаны',
+  documentError: 'Ошибка OCR',
+  isDeleted: 'Удален'
+};
+
 /**
  * Компонент карточки кандидата
  * @param {Object} props - Пропсы компонента
@@ -27,6 +66,8 @@ const CandidateView = ({
 }) => {
   const [isExpanded, setIsExpanded] = useState(expanded);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [detailsTab, setDetailsTab] = useState('details');
+  const latestComment = getLatestComment(getEntityComments('candidates', candidate));
 
   /**
    * Получение класса статуса
@@ -82,7 +123,7 @@ const CandidateView = ({
    * Обработчик удаления
    */
   const handleDelete = () => {
-    if (window.confirm('Вы уверены, что хотите удалить этого кандидата?')) {
+    if (window.confirm('Переместить кандидата в корзину?')) {
       onDelete(candidate.id);
     }
   };
@@ -139,12 +180,17 @@ const CandidateView = ({
               <label>Последний ответ:</label>
               <span>{formatDate(candidate.lastReply)}</span>
             </div>
+
+            <div className="detail-item">
+              <label>Документы:</label>
+              <DocumentProgress candidate={candidate} />
+            </div>
           </div>
 
-          {candidate.comment && (
+          {latestComment && (
             <div className="candidate-comment">
-              <label>Комментарий:</label>
-              <p>{candidate.comment}</p>
+              <label>{latestComment.pinned ? 'Закреплено' : 'Комментарий'}:</label>
+              <p>{latestComment.author && `${latestComment.author}: `}{latestComment.text}</p>
             </div>
           )}
 
@@ -236,10 +282,63 @@ const CandidateView = ({
       {showDetailsModal && (
         <Modal
           title={`Детали кандидата: ${candidate.name}`}
-          onClose={() => setShowDetailsModal(false)}
+          onClose={() => {
+            setShowDetailsModal(false);
+            setDetailsTab('details');
+          }}
           size="lg"
         >
-          <CandidateDetailsView candidate={candidate} />
+          <div className="details-tabs">
+            <button
+              className={`details-tab ${detailsTab === 'details' ? 'active' : ''}`}
+              onClick={() => setDetailsTab('details')}
+            >
+              Детали
+            </button>
+            <button
+              className={`details-tab ${detailsTab === 'documents' ? 'active' : ''}`}
+              onClick={() => setDetailsTab('documents')}
+            >
+              Документы
+            </button>
+            <button
+              className={`details-tab ${detailsTab === 'appointments' ? 'active' : ''}`}
+              onClick={() => setDetailsTab('appointments')}
+            >
+              Встречи
+            </button>
+            <button
+              className={`details-tab ${detailsTab === 'comments' ? 'active' : ''}`}
+              onClick={() => setDetailsTab('comments')}
+            >
+              Комментарии
+            </button>
+            <button
+              className={`details-tab ${detailsTab === 'timeline' ? 'active' : ''}`}
+              onClick={() => setDetailsTab('timeline')}
+            >
+              Хронология
+            </button>
+            <button
+              className={`details-tab ${detailsTab === 'history' ? 'active' : ''}`}
+              onClick={() => setDetailsTab('history')}
+            >
+              История
+            </button>
+          </div>
+
+          {detailsTab === 'details' && <CandidateDetailsView candidate={candidate} />}
+          {detailsTab === 'documents' && <DocumentChecklist candidate={candidate} />}
+          {detailsTab === 'appointments' && <CandidateAppointments candidate={candidate} />}
+          {detailsTab === 'comments' && <CommentThread entityType="candidates" entity={candidate} />}
+          {detailsTab === 'timeline' && <CandidateTimeline candidate={candidate} />}
+          {detailsTab === 'history' && (
+            <AuditHistory
+              entityType="candidates"
+              entityId={candidate.id}
+              fieldLabels={FIELD_LABELS}
+            />
+          )}
         </Modal>
       )}
     </>
@@ -253,8 +352,17 @@ const CandidateView = ({
  * @returns {JSX.Element} Детальный вид кандидата
  */
 const CandidateDetailsView = ({ candidate }) => {
+  const { score, breakdown } = ScoringService.score(candidate);
+
   return (
     <div className="candidate-details-view">
+      <div className="details-section">
+        <h4>Оценка кандидата</h4>
+        <div className="details-content">
+          <ScoreBreakdown score={score} breakdown={breakdown} />
+        </div>
+      </div>
+
       <div className="details-section">
         <h4>Личная информация</h4>
         <div className="details-content">
@@ -352,17 +460,6 @@ const CandidateDetailsView = ({ candidate }) => {
           )}
         </div>
       </div>
-
-      {candidate.comment && (
-        <div className="details-section">
-          <h4>Комментарии</h4>
-          <div className="details-content">
-            <div className="comment-content">
-              {candidate.comment}
-            </div>
-          </div>
-        </div>
-      )}
     </div>
   );
 };
@@ -0,0 +1,81 @@
+// src/views/components/features/CheckpointCompliance.jsx
+/**
+ * 📊 Соблюдение КТ по объектам
+ * @description Доля КТ, на которые вахтовики ответили в срок, по объектам
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { MapPin } from 'lucide-react';
+
+// Утилиты
+import EventBus from '@utils/EventBus';
+
+// Стили
+import './CheckpointHistory.css';
+
+// Ниже этой доли объект выделяется
+const LOW_RATE = 80;
+
+/**
+ * Таблица соблюдения КТ по объектам
+ * @param {Object} props - Пропсы компонента
+ * @param {ShiftWorkerController} props.controller - Контроллер страницы вахтовиков
+ * @returns {JSX.Element|null} Таблица или null, пока КТ нет
+ */
+const CheckpointCompliance = ({ controller }) => {
+  const [rows, setRows] = useState([]);
+
+  const loadRows = useCallback(async () => {
+    setRows(await controller.getCheckpointCompliance());
+  }, [controller]);
+
+  useEffect(() => {
+    loadRows();
+
+    EventBus.on('checkpointLog:created', loadRows);
+    EventBus.on('checkpointLog:updated', loadRows);
+    return () => {
+      EventBus.off('checkpointLog:created', loadRows);
+      EventBus.off('checkpointLog:updated', loadRows);
+    };
+  }, [loadRows]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="checkpoint-compliance">
+      <h3>Соблюдение КТ по объектам</h3>
+      <table className="checkpoint-compliance-table">
+        <thead>
+          <tr>
+            <th>Объект</th>
+            <th>Всего КТ</th>
+            <th>Ответили</th>
+            <th>Пропущено</th>
+            <th>Ожидают</th>
+            <th>Соблюдение</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.object}>
+              <td>
+                <MapPin size={14} /> {row.object}
+              </td>
+              <td>{row.total}</td>
+              <td>{row.answered}</td>
+              <td>{row.missed}</td>
+              <td>{row.pending}</td>
+              <td className={row.rate !== null && row.rate < LOW_RATE ? 'checkpoint-compliance-low' : ''}>
+                {row.rate === null ? '—' : `${row.rate}%`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default CheckpointCompliance;
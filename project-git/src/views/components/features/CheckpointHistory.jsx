@@ -0,0 +1,168 @@
+// src/views/components/features/CheckpointHistory.jsx
+/**
+ * 📋 История контрольных точек вахтовика
+ * @description Журнал КТ: назначение, срок, сообщения, ответ и действия СО,
+ * а для КТ, ожидающей ответа, - запись нового действия
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Хранилища и утилиты
+import { CHECKPOINT_STATUSES, CHECKPOINT_MESSAGES } from '@stores/CheckpointLogStore';
+import EventBus from '@utils/EventBus';
+import { formatDate } from '@utils/dateHelpers';
+
+// Стили
+import './CheckpointHistory.css';
+
+// Классы строк по состоянию КТ
+const STATUS_CLASSES = {
+  [CHECKPOINT_STATUSES.PENDING]: 'pending',
+  [CHECKPOINT_STATUSES.ANSWERED]: 'answered',
+  [CHECKPOINT_STATUSES.MISSED]: 'missed',
+  [CHECKPOINT_STATUSES.REPLACED]: 'replaced'
+};
+
+/**
+ * История КТ вахтовика
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.worker - Вахтовик
+ * @param {ShiftWorkerController} props.controller - Контроллер страницы вахтовиков
+ * @returns {JSX.Element} Таблица КТ
+ */
+const CheckpointHistory = ({ worker, controller }) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [actionText, setActionText] = useState('');
+
+  const loadEntries = useCallback(async () => {
+    setEntries(await controller.getCheckpointHistory(worker.id));
+    setIsLoading(false);
+  }, [controller, worker.id]);
+
+  useEffect(() => {
+    loadEntries();
+
+    const handleChanged = (data) => {
+      if (!data || data.workerId === worker.id || data.id === worker.id) {
+        loadEntries();
+      }
+    };
+
+    EventBus.on('checkpointLog:created', loadEntries);
+    EventBus.on('checkpointLog:updated', loadEntries);
+    EventBus.on('shiftWorker:updated', handleChanged);
+    return () => {
+      EventBus.off('checkpointLog:created', loadEntries);
+      EventBus.off('checkpointLog:updated', loadEntries);
+      EventBus.off('shiftWorker:updated', handleChanged);
+    };
+  }, [loadEntries, worker.id]);
+
+  const handleAddAction = async (e) => {
+    e.preventDefault();
+    if (await controller.recordCheckpointAction(worker.id, actionText)) {
+      setActionText('');
+      loadEntries();
+    }
+  };
+
+  if (isLoading) {
+    return <p className="checkpoint-history-empty">Загрузка истории КТ...</p>;
+  }
+
+  if (entries.length === 0) {
+    return <p className="checkpoint-history-empty">КТ вахтовику еще не назначались</p>;
+  }
+
+  const answered = entries.filter(entry => entry.status === CHECKPOINT_STATUSES.ANSWERED).length;
+  const missed = entries.filter(entry => entry.status === CHECKPOINT_STATUSES.MISSED).length;
+  const hasPending = entries.some(entry => entry.status === CHECKPOINT_STATUSES.PENDING);
+
+  return (
+    <div className="checkpoint-history">
+      <p className="checkpoint-history-summary">
+        Всего КТ: {entries.length} | Ответил: {answered} | Пропущено: {missed}
+        {answered + missed > 0 && ` | Соблюдение: ${Math.round((answered / (answered + missed)) * 100)}%`}
+      </p>
+
+      <table className="checkpoint-history-table">
+        <thead>
+          <tr>
+            <th>КТ</th>
+            <th>Назначена</th>
+            <th>Срок</th>
+            <th>Сообщения</th>
+            <th>Ответ</th>
+            <th>Статус</th>
+            <th>Действия СО</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(entry => (
+            <tr key={entry.id} className={`checkpoint-row-${STATUS_CLASSES[entry.status] || 'pending'}`}>
+              <td>
+                <strong>{entry.checkpoint}</strong>
+                <br />
+                <small>{entry.object}</small>
+              </td>
+              <td>
+                {formatDate(entry.assignedAt, 'default')}
+                <br />
+                <small>{entry.assignedBy}</small>
+              </td>
+              <td>{formatDate(entry.deadline, 'full')}</td>
+              <td>
+                {entry.messages.length === 0 ? '—' : entry.messages.map(message => (
+                  <div key={message.at}>
+                    <small>
+                      {CHECKPOINT_MESSAGES[message.kind] || message.kind}, {formatDate(message.at, 'default')}
+                      {!message.success && ' (не доставлено)'}
+                    </small>
+                  </div>
+                ))}
+              </td>
+              <td>
+                {entry.response || '—'}
+                {entry.respondedAt && (
+                  <>
+                    <br />
+                    <small>{formatDate(entry.respondedAt, 'full')}</small>
+                  </>
+                )}
+              </td>
+              <td>{entry.status}</td>
+              <td>
+                {entry.actions.length === 0 ? '—' : entry.actions.map(action => (
+                  <div key={action.at}>
+                    <small>{formatDate(action.at, 'default')}, {action.by}:</small> {action.text}
+                  </div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {hasPending && (
+        <form className="checkpoint-history-action" onSubmit={handleAddAction}>
+          <input
+            type="text"
+            value={actionText}
+            onChange={(e) => setActionText(e.target.value)}
+            placeholder="Действие СО по текущей КТ: позвонил, написал бригадиру..."
+          />
+          <Button type="submit" variant="secondary" size="sm" disabled={!actionText.trim()}>
+            <Plus size={16} />
+            Записать
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default CheckpointHistory;
@@ -0,0 +1,280 @@
+// src/views/components/features/CommentThread.jsx
+/**
+ * 💬 Комментарии записи
+ * @description Лента комментариев кандидата или вахтовика: закрепленные сверху,
+ * правка с историей, вложения и @упоминания коллег
+ */
+import React, { useState } from 'react';
+import { Pin, PinOff, Edit, History, Paperclip, Send, AtSign } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры и утилиты
+import CommentController from '@controllers/CommentController';
+import { getEntityComments } from '@services/CommentService';
+import { formatDate } from '@utils/dateHelpers';
+
+// Стили
+import './CommentThread.css';
+
+/**
+ * Текст комментария с выделенными упоминаниями
+ * @param {Object} props - Пропсы компонента
+ * @param {string} props.text - Текст
+ * @param {Array<string>} props.mentions - Упомянутые коллеги
+ * @returns {JSX.Element} Текст
+ */
+const CommentText = ({ text, mentions = [] }) => {
+  if (mentions.length === 0) {
+    return <p className="comment-text">{text}</p>;
+  }
+
+  const escaped = mentions.map(name => `@${name}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const parts = text.split(new RegExp(`(${escaped.join('|')})`, 'gi'));
+
+  return (
+    <p className="comment-text">
+      {parts.map((part, index) => (
+        index % 2 === 1 ? <mark key={index} className="comment-mention">{part}</mark> : part
+      ))}
+    </p>
+  );
+};
+
+/**
+ * Поле ввода комментария с кнопками упоминания коллег
+ * @param {Object} props - Пропсы компонента
+ * @param {string} props.value - Текст
+ * @param {Function} props.onChange - Изменение текста
+ * @param {Array<string>} props.colleagues - Коллеги
+ * @returns {JSX.Element} Поле ввода
+ */
+const CommentInput = ({ value, onChange, colleagues }) => (
+  <div className="comment-input">
+    <textarea
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      rows={3}
+      placeholder="Комментарий. Коллегу можно упомянуть через @"
+    />
+    {colleagues.length > 0 && (
+      <div className="comment-colleagues">
+        <AtSign size={14} />
+        {colleagues.map(name => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => onChange(`${value}${value && !value.endsWith(' ') ? ' ' : ''}@${name} `)}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * Комментарий
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.comment - Комментарий
+ * @param {CommentController} props.controller - Контроллер комментариев
+ * @param {Array<string>} props.colleagues - Коллеги
+ * @param {Function} props.onEdit - Сохранение правки: (comment, text) => Promise<boolean>
+ * @param {Function} props.onPin - Закрепление: (comment) => Promise
+ * @returns {JSX.Element} Комментарий
+ */
+const CommentItem = ({ comment, controller, colleagues, onEdit, onPin }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [text, setText] = useState(comment.text);
+  const [isSaving, setIsSaving] = useState(false);
+  const history = comment.history || [];
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onEdit(comment, text);
+    setIsSaving(false);
+    if (saved) {
+      setIsEditing(false);
+    }
+  };
+
+  const handleOpenAttachment = async (fileId) => {
+    const stored = await controller.getAttachment(fileId);
+    if (stored) {
+      const link = document.createElement('a');
+      link.href = stored.data;
+      link.download = stored.name;
+      link.click();
+    }
+  };
+
+  return (
+    <li className={`comment-item ${comment.pinned ? 'pinned' : ''}`}>
+      <div className="comment-header">
+        <strong>{comment.author || 'Без автора'}</strong>
+        <span className="comment-date">{formatDate(comment.createdAt, 'full')}</span>
+        {comment.updatedAt && (
+          <span className="comment-edited" title={`Изменен ${formatDate(comment.updatedAt, 'full')}`}>
+            изменен
+          </span>
+        )}
+        <div className="comment-tools">
+          {history.length > 0 && (
+            <button type="button" onClick={() => setShowHistory(prev => !prev)} title="История правок">
+              <History size={14} />
+            </button>
+          )}
+          {controller.canEdit(comment) && !isEditing && (
+            <button type="button" onClick={() => setIsEditing(true)} title="Изменить">
+              <Edit size={14} />
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => onPin(comment)}
+            title={comment.pinned ? 'Открепить' : 'Закрепить'}
+          >
+            {comment.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+          </button>
+        </div>
+      </div>
+
+      {isEditing ? (
+        <div className="comment-edit">
+          <CommentInput value={text} onChange={setText} colleagues={colleagues} />
+          <div className="comment-edit-actions">
+            <Button variant="secondary" size="sm" onClick={() => {
+              setText(comment.text);
+              setIsEditing(false);
+            }}>
+              Отмена
+            </Button>
+            <Button variant="primary" size="sm" onClick={handleSave} loading={isSaving}>
+              Сохранить
+            </Button>
+          </div>
+        </div>
+      ) : (
+        comment.text && <CommentText text={comment.text} mentions={comment.mentions} />
+      )}
+
+      {(comment.attachments || []).length > 0 && (
+        <div className="comment-attachments">
+          {comment.attachments.map(file => (
+            <button key={file.id} type="button" onClick={() => handleOpenAttachment(file.id)}>
+              <Paperclip size={14} />
+              {file.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {showHistory && (
+        <ul className="comment-history">
+          {[...history].reverse().map((item, index) => (
+            <li key={index}>
+              <span>{item.changedBy || 'Без автора'}, {formatDate(item.changedAt, 'full')}</span>
+              <p>{item.text}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Комментарии записи
+ * @param {Object} props - Пропсы компонента
+ * @param {string} props.entityType - Хранилище записи (candidates, shiftWorkers)
+ * @param {Object} props.entity - Кандидат или вахтовик
+ * @returns {JSX.Element} Комментарии
+ */
+const CommentThread = ({ entityType, entity }) => {
+  const [controller] = useState(() => new CommentController());
+  const [colleagues] = useState(() => controller.getColleagues());
+  const [text, setText] = useState('');
+  const [files, setFiles] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const comments = getEntityComments(entityType, entity);
+  const pinned = comments.filter(comment => comment.pinned);
+  const others = comments.filter(comment => !comment.pinned);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    const updated = await controller.addComment(entityType, entity.id, text, {
+      files,
+      expectedVersion: entity.version
+    });
+    setIsSending(false);
+    if (updated) {
+      setText('');
+      setFiles([]);
+      setFileInputKey(prev => prev + 1);
+    }
+  };
+
+  const handleEdit = async (comment, newText) => Boolean(
+    await controller.editComment(entityType, entity.id, comment, newText, { expectedVersion: entity.version })
+  );
+
+  const handlePin = (comment) => (
+    controller.pinComment(entityType, entity.id, comment.id, !comment.pinned, { expectedVersion: entity.version })
+  );
+
+  const renderList = (list) => list.map(comment => (
+    <CommentItem
+      key={`${comment.id}-${comment.updatedAt || ''}`}
+      comment={comment}
+      controller={controller}
+      colleagues={colleagues}
+      onEdit={handleEdit}
+      onPin={handlePin}
+    />
+  ));
+
+  return (
+    <div className="comment-thread">
+      {pinned.length > 0 && (
+        <ul className="comment-list comment-pinned">{renderList(pinned)}</ul>
+      )}
+
+      <ul className="comment-list">
+        {others.length === 0 && pinned.length === 0 && (
+          <li className="comment-empty">Комментариев пока нет</li>
+        )}
+        {renderList(others)}
+      </ul>
+
+      <form className="comment-form" onSubmit={handleSubmit}>
+        <CommentInput value={text} onChange={setText} colleagues={colleagues} />
+        <div className="comment-form-actions">
+          <label className="comment-upload">
+            <input
+              key={fileInputKey}
+              type="file"
+              multiple
+              onChange={(e) => setFiles(Array.from(e.target.files))}
+            />
+            <Button variant="secondary" size="sm" as="span">
+              <Paperclip size={16} />
+              {files.length > 0 ? `Файлов: ${files.length}` : 'Прикрепить'}
+            </Button>
+          </label>
+          <Button variant="primary" size="sm" type="submit" loading={isSending}>
+            <Send size={16} />
+            Отправить
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,144 @@
+// src/views/components/features/ConflictDialog.jsx
+/**
+ * ⚔️ Диалог конфликта версий
+ * @description Показывает сохраненную и редактируемую версии записи по полям
+ * и позволяет выбрать, какое значение оставить
+ */
+import React, { useState, useMemo } from 'react';
+import { AlertTriangle, Check, X } from 'lucide-react';
+
+// Компоненты
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+// Стили
+import './ConflictDialog.css';
+
+/**
+ * Приведение значения поля к строке для сравнения и отображения
+ * @param {*} value - Значение поля
+ * @returns {string} Строковое представление
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString('ru-RU');
+  }
+  return String(value);
+};
+
+/**
+ * Диалог конфликта версий
+ * @param {Object} props - Пропсы компонента
+ * @param {Array<{name: string, label: string}>} props.fields - Поля для сравнения
+ * @param {Object} props.mine - Изменения пользователя
+ * @param {Object} props.theirs - Текущая сохраненная версия
+ * @param {Function} props.onResolve - Обработчик применения: (merged) => void
+ * @param {Function} props.onCancel - Обработчик отмены
+ * @returns {JSX.Element} Диалог конфликта
+ */
+const ConflictDialog = ({ fields, mine, theirs, onResolve, onCancel }) => {
+  // Поля, значения которых различаются
+  const conflicts = useMemo(() => fields.filter(({ name }) =>
+    formatValue(mine[name]) !== formatValue(theirs[name])
+  ), [fields, mine, theirs]);
+
+  // По умолчанию сохраняем изменения пользователя
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflicts.map(({ name }) => [name, 'mine']))
+  );
+
+  // Выбор версии для всех полей
+  const chooseAll = (side) => {
+    setChoices(Object.fromEntries(conflicts.map(({ name }) => [name, side])));
+  };
+
+  // Применение выбранных значений
+  const handleResolve = () => {
+    const merged = { ...mine };
+    conflicts.forEach(({ name }) => {
+      if (choices[name] === 'theirs') {
+        merged[name] = theirs[name];
+      }
+    });
+    onResolve(merged);
+  };
+
+  return (
+    <Modal title="Конфликт изменений" onClose={onCancel} size="lg">
+      <div className="conflict-dialog">
+        <div className="conflict-warning">
+          <AlertTriangle size={20} />
+          <p>
+            Пока вы редактировали запись, ее изменили в другом месте
+            {theirs.metadata?.lastModifiedBy ? ` (${theirs.metadata.lastModifiedBy})` : ''}.
+            Выберите, какие значения сохранить.
+          </p>
+        </div>
+
+        {conflicts.length === 0 ? (
+          <p className="conflict-empty">
+            Различий в редактируемых полях нет, изменения можно сохранить поверх новой версии.
+          </p>
+        ) : (
+          <table className="conflict-table">
+            <thead>
+              <tr>
+                <th>Поле</th>
+                <th>
+                  <button type="button" className="conflict-choose-all" onClick={() => chooseAll('mine')}>
+                    Ваша версия
+                  </button>
+                </th>
+                <th>
+                  <button type="button" className="conflict-choose-all" onClick={() => chooseAll('theirs')}>
+                    Сохраненная версия
+                  </button>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {conflicts.map(({ name, label }) => (
+                <tr key={name}>
+                  <td className="conflict-field">{label}</td>
+                  {['mine', 'theirs'].map(side => (
+                    <td
+                      key={side}
+                      className={`conflict-value ${choices[name] === side ? 'selected' : ''}`}
+                      onClick={() => setChoices(prev => ({ ...prev, [name]: side }))}
+                    >
+                      <label>
+                        <input
+                          type="radio"
+                          name={`conflict-${name}`}
+                          checked={choices[name] === side}
+                          onChange={() => setChoices(prev => ({ ...prev, [name]: side }))}
+                        />
+                        <span>
+                          {formatValue(side === 'mine' ? mine[name] : theirs[name]) || '—'}
+                        </span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="conflict-actions">
+          <Button variant="secondary" onClick={onCancel}>
+            <X size={20} />
+            Отмена
+          </Button>
+          <Button variant="primary" onClick={handleResolve}>
+            <Check size={20} />
+            Сохранить выбранное
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,202 @@
+// src/views/components/features/DocumentChecklist.jsx
+/**
+ * 📑 Пакет документов кандидата
+ * @description Обязательные документы проекта: статус, номер, даты выдачи
+ * и окончания, исходное изображение. Истекающие до вахты документы выделены
+ */
+import React, { useState } from 'react';
+import { AlertTriangle, Image, Save, Upload } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры и сервисы
+import DocumentController from '@controllers/DocumentController';
+import DocumentService, { DOCUMENT_STATUSES, DOCUMENT_STATUS_LABELS } from '@services/DocumentService';
+import { formatDate } from '@utils/dateHelpers';
+
+// Стили
+import './DocumentChecklist.css';
+
+/**
+ * Дата ISO для поля ввода
+ * @param {string} value - Дата
+ * @returns {string} ГГГГ-ММ-ДД
+ */
+const toInputDate = (value) => (value ? value.split('T')[0] : '');
+
+/**
+ * Прогресс пакета документов
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.candidate - Кандидат
+ * @returns {JSX.Element} Прогресс
+ */
+export const DocumentProgress = ({ candidate }) => {
+  const { received, total, percentage, expiring } = DocumentService.getChecklistStatus(candidate);
+
+  return (
+    <div className="document-progress">
+      <span className="document-progress-bar">
+        <span style={{ width: `${percentage}%` }} />
+      </span>
+      <span>{received} из {total}</span>
+      {expiring.length > 0 && (
+        <span className="document-expiring" title="Истекают до начала вахты">
+          <AlertTriangle size={14} />
+          {expiring.length}
+        </span>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Строка документа
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.item - Документ из DocumentService.getChecklistStatus
+ * @param {Function} props.onSave - Сохранение: (changes, file) => Promise
+ * @param {Function} props.onOpenFile - Просмотр изображения
+ * @returns {JSX.Element} Строка
+ */
+const DocumentRow = ({ item, onSave, onOpenFile }) => {
+  const [draft, setDraft] = useState(() => ({
+    status: item.status,
+    number: item.number || '',
+    issueDate: toInputDate(item.issueDate),
+    expiryDate: toInputDate(item.expiryDate),
+    comment: item.comment || ''
+  }));
+  const [file, setFile] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    await onSave({
+      ...draft,
+      number: draft.number.trim() || null,
+      issueDate: draft.issueDate ? new Date(draft.issueDate).toISOString() : null,
+      expiryDate: draft.expiryDate ? new Date(draft.expiryDate).toISOString() : null,
+      comment: draft.comment.trim()
+    }, file);
+    setFile(null);
+    setIsSaving(false);
+  };
+
+  return (
+    <li className={`document-row document-${draft.status} ${item.expiring ? 'expiring' : ''}`}>
+      <div className="document-title">
+        <strong>{item.label}</strong>
+        {!item.required && <span className="document-optional">вне пакета</span>}
+        {item.expiring && (
+          <span className="document-expiring">
+            <AlertTriangle size={14} />
+            Истекает {formatDate(item.expiryDate, 'default')}, до начала вахты
+          </span>
+        )}
+      </div>
+
+      <div className="document-fields">
+        <select value={draft.status} onChange={(e) => update({ status: e.target.value })}>
+          {Object.values(DOCUMENT_STATUSES).map(status => (
+            <option key={status} value={status}>{DOCUMENT_STATUS_LABELS[status]}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={draft.number}
+          onChange={(e) => update({ number: e.target.value })}
+          placeholder="Номер"
+        />
+        <label>
+          Выдан
+          <input type="date" value={draft.issueDate} onChange={(e) => update({ issueDate: e.target.value })} />
+        </label>
+        <label>
+          Действует до
+          <input type="date" value={draft.expiryDate} onChange={(e) => update({ expiryDate: e.target.value })} />
+        </label>
+        <input
+          type="text"
+          value={draft.comment}
+          onChange={(e) => update({ comment: e.target.value })}
+          placeholder={draft.status === DOCUMENT_STATUSES.REJECTED ? 'Причина отклонения' : 'Комментарий'}
+        />
+      </div>
+
+      <div className="document-actions">
+        {item.fileId && (
+          <Button variant="secondary" size="sm" type="button" onClick={() => onOpenFile(item.fileId)}>
+            <Image size={16} />
+            Изображение
+          </Button>
+        )}
+        <label className="document-upload">
+          <input
+            type="file"
+            accept="image/*,application/pdf"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+          />
+          <Button variant="secondary" size="sm" as="span">
+            <Upload size={16} />
+            {file ? file.name : 'Загрузить'}
+          </Button>
+        </label>
+        <Button variant="primary" size="sm" type="button" onClick={handleSave} loading={isSaving}>
+          <Save size={16} />
+          Сохранить
+        </Button>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Пакет документов кандидата
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.candidate - Кандидат
+ * @returns {JSX.Element} Пакет документов
+ */
+const DocumentChecklist = ({ candidate }) => {
+  const [controller] = useState(() => new DocumentController());
+  const { items, received, verified, total } = DocumentService.getChecklistStatus(candidate);
+
+  const handleSave = (type, changes, file) => (
+    controller.updateDocument(candidate.id, type, changes, { file, expectedVersion: candidate.version })
+  );
+
+  const handleOpenFile = async (fileId) => {
+    const stored = await controller.getFile(fileId);
+    if (stored) {
+      const link = document.createElement('a');
+      link.href = stored.data;
+      link.download = stored.name;
+      link.click();
+    }
+  };
+
+  return (
+    <div className="document-checklist">
+      <p className="document-summary">
+        Обязательных документов: {total}, получено: {received}, проверено: {verified}
+        {candidate.plannedShiftStart && (
+          <> • Начало вахты {formatDate(candidate.plannedShiftStart, 'default')}</>
+        )}
+      </p>
+
+      <ul className="document-list">
+        {items.map(item => (
+          <DocumentRow
+            key={`${item.type}-${item.updatedAt || ''}`}
+            item={item}
+            onSave={(changes, file) => handleSave(item.type, changes, file)}
+            onOpenFile={handleOpenFile}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DocumentChecklist;
@@ -0,0 +1,146 @@
+// src/views/components/features/DocumentChecklistEditor.jsx
+/**
+ * 📑 Редактор пакетов документов
+ * @description Общий пакет обязательных документов и свои пакеты проектов
+ */
+import React, { useState, useEffect } from 'react';
+import { FileCheck, Save } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры
+import DocumentController from '@controllers/DocumentController';
+import { DOCUMENT_TYPES } from '@services/DocumentService';
+
+// Стили
+import './DocumentChecklistEditor.css';
+
+// Общий пакет в списке проектов
+const COMMON = '';
+
+/**
+ * Редактор пакетов документов
+ * @returns {JSX.Element} Редактор
+ */
+const DocumentChecklistEditor = () => {
+  const [controller] = useState(() => new DocumentController());
+  const [checklists, setChecklists] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [selected, setSelected] = useState(COMMON);
+  const [isSaving, setIsSaving] = useState(false);
+  const canEdit = controller.canEdit();
+
+  useEffect(() => {
+    controller.getChecklists().then(setChecklists);
+    controller.getProjects().then(setProjects);
+  }, [controller]);
+
+  if (!checklists) {
+    return null;
+  }
+
+  const projectNames = [...new Set([...projects, ...Object.keys(checklists.projects)])].sort();
+  const ownTypes = selected === COMMON ? checklists.default : checklists.projects[selected];
+  const types = ownTypes || checklists.default;
+
+  const setTypes = (nextTypes) => {
+    setChecklists(prev => (selected === COMMON
+      ? { ...prev, default: nextTypes }
+      : { ...prev, projects: { ...prev.projects, [selected]: nextTypes } }));
+  };
+
+  const toggleType = (type) => {
+    setTypes(types.includes(type) ? types.filter(item => item !== type) : [...types, type]);
+  };
+
+  // Свой пакет проекта начинается с копии общего
+  const toggleOwnChecklist = (enabled) => {
+    setChecklists(prev => {
+      const { [selected]: removed, ...rest } = prev.projects;
+      return { ...prev, projects: enabled ? { ...rest, [selected]: [...prev.default] } : rest };
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await controller.saveChecklists(checklists);
+    if (saved) {
+      setChecklists(saved);
+    }
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="checklist-editor">
+      <h3>
+        <FileCheck size={20} />
+        Пакеты документов
+      </h3>
+
+      <p className="checklist-hint">
+        Документы, которые кандидат должен предоставить. Проекты без своего пакета используют общий
+      </p>
+      {!canEdit && (
+        <p className="checklist-hint">Изменять пакеты может только администратор</p>
+      )}
+
+      <div className="checklist-layout">
+        <ul className="checklist-projects">
+          {[COMMON, ...projectNames].map(project => (
+            <li key={project || 'common'}>
+              <button
+                type="button"
+                className={project === selected ? 'active' : ''}
+                onClick={() => setSelected(project)}
+              >
+                {project || 'Общий пакет'}
+                <span className="checklist-count">
+                  {(project === COMMON ? checklists.default : checklists.projects[project] || checklists.default).length}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <fieldset className="checklist-types" disabled={!canEdit}>
+          {selected !== COMMON && (
+            <label className="checklist-own">
+              <input
+                type="checkbox"
+                checked={!!ownTypes}
+                onChange={(e) => toggleOwnChecklist(e.target.checked)}
+              />
+              Свой пакет для проекта «{selected}»
+            </label>
+          )}
+
+          <div className="checklist-options">
+            {Object.entries(DOCUMENT_TYPES).map(([type, { label }]) => (
+              <label key={type}>
+                <input
+                  type="checkbox"
+                  checked={types.includes(type)}
+                  onChange={() => toggleType(type)}
+                  disabled={!ownTypes}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      </div>
+
+      {canEdit && (
+        <div className="checklist-actions">
+          <Button variant="primary" onClick={handleSave} loading={isSaving}>
+            <Save size={18} />
+            Сохранить пакеты
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentChecklistEditor;
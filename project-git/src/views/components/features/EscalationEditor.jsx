@@ -0,0 +1,271 @@
+// src/views/components/features/EscalationEditor.jsx
+/**
+ * 📣 Редактор лестницы эскалации
+ * @description Шаги напоминаний молчащим кандидатам: срок, канал, шаблон,
+ * тихие часы и условия остановки - общие и для проектов
+ */
+import React, { useState, useEffect } from 'react';
+import { Megaphone, Save, RotateCcw, Plus, Trash2 } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры
+import EscalationController from '@controllers/EscalationController';
+import { ESCALATION_CHANNELS, ESCALATION_STOP_CONDITIONS } from '@services/EscalationService';
+
+// Стили
+import './EscalationEditor.css';
+
+// Общая лестница в списке проектов
+const COMMON = '';
+
+/**
+ * Новый шаг лестницы
+ * @param {Array} steps - Текущие шаги
+ * @returns {Object} Шаг
+ */
+const createStep = (steps) => ({
+  id: `step-${Date.now().toString(36)}`,
+  afterHours: (steps.length > 0 ? steps[steps.length - 1].afterHours : 0) + 4,
+  channel: 'whatsapp',
+  template: 'Здравствуйте, {name}! Мы ждем от вас ответ по поводу вакансии "{project}".',
+  quiet: { from: '21:00', to: '09:00', workingDaysOnly: false },
+  stopOn: Object.keys(ESCALATION_STOP_CONDITIONS)
+});
+
+/**
+ * Редактор лестницы эскалации
+ * @returns {JSX.Element} Редактор
+ */
+const EscalationEditor = () => {
+  const [controller] = useState(() => new EscalationController());
+  const [definition, setDefinition] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [selected, setSelected] = useState(COMMON);
+  const [isSaving, setIsSaving] = useState(false);
+  const canEdit = controller.canEdit();
+
+  useEffect(() => {
+    controller.getDefinition().then(setDefinition);
+    controller.getProjects().then(setProjects);
+  }, [controller]);
+
+  if (!definition) {
+    return null;
+  }
+
+  const projectNames = [...new Set([...projects, ...Object.keys(definition.projects)])].sort();
+  const ownSteps = selected === COMMON ? null : definition.projects[selected];
+  const steps = ownSteps || definition.steps;
+  // Шаги должны успеть до передачи, которую выполняет SLA
+  const transferHours = controller.getTransferHours(definition, ownSteps ? selected : COMMON);
+  const isEditable = selected === COMMON || Boolean(ownSteps);
+
+  const setSteps = (next) => {
+    setDefinition(prev => (selected === COMMON
+      ? { ...prev, steps: next }
+      : { ...prev, projects: { ...prev.projects, [selected]: next } }));
+  };
+
+  const updateStep = (index, changes) => {
+    setSteps(steps.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+  };
+
+  const updateQuiet = (index, changes) => {
+    updateStep(index, { quiet: { ...steps[index].quiet, ...changes } });
+  };
+
+  const toggleStop = (index, condition) => {
+    const { stopOn } = steps[index];
+    updateStep(index, {
+      stopOn: stopOn.includes(condition) ? stopOn.filter(item => item !== condition) : [...stopOn, condition]
+    });
+  };
+
+  // Своя лестница проекта начинается с копии общей
+  const toggleOwnSteps = (enabled) => {
+    setDefinition(prev => {
+      const { [selected]: removed, ...rest } = prev.projects;
+      return {
+        ...prev,
+        projects: enabled ? { ...rest, [selected]: prev.steps.map(step => ({ ...step })) } : rest
+      };
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await controller.saveDefinition(definition);
+    if (saved) {
+      setDefinition(saved);
+    }
+    setIsSaving(false);
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Вернуть лестницу эскалации по умолчанию? Лестницы проектов будут потеряны')) {
+      return;
+    }
+    const reset = await controller.resetDefinition();
+    if (reset) {
+      setDefinition(reset);
+    }
+  };
+
+  return (
+    <div className="escalation-editor">
+      <h3>
+        <Megaphone size={20} />
+        Лестница эскалации
+      </h3>
+
+      <p className="escalation-hint">
+        Срок шага - рабочих часов от последнего ответа кандидата. В шаблонах доступны
+        {' {name}, {project} и {hours}'}. Передача на 1-ю линию выполняется по сроку SLA,
+        шаги должны быть раньше нее
+      </p>
+      {!canEdit && (
+        <p className="escalation-hint">Изменять лестницу может только администратор</p>
+      )}
+
+      <div className="escalation-layout">
+        <ul className="escalation-projects">
+          {[COMMON, ...projectNames].map(project => (
+            <li key={project || 'common'}>
+              <button
+                type="button"
+                className={project === selected ? 'active' : ''}
+                onClick={() => setSelected(project)}
+              >
+                {project || 'Общая лестница'}
+                {definition.projects[project] && <span className="escalation-own">своя</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <fieldset className="escalation-steps" disabled={!canEdit}>
+          {selected !== COMMON && (
+            <label className="escalation-own-toggle">
+              <input
+                type="checkbox"
+                checked={Boolean(ownSteps)}
+                onChange={(e) => toggleOwnSteps(e.target.checked)}
+              />
+              Своя лестница для проекта «{selected}»
+            </label>
+          )}
+
+          <ol className="escalation-list">
+            {steps.map((step, index) => (
+              <li key={step.id} className="escalation-step">
+                <fieldset disabled={!isEditable}>
+                  <div className="escalation-fields">
+                    <label>
+                      Через, рабочих часов
+                      <input
+                        type="number"
+                        min="1"
+                        className={step.afterHours >= transferHours ? 'invalid' : ''}
+                        value={step.afterHours}
+                        onChange={(e) => updateStep(index, { afterHours: Number(e.target.value) || '' })}
+                      />
+                    </label>
+                    <label>
+                      Канал
+                      <select value={step.channel} onChange={(e) => updateStep(index, { channel: e.target.value })}>
+                        {Object.entries(ESCALATION_CHANNELS).map(([channel, label]) => (
+                          <option key={channel} value={channel}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      Тихие часы с
+                      <input
+                        type="time"
+                        value={step.quiet.from}
+                        onChange={(e) => updateQuiet(index, { from: e.target.value })}
+                      />
+                    </label>
+                    <label>
+                      до
+                      <input
+                        type="time"
+                        value={step.quiet.to}
+                        onChange={(e) => updateQuiet(index, { to: e.target.value })}
+                      />
+                    </label>
+                  </div>
+
+                  <label className="escalation-template">
+                    {step.channel === 'call' ? 'Текст задачи' : 'Шаблон сообщения'}
+                    <textarea
+                      rows={2}
+                      value={step.template}
+                      onChange={(e) => updateStep(index, { template: e.target.value })}
+                    />
+                  </label>
+
+                  <div className="escalation-options">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={step.quiet.workingDaysOnly}
+                        onChange={(e) => updateQuiet(index, { workingDaysOnly: e.target.checked })}
+                      />
+                      Только в рабочие дни
+                    </label>
+                    {Object.entries(ESCALATION_STOP_CONDITIONS).map(([condition, label]) => (
+                      <label key={condition}>
+                        <input
+                          type="checkbox"
+                          checked={step.stopOn.includes(condition)}
+                          onChange={() => toggleStop(index, condition)}
+                        />
+                        Остановить: {label.toLowerCase()}
+                      </label>
+                    ))}
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => setSteps(steps.filter((item, i) => i !== index))}
+                    >
+                      <Trash2 size={16} />
+                      Удалить шаг
+                    </Button>
+                  </div>
+                </fieldset>
+              </li>
+            ))}
+            <li className="escalation-step escalation-transfer">
+              Через {transferHours} рабочих часов - передача на 1-ю линию (настройки SLA)
+            </li>
+          </ol>
+
+          {isEditable && (
+            <Button variant="secondary" size="sm" onClick={() => setSteps([...steps, createStep(steps)])}>
+              <Plus size={16} />
+              Добавить шаг
+            </Button>
+          )}
+        </fieldset>
+      </div>
+
+      {canEdit && (
+        <div className="escalation-actions">
+          <Button variant="primary" onClick={handleSave} loading={isSaving}>
+            <Save size={18} />
+            Сохранить лестницу
+          </Button>
+          <Button variant="secondary" onClick={handleReset}>
+            <RotateCcw size={18} />
+            По умолчанию
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EscalationEditor;
@@ -0,0 +1,252 @@
+// src/views/components/features/ExportDialog.jsx
+/**
+ * 📤 Диалог экспорта
+ * @description Выбор полей, фильтров, формата дат и формата файла,
+ * сохранение настроек как пресета для регулярных отчетов
+ */
+import React, { useState, useEffect } from 'react';
+import { Download, Save, Trash2 } from 'lucide-react';
+
+// Компоненты
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+// Контроллеры и сервисы
+import ExportController from '@controllers/ExportController';
+import ExportService, {
+  EXPORT_ENTITIES,
+  EXPORT_FORMATS,
+  DATE_FORMATS,
+  CSV_DELIMITERS
+} from '@services/ExportService';
+import EventBus from '@utils/EventBus';
+
+// Стили
+import './ExportDialog.css';
+
+// Периоды по дате изменения
+const PERIODS = {
+  0: 'За все время',
+  7: 'За 7 дней',
+  30: 'За 30 дней',
+  90: 'За 90 дней'
+};
+
+/**
+ * Диалог экспорта
+ * @param {Object} props - Пропсы компонента
+ * @param {string} props.entity - Что выгружаем (ключ EXPORT_ENTITIES)
+ * @param {Function} props.onClose - Закрытие диалога
+ * @returns {JSX.Element} Диалог
+ */
+const ExportDialog = ({ entity, onClose }) => {
+  const [controller] = useState(() => new ExportController());
+  const [config, setConfig] = useState(() => ExportService.getDefaultConfig(entity));
+  const [filterOptions, setFilterOptions] = useState({});
+  const [presets, setPresets] = useState([]);
+  const [presetId, setPresetId] = useState('');
+  const [presetName, setPresetName] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const definition = EXPORT_ENTITIES[entity];
+
+  useEffect(() => {
+    controller.getFilterOptions(entity).then(setFilterOptions);
+  }, [controller, entity]);
+
+  useEffect(() => {
+    const loadPresets = () => controller.getPresets(entity).then(setPresets);
+    loadPresets();
+    return EventBus.on('export:presetsChanged', loadPresets);
+  }, [controller, entity]);
+
+  const updateConfig = (changes) => {
+    setConfig(prev => ({ ...prev, ...changes }));
+  };
+
+  const toggleField = (key) => {
+    updateConfig({
+      fields: config.fields.includes(key)
+        ? config.fields.filter(field => field !== key)
+        : [...config.fields, key]
+    });
+  };
+
+  const toggleFilter = (field, value) => {
+    const values = config.filters[field] || [];
+    updateConfig({
+      filters: {
+        ...config.filters,
+        [field]: values.includes(value) ? values.filter(item => item !== value) : [...values, value]
+      }
+    });
+  };
+
+  const handlePresetChange = (id) => {
+    setPresetId(id);
+    const preset = presets.find(item => item.id === id);
+    if (preset) {
+      setConfig({ ...ExportService.getDefaultConfig(entity), ...preset });
+      setPresetName(preset.name);
+    } else {
+      setConfig(ExportService.getDefaultConfig(entity));
+      setPresetName('');
+    }
+  };
+
+  const handleSavePreset = async () => {
+    const saved = await controller.savePreset({ ...config, id: presetId || undefined, name: presetName });
+    if (saved) {
+      setPresetId(saved.id);
+    }
+  };
+
+  const handleDeletePreset = async () => {
+    if (!window.confirm(`Удалить пресет «${presetName}»?`)) return;
+    if (await controller.deletePreset(presetId)) {
+      handlePresetChange('');
+    }
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    const count = await controller.download(config);
+    setIsExporting(false);
+    if (count !== null) {
+      onClose();
+    }
+  };
+
+  return (
+    <Modal title={`Экспорт: ${definition.label.toLowerCase()}`} onClose={onClose} size="lg">
+      <div className="export-dialog">
+        <div className="export-presets">
+          <select value={presetId} onChange={(e) => handlePresetChange(e.target.value)}>
+            <option value="">Новая выгрузка</option>
+            {presets.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Название пресета, например: Еженедельный отчет"
+          />
+          <Button variant="secondary" size="sm" onClick={handleSavePreset} disabled={!presetName.trim()}>
+            <Save size={16} />
+            Сохранить
+          </Button>
+          {presetId && (
+            <button
+              type="button"
+              className="export-remove"
+              onClick={handleDeletePreset}
+              title="Удалить пресет"
+            >
+              <Trash2 size={16} />
+            </button>
+          )}
+        </div>
+
+        <section>
+          <h4>
+            Поля
+            <span className="export-count">{config.fields.length} из {definition.fields.length}</span>
+          </h4>
+          <div className="export-options">
+            {definition.fields.map(field => (
+              <label key={field.key}>
+                <input
+                  type="checkbox"
+                  checked={config.fields.includes(field.key)}
+                  onChange={() => toggleField(field.key)}
+                />
+                {field.label}
+              </label>
+            ))}
+          </div>
+        </section>
+
+        <section>
+          <h4>Фильтры</h4>
+          {Object.entries(definition.filters).map(([field, label]) => (
+            (filterOptions[field] || []).length > 0 && (
+              <div key={field} className="export-filter">
+                <span>{label}</span>
+                <div className="export-options">
+                  {filterOptions[field].map(value => (
+                    <label key={value}>
+                      <input
+                        type="checkbox"
+                        checked={(config.filters[field] || []).includes(value)}
+                        onChange={() => toggleFilter(field, value)}
+                      />
+                      {value}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )
+          ))}
+          <label className="export-setting">
+            Изменены
+            <select
+              value={config.periodDays}
+              onChange={(e) => updateConfig({ periodDays: Number(e.target.value) })}
+            >
+              {Object.entries(PERIODS).map(([days, label]) => (
+                <option key={days} value={days}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </section>
+
+        <section className="export-settings">
+          <label className="export-setting">
+            Формат файла
+            <select value={config.format} onChange={(e) => updateConfig({ format: e.target.value })}>
+              {Object.entries(EXPORT_FORMATS).map(([format, label]) => (
+                <option key={format} value={format}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="export-setting">
+            Даты
+            <select value={config.dateFormat} onChange={(e) => updateConfig({ dateFormat: e.target.value })}>
+              {Object.entries(DATE_FORMATS).map(([format, label]) => (
+                <option key={format} value={format}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {config.format === 'csv' && (
+            <label className="export-setting">
+              Разделитель
+              <select value={config.delimiter} onChange={(e) => updateConfig({ delimiter: e.target.value })}>
+                {Object.entries(CSV_DELIMITERS).map(([delimiter, label]) => (
+                  <option key={delimiter} value={delimiter}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </section>
+
+        <div className="export-actions">
+          <Button variant="secondary" onClick={onClose}>
+            Отмена
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleExport}
+            loading={isExporting}
+            disabled={config.fields.length === 0}
+          >
+            <Download size={18} />
+            Выгрузить
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default ExportDialog;
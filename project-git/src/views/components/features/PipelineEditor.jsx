@@ -0,0 +1,245 @@
+// src/views/components/features/PipelineEditor.jsx
+/**
+ * 🔀 Редактор воронки
+ * @description Переходы между статусами, обязательные поля, причина
+ * и действия при входе в статус и выходе из него
+ */
+import React, { useState, useEffect } from 'react';
+import { GitBranch, Plus, Trash2, Save, RotateCcw } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры
+import PipelineController from '@controllers/PipelineController';
+import { CANDIDATE_STATUSES, PIPELINE_FIELDS, HOOK_TYPES } from '@services/PipelineService';
+
+// Стили
+import './PipelineEditor.css';
+
+const HOOK_LABELS = {
+  [HOOK_TYPES.MESSAGE]: 'Сообщение кандидату',
+  [HOOK_TYPES.TASK]: 'Задача рекрутеру'
+};
+
+const HOOK_LISTS = [
+  { key: 'onEnter', label: 'При входе в статус' },
+  { key: 'onExit', label: 'При выходе из статуса' }
+];
+
+/**
+ * Редактор воронки
+ * @returns {JSX.Element} Редактор
+ */
+const PipelineEditor = () => {
+  const [controller] = useState(() => new PipelineController());
+  const [definition, setDefinition] = useState(null);
+  const [selected, setSelected] = useState(CANDIDATE_STATUSES[0]);
+  const [isSaving, setIsSaving] = useState(false);
+  const canEdit = controller.canEdit();
+
+  useEffect(() => {
+    controller.getDefinition().then(setDefinition);
+  }, [controller]);
+
+  if (!definition) {
+    return null;
+  }
+
+  const status = definition.statuses.find(item => item.name === selected);
+
+  // Изменение выбранного статуса
+  const updateStatus = (changes) => {
+    setDefinition(prev => ({
+      ...prev,
+      statuses: prev.statuses.map(item => (item.name === selected ? { ...item, ...changes } : item))
+    }));
+  };
+
+  const toggleValue = (key, value) => {
+    const values = status[key];
+    updateStatus({
+      [key]: values.includes(value) ? values.filter(item => item !== value) : [...values, value]
+    });
+  };
+
+  const updateHook = (list, index, changes) => {
+    updateStatus({
+      [list]: status[list].map((hook, i) => (i === index ? { ...hook, ...changes } : hook))
+    });
+  };
+
+  const addHook = (list) => {
+    updateStatus({ [list]: [...status[list], { type: HOOK_TYPES.TASK, text: '' }] });
+  };
+
+  const removeHook = (list, index) => {
+    updateStatus({ [list]: status[list].filter((hook, i) => i !== index) });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await controller.saveDefinition(definition);
+    if (saved) {
+      setDefinition(saved);
+    }
+    setIsSaving(false);
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Вернуть воронку по умолчанию? Ваши изменения будут потеряны')) {
+      return;
+    }
+    const reset = await controller.resetDefinition();
+    if (reset) {
+      setDefinition(reset);
+    }
+  };
+
+  return (
+    <div className="pipeline-editor">
+      <h3>
+        <GitBranch size={20} />
+        Воронка кандидатов
+      </h3>
+
+      {!canEdit && (
+        <p className="pipeline-hint">Изменять воронку может только администратор</p>
+      )}
+
+      <label className="pipeline-initial">
+        Статус нового кандидата
+        <select
+          value={definition.initialStatus}
+          onChange={(e) => setDefinition(prev => ({ ...prev, initialStatus: e.target.value }))}
+          disabled={!canEdit}
+        >
+          {CANDIDATE_STATUSES.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="pipeline-layout">
+        <ul className="pipeline-statuses">
+          {definition.statuses.map(item => (
+            <li key={item.name}>
+              <button
+                type="button"
+                className={item.name === selected ? 'active' : ''}
+                onClick={() => setSelected(item.name)}
+              >
+                {item.name}
+                <span className="pipeline-count">{item.transitions.length}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <fieldset className="pipeline-status" disabled={!canEdit}>
+          <h4>Можно перевести в</h4>
+          <div className="pipeline-options">
+            {CANDIDATE_STATUSES.filter(name => name !== status.name).map(name => (
+              <label key={name}>
+                <input
+                  type="checkbox"
+                  checked={status.transitions.includes(name)}
+                  onChange={() => toggleValue('transitions', name)}
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+
+          <h4>Обязательные поля для входа</h4>
+          <div className="pipeline-options">
+            {Object.entries(PIPELINE_FIELDS).map(([field, label]) => (
+              <label key={field}>
+                <input
+                  type="checkbox"
+                  checked={status.requiredFields.includes(field)}
+                  onChange={() => toggleValue('requiredFields', field)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <label className="pipeline-reason">
+            <input
+              type="checkbox"
+              checked={status.requiresReason}
+              onChange={(e) => updateStatus({ requiresReason: e.target.checked })}
+            />
+            Требуется причина перехода
+          </label>
+
+          <label className="pipeline-wip">
+            Лимит кандидатов на доске (0 - без лимита)
+            <input
+              type="number"
+              min="0"
+              value={status.wipLimit || 0}
+              onChange={(e) => updateStatus({ wipLimit: Number(e.target.value) || null })}
+            />
+          </label>
+
+          {HOOK_LISTS.map(({ key, label }) => (
+            <div key={key} className="pipeline-hooks">
+              <h4>{label}</h4>
+              {status[key].map((hook, index) => (
+                <div key={index} className="pipeline-hook">
+                  <select
+                    value={hook.type}
+                    onChange={(e) => updateHook(key, index, { type: e.target.value })}
+                  >
+                    {Object.entries(HOOK_LABELS).map(([type, hookLabel]) => (
+                      <option key={type} value={type}>{hookLabel}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={hook.text}
+                    onChange={(e) => updateHook(key, index, { text: e.target.value })}
+                    placeholder="Текст, например: Здравствуйте, {name}!"
+                  />
+                  <button
+                    type="button"
+                    className="pipeline-remove"
+                    onClick={() => removeHook(key, index)}
+                    title="Удалить действие"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+              <Button variant="secondary" size="sm" onClick={() => addHook(key)}>
+                <Plus size={16} />
+                Добавить действие
+              </Button>
+            </div>
+          ))}
+
+          <p className="pipeline-hint">
+            В тексте действий можно использовать {'{name}'}, {'{project}'}, {'{status}'} и {'{reason}'}
+          </p>
+        </fieldset>
+      </div>
+
+      {canEdit && (
+        <div className="pipeline-actions">
+          <Button variant="primary" onClick={handleSave} loading={isSaving}>
+            <Save size={18} />
+            Сохранить воронку
+          </Button>
+          <Button variant="secondary" onClick={handleReset}>
+            <RotateCcw size={18} />
+            По умолчанию
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PipelineEditor;
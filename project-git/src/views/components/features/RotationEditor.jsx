@@ -0,0 +1,194 @@
+// src/views/components/features/RotationEditor.jsx
+/**
+ * 🔄 Редактор схем вахт
+ * @description Схема "дней на вахте / дней отдыха" и минимальная численность -
+ * общие и для объектов
+ */
+import React, { useState, useEffect } from 'react';
+import { Repeat, Save, RotateCcw } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры
+import RotationController from '@controllers/RotationController';
+import { ROTATION_TEMPLATES, formatRotation } from '@services/RotationService';
+
+// Стили
+import './RotationEditor.css';
+
+// Общая схема в списке объектов
+const COMMON = '';
+
+/**
+ * Редактор схем вахт
+ * @returns {JSX.Element} Редактор
+ */
+const RotationEditor = () => {
+  const [controller] = useState(() => new RotationController());
+  const [definition, setDefinition] = useState(null);
+  const [objects, setObjects] = useState([]);
+  const [selected, setSelected] = useState(COMMON);
+  const [isSaving, setIsSaving] = useState(false);
+  const canEdit = controller.canEdit();
+
+  useEffect(() => {
+    controller.getDefinition().then(setDefinition);
+    controller.getObjects().then(setObjects);
+  }, [controller]);
+
+  if (!definition) {
+    return null;
+  }
+
+  const objectNames = [...new Set([...objects, ...Object.keys(definition.objects)])].sort();
+  const ownRule = selected === COMMON ? null : definition.objects[selected];
+  const rule = ownRule || definition;
+  const isEditable = selected === COMMON || Boolean(ownRule);
+
+  const updateRule = (changes) => {
+    setDefinition(prev => (selected === COMMON
+      ? { ...prev, ...changes }
+      : { ...prev, objects: { ...prev.objects, [selected]: { ...prev.objects[selected], ...changes } } }));
+  };
+
+  // Своя схема объекта начинается с копии общей
+  const toggleOwnRule = (enabled) => {
+    setDefinition(prev => {
+      const { [selected]: removed, ...rest } = prev.objects;
+      const { onDays, offDays, minHeadcount } = prev;
+      return {
+        ...prev,
+        objects: enabled ? { ...rest, [selected]: { onDays, offDays, minHeadcount } } : rest
+      };
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await controller.saveDefinition(definition);
+    if (saved) {
+      setDefinition(saved);
+    }
+    setIsSaving(false);
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Вернуть схему вахт по умолчанию? Схемы объектов будут потеряны')) {
+      return;
+    }
+    const reset = await controller.resetDefinition();
+    if (reset) {
+      setDefinition(reset);
+    }
+  };
+
+  return (
+    <div className="rotation-editor">
+      <h3>
+        <Repeat size={20} />
+        Схемы вахт
+      </h3>
+
+      <p className="rotation-hint">
+        Схема объекта подставляется при назначении графика вахтовику. Если на вахте
+        меньше минимума, в плане вахт появляется провал; 0 - без минимума
+      </p>
+      {!canEdit && (
+        <p className="rotation-hint">Изменять схемы может только администратор</p>
+      )}
+
+      <div className="rotation-layout">
+        <ul className="rotation-objects">
+          {[COMMON, ...objectNames].map(object => (
+            <li key={object || 'common'}>
+              <button
+                type="button"
+                className={object === selected ? 'active' : ''}
+                onClick={() => setSelected(object)}
+              >
+                {object || 'Общая схема'}
+                {definition.objects[object] && (
+                  <span className="rotation-own">{formatRotation(definition.objects[object])}</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <fieldset className="rotation-rule" disabled={!canEdit}>
+          {selected !== COMMON && (
+            <label className="rotation-own-toggle">
+              <input
+                type="checkbox"
+                checked={Boolean(ownRule)}
+                onChange={(e) => toggleOwnRule(e.target.checked)}
+              />
+              Своя схема для объекта «{selected}»
+            </label>
+          )}
+
+          <fieldset disabled={!isEditable}>
+            <div className="rotation-templates">
+              {Object.entries(ROTATION_TEMPLATES).map(([name, template]) => (
+                <Button
+                  key={name}
+                  variant={formatRotation(rule) === name ? 'primary' : 'secondary'}
+                  size="sm"
+                  onClick={() => updateRule(template)}
+                >
+                  {name}
+                </Button>
+              ))}
+            </div>
+
+            <div className="rotation-fields">
+              <label>
+                Дней на вахте
+                <input
+                  type="number"
+                  min="6"
+                  value={rule.onDays}
+                  onChange={(e) => updateRule({ onDays: Number(e.target.value) || '' })}
+                />
+              </label>
+              <label>
+                Дней отдыха
+                <input
+                  type="number"
+                  min="0"
+                  value={rule.offDays}
+                  onChange={(e) => updateRule({ offDays: e.target.value === '' ? '' : Number(e.target.value) })}
+                />
+              </label>
+              <label>
+                Минимум на объекте
+                <input
+                  type="number"
+                  min="0"
+                  value={rule.minHeadcount}
+                  onChange={(e) => updateRule({ minHeadcount: Number(e.target.value) || 0 })}
+                />
+              </label>
+            </div>
+          </fieldset>
+        </fieldset>
+      </div>
+
+      {canEdit && (
+        <div className="rotation-actions">
+          <Button variant="primary" onClick={handleSave} loading={isSaving}>
+            <Save size={18} />
+            Сохранить схемы
+          </Button>
+          <Button variant="secondary" onClick={handleReset}>
+            <RotateCcw size={18} />
+            По умолчанию
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RotationEditor;
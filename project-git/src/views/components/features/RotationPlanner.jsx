@@ -0,0 +1,149 @@
+// src/views/components/features/RotationPlanner.jsx
+/**
+ * 📅 План вахт
+ * @description Диаграмма периодов вахты по объектам: строка на вахтовика
+ * (без графика - текущая вахта), численность на каждый день и провалы
+ * ниже минимума объекта
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertTriangle, CalendarRange } from 'lucide-react';
+
+// Утилиты
+import EventBus from '@utils/EventBus';
+import { formatDate } from '@utils/dateHelpers';
+import { addDays, formatRotation, startOfDay } from '@services/RotationService';
+
+// Стили
+import './RotationPlanner.css';
+
+// Длительность плана, дней
+const PLAN_LENGTHS = [30, 60, 90, 180];
+
+// События, после которых план пересчитывается
+const RELOAD_EVENTS = ['shiftWorker:created', 'shiftWorker:updated', 'shiftWorker:deleted', 'rotation:changed'];
+
+/**
+ * План вахт по объектам
+ * @param {Object} props - Пропсы компонента
+ * @param {RotationController} props.controller - Контроллер графика вахт
+ * @param {string} props.object - Показать только этот объект ('all' - все)
+ * @returns {JSX.Element} План
+ */
+const RotationPlanner = ({ controller, object = 'all' }) => {
+  const [days, setDays] = useState(60);
+  const [plan, setPlan] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const from = startOfDay(new Date());
+
+  const loadPlan = useCallback(async () => {
+    setPlan(await controller.getPlan(startOfDay(new Date()), days));
+    setIsLoading(false);
+  }, [controller, days]);
+
+  useEffect(() => {
+    loadPlan();
+
+    RELOAD_EVENTS.forEach(event => EventBus.on(event, loadPlan));
+    return () => RELOAD_EVENTS.forEach(event => EventBus.off(event, loadPlan));
+  }, [loadPlan]);
+
+  const dates = Array.from({ length: days }, (item, index) => addDays(from, index));
+  const objects = object === 'all' ? plan : plan.filter(item => item.object === object);
+
+  return (
+    <div className="rotation-planner">
+      <div className="rotation-planner-header">
+        <h3>
+          <CalendarRange size={20} />
+          План вахт
+        </h3>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="filter-select">
+          {PLAN_LENGTHS.map(length => (
+            <option key={length} value={length}>{length} дней</option>
+          ))}
+        </select>
+      </div>
+
+      {!isLoading && objects.length === 0 && (
+        <p className="rotation-planner-empty">
+          Нет объектов. Укажите объект в карточке вахтовика или задайте схему объекта в настройках
+        </p>
+      )}
+
+      {objects.map(({ object: name, rule, rows, headcount, gaps }) => (
+        <section key={name} className="rotation-planner-object">
+          <div className="rotation-planner-title">
+            <h4>{name}</h4>
+            <span>
+              Схема {formatRotation(rule)}
+              {rule.minHeadcount > 0 && `, минимум ${rule.minHeadcount} чел.`}
+            </span>
+          </div>
+
+          {gaps.length > 0 && (
+            <ul className="rotation-planner-gaps">
+              {gaps.map(gap => (
+                <li key={gap.from}>
+                  <AlertTriangle size={14} />
+                  {formatDate(gap.from, 'short')} - {formatDate(gap.to, 'short')}:
+                  {` на вахте ${gap.lowest} из ${rule.minHeadcount}`}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="rotation-planner-grid" style={{ '--plan-days': days }}>
+            <div className="rotation-planner-name" />
+            {dates.map(date => (
+              <div
+                key={date.toISOString()}
+                className={`rotation-planner-day ${date.getDate() === 1 ? 'month-start' : ''}`}
+                title={formatDate(date, 'default')}
+              >
+                {date.getDate() === 1 || date.getTime() === from.getTime()
+                  ? date.toLocaleDateString('ru-RU', { day: 'numeric', month: 'short' })
+                  : ''}
+              </div>
+            ))}
+
+            {rows.map(row => (
+              <React.Fragment key={row.workerId}>
+                <div className="rotation-planner-name" title={row.name}>
+                  {row.name}
+                  <small>{row.rotation}</small>
+                </div>
+                <div className="rotation-planner-track">
+                  {row.periods.map(period => (
+                    <div
+                      key={period.start}
+                      className="rotation-planner-bar"
+                      style={{
+                        left: `${(period.startIndex / days) * 100}%`,
+                        width: `${(period.length / days) * 100}%`
+                      }}
+                      title={`${formatDate(period.start, 'default')} - ${formatDate(period.end, 'default')}, ` +
+                        `уведомление ${formatDate(period.fiveDaysBeforeEnd, 'default')}`}
+                    />
+                  ))}
+                </div>
+              </React.Fragment>
+            ))}
+
+            <div className="rotation-planner-name rotation-planner-total">На вахте</div>
+            {headcount.map((count, index) => (
+              <div
+                key={dates[index].toISOString()}
+                className={`rotation-planner-count ${rule.minHeadcount > 0 && count < rule.minHeadcount ? 'low' : ''}`}
+                title={`${formatDate(dates[index], 'default')}: ${count} чел.`}
+              >
+                {count}
+              </div>
+            ))}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default RotationPlanner;
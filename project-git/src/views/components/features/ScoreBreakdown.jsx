@@ -0,0 +1,51 @@
+// src/views/components/features/ScoreBreakdown.jsx
+/**
+ * 🎯 Разбивка оценки кандидата
+ * @description Итоговая оценка и вклад каждого правила с пояснением
+ */
+import React from 'react';
+
+// Стили
+import './ScoreBreakdown.css';
+
+/**
+ * Уровень оценки для цвета
+ * @param {number} score - Оценка от 0 до 100
+ * @returns {string} high, medium или low
+ */
+export const getScoreLevel = (score) => {
+  if (score >= 70) return 'high';
+  if (score >= 40) return 'medium';
+  return 'low';
+};
+
+/**
+ * Разбивка оценки
+ * @param {Object} props - Пропсы компонента
+ * @param {number} props.score - Оценка
+ * @param {Array<Object>} props.breakdown - Разбивка из ScoringService.score
+ * @returns {JSX.Element} Разбивка
+ */
+const ScoreBreakdown = ({ score, breakdown }) => (
+  <div className="score-breakdown">
+    <div className={`score-total score-${getScoreLevel(score)}`}>
+      <strong>{score}</strong>
+      <span>из 100</span>
+    </div>
+
+    <ul className="score-factors">
+      {breakdown.filter(item => item.weight > 0).map(item => (
+        <li key={item.factor}>
+          <span className="score-factor-label">{item.label}</span>
+          <span className="score-factor-bar">
+            <span style={{ width: `${Math.round(item.value * 100)}%` }} />
+          </span>
+          <span className="score-factor-points">+{item.points}</span>
+          <span className="score-factor-note">{item.note}</span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default ScoreBreakdown;
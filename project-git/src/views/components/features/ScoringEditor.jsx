@@ -0,0 +1,237 @@
+// src/views/components/features/ScoringEditor.jsx
+/**
+ * 🎯 Редактор правил оценки
+ * @description Общие веса правил, свои веса, спрос и возрастные рамки
+ * для проектов, вклад источников кандидатов
+ */
+import React, { useState, useEffect } from 'react';
+import { Target, Save, RotateCcw } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры
+import ScoringController from '@controllers/ScoringController';
+import { SCORING_FACTORS, DEMAND_LEVELS, CANDIDATE_SOURCES } from '@services/ScoringService';
+
+// Стили
+import './ScoringEditor.css';
+
+// Общие правила в списке проектов
+const COMMON = '';
+
+/**
+ * Редактор правил оценки
+ * @returns {JSX.Element} Редактор
+ */
+const ScoringEditor = () => {
+  const [controller] = useState(() => new ScoringController());
+  const [definition, setDefinition] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [selected, setSelected] = useState(COMMON);
+  const [isSaving, setIsSaving] = useState(false);
+  const canEdit = controller.canEdit();
+
+  useEffect(() => {
+    controller.getDefinition().then(setDefinition);
+    controller.getProjects().then(setProjects);
+  }, [controller]);
+
+  if (!definition) {
+    return null;
+  }
+
+  const projectNames = [...new Set([...projects, ...Object.keys(definition.projects)])].sort();
+  const rules = selected === COMMON ? null : definition.projects[selected];
+  const weights = rules ? rules.weights : definition.weights;
+
+  const updateProject = (changes) => {
+    setDefinition(prev => ({
+      ...prev,
+      projects: { ...prev.projects, [selected]: { ...prev.projects[selected], ...changes } }
+    }));
+  };
+
+  const updateWeight = (factor, value) => {
+    const weight = Math.max(0, Number(value) || 0);
+    if (rules) {
+      updateProject({ weights: { ...rules.weights, [factor]: weight } });
+    } else {
+      setDefinition(prev => ({ ...prev, weights: { ...prev.weights, [factor]: weight } }));
+    }
+  };
+
+  // Свои правила проекта начинаются с копии общих весов
+  const toggleOwnRules = (enabled) => {
+    setDefinition(prev => {
+      const { [selected]: removed, ...rest } = prev.projects;
+      return {
+        ...prev,
+        projects: enabled
+          ? { ...rest, [selected]: { weights: { ...prev.weights }, demand: 'normal', ageMin: null, ageMax: null } }
+          : rest
+      };
+    });
+  };
+
+  const updateSource = (source, value) => {
+    setDefinition(prev => ({
+      ...prev,
+      sources: { ...prev.sources, [source]: Math.min(100, Math.max(0, Number(value) || 0)) }
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await controller.saveDefinition(definition);
+    if (saved) {
+      setDefinition(saved);
+    }
+    setIsSaving(false);
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Вернуть правила оценки по умолчанию? Настройки проектов будут потеряны')) {
+      return;
+    }
+    const reset = await controller.resetDefinition();
+    if (reset) {
+      setDefinition(reset);
+    }
+  };
+
+  return (
+    <div className="scoring-editor">
+      <h3>
+        <Target size={20} />
+        Оценка кандидатов
+      </h3>
+
+      <p className="scoring-hint">
+        Оценка от 0 до 100 определяет порядок очереди «Работать дальше».
+        Вес правила - его доля в оценке относительно остальных правил
+      </p>
+      {!canEdit && (
+        <p className="scoring-hint">Изменять правила может только администратор</p>
+      )}
+
+      <div className="scoring-layout">
+        <ul className="scoring-projects">
+          {[COMMON, ...projectNames].map(project => (
+            <li key={project || 'common'}>
+              <button
+                type="button"
+                className={project === selected ? 'active' : ''}
+                onClick={() => setSelected(project)}
+              >
+                {project || 'Общие правила'}
+                {definition.projects[project] && <span className="scoring-own">свои</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <fieldset className="scoring-rules" disabled={!canEdit}>
+          {selected !== COMMON && (
+            <label className="scoring-own-toggle">
+              <input
+                type="checkbox"
+                checked={!!rules}
+                onChange={(e) => toggleOwnRules(e.target.checked)}
+              />
+              Свои правила для проекта «{selected}»
+            </label>
+          )}
+
+          {(selected === COMMON || rules) && (
+            <>
+              <h4>Веса правил</h4>
+              <div className="scoring-fields">
+                {Object.entries(SCORING_FACTORS).map(([factor, label]) => (
+                  <label key={factor}>
+                    {label}
+                    <input
+                      type="number"
+                      min="0"
+                      value={weights[factor]}
+                      onChange={(e) => updateWeight(factor, e.target.value)}
+                    />
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+
+          {rules && (
+            <>
+              <h4>Проект</h4>
+              <div className="scoring-fields">
+                <label>
+                  Спрос
+                  <select value={rules.demand} onChange={(e) => updateProject({ demand: e.target.value })}>
+                    {Object.entries(DEMAND_LEVELS).map(([level, { label }]) => (
+                      <option key={level} value={level}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Возраст от
+                  <input
+                    type="number"
+                    min="0"
+                    value={rules.ageMin || ''}
+                    onChange={(e) => updateProject({ ageMin: Number(e.target.value) || null })}
+                  />
+                </label>
+                <label>
+                  Возраст до
+                  <input
+                    type="number"
+                    min="0"
+                    value={rules.ageMax || ''}
+                    onChange={(e) => updateProject({ ageMax: Number(e.target.value) || null })}
+                  />
+                </label>
+              </div>
+            </>
+          )}
+
+          {selected === COMMON && (
+            <>
+              <h4>Вклад источника, %</h4>
+              <div className="scoring-fields">
+                {Object.entries(CANDIDATE_SOURCES).map(([source, label]) => (
+                  <label key={source}>
+                    {label}
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={definition.sources[source] ?? 0}
+                      onChange={(e) => updateSource(source, e.target.value)}
+                    />
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+        </fieldset>
+      </div>
+
+      {canEdit && (
+        <div className="scoring-actions">
+          <Button variant="primary" onClick={handleSave} loading={isSaving}>
+            <Save size={18} />
+            Сохранить правила
+          </Button>
+          <Button variant="secondary" onClick={handleReset}>
+            <RotateCcw size={18} />
+            По умолчанию
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoringEditor;
@@ -0,0 +1,283 @@
+// src/views/components/features/SlaEditor.jsx
+/**
+ * ⏱️ Редактор сроков реакции (SLA)
+ * @description Рабочие часы и дни, часовой пояс, праздники производственного
+ * календаря и пороги молчания и передачи - общие и для проектов
+ */
+import React, { useState, useEffect } from 'react';
+import { Timer, Save, RotateCcw, Upload } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры
+import SlaController from '@controllers/SlaController';
+import { WEEK_DAYS, parseDay } from '@services/SlaService';
+
+// Стили
+import './SlaEditor.css';
+
+/**
+ * Список дат для поля ввода
+ * @param {Array<string>} days - Даты ГГГГ-ММ-ДД
+ * @returns {string} По дате в строке
+ */
+const toText = (days) => days.join('\n');
+
+/**
+ * Даты из поля ввода
+ * @description Нераспознанные строки остаются в поле до сохранения,
+ * но в правила не попадают
+ * @param {string} text - Текст поля
+ * @returns {Array<string>} Даты ГГГГ-ММ-ДД
+ */
+const fromText = (text) => text.split(/[\s,;]+/).map(parseDay).filter(Boolean);
+
+/**
+ * Редактор сроков SLA
+ * @returns {JSX.Element} Редактор
+ */
+const SlaEditor = () => {
+  const [controller] = useState(() => new SlaController());
+  const [definition, setDefinition] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [holidaysText, setHolidaysText] = useState('');
+  const [weekendsText, setWeekendsText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const canEdit = controller.canEdit();
+
+  const applyDefinition = (next) => {
+    setDefinition(next);
+    setHolidaysText(toText(next.holidays));
+    setWeekendsText(toText(next.workingWeekends));
+  };
+
+  useEffect(() => {
+    controller.getDefinition().then(applyDefinition);
+    controller.getProjects().then(setProjects);
+  }, [controller]);
+
+  if (!definition) {
+    return null;
+  }
+
+  const projectNames = [...new Set([...projects, ...Object.keys(definition.projects)])].sort();
+
+  const update = (changes) => setDefinition(prev => ({ ...prev, ...changes }));
+
+  const toggleWorkDay = (day) => {
+    update({
+      workDays: definition.workDays.includes(day)
+        ? definition.workDays.filter(item => item !== day)
+        : [...definition.workDays, day]
+    });
+  };
+
+  const updateProject = (project, field, value) => {
+    setDefinition(prev => {
+      const { [project]: current, ...rest } = prev.projects;
+      const rules = { ...current, [field]: Number(value) || null };
+      // Проект без своих порогов работает по общим
+      return {
+        ...prev,
+        projects: rules.silentHours || rules.transferHours ? { ...rest, [project]: rules } : rest
+      };
+    });
+  };
+
+  const currentDefinition = () => ({
+    ...definition,
+    holidays: fromText(holidaysText),
+    workingWeekends: fromText(weekendsText)
+  });
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    setFileInputKey(prev => prev + 1);
+    if (!file) return;
+
+    const imported = await controller.importCalendar(file, currentDefinition());
+    if (imported) {
+      applyDefinition(imported);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await controller.saveDefinition(currentDefinition());
+    if (saved) {
+      applyDefinition(saved);
+    }
+    setIsSaving(false);
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Вернуть сроки SLA по умолчанию? Праздники и пороги проектов будут потеряны')) {
+      return;
+    }
+    const reset = await controller.resetDefinition();
+    if (reset) {
+      applyDefinition(reset);
+    }
+  };
+
+  return (
+    <div className="sla-editor">
+      <h3>
+        <Timer size={20} />
+        Сроки реакции (SLA)
+      </h3>
+
+      <p className="sla-hint">
+        Сроки считаются только в рабочее время: кандидат становится молчащим, если не отвечает
+        заданное число рабочих часов, и передается на 1-ю линию, если молчит дольше порога передачи
+      </p>
+      {!canEdit && (
+        <p className="sla-hint">Изменять сроки может только администратор</p>
+      )}
+
+      <fieldset className="sla-rules" disabled={!canEdit}>
+        <h4>Рабочее время</h4>
+        <div className="sla-fields">
+          <label>
+            Начало дня
+            <input type="time" value={definition.start} onChange={(e) => update({ start: e.target.value })} />
+          </label>
+          <label>
+            Конец дня
+            <input type="time" value={definition.end} onChange={(e) => update({ end: e.target.value })} />
+          </label>
+          <label>
+            Часовой пояс
+            <input
+              type="text"
+              value={definition.timezone}
+              onChange={(e) => update({ timezone: e.target.value })}
+              placeholder="Europe/Moscow"
+            />
+          </label>
+        </div>
+
+        <div className="sla-week">
+          {Object.entries(WEEK_DAYS).map(([day, label]) => (
+            <label key={day}>
+              <input
+                type="checkbox"
+                checked={definition.workDays.includes(Number(day))}
+                onChange={() => toggleWorkDay(Number(day))}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <h4>Пороги, рабочих часов</h4>
+        <table className="sla-thresholds">
+          <thead>
+            <tr>
+              <th>Проект</th>
+              <th>До «Молчит»</th>
+              <th>До передачи</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>Общие</td>
+              <td>
+                <input
+                  type="number"
+                  min="1"
+                  value={definition.silentHours}
+                  onChange={(e) => update({ silentHours: Number(e.target.value) || '' })}
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="1"
+                  value={definition.transferHours}
+                  onChange={(e) => update({ transferHours: Number(e.target.value) || '' })}
+                />
+              </td>
+            </tr>
+            {projectNames.map(project => {
+              const rules = definition.projects[project] || {};
+              return (
+                <tr key={project}>
+                  <td>{project}</td>
+                  <td>
+                    <input
+                      type="number"
+                      min="1"
+                      value={rules.silentHours || ''}
+                      placeholder={String(definition.silentHours)}
+                      onChange={(e) => updateProject(project, 'silentHours', e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="1"
+                      value={rules.transferHours || ''}
+                      placeholder={String(definition.transferHours)}
+                      onChange={(e) => updateProject(project, 'transferHours', e.target.value)}
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <h4>Производственный календарь</h4>
+        <p className="sla-hint">
+          Загрузите CSV производственного календаря с портала открытых данных или список дат.
+          Даты загруженных годов заменят прежние
+        </p>
+        <div className="sla-calendar">
+          <label>
+            Праздники ({fromText(holidaysText).length})
+            <textarea
+              rows={6}
+              value={holidaysText}
+              onChange={(e) => setHolidaysText(e.target.value)}
+              placeholder="2027-01-01"
+            />
+          </label>
+          <label>
+            Рабочие выходные ({fromText(weekendsText).length})
+            <textarea
+              rows={6}
+              value={weekendsText}
+              onChange={(e) => setWeekendsText(e.target.value)}
+              placeholder="2027-11-06"
+            />
+          </label>
+        </div>
+        <label className="sla-upload">
+          <input key={fileInputKey} type="file" accept=".csv,.txt" onChange={handleImport} />
+          <Button variant="secondary" size="sm" as="span">
+            <Upload size={16} />
+            Загрузить календарь
+          </Button>
+        </label>
+      </fieldset>
+
+      {canEdit && (
+        <div className="sla-actions">
+          <Button variant="primary" onClick={handleSave} loading={isSaving}>
+            <Save size={18} />
+            Сохранить сроки
+          </Button>
+          <Button variant="secondary" onClick={handleReset}>
+            <RotateCcw size={18} />
+            По умолчанию
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SlaEditor;
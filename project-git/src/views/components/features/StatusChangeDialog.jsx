@@ -0,0 +1,145 @@
+// src/views/components/features/StatusChangeDialog.jsx
+/**
+ * 🔀 Диалог смены статуса
+ * @description Запрашивает причину и недостающие поля, которых воронка
+ * требует для перевода кандидата в новый статус
+ */
+import React, { useState } from 'react';
+import { ArrowRight } from 'lucide-react';
+
+// Компоненты
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+// Модели и сервисы
+import ValidationModel from '@models/ValidationModel';
+import PipelineService, { PIPELINE_FIELDS } from '@services/PipelineService';
+
+// Стили
+import './StatusChangeDialog.css';
+
+const validator = new ValidationModel();
+
+// Поля с датой
+const DATE_FIELDS = ['birthDate', 'passportIssueDate'];
+
+/**
+ * Диалог смены статуса
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.candidate - Кандидат
+ * @param {string} props.status - Новый статус
+ * @param {Function} props.onConfirm - Подтверждение: ({ reason, fields }) => Promise
+ * @param {Function} props.onCancel - Отмена
+ * @returns {JSX.Element} Диалог
+ */
+const StatusChangeDialog = ({ candidate, status, onConfirm, onCancel }) => {
+  const { missingFields, reasonRequired } = PipelineService.checkTransition(candidate, status);
+  const [fields, setFields] = useState(() => Object.fromEntries(missingFields.map(field => [field, ''])));
+  const [reason, setReason] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleFieldChange = (field, value) => {
+    setFields(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => ({ ...prev, [field]: null }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+
+    missingFields.forEach(field => {
+      if (!validator.isRequired(fields[field])) {
+        newErrors[field] = 'Обязательно для нового статуса';
+      }
+    });
+
+    if (fields.inn && !validator.isINN(fields.inn)) {
+      newErrors.inn = 'Неверный формат ИНН';
+    }
+    if (fields.snils && !validator.isSNILS(fields.snils)) {
+      newErrors.snils = 'Неверный формат СНИЛС';
+    }
+    if (reasonRequired && !validator.isRequired(reason)) {
+      newErrors.reason = 'Укажите причину';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+
+    const values = Object.fromEntries(Object.entries(fields).map(([field, value]) => [
+      field,
+      DATE_FIELDS.includes(field) ? new Date(value).toISOString() : value.trim()
+    ]));
+
+    setIsSubmitting(true);
+    try {
+      await onConfirm({ reason: reason.trim(), fields: values });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal title="Смена статуса" onClose={onCancel} size="sm">
+      <form className="status-change-dialog" onSubmit={handleSubmit}>
+        <p className="status-change-route">
+          <strong>{candidate.name}</strong>
+          <span>
+            {candidate.status} <ArrowRight size={14} /> {status}
+          </span>
+        </p>
+
+        {missingFields.map(field => (
+          <div key={field} className="form-group">
+            <label htmlFor={`status-field-${field}`} className="required">
+              {PIPELINE_FIELDS[field] || field}
+            </label>
+            <input
+              id={`status-field-${field}`}
+              type={DATE_FIELDS.includes(field) ? 'date' : 'text'}
+              value={fields[field]}
+              onChange={(e) => handleFieldChange(field, e.target.value)}
+              className={errors[field] ? 'error' : ''}
+            />
+            {errors[field] && <span className="error-message">{errors[field]}</span>}
+          </div>
+        ))}
+
+        {reasonRequired && (
+          <div className="form-group">
+            <label htmlFor="status-reason" className="required">
+              Причина
+            </label>
+            <textarea
+              id="status-reason"
+              value={reason}
+              onChange={(e) => {
+                setReason(e.target.value);
+                setErrors(prev => ({ ...prev, reason: null }));
+              }}
+              rows={3}
+              className={errors.reason ? 'error' : ''}
+            />
+            {errors.reason && <span className="error-message">{errors.reason}</span>}
+          </div>
+        )}
+
+        <div className="status-change-actions">
+          <Button variant="secondary" type="button" onClick={onCancel}>
+            Отмена
+          </Button>
+          <Button variant="primary" type="submit" loading={isSubmitting}>
+            Перевести
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default StatusChangeDialog;
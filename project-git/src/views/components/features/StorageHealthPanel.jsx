@@ -0,0 +1,208 @@
+// src/views/components/features/StorageHealthPanel.jsx
+/**
+ * 💽 Состояние хранилища
+ * @description Заполненность квоты, размер хранилищ, сжатие данных и архивы
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { HardDrive, Archive, RotateCcw, Trash2 } from 'lucide-react';
+
+// Компоненты
+import Button from '../common/Button';
+
+// Контроллеры и утилиты
+import StorageController, { DEFAULT_COMPACTION } from '@controllers/StorageController';
+import EventBus from '@utils/EventBus';
+
+// Стили
+import './StorageHealthPanel.css';
+
+const STORE_LABELS = {
+  candidates: 'Кандидаты',
+  shiftWorkers: 'Вахтовики',
+  knowledge: 'База знаний',
+  mailings: 'Рассылки',
+  auditLog: 'Журнал изменений',
+  archives: 'Архивы'
+};
+
+/**
+ * Размер в читаемом виде
+ * @param {number} bytes - Байты
+ * @returns {string} Размер
+ */
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} ГБ`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} МБ`;
+  return `${(bytes / 1024).toFixed(1)} КБ`;
+};
+
+/**
+ * Панель состояния хранилища
+ * @returns {JSX.Element} Панель
+ */
+const StorageHealthPanel = () => {
+  const [controller] = useState(() => new StorageController());
+  const [report, setReport] = useState(null);
+  const [archives, setArchives] = useState([]);
+  const [options, setOptions] = useState(DEFAULT_COMPACTION);
+  const [isCompacting, setIsCompacting] = useState(false);
+
+  const loadReport = useCallback(async () => {
+    const [nextReport, nextArchives] = await Promise.all([
+      controller.getReport(),
+      controller.getArchives()
+    ]);
+    setReport(nextReport);
+    setArchives(nextArchives);
+  }, [controller]);
+
+  useEffect(() => {
+    loadReport();
+
+    EventBus.on('storage:compacted', loadReport);
+    return () => EventBus.off('storage:compacted', loadReport);
+  }, [loadReport]);
+
+  const handleOptionChange = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: Math.max(1, Number(value) || DEFAULT_COMPACTION[key]) }));
+  };
+
+  const handleCompact = async () => {
+    setIsCompacting(true);
+    await controller.compact(options);
+    setIsCompacting(false);
+  };
+
+  const handleDeleteArchive = (archive) => {
+    if (window.confirm(`Удалить архив (${archive.count} записей) без возможности восстановления?`)) {
+      controller.deleteArchive(archive.id);
+    }
+  };
+
+  if (!report) {
+    return null;
+  }
+
+  const { status, stores, localStorage: localStorageSizes } = report;
+
+  return (
+    <div className="storage-health">
+      <h3>
+        <HardDrive size={20} />
+        Состояние хранилища
+      </h3>
+
+      {status.quota > 0 && (
+        <div className={`storage-quota storage-quota-${status.level}`}>
+          <div className="storage-quota-bar">
+            <div className="storage-quota-fill" style={{ width: `${Math.min(status.percent, 100)}%` }} />
+          </div>
+          <span>
+            Занято {formatSize(status.usage)} из {formatSize(status.quota)} ({status.percent}%)
+          </span>
+        </div>
+      )}
+
+      <table className="storage-table">
+        <thead>
+          <tr>
+            <th>Хранилище</th>
+            <th>Записей</th>
+            <th>Размер</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stores.map(({ storeName, count, size }) => (
+            <tr key={storeName}>
+              <td>{STORE_LABELS[storeName] || storeName}</td>
+              <td>{count}</td>
+              <td>{formatSize(size)}</td>
+            </tr>
+          ))}
+          {localStorageSizes.slice(0, 3).map(({ key, size }) => (
+            <tr key={key}>
+              <td className="storage-key">localStorage: {key}</td>
+              <td>—</td>
+              <td>{formatSize(size)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Сжатие данных</h3>
+      <div className="storage-compaction">
+        <label>
+          Событий в истории активности
+          <input
+            type="number"
+            min="1"
+            value={options.activityHistoryLimit}
+            onChange={(e) => handleOptionChange('activityHistoryLimit', e.target.value)}
+            className="setting-input"
+          />
+        </label>
+        <label>
+          Архивировать Архив/Отказ старше (мес.)
+          <input
+            type="number"
+            min="1"
+            value={options.archiveAfterMonths}
+            onChange={(e) => handleOptionChange('archiveAfterMonths', e.target.value)}
+            className="setting-input"
+          />
+        </label>
+        <label>
+          Хранить логи (дней)
+          <input
+            type="number"
+            min="1"
+            value={options.logRetentionDays}
+            onChange={(e) => handleOptionChange('logRetentionDays', e.target.value)}
+            className="setting-input"
+          />
+        </label>
+        <Button
+          variant="primary"
+          onClick={handleCompact}
+          loading={isCompacting}
+          disabled={isCompacting}
+        >
+          <Archive size={20} />
+          Сжать данные
+        </Button>
+      </div>
+
+      {archives.length > 0 && (
+        <>
+          <h3>Архивы</h3>
+          <ul className="storage-archives">
+            {archives.map(archive => (
+              <li key={archive.id}>
+                <div className="storage-archive-info">
+                  <strong>
+                    {STORE_LABELS[archive.storeName] || archive.storeName}: {archive.count} записей
+                  </strong>
+                  <span>
+                    {new Date(archive.createdAt).toLocaleDateString('ru-RU')} · {formatSize(archive.size)}
+                    {archive.reason && ` · ${archive.reason}`}
+                  </span>
+                </div>
+                <div className="storage-archive-actions">
+                  <Button variant="secondary" size="sm" onClick={() => controller.restoreArchive(archive.id)}>
+                    <RotateCcw size={16} />
+                    Восстановить
+                  </Button>
+                  <Button variant="danger" size="sm" onClick={() => handleDeleteArchive(archive)}>
+                    <Trash2 size={16} />
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StorageHealthPanel;
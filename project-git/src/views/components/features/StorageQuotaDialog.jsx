@@ -0,0 +1,79 @@
+// src/views/components/features/StorageQuotaDialog.jsx
+/**
+ * 💽 Диалог переполнения хранилища
+ * @description Сообщает, что изменения не сохранены, и предлагает способы освободить место
+ */
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle, Archive, Trash2, Settings } from 'lucide-react';
+
+// Компоненты
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+// Контроллеры
+import StorageController from '@controllers/StorageController';
+import TrashController from '@controllers/TrashController';
+
+// Стили
+import './StorageQuotaDialog.css';
+
+/**
+ * Диалог переполнения хранилища
+ * @param {Object} props - Пропсы компонента
+ * @param {Function} props.onClose - Обработчик закрытия
+ * @returns {JSX.Element} Диалог
+ */
+const StorageQuotaDialog = ({ onClose }) => {
+  const [storageController] = useState(() => new StorageController());
+  const [trashController] = useState(() => new TrashController());
+  const [isWorking, setIsWorking] = useState(false);
+
+  const run = async (action) => {
+    setIsWorking(true);
+    const result = await action();
+    setIsWorking(false);
+
+    if (result) {
+      onClose();
+    }
+  };
+
+  return (
+    <Modal title="Закончилось место" onClose={onClose} size="sm">
+      <div className="storage-quota-dialog">
+        <AlertTriangle size={40} className="storage-quota-dialog-icon" />
+        <p>
+          Хранилище браузера заполнено, последние изменения <strong>не сохранены</strong>.
+          Освободите место и повторите действие.
+        </p>
+
+        <div className="storage-quota-dialog-actions">
+          <Button
+            variant="primary"
+            onClick={() => run(() => storageController.compact())}
+            loading={isWorking}
+            disabled={isWorking}
+          >
+            <Archive size={18} />
+            Сжать данные
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => run(() => trashController.emptyTrash())}
+            disabled={isWorking}
+          >
+            <Trash2 size={18} />
+            Очистить корзину
+          </Button>
+          <Link to="/settings" state={{ tab: 'data' }} onClick={onClose} className="storage-quota-dialog-link">
+            <Settings size={18} />
+            Экспорт и управление данными
+          </Link>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default StorageQuotaDialog;
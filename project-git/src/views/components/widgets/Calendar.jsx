@@ -0,0 +1,193 @@
+// src/views/components/widgets/Calendar.jsx
+/**
+ * 📅 Календарь встреч
+ * @description Собеседования, медосмотры и отъезды кандидатов за месяц
+ * и список встреч выбранного дня
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { ChevronLeft, ChevronRight, MapPin, Link as LinkIcon, User } from 'lucide-react';
+
+// Контроллеры и утилиты
+import AppointmentController from '@controllers/AppointmentController';
+import { APPOINTMENT_TYPES, APPOINTMENT_STATUS_LABELS } from '@stores/AppointmentStore';
+import EventBus from '@utils/EventBus';
+import { formatDate } from '@utils/dateHelpers';
+
+// Стили
+import './Calendar.css';
+
+const WEEK_DAYS = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+
+// Сколько встреч показывать в ячейке дня
+const CELL_LIMIT = 3;
+
+/**
+ * Ключ дня для группировки встреч
+ * @param {Date|string} date - Дата
+ * @returns {string} ГГГГ-ММ-ДД по местному времени
+ */
+const dayKey = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${value.getMonth() + 1}-${value.getDate()}`;
+};
+
+/**
+ * Дни сетки месяца: с понедельника первой недели до воскресенья последней
+ * @param {Date} month - Любой день месяца
+ * @returns {Array<Date>} Дни
+ */
+const getMonthGrid = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const start = new Date(first);
+  start.setDate(first.getDate() - ((first.getDay() + 6) % 7));
+
+  const last = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+  const days = [];
+  for (const day = new Date(start); day <= last || days.length % 7 !== 0; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day));
+  }
+  return days;
+};
+
+/**
+ * Календарь встреч
+ * @param {Object} props - Пропсы компонента
+ * @param {Function} props.onSelectCandidate - Выбор кандидата встречи
+ * @returns {JSX.Element} Календарь
+ */
+const Calendar = ({ onSelectCandidate }) => {
+  const [controller] = useState(() => new AppointmentController());
+  const [month, setMonth] = useState(() => new Date());
+  const [selectedDay, setSelectedDay] = useState(() => dayKey(new Date()));
+  const [appointments, setAppointments] = useState([]);
+
+  const days = getMonthGrid(month);
+
+  const loadAppointments = useCallback(async () => {
+    const grid = getMonthGrid(month);
+    const to = new Date(grid[grid.length - 1]);
+    to.setDate(to.getDate() + 1);
+    setAppointments(await controller.getRange(grid[0], to));
+  }, [controller, month]);
+
+  useEffect(() => {
+    loadAppointments();
+
+    const handleRemoteChange = ({ storeName }) => {
+      if (storeName === 'appointments' || storeName === 'candidates') {
+        loadAppointments();
+      }
+    };
+
+    EventBus.on('appointment:created', loadAppointments);
+    EventBus.on('appointment:updated', loadAppointments);
+    EventBus.on('appointment:deleted', loadAppointments);
+    EventBus.on('appointments:missed', loadAppointments);
+    EventBus.on('undo:done', loadAppointments);
+    EventBus.on('sync:remoteChange', handleRemoteChange);
+
+    return () => {
+      EventBus.off('appointment:created', loadAppointments);
+      EventBus.off('appointment:updated', loadAppointments);
+      EventBus.off('appointment:deleted', loadAppointments);
+      EventBus.off('appointments:missed', loadAppointments);
+      EventBus.off('undo:done', loadAppointments);
+      EventBus.off('sync:remoteChange', handleRemoteChange);
+    };
+  }, [loadAppointments]);
+
+  const byDay = appointments.reduce((groups, item) => {
+    const key = dayKey(item.startsAt);
+    (groups[key] = groups[key] || []).push(item);
+    return groups;
+  }, {});
+
+  const shiftMonth = (delta) => {
+    setMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + delta, 1));
+  };
+
+  const today = dayKey(new Date());
+  const selected = byDay[selectedDay] || [];
+
+  return (
+    <div className="appointment-calendar">
+      <div className="calendar-header">
+        <button type="button" onClick={() => shiftMonth(-1)} title="Предыдущий месяц">
+          <ChevronLeft size={18} />
+        </button>
+        <h3>{month.toLocaleDateString('ru-RU', { month: 'long', year: 'numeric' })}</h3>
+        <button type="button" onClick={() => shiftMonth(1)} title="Следующий месяц">
+          <ChevronRight size={18} />
+        </button>
+      </div>
+
+      <div className="calendar-grid">
+        {WEEK_DAYS.map(name => (
+          <span key={name} className="calendar-weekday">{name}</span>
+        ))}
+        {days.map(day => {
+          const key = dayKey(day);
+          const items = byDay[key] || [];
+          const classes = [
+            'calendar-day',
+            day.getMonth() !== month.getMonth() ? 'outside' : '',
+            key === today ? 'today' : '',
+            key === selectedDay ? 'selected' : ''
+          ].filter(Boolean).join(' ');
+
+          return (
+            <button key={key} type="button" className={classes} onClick={() => setSelectedDay(key)}>
+              <span className="calendar-date">{day.getDate()}</span>
+              {items.slice(0, CELL_LIMIT).map(item => (
+                <span key={item.id} className={`calendar-event calendar-${item.status}`}>
+                  {formatDate(item.startsAt, 'time')} {APPOINTMENT_TYPES[item.type]}
+                </span>
+              ))}
+              {items.length > CELL_LIMIT && (
+                <span className="calendar-more">еще {items.length - CELL_LIMIT}</span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      <ul className="calendar-agenda">
+        {selected.length === 0 && <li className="calendar-empty">Встреч нет</li>}
+        {selected.map(item => (
+          <li key={item.id} className={`calendar-${item.status}`}>
+            <div className="calendar-agenda-title">
+              <strong>{formatDate(item.startsAt, 'time')}</strong>
+              {APPOINTMENT_TYPES[item.type]}
+              <span className="calendar-status">{APPOINTMENT_STATUS_LABELS[item.status]}</span>
+            </div>
+            {item.candidate && (
+              <button
+                type="button"
+                className="calendar-candidate"
+                onClick={() => onSelectCandidate && onSelectCandidate(item.candidate)}
+              >
+                {item.candidate.name}
+              </button>
+            )}
+            <div className="calendar-agenda-meta">
+              {item.location && (
+                <span><MapPin size={14} />{item.location}</span>
+              )}
+              {item.link && (
+                <a href={item.link} target="_blank" rel="noopener noreferrer">
+                  <LinkIcon size={14} />Ссылка
+                </a>
+              )}
+              {item.recruiter && (
+                <span><User size={14} />{item.recruiter}</span>
+              )}
+            </div>
+            {item.outcome && <p className="calendar-outcome">{item.outcome}</p>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default Calendar;
@@ -17,12 +17,17 @@ import {
   Trash2,
   Edit,
   CheckCircle,
-  XCircle
+  XCircle,
+  List,
+  LayoutGrid
 } from 'lucide-react';
 
 // Компоненты
 import CandidateView from '@components/features/CandidateView';
 import CandidateForm from '@components/features/CandidateForm';
+import CandidateBoard from '@components/features/CandidateBoard';
+import CandidateImportWizard from '@components/features/CandidateImportWizard';
+import ExportDialog from '@components/features/ExportDialog';
 import Button from '@components/common/Button';
 import Modal from '@components/common/Modal';
 
@@ -30,12 +35,16 @@ import Modal from '@components/common/Modal';
 import CandidateController from '@controllers/CandidateController';
 import EventBus from '@utils/EventBus';
 import Logger from '@utils/Logger';
+import { ConflictError } from '@stores/StoreErrors';
 
 // Стили
 import './CandidatesPage.css';
 
 const logger = new Logger('CandidatesPage');
 
+// Размер страницы списка кандидатов
+const PAGE_SIZE = 50;
+
 /**
  * Страница кандидатов
  * @returns {JSX.Element} Страница кандидатов
@@ -43,44 +52,103 @@ const logger = new Logger('CandidatesPage');
 const CandidatesPage = () => {
   // Состояние
   const [candidates, setCandidates] = useState([]);
-  const [filteredCandidates, setFilteredCandidates] = useState([]);
+  const [totalMatched, setTotalMatched] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filterOptions, setFilterOptions] = useState({ projects: [], statuses: [], total: 0 });
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedProject, setSelectedProject] = useState('all');
   const [selectedStatus, setSelectedStatus] = useState('all');
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingCandidate, setEditingCandidate] = useState(null);
+  const [showImportWizard, setShowImportWizard] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
   const [selectedCandidates, setSelectedCandidates] = useState([]);
   const [isSelectionMode, setIsSelectionMode] = useState(false);
+  // Вид: список или доска по статусам
+  const [viewMode, setViewMode] = useState('list');
 
   // Контроллер
   const [controller] = useState(() => new CandidateController());
 
-  // Загрузка кандидатов
+  // Запрос по текущим фильтрам
+  const buildQuery = useCallback(() => {
+    const where = {};
+
+    // Поиск
+    if (searchQuery) {
+      where.$or = ['name', 'phone', 'project', 'inn', 'snils'].map(field => ({
+        [field]: { $like: searchQuery }
+      }));
+    }
+
+    // Фильтр по проекту
+    if (selectedProject !== 'all') {
+      where.project = selectedProject;
+    }
+
+    // Фильтр по статусу
+    if (selectedStatus !== 'all') {
+      where.status = selectedStatus;
+    }
+
+    return { where, sort: [['updatedAt', 'desc']], limit: PAGE_SIZE };
+  }, [searchQuery, selectedProject, selectedStatus]);
+
+  // Загрузка первой страницы кандидатов
   const loadCandidates = useCallback(async () => {
     try {
-      setIsLoading(true);
-      const allCandidates = await controller.getAllCandidates();
-      setCandidates(allCandidates);
-      setFilteredCandidates(allCandidates);
+      const [page, options] = await Promise.all([
+        controller.queryCandidates(buildQuery()),
+        controller.getFilterOptions()
+      ]);
+      setCandidates(page.items);
+      setTotalMatched(page.total);
+      setNextCursor(page.nextCursor);
+      setFilterOptions(options);
     } catch (error) {
       logger.error('Ошибка загрузки кандидатов', error);
       EventBus.emit('notification:error', 'Не удалось загрузить кандидатов');
     } finally {
       setIsLoading(false);
     }
-  }, [controller]);
+  }, [controller, buildQuery]);
 
-  // Эффект загрузки при монтировании
+  // Загрузка следующей страницы
+  const loadMore = async () => {
+    if (!nextCursor) return;
+
+    try {
+      setIsLoadingMore(true);
+      const page = await controller.queryCandidates({ ...buildQuery(), cursor: nextCursor });
+      setCandidates(prev => [...prev, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      logger.error('Ошибка загрузки кандидатов', error);
+      EventBus.emit('notification:error', 'Не удалось загрузить кандидатов');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  // Загрузка при изменении фильтров (поиск - с задержкой)
   useEffect(() => {
-    loadCandidates();
+    const timeout = setTimeout(loadCandidates, searchQuery ? 300 : 0);
+    return () => clearTimeout(timeout);
+  }, [loadCandidates, searchQuery]);
 
-    // Подписка на события
+  // Подписка на события
+  useEffect(() => {
     const handleCandidateCreated = () => loadCandidates();
     const handleCandidateUpdated = () => loadCandidates();
     const handleCandidateDeleted = () => loadCandidates();
+    const handleRemoteChange = ({ storeName }) => {
+      // Кандидатов изменили в другой вкладке
+      if (storeName === 'candidates') loadCandidates();
+    };
     const handleAddNew = () => setShowAddModal(true);
     const handleEditCandidate = (candidate) => {
       setEditingCandidate(candidate);
@@ -90,6 +158,9 @@ const CandidatesPage = () => {
     EventBus.on('candidate:created', handleCandidateCreated);
     EventBus.on('candidate:updated', handleCandidateUpdated);
     EventBus.on('candidate:deleted', handleCandidateDeleted);
+    EventBus.on('candidates:imported', handleCandidateCreated);
+    EventBus.on('sync:remoteChange', handleRemoteChange);
+    EventBus.on('undo:done', handleCandidateUpdated);
     EventBus.on('candidate:addNew', handleAddNew);
     EventBus.on('candidate:edit', handleEditCandidate);
 
@@ -97,55 +168,19 @@ const CandidatesPage = () => {
       EventBus.off('candidate:created', handleCandidateCreated);
       EventBus.off('candidate:updated', handleCandidateUpdated);
       EventBus.off('candidate:deleted', handleCandidateDeleted);
+      EventBus.off('candidates:imported', handleCandidateCreated);
+      EventBus.off('sync:remoteChange', handleRemoteChange);
+      EventBus.off('undo:done', handleCandidateUpdated);
       EventBus.off('candidate:addNew', handleAddNew);
       EventBus.off('candidate:edit', handleEditCandidate);
     };
   }, [loadCandidates]);
 
-  // Фильтрация кандидатов
-  useEffect(() => {
-    let filtered = [...candidates];
-
-    // Поиск
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(candidate =>
-        candidate.name?.toLowerCase().includes(query) ||
-        candidate.phone?.toLowerCase().includes(query) ||
-        candidate.project?.toLowerCase().includes(query) ||
-        candidate.inn?.toLowerCase().includes(query) ||
-        candidate.snils?.toLowerCase().includes(query)
-      );
-    }
-
-    // Фильтр по проекту
-    if (selectedProject !== 'all') {
-      filtered = filtered.filter(candidate => 
-        candidate.project === selectedProject
-      );
-    }
-
-    // Фильтр по статусу
-    if (selectedStatus !== 'all') {
-      filtered = filtered.filter(candidate => 
-        candidate.status === selectedStatus
-      );
-    }
-
-    setFilteredCandidates(filtered);
-  }, [candidates, searchQuery, selectedProject, selectedStatus]);
-
   // Получение уникальных проектов
-  const getUniqueProjects = () => {
-    const projects = new Set(candidates.map(c => c.project).filter(Boolean));
-    return Array.from(projects).sort();
-  };
+  const getUniqueProjects = () => filterOptions.projects;
 
   // Получение уникальных статусов
-  const getUniqueStatuses = () => {
-    const statuses = new Set(candidates.map(c => c.status).filter(Boolean));
-    return Array.from(statuses).sort();
-  };
+  const getUniqueStatuses = () => filterOptions.statuses;
 
   // Добавление кандидата
   const handleAddCandidate = async (candidateData) => {
@@ -160,13 +195,20 @@ const CandidatesPage = () => {
   };
 
   // Редактирование кандидата
-  const handleEditCandidate = async (candidateData) => {
+  const handleEditCandidate = async (candidateData, options) => {
     try {
-      await controller.updateCandidate(editingCandidate.id, candidateData);
+      const updated = await controller.updateCandidate(editingCandidate.id, candidateData, options);
+      if (!updated) {
+        return;
+      }
       setShowEditModal(false);
       setEditingCandidate(null);
       EventBus.emit('notification:success', 'Кандидат обновлен');
     } catch (error) {
+      // Конфликт версий показывает форма редактирования
+      if (error instanceof ConflictError) {
+        throw error;
+      }
       logger.error('Ошибка обновления кандидата', error);
       EventBus.emit('notification:error', 'Не удалось обновить кандидата');
     }
@@ -176,7 +218,6 @@ const CandidatesPage = () => {
   const handleDeleteCandidate = async (candidateId) => {
     try {
       await controller.deleteCandidate(candidateId);
-      EventBus.emit('notification:success', 'Кандидат удален');
     } catch (error) {
       logger.error('Ошибка удаления кандидата', error);
       EventBus.emit('notification:error', 'Не удалось удалить кандидата');
@@ -187,14 +228,12 @@ const CandidatesPage = () => {
   const handleBulkDelete = async () => {
     if (selectedCandidates.length === 0) return;
 
-    if (window.confirm(`Удалить ${selectedCandidates.length} кандидатов?`)) {
+    if (window.confirm(`Переместить в корзину ${selectedCandidates.length} кандидатов?`)) {
       try {
-        for (const id of selectedCandidates) {
-          await controller.deleteCandidate(id);
-        }
+        const deleted = await controller.deleteCandidates(selectedCandidates);
         setSelectedCandidates([]);
         setIsSelectionMode(false);
-        EventBus.emit('notification:success', 'Кандидаты удалены');
+        EventBus.emit('notification:success', `Кандидатов перемещено в корзину: ${deleted}`);
       } catch (error) {
         logger.error('Ошибка массового удаления', error);
         EventBus.emit('notification:error', 'Не удалось удалить кандидатов');
@@ -202,37 +241,6 @@ const CandidatesPage = () => {
     }
   };
 
-  // Экспорт в CSV
-  const handleExport = async () => {
-    try {
-      const csv = await controller.exportToCSV(filteredCandidates);
-      const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(blob);
-      link.download = `candidates_${new Date().toISOString().split('T')[0]}.csv`;
-      link.click();
-      
-      EventBus.emit('notification:success', 'Кандидаты экспортированы');
-    } catch (error) {
-      logger.error('Ошибка экспорта', error);
-      EventBus.emit('notification:error', 'Не удалось экспортировать кандидатов');
-    }
-  };
-
-  // Импорт из CSV
-  const handleImport = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    try {
-      // TODO: Реализовать импорт
-      EventBus.emit('notification:info', 'Импорт будет доступен в следующей версии');
-    } catch (error) {
-      logger.error('Ошибка импорта', error);
-      EventBus.emit('notification:error', 'Не удалось импортировать кандидатов');
-    }
-  };
-
   // Отправка сообщения
   const handleSendMessage = async (candidate) => {
     try {
@@ -256,10 +264,10 @@ const CandidatesPage = () => {
 
   // Выбрать всех
   const selectAll = () => {
-    if (selectedCandidates.length === filteredCandidates.length) {
+    if (selectedCandidates.length === candidates.length) {
       setSelectedCandidates([]);
     } else {
-      setSelectedCandidates(filteredCandidates.map(c => c.id));
+      setSelectedCandidates(candidates.map(c => c.id));
     }
   };
 
@@ -290,7 +298,7 @@ const CandidatesPage = () => {
         <div className="header-content">
           <h1 className="page-title">Кандидаты</h1>
           <p className="page-subtitle">
-            Всего: {candidates.length} | Показано: {filteredCandidates.length}
+            Всего: {filterOptions.total} | Найдено: {totalMatched} | Показано: {candidates.length}
           </p>
         </div>
         
@@ -330,17 +338,33 @@ const CandidatesPage = () => {
             Фильтры
           </Button>
 
-          {/* Режим выбора */}
+          {/* Список или доска */}
           <Button
-            variant={isSelectionMode ? 'primary' : 'secondary'}
+            variant="secondary"
             onClick={() => {
-              setIsSelectionMode(!isSelectionMode);
+              setViewMode(viewMode === 'list' ? 'board' : 'list');
+              setIsSelectionMode(false);
               setSelectedCandidates([]);
             }}
+            title={viewMode === 'list' ? 'Показать доской' : 'Показать списком'}
           >
-            <CheckCircle size={20} />
-            {isSelectionMode ? 'Отменить выбор' : 'Выбрать'}
+            {viewMode === 'list' ? <LayoutGrid size={20} /> : <List size={20} />}
+            {viewMode === 'list' ? 'Доска' : 'Список'}
           </Button>
+
+          {/* Режим выбора */}
+          {viewMode === 'list' && (
+            <Button
+              variant={isSelectionMode ? 'primary' : 'secondary'}
+              onClick={() => {
+                setIsSelectionMode(!isSelectionMode);
+                setSelectedCandidates([]);
+              }}
+            >
+              <CheckCircle size={20} />
+              {isSelectionMode ? 'Отменить выбор' : 'Выбрать'}
+            </Button>
+          )}
         </div>
 
         <div className="toolbar-right">
@@ -364,24 +388,19 @@ const CandidatesPage = () => {
           {/* Экспорт/Импорт */}
           <Button
             variant="secondary"
-            onClick={handleExport}
+            onClick={() => setShowExportDialog(true)}
           >
             <Download size={20} />
             Экспорт
           </Button>
 
-          <label className="import-button">
-            <input
-              type="file"
-              accept=".csv"
-              onChange={handleImport}
-              hidden
-            />
-            <Button variant="secondary" as="span">
-              <Upload size={20} />
-              Импорт
-            </Button>
-          </label>
+          <Button
+            variant="secondary"
+            onClick={() => setShowImportWizard(true)}
+          >
+            <Upload size={20} />
+            Импорт
+          </Button>
 
           {/* Синхронизация */}
           <Button
@@ -419,19 +438,22 @@ const CandidatesPage = () => {
                 </select>
               </div>
 
-              <div className="filter-group">
-                <label>Статус:</label>
-                <select
-                  value={selectedStatus}
-                  onChange={(e) => setSelectedStatus(e.target.value)}
-                  className="filter-select"
-                >
-                  <option value="all">Все статусы</option>
-                  {getUniqueStatuses().map(status => (
-                    <option key={status} value={status}>{status}</option>
-                  ))}
-                </select>
-              </div>
+              {/* На доске статусы - это колонки */}
+              {viewMode === 'list' && (
+                <div className="filter-group">
+                  <label>Статус:</label>
+                  <select
+                    value={selectedStatus}
+                    onChange={(e) => setSelectedStatus(e.target.value)}
+                    className="filter-select"
+                  >
+                    <option value="all">Все статусы</option>
+                    {getUniqueStatuses().map(status => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
 
               <Button
                 variant="secondary"
@@ -449,78 +471,104 @@ const CandidatesPage = () => {
         )}
       </AnimatePresence>
 
+      {/* Доска по статусам */}
+      {viewMode === 'board' && (
+        <CandidateBoard
+          searchQuery={searchQuery}
+          project={selectedProject}
+          onOpen={(candidate) => {
+            setEditingCandidate(candidate);
+            setShowEditModal(true);
+          }}
+        />
+      )}
+
       {/* Список кандидатов */}
-      <div className="candidates-list">
-        {isSelectionMode && (
-          <div className="selection-header">
-            <label className="checkbox-label">
-              <input
-                type="checkbox"
-                checked={
-                  selectedCandidates.length === filteredCandidates.length &&
-                  filteredCandidates.length > 0
-                }
-                onChange={selectAll}
-              />
-              <span>Выбрать все</span>
-            </label>
-          </div>
-        )}
+      {viewMode === 'list' && (
+        <div className="candidates-list">
+          {isSelectionMode && (
+            <div className="selection-header">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={
+                    selectedCandidates.length === candidates.length &&
+                    candidates.length > 0
+                  }
+                  onChange={selectAll}
+                />
+                <span>Выбрать все</span>
+              </label>
+            </div>
+          )}
 
-        {filteredCandidates.length > 0 ? (
-          <AnimatePresence>
-            {filteredCandidates.map((candidate, index) => (
-              <motion.div
-                key={candidate.id}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, y: -20 }}
-                transition={{ delay: index * 0.05 }}
-                className={`candidate-item ${
-                  selectedCandidates.includes(candidate.id) ? 'selected' : ''
-                }`}
-              >
-                {isSelectionMode && (
-                  <input
-                    type="checkbox"
-                    checked={selectedCandidates.includes(candidate.id)}
-                    onChange={() => toggleCandidateSelection(candidate.id)}
-                    className="candidate-checkbox"
+          {candidates.length > 0 ? (
+            <AnimatePresence>
+              {candidates.map((candidate, index) => (
+                <motion.div
+                  key={candidate.id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -20 }}
+                  transition={{ delay: index * 0.05 }}
+                  className={`candidate-item ${
+                    selectedCandidates.includes(candidate.id) ? 'selected' : ''
+                  }`}
+                >
+                  {isSelectionMode && (
+                    <input
+                      type="checkbox"
+                      checked={selectedCandidates.includes(candidate.id)}
+                      onChange={() => toggleCandidateSelection(candidate.id)}
+                      className="candidate-checkbox"
+                    />
+                  )}
+                  <CandidateView
+                    candidate={candidate}
+                    onEdit={() => {
+                      setEditingCandidate(candidate);
+                      setShowEditModal(true);
+                    }}
+                    onDelete={() => handleDeleteCandidate(candidate.id)}
+                    onSendMessage={() => handleSendMessage(candidate)}
                   />
-                )}
-                <CandidateView
-                  candidate={candidate}
-                  onEdit={() => {
-                    setEditingCandidate(candidate);
-                    setShowEditModal(true);
-                  }}
-                  onDelete={() => handleDeleteCandidate(candidate.id)}
-                  onSendMessage={() => handleSendMessage(candidate)}
-                />
-              </motion.div>
-            ))}
-          </AnimatePresence>
-        ) : (
-          <div className="empty-state">
-            <Users size={64} className="empty-icon" />
-            <h3>Нет кандидатов</h3>
-            <p>
-              {searchQuery || selectedProject !== 'all' || selectedStatus !== 'all'
-                ? 'Попробуйте изменить параметры поиска'
-                : 'Добавьте первого кандидата'}
-            </p>
-            {candidates.length === 0 && (
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          ) : (
+            <div className="empty-state">
+              <Users size={64} className="empty-icon" />
+              <h3>Нет кандидатов</h3>
+              <p>
+                {searchQuery || selectedProject !== 'all' || selectedStatus !== 'all'
+                  ? 'Попробуйте изменить параметры поиска'
+                  : 'Добавьте первого кандидата'}
+              </p>
+              {filterOptions.total === 0 && (
+                <Button
+                  variant="primary"
+                  onClick={() => setShowAddModal(true)}
+                >
+                  <Plus size={20} />
+                  Добавить кандидата
+                </Button>
+              )}
+            </div>
+          )}
+
+          {nextCursor && (
+            <div className="load-more">
               <Button
-                variant="primary"
-                onClick={() => setShowAddModal(true)}
+                variant="secondary"
+                onClick={loadMore}
+                loading={isLoadingMore}
               >
-                <Plus size={20} />
-                Добавить кандидата
+                Показать еще ({totalMatched - candidates.length})
               </Button>
-            )}
-          </div>
-        )}
-      </div>
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Модальное окно добавления */}
       {showAddModal && (
@@ -556,6 +604,16 @@ const CandidatesPage = () => {
           />
         </Modal>
       )}
+
+      {/* Мастер импорта */}
+      {showImportWizard && (
+        <CandidateImportWizard onClose={() => setShowImportWizard(false)} />
+      )}
+
+      {/* Экспорт */}
+      {showExportDialog && (
+        <ExportDialog entity="candidates" onClose={() => setShowExportDialog(false)} />
+      )}
     </div>
   );
 };
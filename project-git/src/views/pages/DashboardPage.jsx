@@ -25,6 +25,7 @@ import { motion } from 'framer-motion';
 import StatCard from '@components/features/StatCard';
 import CandidateView from '@components/features/CandidateView';
 import Button from '@components/common/Button';
+import AppointmentCalendar from '@components/widgets/Calendar';
 
 // Утилиты
 import EventBus from '@utils/EventBus';
@@ -443,6 +444,23 @@ const DashboardPage = () => {
         </motion.div>
       </div>
 
+      {/* Календарь встреч */}
+      <motion.div
+        className="calendar-section"
+        variants={cardVariants}
+        initial="hidden"
+        animate="visible"
+        transition={{ delay: 0.95 }}
+      >
+        <div className="section-header">
+          <h2 className="section-title">
+            <Calendar size={20} />
+            Встречи с кандидатами
+          </h2>
+        </div>
+        <AppointmentCalendar onSelectCandidate={(candidate) => EventBus.emit('candidate:edit', candidate)} />
+      </motion.div>
+
       {/* Быстрые действия */}
       <motion.div
         className="quick-actions"
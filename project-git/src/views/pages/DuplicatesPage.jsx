@@ -0,0 +1,173 @@
+// src/views/pages/DuplicatesPage.jsx
+/**
+ * 👥 Страница возможных дублей
+ * @description Очередь пар похожих кандидатов: объединение или отметка,
+ * что это разные люди
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Copy, GitMerge, XCircle, Search } from 'lucide-react';
+
+// Компоненты
+import Button from '@components/common/Button';
+import CandidateMergeDialog from '@components/features/CandidateMergeDialog';
+
+// Контроллеры и утилиты
+import DuplicateController from '@controllers/DuplicateController';
+import { DUPLICATE_REASONS } from '@stores/DuplicateStore';
+import EventBus from '@utils/EventBus';
+import Logger from '@utils/Logger';
+import { formatDate } from '@utils/dateHelpers';
+
+// Стили
+import './DuplicatesPage.css';
+
+const logger = new Logger('DuplicatesPage');
+
+/**
+ * Страница возможных дублей
+ * @returns {JSX.Element} Страница дублей
+ */
+const DuplicatesPage = () => {
+  const [queue, setQueue] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isScanning, setIsScanning] = useState(false);
+  const [mergingPair, setMergingPair] = useState(null);
+  const [controller] = useState(() => new DuplicateController());
+
+  // Загрузка очереди
+  const loadQueue = useCallback(async () => {
+    try {
+      setQueue(await controller.getQueue());
+    } catch (error) {
+      logger.error('Ошибка загрузки дублей', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [controller]);
+
+  useEffect(() => {
+    loadQueue();
+
+    const handleRemoteChange = ({ storeName }) => {
+      if (storeName === 'duplicates' || storeName === 'candidates') {
+        loadQueue();
+      }
+    };
+
+    EventBus.on('duplicates:changed', loadQueue);
+    EventBus.on('duplicates:found', loadQueue);
+    EventBus.on('undo:done', loadQueue);
+    EventBus.on('sync:remoteChange', handleRemoteChange);
+
+    return () => {
+      EventBus.off('duplicates:changed', loadQueue);
+      EventBus.off('duplicates:found', loadQueue);
+      EventBus.off('undo:done', loadQueue);
+      EventBus.off('sync:remoteChange', handleRemoteChange);
+    };
+  }, [loadQueue]);
+
+  // Проверка всех кандидатов
+  const handleScan = async () => {
+    setIsScanning(true);
+    await controller.scanAll();
+    setIsScanning(false);
+  };
+
+  // Объединение выбранной пары
+  const handleMerge = async (primaryId, secondaryId, winners) => {
+    const merged = await controller.mergeCandidates(primaryId, secondaryId, winners);
+    if (merged) {
+      setMergingPair(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="page-loading">
+        <div className="loading-spinner"></div>
+        <p>Загрузка дублей...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="duplicates-page">
+      {/* Заголовок страницы */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1 className="page-title">
+            <Copy size={32} />
+            Возможные дубли
+          </h1>
+          <p className="page-subtitle">
+            Пар на проверке: {queue.length}
+          </p>
+        </div>
+
+        <div className="header-actions">
+          <Button variant="secondary" onClick={handleScan} loading={isScanning}>
+            <Search size={20} />
+            Проверить всех кандидатов
+          </Button>
+        </div>
+      </div>
+
+      {queue.length === 0 ? (
+        <div className="empty-state">
+          <Copy size={64} className="empty-icon" />
+          <h3>Дублей нет</h3>
+          <p>Похожие кандидаты появятся здесь при добавлении и импорте</p>
+        </div>
+      ) : (
+        <div className="duplicates-list">
+          {queue.map(pair => (
+            <div key={pair.id} className="duplicate-pair">
+              <div className="duplicate-candidates">
+                {pair.candidates.map(candidate => (
+                  <div key={candidate.id} className="duplicate-candidate">
+                    <strong>{candidate.name}</strong>
+                    <span>{candidate.phone}</span>
+                    <span>{candidate.project} • {candidate.status}</span>
+                    <span className="duplicate-date">
+                      Добавлен {formatDate(candidate.createdAt, 'default')}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="duplicate-reasons">
+                {pair.reasons.map(reason => (
+                  <span key={reason} className="duplicate-reason">
+                    {DUPLICATE_REASONS[reason] || reason}
+                  </span>
+                ))}
+              </div>
+
+              <div className="duplicate-actions">
+                <Button variant="primary" size="sm" onClick={() => setMergingPair(pair)}>
+                  <GitMerge size={16} />
+                  Объединить
+                </Button>
+                <Button variant="secondary" size="sm" onClick={() => controller.dismiss(pair.id)}>
+                  <XCircle size={16} />
+                  Разные люди
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {mergingPair && (
+        <CandidateMergeDialog
+          pair={mergingPair}
+          onMerge={handleMerge}
+          onClose={() => setMergingPair(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DuplicatesPage;
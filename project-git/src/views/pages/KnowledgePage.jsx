@@ -181,10 +181,10 @@ const KnowledgePage = () => {
 
   // Удаление записи
   const handleDeleteKnowledge = async (id) => {
-    if (window.confirm('Удалить эту запись из базы знаний?')) {
+    if (window.confirm('Переместить эту запись в корзину?')) {
       try {
         await KnowledgeStore.delete(id);
-        EventBus.emit('notification:success', 'Запись удалена');
+        EventBus.emit('notification:success', 'Запись перемещена в корзину');
         loadKnowledge();
       } catch (error) {
         logger.error('Ошибка удаления записи', error);
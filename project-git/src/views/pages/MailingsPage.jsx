@@ -70,10 +70,10 @@ const MailingsPage = () => {
   const loadMailings = useCallback(async () => {
     try {
       setIsLoading(true);
-      const history = mailingController.getMailingHistory();
+      const history = await mailingController.getMailingHistory();
       setMailings(history);
       
-      const statistics = mailingController.getMailingStatistics();
+      const statistics = await mailingController.getMailingStatistics();
       setStats(statistics);
     } catch (error) {
       logger.error('Ошибка загрузки рассылок', error);
@@ -153,10 +153,10 @@ const MailingsPage = () => {
 
   // Удаление рассылки
   const handleDeleteMailing = async (mailingId) => {
-    if (!window.confirm('Удалить эту рассылку?')) return;
+    if (!window.confirm('Переместить эту рассылку в корзину?')) return;
     
     try {
-      mailingController.deleteMailing(mailingId);
+      await mailingController.deleteMailing(mailingId);
       loadMailings();
     } catch (error) {
       logger.error('Ошибка удаления рассылки', error);
@@ -4,6 +4,7 @@
  * @description Управление настройками приложения и интеграциями
  */
 import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
   Settings as SettingsIcon,
@@ -26,16 +27,32 @@ import {
   MessageCircle,
   FileSpreadsheet,
   Send,
-  Bot
+  Bot,
+  Lock,
+  GitBranch,
+  Target,
+  FileCheck,
+  Timer,
+  Megaphone,
+  Repeat
 } from 'lucide-react';
 
 // Компоненты
 import Button from '@components/common/Button';
 import Modal from '@components/common/Modal';
+import StorageHealthPanel from '@components/features/StorageHealthPanel';
+import PipelineEditor from '@components/features/PipelineEditor';
+import ScoringEditor from '@components/features/ScoringEditor';
+import DocumentChecklistEditor from '@components/features/DocumentChecklistEditor';
+import SlaEditor from '@components/features/SlaEditor';
+import EscalationEditor from '@components/features/EscalationEditor';
+import RotationEditor from '@components/features/RotationEditor';
 
 // Контроллеры и утилиты
 import AppController from '@controllers/AppController';
-import AuthController from '@controllers/AuthController';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '@controllers/TrashController';
+import SecurityController from '@controllers/SecurityController';
+import { ENCRYPTION_SCOPES, DEFAULT_AUTO_LOCK_MINUTES } from '@services/CryptoService';
 import EventBus from '@utils/EventBus';
 import Logger from '@utils/Logger';
 
@@ -61,6 +78,10 @@ const SettingsPage = () => {
     },
     autoSave: true,
     autoSync: true,
+    colleagues: [],
+    firstLineTelegramChat: '',
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+    autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
     googleSheetsConnected: false,
     whatsappConnected: false,
     telegramConnected: false,
@@ -81,11 +102,25 @@ const SettingsPage = () => {
   const [showTwilioSetup, setShowTwilioSetup] = useState(false);
   const [showExportModal, setShowExportModal] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
-  const [activeTab, setActiveTab] = useState('general');
+  // Вкладку можно открыть по ссылке, например из предупреждения о заполненном хранилище
+  const location = useLocation();
+  const [activeTab, setActiveTab] = useState(location.state?.tab || 'general');
+  const [encryption, setEncryption] = useState({
+    supported: true,
+    enabled: false,
+    scope: ENCRYPTION_SCOPES.DOCUMENTS
+  });
+  const [encryptionForm, setEncryptionForm] = useState({
+    passphrase: '',
+    newPassphrase: '',
+    confirmPassphrase: '',
+    scope: ENCRYPTION_SCOPES.DOCUMENTS
+  });
 
   // Контроллеры
   const [appController] = useState(() => new AppController());
-  const [authController] = useState(() => new AuthController());
+  const { authController } = appController;
+  const [securityController] = useState(() => new SecurityController());
 
   // Загрузка настроек при монтировании
   useEffect(() => {
@@ -101,6 +136,71 @@ const SettingsPage = () => {
     return () => EventBus.off('app:settingsChanged', handleSettingsChanged);
   }, []);
 
+  // Загрузка состояния шифрования при открытии вкладки безопасности
+  useEffect(() => {
+    if (activeTab === 'security') {
+      loadEncryptionStatus();
+    }
+  }, [activeTab]);
+
+  // Состояние шифрования
+  const loadEncryptionStatus = async () => {
+    const status = await securityController.getStatus();
+    setEncryption({
+      supported: status.supported,
+      enabled: status.enabled,
+      scope: status.scope || ENCRYPTION_SCOPES.DOCUMENTS
+    });
+    setEncryptionForm(prev => ({ ...prev, scope: status.scope || ENCRYPTION_SCOPES.DOCUMENTS }));
+  };
+
+  // Изменение поля формы шифрования
+  const handleEncryptionFormChange = (key, value) => {
+    setEncryptionForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Выполнение операции шифрования и сброс паролей в форме
+  const runEncryptionAction = async (action) => {
+    setIsLoading(true);
+    const success = await action();
+    setIsLoading(false);
+
+    if (success) {
+      setEncryptionForm(prev => ({ ...prev, passphrase: '', newPassphrase: '', confirmPassphrase: '' }));
+      await loadEncryptionStatus();
+    }
+  };
+
+  // Включение шифрования или смена пароля
+  const handleSetPassphrase = () => {
+    const { passphrase, newPassphrase, confirmPassphrase, scope } = encryptionForm;
+    if (newPassphrase !== confirmPassphrase) {
+      EventBus.emit('notification:error', 'Пароли не совпадают');
+      return;
+    }
+
+    runEncryptionAction(() => (
+      encryption.enabled
+        ? securityController.changePassphrase(passphrase, newPassphrase)
+        : securityController.enableEncryption(newPassphrase, scope)
+    ));
+  };
+
+  // Смена режима шифрования
+  const handleChangeEncryptionScope = () => {
+    runEncryptionAction(() => (
+      securityController.changeScope(encryptionForm.passphrase, encryptionForm.scope)
+    ));
+  };
+
+  // Выключение шифрования
+  const handleDisableEncryption = () => {
+    if (!window.confirm('Данные будут храниться в браузере в открытом виде. Выключить шифрование?')) {
+      return;
+    }
+    runEncryptionAction(() => securityController.disableEncryption(encryptionForm.passphrase));
+  };
+
   // Загрузка настроек
   const loadSettings = () => {
     const currentSettings = appController.getSettings();
@@ -291,6 +391,12 @@ const SettingsPage = () => {
     { id: 'integrations', label: 'Интеграции', icon: <Link size={20} /> },
     { id: 'notifications', label: 'Уведомления', icon: <Bell size={20} /> },
     { id: 'data', label: 'Данные', icon: <Database size={20} /> },
+    { id: 'pipeline', label: 'Воронка', icon: <GitBranch size={20} /> },
+    { id: 'scoring', label: 'Оценка', icon: <Target size={20} /> },
+    { id: 'documents', label: 'Документы', icon: <FileCheck size={20} /> },
+    { id: 'sla', label: 'Сроки', icon: <Timer size={20} /> },
+    { id: 'escalation', label: 'Эскалация', icon: <Megaphone size={20} /> },
+    { id: 'rotation', label: 'Вахты', icon: <Repeat size={20} /> },
     { id: 'security', label: 'Безопасность', icon: <Shield size={20} /> }
   ];
 
@@ -404,6 +510,37 @@ const SettingsPage = () => {
                 </label>
               </div>
             </div>
+
+            <div className="setting-item">
+              <div className="setting-info">
+                <h3>Коллеги для @упоминаний</h3>
+                <p>По одному имени в строке; упомянутый в комментарии коллега получит уведомление</p>
+              </div>
+              <div className="setting-control">
+                <textarea
+                  value={(settings.colleagues || []).join('\n')}
+                  onChange={(e) => handleSettingChange('colleagues', e.target.value.split('\n'))}
+                  rows={4}
+                  placeholder="Анна Петрова"
+                />
+              </div>
+            </div>
+
+            <div className="setting-item">
+              <div className="setting-info">
+                <h3>Telegram-группа 1-й линии</h3>
+                <p>ID группы, куда отправляются карточки передачи; пусто - только очередь в приложении</p>
+              </div>
+              <div className="setting-control">
+                <input
+                  type="text"
+                  value={settings.firstLineTelegramChat || ''}
+                  onChange={(e) => handleSettingChange('firstLineTelegramChat', e.target.value)}
+                  className="setting-input"
+                  placeholder="-1001234567890"
+                />
+              </div>
+            </div>
           </motion.div>
         )}
 
@@ -720,35 +857,90 @@ const SettingsPage = () => {
               </div>
             </div>
 
-            <div className="data-info">
-              <h3>Информация о хранилище</h3>
-              <div className="storage-stats">
-                <div className="stat-item">
-                  <span className="stat-label">Кандидатов:</span>
-                  <span className="stat-value">
-                    {JSON.parse(localStorage.getItem('hr-assistant-candidates') || '[]').length}
-                  </span>
-                </div>
-                <div className="stat-item">
-                  <span className="stat-label">Вахтовиков:</span>
-                  <span className="stat-value">
-                    {JSON.parse(localStorage.getItem('hr-assistant-shiftWorkers') || '[]').length}
-                  </span>
-                </div>
-                <div className="stat-item">
-                  <span className="stat-label">База знаний:</span>
-                  <span className="stat-value">
-                    {JSON.parse(localStorage.getItem('hr-assistant-knowledge') || '[]').length}
-                  </span>
-                </div>
-                <div className="stat-item">
-                  <span className="stat-label">Размер данных:</span>
-                  <span className="stat-value">
-                    {(new Blob([JSON.stringify(localStorage)]).size / 1024).toFixed(2)} KB
-                  </span>
-                </div>
+            <div className="setting-item">
+              <div className="setting-info">
+                <h3>Срок хранения в корзине (дней)</h3>
+                <p>Удаленные записи старше этого срока удаляются окончательно</p>
+              </div>
+              <div className="setting-control">
+                <input
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={settings.trashRetentionDays}
+                  onChange={(e) => handleSettingChange('trashRetentionDays', Number(e.target.value) || DEFAULT_TRASH_RETENTION_DAYS)}
+                  className="setting-input"
+                />
               </div>
             </div>
+
+            <StorageHealthPanel />
+          </motion.div>
+        )}
+
+        {/* Воронка кандидатов */}
+        {activeTab === 'pipeline' && (
+          <motion.div
+            className="settings-section"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <PipelineEditor />
+          </motion.div>
+        )}
+
+        {/* Оценка кандидатов */}
+        {activeTab === 'scoring' && (
+          <motion.div
+            className="settings-section"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <ScoringEditor />
+          </motion.div>
+        )}
+
+        {/* Пакеты документов */}
+        {activeTab === 'documents' && (
+          <motion.div
+            className="settings-section"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <DocumentChecklistEditor />
+          </motion.div>
+        )}
+
+        {/* Сроки реакции */}
+        {activeTab === 'sla' && (
+          <motion.div
+            className="settings-section"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <SlaEditor />
+          </motion.div>
+        )}
+
+        {/* Лестница эскалации */}
+        {activeTab === 'escalation' && (
+          <motion.div
+            className="settings-section"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <EscalationEditor />
+          </motion.div>
+        )}
+
+        {/* Схемы вахт */}
+        {activeTab === 'rotation' && (
+          <motion.div
+            className="settings-section"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <RotationEditor />
           </motion.div>
         )}
 
@@ -788,6 +980,133 @@ const SettingsPage = () => {
                 <span>Безопасная передача данных</span>
               </div>
             </div>
+
+            <h2 className="section-title">Шифрование данных</h2>
+
+            {!encryption.supported && (
+              <p className="setting-warning">
+                <AlertCircle size={16} />
+                Шифрование доступно только при работе по HTTPS
+              </p>
+            )}
+
+            <div className="setting-item">
+              <div className="setting-info">
+                <h3>Что шифровать</h3>
+                <p>
+                  Индексируемые поля (телефон, статус, проект) не шифруются:
+                  по ним работают поиск и входящие сообщения.
+                  Паспорт, ИНН и СНИЛС можно найти только по точному значению
+                </p>
+              </div>
+              <div className="setting-control">
+                <select
+                  value={encryptionForm.scope}
+                  onChange={(e) => handleEncryptionFormChange('scope', e.target.value)}
+                  className="setting-select"
+                >
+                  <option value={ENCRYPTION_SCOPES.DOCUMENTS}>Паспортные данные и реквизиты</option>
+                  <option value={ENCRYPTION_SCOPES.ALL}>Все поля записей</option>
+                </select>
+              </div>
+            </div>
+
+            {encryption.enabled && (
+              <div className="setting-item">
+                <div className="setting-info">
+                  <h3>Текущий пароль</h3>
+                  <p>Нужен для смены пароля, режима и выключения шифрования</p>
+                </div>
+                <div className="setting-control">
+                  <input
+                    type="password"
+                    value={encryptionForm.passphrase}
+                    onChange={(e) => handleEncryptionFormChange('passphrase', e.target.value)}
+                    autoComplete="current-password"
+                    className="setting-input"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="setting-item">
+              <div className="setting-info">
+                <h3>{encryption.enabled ? 'Новый пароль' : 'Пароль шифрования'}</h3>
+                <p>Не менее 8 символов. Забытый пароль восстановить нельзя</p>
+              </div>
+              <div className="setting-control">
+                <input
+                  type="password"
+                  placeholder="Пароль"
+                  value={encryptionForm.newPassphrase}
+                  onChange={(e) => handleEncryptionFormChange('newPassphrase', e.target.value)}
+                  autoComplete="new-password"
+                  className="setting-input"
+                />
+                <input
+                  type="password"
+                  placeholder="Повторите пароль"
+                  value={encryptionForm.confirmPassphrase}
+                  onChange={(e) => handleEncryptionFormChange('confirmPassphrase', e.target.value)}
+                  autoComplete="new-password"
+                  className="setting-input"
+                />
+              </div>
+            </div>
+
+            <div className="setting-item">
+              <div className="setting-info">
+                <h3>Автоблокировка (минут)</h3>
+                <p>Блокировать данные после бездействия, 0 - не блокировать</p>
+              </div>
+              <div className="setting-control">
+                <input
+                  type="number"
+                  min="0"
+                  max="240"
+                  value={settings.autoLockMinutes}
+                  onChange={(e) => handleSettingChange('autoLockMinutes', Math.max(0, Number(e.target.value) || 0))}
+                  className="setting-input"
+                />
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <Button
+                variant="primary"
+                onClick={handleSetPassphrase}
+                loading={isLoading}
+                disabled={isLoading || !encryption.supported || !encryptionForm.newPassphrase}
+              >
+                <Key size={20} />
+                {encryption.enabled ? 'Сменить пароль' : 'Включить шифрование'}
+              </Button>
+              {encryption.enabled && (
+                <>
+                  <Button
+                    variant="secondary"
+                    onClick={handleChangeEncryptionScope}
+                    disabled={isLoading || !encryptionForm.passphrase || encryptionForm.scope === encryption.scope}
+                  >
+                    Сменить режим
+                  </Button>
+                  <Button
+                    variant="secondary"
+                    onClick={() => securityController.lock()}
+                  >
+                    <Lock size={20} />
+                    Заблокировать
+                  </Button>
+                  <Button
+                    variant="danger"
+                    onClick={handleDisableEncryption}
+                    disabled={isLoading || !encryptionForm.passphrase}
+                  >
+                    Выключить шифрование
+                  </Button>
+                </>
+              )}
+            </div>
           </motion.div>
         )}
       </div>
@@ -20,24 +20,82 @@ import {
   Phone,
   Edit,
   Trash2,
-  Send
+  Send,
+  History,
+  Download,
+  MessageSquare,
+  ClipboardList,
+  CalendarRange,
+  Repeat
 } from 'lucide-react';
 
 // Компоненты
 import Button from '@components/common/Button';
 import Modal from '@components/common/Modal';
+import AuditHistory from '@components/features/AuditHistory';
+import ExportDialog from '@components/features/ExportDialog';
+import CommentThread from '@components/features/CommentThread';
+import CheckpointHistory from '@components/features/CheckpointHistory';
+import CheckpointCompliance from '@components/features/CheckpointCompliance';
+import RotationPlanner from '@components/features/RotationPlanner';
 
 // Контроллеры и утилиты
 import ShiftWorkerController from '@controllers/ShiftWorkerController';
+import RotationController from '@controllers/RotationController';
+import { ROTATION_TEMPLATES, formatRotation } from '@services/RotationService';
 import EventBus from '@utils/EventBus';
 import Logger from '@utils/Logger';
 import { formatDate } from '@utils/dateHelpers';
+import { getEntityComments, getLatestComment } from '@services/CommentService';
 
 // Стили
 import './ShiftWorkersPage.css';
 
 const logger = new Logger('ShiftWorkersPage');
 
+// Названия полей вахтовика для истории изменений
+const FIELD_LABELS = {
+  name: 'ФИО',
+  phone: 'Телефон',
+  object: 'Объект',
+  project: 'Проект',
+  position: 'Должность',
+  status: 'Статус',
+  currentCheckpoint: 'КТ',
+  checkpointDate: 'Дата КТ',
+  checkpointResponse: 'Ответ на КТ',
+  checkpointStatus: 'Статус КТ',
+  shiftStartDate: 'Начало вахты',
+  shiftEndDate: 'Окончание вахты',
+  isOnShift: 'На вахте',
+  fiveDaysBeforeEnd: 'За 5 дней до окончания',
+  rotation: 'График вахты',
+  returnConfirmed: 'Возврат подтвержден',
+  returnDate: 'Дата возврата',
+  soComment: 'Комментарий СО',
+  comments: 'Комментарии СО',
+  contactAttempts: 'Попытки связи',
+  isDeleted: 'Удален'
+};
+
+/**
+ * Последний (или закрепленный) комментарий СО на карточке вахтовика
+ * @param {Object} props - Пропсы компонента
+ * @param {Object} props.worker - Вахтовик
+ * @returns {JSX.Element|null} Комментарий
+ */
+const LatestComment = ({ worker }) => {
+  const comment = getLatestComment(getEntityComments('shiftWorkers', worker));
+  if (!comment) return null;
+
+  return (
+    <div className="so-comment">
+      <span className="label">{comment.pinned ? 'Закреплено' : 'Комментарий СО'}:</span>
+      <p>{comment.text}</p>
+    </div>
+  );
+};
+
 /**
  * Страница вахтовиков
  * @returns {JSX.Element} Страница вахтовиков
@@ -53,8 +111,14 @@ const ShiftWorkersPage = () => {
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showCheckpointModal, setShowCheckpointModal] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
   const [editingWorker, setEditingWorker] = useState(null);
   const [selectedWorker, setSelectedWorker] = useState(null);
+  const [historyWorker, setHistoryWorker] = useState(null);
+  const [checkpointsWorker, setCheckpointsWorker] = useState(null);
+  const [rotationWorker, setRotationWorker] = useState(null);
+  const [showPlanner, setShowPlanner] = useState(false);
+  const [commentsWorkerId, setCommentsWorkerId] = useState(null);
   const [overdueOnly, setOverdueOnly] = useState(false);
   const [stats, setStats] = useState({
     total: 0,
@@ -66,6 +130,7 @@ const ShiftWorkersPage = () => {
 
   // Контроллер
   const [controller] = useState(() => new ShiftWorkerController());
+  const [rotationController] = useState(() => new RotationController());
 
   // Загрузка вахтовиков
   const loadWorkers = useCallback(async () => {
@@ -185,10 +250,9 @@ const ShiftWorkersPage = () => {
 
   // Удаление вахтовика
   const handleDeleteWorker = async (workerId) => {
-    if (window.confirm('Удалить вахтовика?')) {
+    if (window.confirm('Переместить вахтовика в корзину?')) {
       try {
         await controller.deleteShiftWorker(workerId);
-        EventBus.emit('notification:success', 'Вахтовик удален');
       } catch (error) {
         logger.error('Ошибка удаления вахтовика', error);
         EventBus.emit('notification:error', 'Не удалось удалить вахтовика');
@@ -229,6 +293,8 @@ const ShiftWorkersPage = () => {
     return 'checkpoint-pending';
   };
 
+  const commentsWorker = workers.find(worker => worker.id === commentsWorkerId);
+
   // Компонент карточки вахтовика
   const WorkerCard = ({ worker }) => (
     <motion.div
@@ -266,6 +332,16 @@ const ShiftWorkersPage = () => {
         </div>
       </div>
 
+      {worker.shiftStartDate && (
+        <div className="worker-shift">
+          <Repeat size={14} />
+          <span>
+            Вахта: {formatDate(worker.shiftStartDate, 'short')} - {formatDate(worker.shiftEndDate, 'short')}
+            {worker.rotation && ` (${formatRotation(worker.rotation)})`}
+          </span>
+        </div>
+      )}
+
       {worker.checkpointDate && (
         <div className="checkpoint-info">
           <div className="checkpoint-header">
@@ -318,12 +394,7 @@ const ShiftWorkersPage = () => {
         </div>
       )}
 
-      {worker.soComment && (
-        <div className="so-comment">
-          <span className="label">Комментарий СО:</span>
-          <p>{worker.soComment}</p>
-        </div>
-      )}
+      <LatestComment worker={worker} />
 
       <div className="worker-actions">
         <Button
@@ -337,6 +408,15 @@ const ShiftWorkersPage = () => {
           <Calendar size={16} />
           Установить КТ
         </Button>
+
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => setRotationWorker(worker)}
+        >
+          <Repeat size={16} />
+          График вахты
+        </Button>
         
         <Button
           variant="secondary"
@@ -350,6 +430,33 @@ const ShiftWorkersPage = () => {
           Редактировать
         </Button>
         
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => setHistoryWorker(worker)}
+        >
+          <History size={16} />
+          История
+        </Button>
+
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => setCheckpointsWorker(worker)}
+        >
+          <ClipboardList size={16} />
+          История КТ
+        </Button>
+
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => setCommentsWorkerId(worker.id)}
+        >
+          <MessageSquare size={16} />
+          Комментарии
+        </Button>
+        
         <Button
           variant="danger"
           size="sm"
@@ -383,6 +490,22 @@ const ShiftWorkersPage = () => {
         </div>
         
         <div className="header-actions">
+          <Button
+            variant={showPlanner ? 'primary' : 'secondary'}
+            onClick={() => setShowPlanner(!showPlanner)}
+          >
+            <CalendarRange size={20} />
+            План вахт
+          </Button>
+
+          <Button
+            variant="secondary"
+            onClick={() => setShowExportDialog(true)}
+          >
+            <Download size={20} />
+            Экспорт
+          </Button>
+
           <Button
             variant="primary"
             onClick={() => setShowAddModal(true)}
@@ -428,6 +551,14 @@ const ShiftWorkersPage = () => {
         </div>
       </div>
 
+      {/* План вахт по объектам */}
+      {showPlanner && (
+        <RotationPlanner controller={rotationController} object={selectedObject} />
+      )}
+
+      {/* Соблюдение КТ по объектам */}
+      <CheckpointCompliance controller={controller} />
+
       {/* Панель инструментов */}
       <div className="toolbar">
         <div className="toolbar-left">
@@ -565,6 +696,63 @@ const ShiftWorkersPage = () => {
           />
         </Modal>
       )}
+
+      {/* Модальное окно истории изменений */}
+      {historyWorker && (
+        <Modal
+          title={`История изменений: ${historyWorker.name}`}
+          onClose={() => setHistoryWorker(null)}
+          size="lg"
+        >
+          <AuditHistory
+            entityType="shiftWorkers"
+            entityId={historyWorker.id}
+            fieldLabels={FIELD_LABELS}
+          />
+        </Modal>
+      )}
+
+      {/* Модальное окно истории КТ */}
+      {checkpointsWorker && (
+        <Modal
+          title={`История КТ: ${checkpointsWorker.name}`}
+          onClose={() => setCheckpointsWorker(null)}
+          size="lg"
+        >
+          <CheckpointHistory worker={checkpointsWorker} controller={controller} />
+        </Modal>
+      )}
+
+      {/* Модальное окно графика вахты */}
+      {rotationWorker && (
+        <Modal
+          title={`График вахты: ${rotationWorker.name}`}
+          onClose={() => setRotationWorker(null)}
+          size="md"
+        >
+          <RotationForm
+            worker={rotationWorker}
+            controller={rotationController}
+            onClose={() => setRotationWorker(null)}
+          />
+        </Modal>
+      )}
+
+      {/* Комментарии вахтовика: запись берется из списка, чтобы видеть свежую версию */}
+      {commentsWorker && (
+        <Modal
+          title={`Комментарии: ${commentsWorker.name}`}
+          onClose={() => setCommentsWorkerId(null)}
+          size="lg"
+        >
+          <CommentThread entityType="shiftWorkers" entity={commentsWorker} />
+        </Modal>
+      )}
+
+      {/* Экспорт */}
+      {showExportDialog && (
+        <ExportDialog entity="shiftWorkers" onClose={() => setShowExportDialog(false)} />
+      )}
     </div>
   );
 };
@@ -579,7 +767,7 @@ const ShiftWorkerForm = ({ worker, onSubmit, onCancel }) => {
     object: worker?.object || '',
     position: worker?.position || '',
     status: worker?.status || 'Активен',
-    soComment: worker?.soComment || ''
+    soComment: ''
   });
 
   const handleSubmit = (e) => {
@@ -641,14 +829,17 @@ const ShiftWorkerForm = ({ worker, onSubmit, onCancel }) => {
         </select>
       </div>
 
-      <div className="form-group">
-        <label>Комментарий СО</label>
-        <textarea
-          value={formData.soComment}
-          onChange={(e) => setFormData({...formData, soComment: e.target.value})}
-          rows={3}
-        />
-      </div>
+      {/* У существующего вахтовика комментарии ведутся в окне "Комментарии" */}
+      {!worker && (
+        <div className="form-group">
+          <label>Комментарий СО</label>
+          <textarea
+            value={formData.soComment}
+            onChange={(e) => setFormData({...formData, soComment: e.target.value})}
+            rows={3}
+          />
+        </div>
+      )}
 
       <div className="form-actions">
         <Button type="submit" variant="primary">
@@ -716,4 +907,138 @@ const CheckpointForm = ({ worker, onSubmit, onCancel }) => {
   );
 };
 
+/**
+ * Дата для поля ввода в местном времени
+ * @param {Date|string} value - Дата
+ * @returns {string} ГГГГ-ММ-ДД
+ */
+const toInputDate = (value) => {
+  const date = new Date(value);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+/**
+ * Форма графика вахты
+ * @description Схема по умолчанию - схема объекта; ниже показываются
+ * ближайшие периоды с датой уведомления и КТ
+ */
+const RotationForm = ({ worker, controller, onClose }) => {
+  const [startDate, setStartDate] = useState(toInputDate(worker.rotation?.startDate || new Date()));
+  const [onDays, setOnDays] = useState(worker.rotation?.onDays || '');
+  const [offDays, setOffDays] = useState(worker.rotation?.offDays ?? '');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Без своего графика подставляется схема объекта
+  useEffect(() => {
+    if (worker.rotation) return;
+    controller.getRule(worker.object).then(rule => {
+      setOnDays(rule.onDays);
+      setOffDays(rule.offDays);
+    });
+  }, [controller, worker]);
+
+  const rotation = { startDate: new Date(`${startDate}T00:00`), onDays: Number(onDays), offDays: Number(offDays) };
+  const isValid = startDate && rotation.onDays > 5 && offDays !== '' && rotation.offDays >= 0;
+  const periods = isValid ? controller.getUpcomingPeriods(rotation).slice(0, 4) : [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const updated = await controller.planRotation(worker.id, rotation);
+    setIsSaving(false);
+    if (updated) {
+      onClose();
+    }
+  };
+
+  const handleClear = async () => {
+    if (window.confirm(`Снять график вахты с ${worker.name}?`) && await controller.clearRotation(worker.id)) {
+      onClose();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="rotation-form">
+      <div className="form-info">
+        <p>Объект: <strong>{worker.object}</strong></p>
+      </div>
+
+      <div className="form-group">
+        <label>Схема</label>
+        <select
+          value={formatRotation(rotation)}
+          onChange={(e) => {
+            const template = ROTATION_TEMPLATES[e.target.value];
+            if (template) {
+              setOnDays(template.onDays);
+              setOffDays(template.offDays);
+            }
+          }}
+        >
+          {!ROTATION_TEMPLATES[formatRotation(rotation)] && (
+            <option value={formatRotation(rotation)}>Своя: {formatRotation(rotation)}</option>
+          )}
+          {Object.keys(ROTATION_TEMPLATES).map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="rotation-form-days">
+        <div className="form-group">
+          <label>Дней на вахте *</label>
+          <input type="number" min="6" value={onDays} onChange={(e) => setOnDays(e.target.value)} required />
+        </div>
+        <div className="form-group">
+          <label>Дней отдыха *</label>
+          <input type="number" min="0" value={offDays} onChange={(e) => setOffDays(e.target.value)} required />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Первый заезд *</label>
+        <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} required />
+      </div>
+
+      {periods.length > 0 && (
+        <div className="rotation-preview">
+          <p>Ближайшие вахты:</p>
+          <ul>
+            {periods.map(period => (
+              <li key={period.start}>
+                <strong>{formatDate(period.start, 'short')} - {formatDate(period.end, 'short')}</strong>
+                <br />
+                <small>
+                  Уведомление: {formatDate(period.fiveDaysBeforeEnd, 'short')};
+                  {' КТ: '}
+                  {period.checkpoints.map(item => `${item.checkpoint} ${formatDate(item.date, 'short')}`).join(', ')}
+                </small>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="form-actions">
+        <Button type="submit" variant="primary" loading={isSaving} disabled={!isValid}>
+          <Repeat size={16} />
+          Назначить график
+        </Button>
+        {worker.rotation && (
+          <Button type="button" variant="danger" onClick={handleClear}>
+            Снять график
+          </Button>
+        )}
+        <Button type="button" variant="secondary" onClick={onClose}>
+          Отмена
+        </Button>
+      </div>
+    </form>
+  );
+};
+
 export default ShiftWorkersPage;
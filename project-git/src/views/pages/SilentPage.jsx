@@ -1,7 +1,8 @@
 // src/views/pages/SilentPage.jsx
 /**
  * 🔇 Страница молчащих кандидатов
- * @description Управление кандидатами, которые не отвечают более 8 часов
+ * @description Управление кандидатами, которые не отвечают дольше срока SLA,
+ * с обратным отсчетом рабочего времени до передачи на 1-ю линию
  */
 import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
@@ -19,7 +20,8 @@ import {
   ChevronRight,
   Calendar,
   User,
-  Briefcase
+  Briefcase,
+  Timer
 } from 'lucide-react';
 
 // Компоненты
@@ -28,6 +30,11 @@ import Modal from '@components/common/Modal';
 
 // Контроллеры и утилиты
 import CandidateController from '@controllers/CandidateController';
+import SlaController from '@controllers/SlaController';
+import EscalationController from '@controllers/EscalationController';
+import HandoffController from '@controllers/HandoffController';
+import { formatWorkingDuration } from '@services/SlaService';
+import { ESCALATION_CHANNELS, ESCALATION_RESULT_LABELS } from '@services/EscalationService';
 import EventBus from '@utils/EventBus';
 import Logger from '@utils/Logger';
 import { formatDate, getRelativeTimeString } from '@utils/dateHelpers';
@@ -44,6 +51,8 @@ const logger = new Logger('SilentPage');
 const SilentPage = () => {
   // Состояние
   const [silentCandidates, setSilentCandidates] = useState([]);
+  const [upcomingSilent, setUpcomingSilent] = useState([]);
+  const [now, setNow] = useState(() => new Date());
   const [filteredCandidates, setFilteredCandidates] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
@@ -62,6 +71,9 @@ const SilentPage = () => {
 
   // Контроллер
   const [controller] = useState(() => new CandidateController());
+  const [slaController] = useState(() => new SlaController());
+  const [escalationController] = useState(() => new EscalationController());
+  const [handoffController] = useState(() => new HandoffController());
 
   // Загрузка молчащих кандидатов
   const loadSilentCandidates = useCallback(async () => {
@@ -70,6 +82,8 @@ const SilentPage = () => {
       const candidates = await controller.getSilentCandidates();
       setSilentCandidates(candidates);
       setFilteredCandidates(candidates);
+      setUpcomingSilent(await slaController.getUpcomingSilent());
+      setNow(new Date());
       calculateStats(candidates);
     } catch (error) {
       logger.error('Ошибка загрузки молчащих кандидатов', error);
@@ -77,16 +91,19 @@ const SilentPage = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [controller]);
+  }, [controller, slaController]);
+
+  // Истек ли срок передачи или исчерпаны SMS
+  const isReadyForTransfer = (candidate, at = new Date()) => {
+    const countdown = slaController.getCountdown(candidate, at);
+    return Boolean(countdown?.overdue) || candidate.smsAttempts >= 3;
+  };
 
   // Расчет статистики
   const calculateStats = (candidates) => {
     const total = candidates.length;
     const smsAttempts = candidates.reduce((sum, c) => sum + (c.smsAttempts || 0), 0);
-    const readyForTransfer = candidates.filter(c => {
-      const hours = calculateSilentHours(c.silentSince);
-      return hours >= 24 || c.smsAttempts >= 3;
-    }).length;
+    const readyForTransfer = candidates.filter(c => isReadyForTransfer(c)).length;
     
     const totalHours = candidates.reduce((sum, c) => {
       return sum + calculateSilentHours(c.silentSince);
@@ -114,16 +131,24 @@ const SilentPage = () => {
 
     EventBus.on('candidate:updated', handleCandidateUpdated);
     EventBus.on('candidate:transferred', handleCandidateTransferred);
+    EventBus.on('sla:changed', handleCandidateUpdated);
+    EventBus.on('escalation:changed', handleCandidateUpdated);
 
     // Автообновление каждые 5 минут
     const interval = setInterval(() => {
       loadSilentCandidates();
     }, 5 * 60 * 1000);
 
+    // Обратный отсчет обновляется каждую минуту
+    const tick = setInterval(() => setNow(new Date()), 60 * 1000);
+
     return () => {
       EventBus.off('candidate:updated', handleCandidateUpdated);
       EventBus.off('candidate:transferred', handleCandidateTransferred);
+      EventBus.off('sla:changed', handleCandidateUpdated);
+      EventBus.off('escalation:changed', handleCandidateUpdated);
       clearInterval(interval);
+      clearInterval(tick);
     };
   }, [loadSilentCandidates]);
 
@@ -218,23 +243,18 @@ HR отдел`;
   // Передача на 1-ю линию
   const handleTransferToFirstLine = async (candidate) => {
     if (window.confirm(`Передать кандидата ${candidate.name} на 1-ю линию?`)) {
-      try {
-        await controller.transferToFirstLine(candidate.id, 'Не отвечает более 24 часов');
+      // Об ошибках контроллер сообщает сам
+      const transferred = await handoffController.transferToFirstLine(candidate.id, 'Истек срок ответа по SLA');
+      if (transferred) {
         EventBus.emit('notification:success', 'Кандидат передан на 1-ю линию');
         loadSilentCandidates();
-      } catch (error) {
-        logger.error('Ошибка передачи кандидата', error);
-        EventBus.emit('notification:error', 'Не удалось передать кандидата');
       }
     }
   };
 
   // Массовая передача
   const handleBulkTransfer = async () => {
-    const readyForTransfer = filteredCandidates.filter(c => {
-      const hours = calculateSilentHours(c.silentSince);
-      return hours >= 24 || c.smsAttempts >= 3;
-    });
+    const readyForTransfer = filteredCandidates.filter(c => isReadyForTransfer(c));
 
     if (readyForTransfer.length === 0) {
       EventBus.emit('notification:warning', 'Нет кандидатов готовых к передаче');
@@ -242,37 +262,37 @@ HR отдел`;
     }
 
     if (window.confirm(`Передать ${readyForTransfer.length} кандидатов на 1-ю линию?`)) {
-      try {
-        for (const candidate of readyForTransfer) {
-          await controller.transferToFirstLine(candidate.id, 'Массовая передача молчащих');
+      let transferred = 0;
+      for (const candidate of readyForTransfer) {
+        if (await handoffController.transferToFirstLine(candidate.id, 'Массовая передача молчащих')) {
+          transferred++;
         }
-        EventBus.emit('notification:success', `Передано ${readyForTransfer.length} кандидатов`);
-        loadSilentCandidates();
-      } catch (error) {
-        logger.error('Ошибка массовой передачи', error);
-        EventBus.emit('notification:error', 'Ошибка при массовой передаче');
       }
+      if (transferred > 0) {
+        EventBus.emit('notification:success', `Передано ${transferred} кандидатов`);
+      }
+      loadSilentCandidates();
     }
   };
 
   // Определение статуса кандидата
-  const getCandidateStatus = (candidate) => {
-    const hours = calculateSilentHours(candidate.silentSince);
-    
-    if (hours >= 24) return { text: 'Готов к передаче', class: 'status-danger' };
-    if (hours >= 12) return { text: 'Критично', class: 'status-warning' };
+  const getCandidateStatus = (countdown) => {
+    if (countdown?.overdue) return { text: 'Готов к передаче', class: 'status-danger' };
+    if (countdown && countdown.remainingHours <= 2) return { text: 'Критично', class: 'status-warning' };
     return { text: 'Молчит', class: 'status-info' };
   };
 
   // Компонент карточки кандидата
   const SilentCandidateCard = ({ candidate }) => {
     const hours = calculateSilentHours(candidate.silentSince);
-    const status = getCandidateStatus(candidate);
-    const isReadyForTransfer = hours >= 24 || candidate.smsAttempts >= 3;
+    const countdown = slaController.getCountdown(candidate, now);
+    const status = getCandidateStatus(countdown);
+    const readyForTransfer = isReadyForTransfer(candidate, now);
+    const escalation = escalationController.getProgress(candidate);
 
     return (
       <motion.div
-        className={`silent-candidate-card ${isReadyForTransfer ? 'ready-for-transfer' : ''}`}
+        className={`silent-candidate-card ${readyForTransfer ? 'ready-for-transfer' : ''}`}
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         exit={{ opacity: 0, y: -20 }}
@@ -312,6 +332,23 @@ HR отдел`;
             </div>
           </div>
 
+          {countdown && (
+            <div className="sla-countdown">
+              <Timer size={20} className="duration-icon" />
+              <div className="duration-details">
+                <span className="duration-value">
+                  {countdown.overdue ? 'Срок истек' : formatWorkingDuration(countdown.remainingHours)}
+                </span>
+                <span className="duration-label">
+                  {countdown.overdue ? 'пора передавать' : 'рабочего времени до передачи'}
+                </span>
+                <span className="duration-since">
+                  срок {formatDate(countdown.deadline, 'full')}
+                </span>
+              </div>
+            </div>
+          )}
+
           <div className="sms-attempts">
             <MessageCircle size={20} className="attempts-icon" />
             <div className="attempts-details">
@@ -326,6 +363,18 @@ HR отдел`;
           </div>
         </div>
 
+        {escalation.length > 0 && (
+          <ol className="escalation-progress">
+            {escalation.map(({ step, number, dueAt, mark }) => (
+              <li key={step.id} className={mark ? `done ${mark.result}` : ''}>
+                {number}. {ESCALATION_CHANNELS[step.channel]}
+                {' - '}
+                {mark ? ESCALATION_RESULT_LABELS[mark.result] : dueAt && formatDate(dueAt.toISOString(), 'full')}
+              </li>
+            ))}
+          </ol>
+        )}
+
         {candidate.lastReply && (
           <div className="last-message">
             <span className="label">Последний ответ:</span>
@@ -356,7 +405,7 @@ HR отдел`;
             SMS {candidate.smsAttempts >= 3 && '(лимит)'}
           </Button>
           
-          {isReadyForTransfer && (
+          {readyForTransfer && (
             <Button
               variant="danger"
               size="sm"
@@ -390,7 +439,7 @@ HR отдел`;
             Молчащие кандидаты
           </h1>
           <p className="page-subtitle">
-            Кандидаты без ответа более 8 часов • {stats.total} человек
+            Кандидаты без ответа дольше срока SLA (в рабочих часах) • {stats.total} человек
           </p>
         </div>
         
@@ -492,11 +541,32 @@ HR отдел`;
         <div className="toolbar-right">
           <div className="info-badge">
             <AlertTriangle size={16} />
-            <span>Автоматическая передача после 18:30</span>
+            <span>Автоматическая передача по истечении срока SLA</span>
           </div>
         </div>
       </div>
 
+      {/* Скоро замолчат */}
+      {upcomingSilent.length > 0 && (
+        <div className="upcoming-silent">
+          <h3>
+            <Timer size={18} />
+            Скоро замолчат ({upcomingSilent.length})
+          </h3>
+          <ul>
+            {upcomingSilent.map(({ candidate }) => (
+              <li key={candidate.id}>
+                <span className="name">{candidate.name}</span>
+                <span className="project">{candidate.project}</span>
+                <span className="remaining">
+                  через {formatWorkingDuration(slaController.getCountdown(candidate, now).remainingHours)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Список кандидатов */}
       <div className="silent-candidates-grid">
         {filteredCandidates.length > 0 ? (
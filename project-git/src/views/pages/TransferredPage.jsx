@@ -1,7 +1,8 @@
 // src/views/pages/TransferredPage.jsx
 /**
  * 📤 Страница переданных кандидатов
- * @description Кандидаты, переданные на 1-ю линию поддержки
+ * @description Очередь 1-й линии: кандидаты с карточками передачи и возврат
+ * рекрутеру с итогом работы 1-й линии
  */
 import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
@@ -30,9 +31,12 @@ import Modal from '@components/common/Modal';
 
 // Контроллеры и утилиты
 import CandidateController from '@controllers/CandidateController';
+import HandoffController from '@controllers/HandoffController';
+import { HANDOFF_OUTCOMES } from '@services/HandoffService';
 import EventBus from '@utils/EventBus';
 import Logger from '@utils/Logger';
 import { formatDate, getDaysDifference } from '@utils/dateHelpers';
+import { getEntityComments } from '@services/CommentService';
 
 // Стили
 import './TransferredPage.css';
@@ -54,6 +58,11 @@ const TransferredPage = () => {
   const [selectedReason, setSelectedReason] = useState('all');
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [selectedCandidate, setSelectedCandidate] = useState(null);
+  const [openHandoffs, setOpenHandoffs] = useState({});
+  const [returningCandidate, setReturningCandidate] = useState(null);
+  const [returnOutcome, setReturnOutcome] = useState('reached');
+  const [returnComment, setReturnComment] = useState('');
+  const [isReturning, setIsReturning] = useState(false);
   const [stats, setStats] = useState({
     total: 0,
     lastWeek: 0,
@@ -65,15 +74,20 @@ const TransferredPage = () => {
     }
   });
 
-  // Контроллер
+  // Контроллеры
   const [controller] = useState(() => new CandidateController());
+  const [handoffController] = useState(() => new HandoffController());
 
   // Загрузка переданных кандидатов
   const loadTransferredCandidates = useCallback(async () => {
     try {
       setIsLoading(true);
-      const candidates = await controller.getTransferredCandidates();
+      const [candidates, handoffs] = await Promise.all([
+        controller.getTransferredCandidates(),
+        handoffController.getOpenByCandidate()
+      ]);
       setTransferredCandidates(candidates);
+      setOpenHandoffs(handoffs);
       setFilteredCandidates(candidates);
       calculateStats(candidates);
     } catch (error) {
@@ -82,7 +96,7 @@ const TransferredPage = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [controller]);
+  }, [controller, handoffController]);
 
   // Расчет статистики
   const calculateStats = (candidates) => {
@@ -127,13 +141,18 @@ const TransferredPage = () => {
     // Подписка на события
     const handleCandidateTransferred = () => loadTransferredCandidates();
     const handleCandidateReturned = () => loadTransferredCandidates();
+    const handleHandoffChanged = () => loadTransferredCandidates();
 
     EventBus.on('candidate:transferred', handleCandidateTransferred);
     EventBus.on('candidate:returned', handleCandidateReturned);
+    EventBus.on('handoff:opened', handleHandoffChanged);
+    EventBus.on('handoff:closed', handleHandoffChanged);
 
     return () => {
       EventBus.off('candidate:transferred', handleCandidateTransferred);
       EventBus.off('candidate:returned', handleCandidateReturned);
+      EventBus.off('handoff:opened', handleHandoffChanged);
+      EventBus.off('handoff:closed', handleHandoffChanged);
     };
   }, [loadTransferredCandidates]);
 
@@ -210,17 +229,26 @@ const TransferredPage = () => {
     return Array.from(projects).sort();
   };
 
-  // Вернуть кандидата в работу
-  const handleReturnCandidate = async (candidate) => {
-    if (window.confirm(`Вернуть кандидата ${candidate.name} в работу?`)) {
-      try {
-        await controller.returnFromFirstLine(candidate.id);
-        EventBus.emit('notification:success', 'Кандидат возвращен в работу');
-        loadTransferredCandidates();
-      } catch (error) {
-        logger.error('Ошибка возврата кандидата', error);
-        EventBus.emit('notification:error', 'Не удалось вернуть кандидата');
-      }
+  // Вернуть кандидата рекрутеру: сначала выбирается итог 1-й линии
+  const handleReturnCandidate = (candidate) => {
+    setReturningCandidate(candidate);
+    setReturnOutcome('reached');
+    setReturnComment('');
+  };
+
+  const handleConfirmReturn = async () => {
+    setIsReturning(true);
+    // Об успехе и ошибках контроллер сообщает сам
+    const returned = await handoffController.returnFromFirstLine(
+      returningCandidate.id,
+      returnOutcome,
+      returnComment
+    );
+    setIsReturning(false);
+
+    if (returned) {
+      setReturningCandidate(null);
+      loadTransferredCandidates();
     }
   };
 
@@ -261,9 +289,19 @@ const TransferredPage = () => {
     return <User size={16} />;
   };
 
+  // Статус доставки карточки передачи
+  const getDeliveryText = (handoff) => {
+    if (!handoff) return 'Карточка передачи не создавалась';
+    if (!handoff.delivery) return 'Карточка в очереди 1-й линии';
+    return handoff.delivery.success
+      ? `Карточка отправлена в Telegram ${formatDate(handoff.delivery.at, 'default')}`
+      : 'Не удалось отправить карточку в Telegram, она в очереди 1-й линии';
+  };
+
   // Компонент карточки переданного кандидата
   const TransferredCandidateCard = ({ candidate }) => {
     const daysOnFirstLine = getDaysDifference(new Date(candidate.transferredAt), new Date());
+    const handoff = openHandoffs[candidate.id];
     
     return (
       <motion.div
@@ -311,6 +349,11 @@ const TransferredPage = () => {
             <Calendar size={16} />
             <span>Передан: {formatDate(candidate.transferredAt, 'full')}</span>
           </div>
+
+          <div className="transfer-delivery">
+            {handoff?.delivery && !handoff.delivery.success ? <XCircle size={16} /> : <MessageCircle size={16} />}
+            <span>{getDeliveryText(handoff)}</span>
+          </div>
         </div>
 
         {candidate.firstLineComment && (
@@ -581,10 +624,20 @@ const TransferredPage = () => {
               </div>
             </div>
 
-            {selectedCandidate.comment && (
+            {openHandoffs[selectedCandidate.id] && (
+              <HandoffCardSection handoff={openHandoffs[selectedCandidate.id]} />
+            )}
+
+            {getEntityComments('candidates', selectedCandidate).length > 0 && (
               <div className="details-section">
-                <h3>Комментарий</h3>
-                <p className="comment-text">{selectedCandidate.comment}</p>
+                <h3>Комментарии</h3>
+                {getEntityComments('candidates', selectedCandidate).map(comment => (
+                  <p key={comment.id} className="comment-text">
+                    <small>{formatDate(comment.createdAt, 'full')}{comment.author && `, ${comment.author}`}</small>
+                    <br />
+                    {comment.text}
+                  </p>
+                ))}
               </div>
             )}
 
@@ -609,6 +662,119 @@ const TransferredPage = () => {
           </div>
         </Modal>
       )}
+
+      {/* Модальное окно возврата с итогом 1-й линии */}
+      {returningCandidate && (
+        <Modal
+          title={`Вернуть рекрутеру: ${returningCandidate.name}`}
+          onClose={() => setReturningCandidate(null)}
+          size="md"
+        >
+          <div className="return-modal">
+            <label>Итог 1-й линии:</label>
+            <select
+              value={returnOutcome}
+              onChange={(e) => setReturnOutcome(e.target.value)}
+              className="filter-select"
+            >
+              {Object.entries(HANDOFF_OUTCOMES).map(([outcome, { label, status }]) => (
+                <option key={outcome} value={outcome}>{label} → {status}</option>
+              ))}
+            </select>
+
+            <label>Комментарий:</label>
+            <textarea
+              value={returnComment}
+              onChange={(e) => setReturnComment(e.target.value)}
+              rows={4}
+              className="message-textarea"
+              placeholder="Что удалось выяснить"
+            />
+
+            <div className="modal-actions">
+              <Button variant="primary" onClick={handleConfirmReturn} loading={isReturning}>
+                <RotateCcw size={20} />
+                Вернуть
+              </Button>
+              <Button variant="secondary" onClick={() => setReturningCandidate(null)}>
+                Отмена
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Карточка передачи на 1-ю линию
+ * @param {Object} props - { handoff }
+ * @returns {JSX.Element} Раздел деталей
+ */
+const HandoffCardSection = ({ handoff }) => {
+  const { card } = handoff;
+
+  return (
+    <div className="details-section handoff-card">
+      <h3>Карточка передачи</h3>
+      <div className="details-grid">
+        <div className="detail-item">
+          <span className="label">Передал:</span>
+          <span className="value">{handoff.transferredBy}</span>
+        </div>
+        <div className="detail-item">
+          <span className="label">Статус до передачи:</span>
+          <span className="value">{card.previousStatus || 'Не указан'}</span>
+        </div>
+        <div className="detail-item">
+          <span className="label">Telegram / чат:</span>
+          <span className="value">{card.contacts.telegramId || card.contacts.chatId || 'Не указан'}</span>
+        </div>
+        <div className="detail-item">
+          <span className="label">Напоминаний:</span>
+          <span className="value">{card.attempts.reminders}</span>
+        </div>
+      </div>
+
+      <h4>Документы: {card.documents.received} из {card.documents.total}</h4>
+      <ul className="handoff-documents">
+        {card.documents.items.map(item => (
+          <li key={item.label}>
+            {item.label}{item.required ? '' : ' (необязательный)'}: {item.status}
+          </li>
+        ))}
+      </ul>
+
+      {card.attempts.steps.length > 0 && (
+        <>
+          <h4>Эскалация</h4>
+          <ul className="handoff-attempts">
+            {card.attempts.steps.map(step => (
+              <li key={`${step.channel}-${step.at}`}>
+                {formatDate(step.at, 'default')} {step.channel}: {step.result}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {card.messages.length > 0 && (
+        <>
+          <h4>Последние сообщения</h4>
+          <ul className="handoff-messages">
+            {card.messages.map(message => (
+              <li key={message.timestamp} className={`message-${message.direction}`}>
+                <small>
+                  {message.direction === 'in' ? 'Кандидат' : 'Мы'}, {formatDate(message.timestamp, 'full')}
+                </small>
+                <br />
+                {message.text}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
     </div>
   );
 };
@@ -0,0 +1,167 @@
+// src/views/pages/TrashPage.jsx
+/**
+ * 🗑️ Страница корзины
+ * @description Удаленные записи: восстановление и окончательное удаление
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Trash2, RotateCcw, XCircle } from 'lucide-react';
+
+// Компоненты
+import Button from '@components/common/Button';
+
+// Контроллеры и утилиты
+import TrashController from '@controllers/TrashController';
+import EventBus from '@utils/EventBus';
+import Logger from '@utils/Logger';
+import { formatDate } from '@utils/dateHelpers';
+
+// Стили
+import './TrashPage.css';
+
+const logger = new Logger('TrashPage');
+
+/**
+ * Страница корзины
+ * @returns {JSX.Element} Страница корзины
+ */
+const TrashPage = () => {
+  const [sections, setSections] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [controller] = useState(() => new TrashController());
+  const [retentionDays] = useState(() => controller.getRetentionDays());
+
+  // Загрузка содержимого корзины
+  const loadTrash = useCallback(async () => {
+    try {
+      setSections(await controller.getDeletedRecords());
+    } catch (error) {
+      logger.error('Ошибка загрузки корзины', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [controller]);
+
+  useEffect(() => {
+    loadTrash();
+
+    const handleRemoteChange = () => loadTrash();
+
+    EventBus.on('trash:changed', loadTrash);
+    EventBus.on('undo:done', loadTrash);
+    EventBus.on('sync:remoteChange', handleRemoteChange);
+
+    return () => {
+      EventBus.off('trash:changed', loadTrash);
+      EventBus.off('undo:done', loadTrash);
+      EventBus.off('sync:remoteChange', handleRemoteChange);
+    };
+  }, [loadTrash]);
+
+  // Окончательное удаление записи
+  const handlePurge = async (storeName, item) => {
+    if (window.confirm(`Удалить «${item.title}» безвозвратно?`)) {
+      await controller.purge(storeName, item.id);
+    }
+  };
+
+  // Очистка корзины
+  const handleEmptyTrash = async () => {
+    if (window.confirm('Удалить все записи из корзины безвозвратно?')) {
+      await controller.emptyTrash();
+    }
+  };
+
+  const total = sections.reduce((sum, section) => sum + section.items.length, 0);
+
+  if (isLoading) {
+    return (
+      <div className="page-loading">
+        <div className="loading-spinner"></div>
+        <p>Загрузка корзины...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="trash-page">
+      {/* Заголовок страницы */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1 className="page-title">
+            <Trash2 size={32} />
+            Корзина
+          </h1>
+          <p className="page-subtitle">
+            Записей: {total} • удаляются автоматически через {retentionDays} дн.
+          </p>
+        </div>
+
+        <div className="header-actions">
+          <Button
+            variant="danger"
+            onClick={handleEmptyTrash}
+            disabled={total === 0}
+          >
+            <XCircle size={20} />
+            Очистить корзину
+          </Button>
+        </div>
+      </div>
+
+      {total === 0 ? (
+        <div className="empty-state">
+          <Trash2 size={64} className="empty-icon" />
+          <h3>Корзина пуста</h3>
+          <p>Удаленные записи появятся здесь</p>
+        </div>
+      ) : (
+        sections.filter(section => section.items.length > 0).map(section => (
+          <div key={section.storeName} className="trash-section">
+            <h2 className="trash-section-title">
+              {section.label}
+              <span className="trash-section-count">{section.items.length}</span>
+            </h2>
+
+            <table className="trash-table">
+              <thead>
+                <tr>
+                  <th>Название</th>
+                  <th>Удалено</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {section.items.map(item => (
+                  <tr key={item.id}>
+                    <td>{item.title}</td>
+                    <td className="trash-date">{formatDate(item.deletedAt, 'default')}</td>
+                    <td className="trash-actions">
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        onClick={() => controller.restore(section.storeName, item.id)}
+                      >
+                        <RotateCcw size={16} />
+                        Восстановить
+                      </Button>
+                      <Button
+                        variant="danger"
+                        size="sm"
+                        onClick={() => handlePurge(section.storeName, item)}
+                      >
+                        <Trash2 size={16} />
+                        Удалить
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default TrashPage;
@@ -0,0 +1,178 @@
+// src/views/pages/WorkQueuePage.jsx
+/**
+ * 🎯 Страница "Работать дальше"
+ * @description Кандидаты в работе по убыванию оценки: с кем рекрутеру
+ * стоит связаться в первую очередь и почему
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Target, MessageCircle, ChevronDown, ChevronUp } from 'lucide-react';
+
+// Компоненты
+import Button from '@components/common/Button';
+import ScoreBreakdown, { getScoreLevel } from '@components/features/ScoreBreakdown';
+
+// Контроллеры и утилиты
+import ScoringController, { WORK_QUEUE_STATUSES } from '@controllers/ScoringController';
+import EventBus from '@utils/EventBus';
+import Logger from '@utils/Logger';
+
+// Стили
+import './WorkQueuePage.css';
+
+const logger = new Logger('WorkQueuePage');
+
+// Сколько слабых правил показывать в строке очереди
+const WEAK_FACTORS_SHOWN = 2;
+
+/**
+ * Страница "Работать дальше"
+ * @returns {JSX.Element} Страница очереди
+ */
+const WorkQueuePage = () => {
+  const [queue, setQueue] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [project, setProject] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [controller] = useState(() => new ScoringController());
+
+  // Загрузка очереди
+  const loadQueue = useCallback(async () => {
+    try {
+      setQueue(await controller.getQueue({ project }));
+    } catch (error) {
+      logger.error('Ошибка загрузки очереди', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [controller, project]);
+
+  useEffect(() => {
+    controller.getProjects().then(setProjects);
+  }, [controller]);
+
+  useEffect(() => {
+    loadQueue();
+
+    const handleRemoteChange = ({ storeName }) => {
+      if (storeName === 'candidates') {
+        loadQueue();
+      }
+    };
+
+    EventBus.on('candidate:created', loadQueue);
+    EventBus.on('candidate:updated', loadQueue);
+    EventBus.on('candidate:deleted', loadQueue);
+    EventBus.on('candidates:imported', loadQueue);
+    EventBus.on('scoring:changed', loadQueue);
+    EventBus.on('undo:done', loadQueue);
+    EventBus.on('sync:remoteChange', handleRemoteChange);
+
+    return () => {
+      EventBus.off('candidate:created', loadQueue);
+      EventBus.off('candidate:updated', loadQueue);
+      EventBus.off('candidate:deleted', loadQueue);
+      EventBus.off('candidates:imported', loadQueue);
+      EventBus.off('scoring:changed', loadQueue);
+      EventBus.off('undo:done', loadQueue);
+      EventBus.off('sync:remoteChange', handleRemoteChange);
+    };
+  }, [loadQueue]);
+
+  if (isLoading) {
+    return (
+      <div className="page-loading">
+        <div className="loading-spinner"></div>
+        <p>Загрузка очереди...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="work-queue-page">
+      {/* Заголовок страницы */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1 className="page-title">
+            <Target size={32} />
+            Работать дальше
+          </h1>
+          <p className="page-subtitle">
+            Кандидаты в статусах {WORK_QUEUE_STATUSES.join(', ')} по убыванию оценки
+          </p>
+        </div>
+
+        <div className="header-actions">
+          <select value={project} onChange={(e) => setProject(e.target.value)}>
+            <option value="">Все проекты</option>
+            {projects.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {queue.length === 0 ? (
+        <div className="empty-state">
+          <Target size={64} className="empty-icon" />
+          <h3>Очередь пуста</h3>
+          <p>Новые, активные и молчащие кандидаты появятся здесь</p>
+        </div>
+      ) : (
+        <ol className="work-queue">
+          {queue.map(({ candidate, score, breakdown }) => {
+            const isExpanded = expandedId === candidate.id;
+            const weakFactors = breakdown
+              .filter(item => item.weight > 0 && item.value < 1)
+              .sort((a, b) => (b.weight * (1 - b.value)) - (a.weight * (1 - a.value)))
+              .slice(0, WEAK_FACTORS_SHOWN);
+
+            return (
+              <li key={candidate.id} className="work-queue-item">
+                <div className="work-queue-row">
+                  <span className={`work-queue-score score-${getScoreLevel(score)}`}>{score}</span>
+
+                  <div className="work-queue-candidate">
+                    <strong>{candidate.name}</strong>
+                    <span>{candidate.phone} • {candidate.project} • {candidate.status}</span>
+                  </div>
+
+                  <div className="work-queue-weak">
+                    {weakFactors.map(item => (
+                      <span key={item.factor}>{item.label}: {item.note}</span>
+                    ))}
+                  </div>
+
+                  <div className="work-queue-actions">
+                    {candidate.chatId && (
+                      <Button
+                        variant="success"
+                        size="sm"
+                        onClick={() => EventBus.emit('whatsapp:sendMessage', candidate)}
+                      >
+                        <MessageCircle size={16} />
+                        Сообщение
+                      </Button>
+                    )}
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => setExpandedId(isExpanded ? null : candidate.id)}
+                    >
+                      {isExpanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                      Почему
+                    </Button>
+                  </div>
+                </div>
+
+                {isExpanded && <ScoreBreakdown score={score} breakdown={breakdown} />}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default WorkQueuePage;
@@ -14,7 +14,8 @@ import Header from '../layout/Header';
 import ExtensionSetup from '../features/ExtensionSetup';
 import LoadingScreen from '../common/LoadingScreen';
 
-// Утилиты
+// Контроллеры и утилиты
+import DuplicateController from '@controllers/DuplicateController';
 import EventBus from '@utils/EventBus';
 import Logger from '@utils/Logger';
 
@@ -84,7 +85,7 @@ const MainTemplate = ({
   // Подписка на события
   useEffect(() => {
     const handleStatsUpdate = (newStats) => {
-      setStats(newStats);
+      setStats(prev => ({ ...prev, ...newStats }));
     };
 
     const handleNotification = (notification) => {
@@ -111,6 +112,31 @@ const MainTemplate = ({
     };
   }, [navigate]);
 
+  // Количество возможных дублей для меню
+  useEffect(() => {
+    const duplicateController = new DuplicateController();
+    const updateDuplicatesCount = async () => {
+      const duplicatesCount = await duplicateController.getQueueSize();
+      setStats(prev => ({ ...prev, duplicatesCount }));
+    };
+    const handleRemoteChange = ({ storeName }) => {
+      if (storeName === 'duplicates') updateDuplicatesCount();
+    };
+
+    updateDuplicatesCount();
+    EventBus.on('duplicates:changed', updateDuplicatesCount);
+    EventBus.on('duplicates:found', updateDuplicatesCount);
+    EventBus.on('undo:done', updateDuplicatesCount);
+    EventBus.on('sync:remoteChange', handleRemoteChange);
+
+    return () => {
+      EventBus.off('duplicates:changed', updateDuplicatesCount);
+      EventBus.off('duplicates:found', updateDuplicatesCount);
+      EventBus.off('undo:done', updateDuplicatesCount);
+      EventBus.off('sync:remoteChange', handleRemoteChange);
+    };
+  }, []);
+
   // Переключение сайдбара
   const toggleSidebar = () => {
     setIsSidebarOpen(!isSidebarOpen);